@@ -0,0 +1,30 @@
+const configBatch = require('../../lib/commands/config-batch');
+
+// Mock ConfigurationManager
+jest.mock('../../lib/config/manager');
+
+describe('config-batch command', () => {
+  let mockManager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    mockManager = {
+      batch: jest.fn(async (callback) => ({ result: await callback(), changes: [], scopes: [] }))
+    };
+  });
+
+  test('should run the callback as a batch', async () => {
+    const callback = jest.fn().mockResolvedValue('done');
+    
+    const report = await configBatch(mockManager, callback, { allOrNothing: true });
+    
+    expect(mockManager.batch).toHaveBeenCalledWith(callback, { allOrNothing: true });
+    expect(report.result).toBe('done');
+  });
+
+  test('should reject a missing callback', async () => {
+    await expect(configBatch(mockManager)).rejects.toThrow('Batch callback must be a function');
+    expect(mockManager.batch).not.toHaveBeenCalled();
+  });
+});
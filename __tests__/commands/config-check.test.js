@@ -0,0 +1,30 @@
+const configCheck = require('../../lib/commands/config-check');
+
+// Mock ConfigurationManager
+jest.mock('../../lib/config/manager');
+
+describe('config-check command', () => {
+  let mockManager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    mockManager = {
+      checkDistribution: jest.fn().mockResolvedValue([
+        { clientId: 'cursor', path: '/project/.cursor/mcp.json', status: 'drifted', repaired: true }
+      ])
+    };
+  });
+
+  test('should check and repair client entries', async () => {
+    const results = await configCheck(mockManager, { repair: true });
+    
+    expect(mockManager.checkDistribution).toHaveBeenCalledWith({ repair: true });
+    expect(results[0].status).toBe('drifted');
+  });
+
+  test('should reject non-array client ids', async () => {
+    await expect(configCheck(mockManager, { clientIds: 'cursor' })).rejects.toThrow('Client IDs must be an array');
+    expect(mockManager.checkDistribution).not.toHaveBeenCalled();
+  });
+});
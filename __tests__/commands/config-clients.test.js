@@ -0,0 +1,37 @@
+const configClients = require('../../lib/commands/config-clients');
+
+// Mock ConfigurationManager
+jest.mock('../../lib/config/manager');
+
+describe('config-clients command', () => {
+  let mockManager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    mockManager = {
+      getSelectedClients: jest.fn().mockResolvedValue(['vscode']),
+      addSelectedClients: jest.fn().mockResolvedValue(['vscode', 'cursor']),
+      removeSelectedClients: jest.fn().mockResolvedValue([])
+    };
+  });
+
+  test('should list the selected clients', async () => {
+    expect(await configClients(mockManager, 'list', undefined, { isGlobal: true })).toEqual(['vscode']);
+    expect(mockManager.getSelectedClients).toHaveBeenCalledWith({ isGlobal: true });
+  });
+
+  test('should add and remove clients', async () => {
+    expect(await configClients(mockManager, 'add', ['cursor'])).toEqual(['vscode', 'cursor']);
+    expect(mockManager.addSelectedClients).toHaveBeenCalledWith(['cursor'], {});
+    
+    await configClients(mockManager, 'remove', ['vscode']);
+    expect(mockManager.removeSelectedClients).toHaveBeenCalledWith(['vscode'], {});
+  });
+
+  test('should reject unknown actions and non-array client ids', async () => {
+    await expect(configClients(mockManager, 'clear')).rejects.toThrow('Unknown action: clear');
+    await expect(configClients(mockManager, 'add', 'cursor')).rejects.toThrow('Client IDs must be an array');
+    expect(mockManager.addSelectedClients).not.toHaveBeenCalled();
+  });
+});
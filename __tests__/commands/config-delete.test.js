@@ -39,6 +39,14 @@ describe('config-delete command', () => {
     expect(consoleLog).not.toHaveBeenCalled();
   });
 
+  test('should return the distribution report', async () => {
+    const report = [{ clientId: 'vscode', scope: 'local', path: '/p/.vscode/mcp.json', action: 'updated' }];
+    mockManager.getConfig.mockResolvedValue({ value: 'test' });
+    mockManager.deleteConfig.mockResolvedValue(report);
+    
+    expect(await configDelete(mockManager, 'test.key')).toBe(report);
+  });
+
   test('should handle global option', async () => {
     mockManager.getConfig.mockResolvedValue({ value: 'test' });
     await configDelete(mockManager, 'test.key', { isGlobal: true });
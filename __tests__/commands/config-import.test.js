@@ -0,0 +1,36 @@
+const configImport = require('../../lib/commands/config-import');
+
+// Mock ConfigurationManager
+jest.mock('../../lib/config/manager');
+
+describe('config-import command', () => {
+  let mockManager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    mockManager = {
+      importFromClient: jest.fn().mockResolvedValue({
+        clientId: 'cursor',
+        scope: 'local',
+        path: '/project/.cursor/mcp.json',
+        launch: ['command', 'args'],
+        settings: [],
+        environment: ['API_KEY'],
+        unrecovered: []
+      })
+    };
+  });
+
+  test('should import from the client', async () => {
+    const report = await configImport(mockManager, 'cursor', { scope: 'local' });
+    
+    expect(mockManager.importFromClient).toHaveBeenCalledWith('cursor', { scope: 'local' });
+    expect(report.environment).toEqual(['API_KEY']);
+  });
+
+  test('should require a client id', async () => {
+    await expect(configImport(mockManager)).rejects.toThrow('Client ID is required');
+    expect(mockManager.importFromClient).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,50 @@
+const configMappings = require('../../lib/commands/config-mappings');
+
+// Mock ConfigurationManager
+jest.mock('../../lib/config/manager');
+
+describe('config-mappings command', () => {
+  let mockManager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    mockManager = {
+      describeClients: jest.fn().mockResolvedValue([{ id: 'vscode', hasEntry: false }]),
+      updateClient: jest.fn().mockResolvedValue({ name: 'Cursor', autoLoadEnv: false }),
+      removeClient: jest.fn().mockResolvedValue(undefined),
+      getOverrides: jest.fn().mockResolvedValue([{ clientId: 'cursor', status: 'overridden' }]),
+      resetClient: jest.fn().mockResolvedValue({ name: 'Cursor', autoLoadEnv: true })
+    };
+  });
+
+  test('should describe the clients', async () => {
+    expect(await configMappings(mockManager, 'describe', undefined, undefined, { scope: 'global' }))
+      .toEqual([{ id: 'vscode', hasEntry: false }]);
+    expect(mockManager.describeClients).toHaveBeenCalledWith({ scope: 'global' });
+  });
+
+  test('should update and remove clients', async () => {
+    expect(await configMappings(mockManager, 'update', 'cursor', { autoLoadEnv: false }))
+      .toEqual({ name: 'Cursor', autoLoadEnv: false });
+    expect(mockManager.updateClient).toHaveBeenCalledWith('cursor', { autoLoadEnv: false });
+    
+    await configMappings(mockManager, 'remove', 'cursor');
+    expect(mockManager.removeClient).toHaveBeenCalledWith('cursor');
+  });
+
+  test('should list overrides and reset clients', async () => {
+    expect(await configMappings(mockManager, 'overrides'))
+      .toEqual([{ clientId: 'cursor', status: 'overridden' }]);
+    
+    expect(await configMappings(mockManager, 'reset', 'cursor')).toEqual({ name: 'Cursor', autoLoadEnv: true });
+    expect(mockManager.resetClient).toHaveBeenCalledWith('cursor');
+  });
+
+  test('should reject unknown actions and missing client ids', async () => {
+    await expect(configMappings(mockManager, 'rename', 'cursor')).rejects.toThrow('Unknown action: rename');
+    await expect(configMappings(mockManager, 'reset')).rejects.toThrow('Client ID is required');
+    await expect(configMappings(mockManager, 'remove')).rejects.toThrow('Client ID is required');
+    expect(mockManager.removeClient).not.toHaveBeenCalled();
+  });
+});
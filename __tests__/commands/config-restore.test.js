@@ -0,0 +1,38 @@
+const configRestore = require('../../lib/commands/config-restore');
+
+// Mock ConfigurationManager
+jest.mock('../../lib/config/manager');
+
+describe('config-restore command', () => {
+  let mockManager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    mockManager = {
+      restoreClientBackup: jest.fn().mockResolvedValue({
+        clientId: 'vscode',
+        timestamp: '2024-05-01T09-30-00-000Z',
+        files: ['/project/.vscode/mcp.json']
+      })
+    };
+  });
+
+  test('should restore a client backup', async () => {
+    const result = await configRestore(mockManager, 'vscode', '2024-05-01T09-30-00-000Z');
+    
+    expect(mockManager.restoreClientBackup).toHaveBeenCalledWith('vscode', '2024-05-01T09-30-00-000Z', {});
+    expect(result.files).toEqual(['/project/.vscode/mcp.json']);
+  });
+
+  test('should default to the most recent backup', async () => {
+    await configRestore(mockManager, 'vscode');
+    
+    expect(mockManager.restoreClientBackup).toHaveBeenCalledWith('vscode', undefined, {});
+  });
+
+  test('should require a client id', async () => {
+    await expect(configRestore(mockManager)).rejects.toThrow('Client ID is required');
+    expect(mockManager.restoreClientBackup).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,58 @@
+const configUninstall = require('../../lib/commands/config-uninstall');
+
+// Mock ConfigurationManager
+jest.mock('../../lib/config/manager');
+
+describe('config-uninstall command', () => {
+  let mockManager;
+  let consoleLog;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    // Mock console
+    consoleLog = jest.spyOn(console, 'log').mockImplementation();
+    
+    // Create mock manager
+    mockManager = {
+      undistribute: jest.fn().mockResolvedValue([
+        { clientId: 'vscode', path: '/project/.vscode/mcp.json', changed: true }
+      ])
+    };
+  });
+
+  afterEach(() => {
+    consoleLog.mockRestore();
+  });
+
+  test('should remove the server from all clients', async () => {
+    const result = await configUninstall(mockManager);
+    
+    expect(mockManager.undistribute).toHaveBeenCalledWith(undefined, {});
+    expect(result).toEqual([
+      { clientId: 'vscode', path: '/project/.vscode/mcp.json', changed: true }
+    ]);
+    // Console output would break MCP protocol compliance
+    expect(consoleLog).not.toHaveBeenCalled();
+  });
+
+  test('should remove the server from specific clients', async () => {
+    await configUninstall(mockManager, ['vscode', 'cursor'], { isGlobal: true });
+    
+    expect(mockManager.undistribute).toHaveBeenCalledWith(['vscode', 'cursor'], { isGlobal: true });
+  });
+
+  test('should validate client ids', async () => {
+    await expect(configUninstall(mockManager, 'vscode'))
+      .rejects.toThrow('Client IDs must be an array');
+    
+    expect(mockManager.undistribute).not.toHaveBeenCalled();
+  });
+
+  test('should propagate errors', async () => {
+    mockManager.undistribute.mockRejectedValue(new Error('Remove failed'));
+    
+    await expect(configUninstall(mockManager, ['vscode']))
+      .rejects.toThrow('Remove failed');
+  });
+});
@@ -0,0 +1,72 @@
+const readline = require('readline');
+const configCommand = require('../../lib/commands/config');
+
+// Mock ConfigurationManager
+jest.mock('../../lib/config/manager');
+
+describe('config command', () => {
+  let mockManager;
+  let answers;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    answers = [];
+    jest.spyOn(readline, 'createInterface').mockReturnValue({
+      question: (question, callback) => callback(answers.shift() || ''),
+      close: jest.fn()
+    });
+
+    mockManager = {
+      getConfig: jest.fn().mockResolvedValue({ value: '' }),
+      setConfig: jest.fn().mockResolvedValue(undefined),
+      batch: jest.fn(async (callback) => ({ result: await callback(), changes: [], scopes: [], clients: [] })),
+      getAvailableClients: jest.fn().mockResolvedValue([
+        { id: 'vscode', name: 'Visual Studio Code', installed: true, autoLoadEnv: true }
+      ]),
+      getSelectedClients: jest.fn().mockResolvedValue(null),
+      setSelectedClients: jest.fn().mockResolvedValue(['vscode']),
+      distributeToClients: jest.fn(async (clientIds, options) => options.dryRun
+        ? [{ clientId: 'vscode', name: 'Visual Studio Code', path: '/p/.vscode/mcp.json', created: true, changed: true,
+          diff: { added: [{ path: 'url', value: 'https://api.example.com' }], changed: [], removed: [] } }]
+        : [{ clientId: 'vscode', name: 'Visual Studio Code', action: 'created' }])
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should store the answers without writing client files before confirmation', async () => {
+    answers = ['https://api.example.com', '', '', '', '', '', '', 'n', '1', 'n'];
+
+    await configCommand(mockManager);
+
+    expect(mockManager.setConfig).toHaveBeenCalledWith('apiEndpoint', 'https://api.example.com', {});
+    expect(mockManager.batch).toHaveBeenCalledWith(expect.any(Function), { skipDistribution: true });
+    expect(mockManager.distributeToClients).toHaveBeenCalledTimes(1);
+    expect(mockManager.distributeToClients).toHaveBeenCalledWith(['vscode'], { dryRun: true });
+    expect(mockManager.setSelectedClients).not.toHaveBeenCalled();
+  });
+
+  test('should distribute to the selected clients once confirmed', async () => {
+    answers = ['https://api.example.com', '', '', '', '', '', '', 'n', '1', 'y'];
+
+    await configCommand(mockManager);
+
+    expect(mockManager.distributeToClients).toHaveBeenLastCalledWith(['vscode'], {});
+    expect(mockManager.setSelectedClients).toHaveBeenCalledWith(['vscode'], {});
+  });
+
+  test('should list clients that would be skipped in the preview', async () => {
+    answers = ['https://api.example.com', '', '', '', '', '', '', 'n', '1', 'n'];
+    mockManager.distributeToClients.mockResolvedValue([
+      { clientId: 'vscode', name: 'Visual Studio Code', path: '/p/.vscode/mcp.json', action: 'skipped', reason: 'not-installed' }
+    ]);
+
+    await configCommand(mockManager);
+
+    expect(console.log).toHaveBeenCalledWith('\nVisual Studio Code: skipped (not-installed)');
+  });
+});
@@ -4,6 +4,7 @@ const SecurityDetector = require('../../lib/security/detector');
 const Distributor = require('../../lib/distribution/distributor');
 const ConfigResolver = require('../../lib/config/resolver');
 const ClientRegistry = require('../../lib/distribution/client-registry');
+const { ClientError, ConfigurationError } = require('../../lib/errors');
 const fs = require('fs');
 const path = require('path');
 
@@ -37,15 +38,31 @@ describe('ConfigurationManager', () => {
         set: jest.fn(),
         get: jest.fn(),
         delete: jest.fn(),
-        load: jest.fn()
+        load: jest.fn(),
+        read: jest.fn().mockResolvedValue(''),
+        parse: jest.fn((content) => require('dotenv').parse(content)),
+        toEnvKey: jest.fn((key) => key.toUpperCase().replace(/\./g, '_')),
+        fromEnvKey: jest.fn((key) => key.toLowerCase().replace(/_/g, '.'))
       },
       json: {
         set: jest.fn(),
         get: jest.fn(),
-        delete: jest.fn()
+        delete: jest.fn(),
+        setNestedValue: jest.fn((obj, key, value) => { obj[key] = value; })
       },
       gitignore: {
         ensure: jest.fn()
+      },
+      launch: {
+        get: jest.fn(),
+        set: jest.fn(async (spec) => ({ args: [], transport: 'stdio', ...spec })),
+        getDefault: jest.fn()
+      },
+      selection: {
+        get: jest.fn(),
+        set: jest.fn(async (clientIds) => clientIds),
+        add: jest.fn(async (clientIds) => clientIds),
+        remove: jest.fn(async () => [])
       }
     };
     
@@ -55,8 +72,16 @@ describe('ConfigurationManager', () => {
     
     mockDistributor = {
       distribute: jest.fn(),
+      gatherConfiguration: jest.fn(),
+      undistribute: jest.fn(),
       distributeToClients: jest.fn(),
-      getAvailableClients: jest.fn()
+      getAvailableClients: jest.fn(),
+      restoreBackup: jest.fn(),
+      checkDistribution: jest.fn(),
+      readClientEntry: jest.fn(),
+      listBackups: jest.fn(),
+      describeClients: jest.fn(),
+      resetClients: jest.fn()
     };
     
     mockResolver = {
@@ -64,7 +89,12 @@ describe('ConfigurationManager', () => {
       resolveAll: jest.fn()
     };
     
-    mockRegistry = {};
+    mockRegistry = {
+      updateClient: jest.fn(),
+      removeClient: jest.fn(),
+      getOverrides: jest.fn(),
+      resetClient: jest.fn()
+    };
     
     // Mock constructors
     StorageManager.mockImplementation(() => mockStorage);
@@ -160,15 +190,67 @@ describe('ConfigurationManager', () => {
       
       await manager.setConfig('test.key', 'value', { isGlobal: false });
       
-      expect(mockDistributor.distribute).toHaveBeenCalled();
+      expect(mockDistributor.distribute).toHaveBeenCalledWith({ scope: 'local' });
+    });
+
+    test('should return the distribution report', async () => {
+      const report = [{ clientId: 'vscode', scope: 'local', path: '/p/.vscode/mcp.json', action: 'updated' }];
+      mockSecurity.isSensitive.mockResolvedValue(false);
+      mockDistributor.distribute.mockResolvedValue(report);
+      
+      expect(await manager.setConfig('test.key', 'value')).toBe(report);
     });
 
-    test('should not distribute after global config change', async () => {
+    test('should distribute global config change to global client paths', async () => {
       mockSecurity.isSensitive.mockResolvedValue(false);
       
       await manager.setConfig('test.key', 'value', { isGlobal: true });
       
-      expect(mockDistributor.distribute).not.toHaveBeenCalled();
+      expect(mockDistributor.distribute).toHaveBeenCalledWith({ scope: 'global' });
+    });
+
+    test('should preview a non-sensitive change without writing', async () => {
+      mockSecurity.isSensitive.mockResolvedValue(false);
+      mockDistributor.gatherConfiguration.mockResolvedValue({
+        serverName: 'test-server',
+        settings: { existing: true },
+        environment: {}
+      });
+      mockDistributor.distribute.mockResolvedValue([{ clientId: 'client1' }]);
+      
+      const result = await manager.setConfig('port', 8080, { dryRun: true });
+      
+      expect(result).toEqual([{ clientId: 'client1' }]);
+      expect(mockDistributor.gatherConfiguration).toHaveBeenCalledWith('local');
+      expect(mockDistributor.distribute).toHaveBeenCalledWith({
+        scope: 'local',
+        dryRun: true,
+        config: {
+          serverName: 'test-server',
+          settings: { existing: true, port: 8080 },
+          environment: {}
+        }
+      });
+      expect(mockStorage.json.set).not.toHaveBeenCalled();
+      expect(mockStorage.env.set).not.toHaveBeenCalled();
+      expect(mockStorage.gitignore.ensure).not.toHaveBeenCalled();
+    });
+
+    test('should preview a sensitive change as an environment variable', async () => {
+      mockSecurity.isSensitive.mockResolvedValue(true);
+      const stored = { serverName: 'test-server', settings: {}, environment: { OTHER: 'x' } };
+      mockDistributor.gatherConfiguration.mockResolvedValue(stored);
+      
+      await manager.setConfig('api.key', 'secret', { dryRun: true, isGlobal: true });
+      
+      expect(mockDistributor.gatherConfiguration).toHaveBeenCalledWith('global');
+      expect(mockDistributor.distribute.mock.calls[0][0].config.environment).toEqual({
+        OTHER: 'x',
+        API_KEY: 'secret'
+      });
+      // Gathered configuration is not mutated
+      expect(stored.environment).toEqual({ OTHER: 'x' });
+      expect(mockStorage.env.set).not.toHaveBeenCalled();
     });
 
     test('should handle undefined options', async () => {
@@ -253,20 +335,28 @@ describe('ConfigurationManager', () => {
       expect(mockStorage.json.delete).not.toHaveBeenCalled();
     });
 
+    test('should return the distribution report', async () => {
+      const report = [{ clientId: 'cursor', scope: 'local', path: '/p/.cursor/mcp.json', action: 'failed', error: 'EACCES' }];
+      mockStorage.env.get.mockResolvedValue('value');
+      mockDistributor.distribute.mockResolvedValue(report);
+      
+      expect(await manager.deleteConfig('test.key')).toBe(report);
+    });
+
     test('should distribute after local deletion', async () => {
       mockStorage.env.get.mockResolvedValue('value');
       
       await manager.deleteConfig('test.key', { isGlobal: false });
       
-      expect(mockDistributor.distribute).toHaveBeenCalled();
+      expect(mockDistributor.distribute).toHaveBeenCalledWith({ scope: 'local' });
     });
 
-    test('should not distribute after global deletion', async () => {
+    test('should distribute global deletion to global client paths', async () => {
       mockStorage.env.get.mockResolvedValue('value');
       
       await manager.deleteConfig('test.key', { isGlobal: true });
       
-      expect(mockDistributor.distribute).not.toHaveBeenCalled();
+      expect(mockDistributor.distribute).toHaveBeenCalledWith({ scope: 'global' });
     });
 
     test('should handle undefined options', async () => {
@@ -308,7 +398,467 @@ describe('ConfigurationManager', () => {
       
       await manager.distributeToClients(clientIds);
       
-      expect(mockDistributor.distributeToClients).toHaveBeenCalledWith(clientIds);
+      expect(mockDistributor.distributeToClients).toHaveBeenCalledWith(clientIds, { scope: 'local' });
+    });
+
+    test('should return previews in dry-run mode', async () => {
+      mockDistributor.distributeToClients.mockResolvedValue([{ clientId: 'client1' }]);
+      
+      const result = await manager.distributeToClients(['client1'], { dryRun: true });
+      
+      expect(result).toEqual([{ clientId: 'client1' }]);
+      expect(mockDistributor.distributeToClients).toHaveBeenCalledWith(['client1'], { scope: 'local', dryRun: true });
+    });
+
+    test('should distribute to global client paths when isGlobal is set', async () => {
+      await manager.distributeToClients(['client1'], { isGlobal: true });
+      
+      expect(mockDistributor.distributeToClients).toHaveBeenCalledWith(['client1'], { scope: 'global' });
+    });
+  });
+
+  describe('batch', () => {
+    beforeEach(() => {
+      mockDistributor.distribute.mockImplementation(async ({ scope }) => [
+        { clientId: 'vscode', scope, path: `/${scope}/mcp.json`, action: 'updated' }
+      ]);
+      mockSecurity.isSensitive.mockResolvedValue(false);
+      mockStorage.env.get.mockResolvedValue(undefined);
+      mockStorage.json.get.mockResolvedValue('old');
+    });
+
+    test('should store every change but distribute once', async () => {
+      const report = await manager.batch(async () => {
+        await manager.setConfig('database.host', 'localhost');
+        await manager.setConfig('database.port', 5432);
+        await manager.deleteConfig('database.socket');
+        expect(mockDistributor.distribute).not.toHaveBeenCalled();
+        return 'done';
+      });
+      
+      expect(mockStorage.json.set).toHaveBeenCalledTimes(2);
+      expect(mockStorage.json.delete).toHaveBeenCalledWith('database.socket', undefined);
+      expect(mockDistributor.distribute).toHaveBeenCalledTimes(1);
+      expect(mockDistributor.distribute).toHaveBeenCalledWith({ scope: 'local' });
+      expect(report).toEqual({
+        result: 'done',
+        changes: [
+          { operation: 'set', key: 'database.host', scope: 'local' },
+          { operation: 'set', key: 'database.port', scope: 'local' },
+          { operation: 'delete', key: 'database.socket', scope: 'local' }
+        ],
+        scopes: ['local'],
+        clients: [{ clientId: 'vscode', scope: 'local', path: '/local/mcp.json', action: 'updated' }]
+      });
+    });
+
+    test('should only store the changes with skipDistribution', async () => {
+      const report = await manager.batch(async () => {
+        await manager.setConfig('database.host', 'localhost');
+      }, { skipDistribution: true });
+      
+      expect(mockStorage.json.set).toHaveBeenCalledWith('database.host', 'localhost', undefined);
+      expect(mockDistributor.distribute).not.toHaveBeenCalled();
+      expect(report.changes).toEqual([{ operation: 'set', key: 'database.host', scope: 'local' }]);
+      expect(report.scopes).toEqual([]);
+      expect(report.clients).toEqual([]);
+    });
+
+    test('should not distribute single changes with skipDistribution', async () => {
+      await manager.setConfig('database.host', 'localhost', { skipDistribution: true });
+      await manager.deleteConfig('database.host', { skipDistribution: true });
+      
+      expect(mockStorage.json.set).toHaveBeenCalled();
+      expect(mockStorage.json.delete).toHaveBeenCalled();
+      expect(mockDistributor.distribute).not.toHaveBeenCalled();
+    });
+
+    test('should distribute each changed scope with the batch options', async () => {
+      const report = await manager.batch(async () => {
+        await manager.setConfig('a', 1, { isGlobal: true });
+        await manager.setLaunchSpec({ command: 'node' });
+        await manager.setConfig('b', 2, { isGlobal: true });
+      }, { allOrNothing: true });
+      
+      expect(report.scopes).toEqual(['global', 'local']);
+      expect(report.clients.map(row => row.scope)).toEqual(['global', 'local']);
+      expect(mockDistributor.distribute).toHaveBeenCalledTimes(2);
+      expect(mockDistributor.distribute).toHaveBeenNthCalledWith(1, { scope: 'global', allOrNothing: true });
+      expect(mockDistributor.distribute).toHaveBeenNthCalledWith(2, { scope: 'local', allOrNothing: true });
+    });
+
+    test('should not distribute when nothing changed', async () => {
+      const report = await manager.batch(async () => {});
+      
+      expect(report.scopes).toEqual([]);
+      expect(mockDistributor.distribute).not.toHaveBeenCalled();
+    });
+
+    test('should distribute stored changes and rethrow when the callback fails', async () => {
+      const failure = new Error('prompt closed');
+      
+      await expect(manager.batch(async () => {
+        await manager.setConfig('a', 1);
+        throw failure;
+      })).rejects.toBe(failure);
+      
+      expect(mockDistributor.distribute).toHaveBeenCalledWith({ scope: 'local' });
+      
+      // Later changes distribute immediately again
+      await manager.setConfig('b', 2);
+      expect(mockDistributor.distribute).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject nested batches', async () => {
+      await expect(manager.batch(async () => {
+        await manager.batch(async () => {});
+      })).rejects.toThrow(ConfigurationError);
+    });
+  });
+
+  describe('setLaunchSpec', () => {
+    test('should store the spec and distribute', async () => {
+      const spec = await manager.setLaunchSpec({ command: 'node', args: ['server.js'] });
+      
+      expect(mockStorage.launch.set).toHaveBeenCalledWith({ command: 'node', args: ['server.js'] }, undefined);
+      expect(mockStorage.launch.getDefault).not.toHaveBeenCalled();
+      expect(mockStorage.json.set).not.toHaveBeenCalled();
+      expect(mockDistributor.distribute).toHaveBeenCalledWith({ scope: 'local' });
+      expect(spec).toEqual({ command: 'node', args: ['server.js'], transport: 'stdio' });
+    });
+
+    test('should default from package.json when no command is given', async () => {
+      mockStorage.launch.getDefault.mockResolvedValue({ command: 'npx', args: ['-y', 'pkg'], transport: 'stdio' });
+      
+      await manager.setLaunchSpec({ cwd: '/srv' }, { isGlobal: true });
+      
+      expect(mockStorage.launch.set).toHaveBeenCalledWith(
+        { command: 'npx', args: ['-y', 'pkg'], transport: 'stdio', cwd: '/srv' },
+        true
+      );
+      expect(mockDistributor.distribute).toHaveBeenCalledWith({ scope: 'global' });
+    });
+
+    test('should not merge the package default into remote specs', async () => {
+      const remote = { transport: 'http', url: 'https://mcp.example.com/mcp' };
+      
+      await manager.setLaunchSpec(remote);
+      
+      expect(mockStorage.launch.getDefault).not.toHaveBeenCalled();
+      expect(mockStorage.launch.set).toHaveBeenCalledWith(remote, undefined);
+    });
+
+    test('should not distribute an invalid spec', async () => {
+      mockStorage.launch.getDefault.mockResolvedValue(null);
+      mockStorage.launch.set.mockRejectedValue(new Error('Launch spec requires a command'));
+      
+      await expect(manager.setLaunchSpec()).rejects.toThrow('Launch spec requires a command');
+      expect(mockDistributor.distribute).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('allOrNothing', () => {
+    test('should pass all-or-nothing mode to the distributor', async () => {
+      mockSecurity.isSensitive.mockResolvedValue(false);
+      
+      await manager.setConfig('port', 3000, { allOrNothing: true });
+      await manager.distributeToClients(['vscode'], { isGlobal: true, allOrNothing: true });
+      
+      expect(mockDistributor.distribute).toHaveBeenCalledWith({ scope: 'local', allOrNothing: true });
+      expect(mockDistributor.distributeToClients).toHaveBeenCalledWith(['vscode'], {
+        scope: 'global',
+        allOrNothing: true,
+        dryRun: undefined
+      });
+    });
+  });
+
+  describe('importFromClient', () => {
+    const entry = {
+      command: 'node',
+      args: ['/opt/server/index.js'],
+      config: { port: 3000 },
+      env: {
+        API_KEY: '${env:API_KEY}',
+        LOG_LEVEL: 'debug',
+        ACCESS_TOKEN: '${ACCESS_TOKEN}',
+        PROMPTED_SECRET: '${input:prompted-secret}'
+      }
+    };
+    const fields = {
+      command: entry.command,
+      args: entry.args,
+      settings: entry.config,
+      env: entry.env,
+      unmatched: []
+    };
+
+    function mockEntry(parsed, environment = {}) {
+      mockDistributor.readClientEntry.mockResolvedValue({
+        clientId: 'vscode',
+        path: '/p/.vscode/mcp.json',
+        entry: {},
+        fields: { unmatched: [], ...parsed },
+        environment
+      });
+    }
+
+    beforeEach(() => {
+      mockDistributor.readClientEntry.mockResolvedValue({
+        clientId: 'claude-desktop',
+        path: '/config/claude_desktop_config.json',
+        entry,
+        fields,
+        environment: { API_KEY: 'from-env-file' }
+      });
+      mockSecurity.isSensitive.mockImplementation(async (key) => /key|token|secret/i.test(key));
+    });
+
+    afterEach(() => {
+      delete process.env.ACCESS_TOKEN;
+    });
+
+    test('should store the launch command as the launch spec and split env values by sensitivity', async () => {
+      const report = await manager.importFromClient('claude-desktop', { scope: 'global' });
+      
+      expect(mockDistributor.readClientEntry).toHaveBeenCalledWith('claude-desktop', manager.serverName, { scope: 'global' });
+      expect(mockStorage.launch.set).toHaveBeenCalledWith({ command: 'node', args: ['/opt/server/index.js'] }, true);
+      expect(mockStorage.json.set).not.toHaveBeenCalledWith('command', expect.anything(), expect.anything());
+      expect(mockStorage.json.set).toHaveBeenCalledWith('port', 3000, true);
+      expect(mockStorage.json.set).toHaveBeenCalledWith('log.level', 'debug', true);
+      expect(mockStorage.env.set).toHaveBeenCalledWith('API_KEY', 'from-env-file', true);
+      expect(mockStorage.gitignore.ensure).toHaveBeenCalledWith(true);
+      expect(report).toEqual({
+        clientId: 'claude-desktop',
+        scope: 'global',
+        path: '/config/claude_desktop_config.json',
+        launch: ['command', 'args'],
+        settings: ['port', 'log.level'],
+        environment: ['API_KEY'],
+        unrecovered: [
+          { key: 'ACCESS_TOKEN', reference: '${ACCESS_TOKEN}' },
+          { key: 'PROMPTED_SECRET', reference: '${input:prompted-secret}' }
+        ]
+      });
+      expect(mockDistributor.distribute).not.toHaveBeenCalled();
+      expect(mockDistributor.distributeToClients).not.toHaveBeenCalled();
+    });
+
+    test('should recover references from the process environment', async () => {
+      process.env.ACCESS_TOKEN = 'from-process';
+      
+      const report = await manager.importFromClient('claude-desktop');
+      
+      expect(mockStorage.env.set).toHaveBeenCalledWith('ACCESS_TOKEN', 'from-process', false);
+      expect(report.environment).toEqual(['API_KEY', 'ACCESS_TOKEN']);
+    });
+
+    test('should import remote endpoints with header references as templates', async () => {
+      mockEntry({
+        transport: 'http',
+        url: 'https://mcp.example.com/mcp',
+        headers: { Authorization: 'Bearer ${env:API_TOKEN}', 'X-Client': 'ide', 'X-Prompted': '${input:key}' }
+      }, { API_TOKEN: 'secret' });
+      
+      const report = await manager.importFromClient('vscode');
+      
+      expect(mockStorage.env.set).toHaveBeenCalledWith('API_TOKEN', 'secret', false);
+      expect(mockStorage.launch.set).toHaveBeenCalledWith({
+        transport: 'http',
+        url: 'https://mcp.example.com/mcp',
+        headers: { Authorization: 'Bearer ${API_TOKEN}', 'X-Client': 'ide' }
+      }, false);
+      expect(report.launch).toEqual(['transport', 'url', 'headers']);
+      expect(report.environment).toEqual(['API_TOKEN']);
+      expect(report.unrecovered).toEqual([{ key: 'headers.X-Prompted', reference: '${input:key}' }]);
+    });
+
+    test('should import the values of an envFile', async () => {
+      mockEntry({ command: 'node', envFile: '/p/.vscode/.server/.env' });
+      mockStorage.env.read.mockResolvedValue('API_KEY=from-env-file\nLOG_LEVEL=info\n');
+      
+      const report = await manager.importFromClient('vscode');
+      
+      expect(mockStorage.env.read).toHaveBeenCalledWith('/p/.vscode/.server/.env');
+      expect(mockStorage.env.set).toHaveBeenCalledWith('API_KEY', 'from-env-file', false);
+      expect(mockStorage.json.set).toHaveBeenCalledWith('log.level', 'info', false);
+      expect(report.unrecovered).toEqual([]);
+    });
+
+    test('should report every part that cannot be recovered', async () => {
+      mockEntry({ args: ['index.js'], envFile: '${userHome}/.env', unmatched: [{ path: 'disabled', value: true }] });
+      
+      const report = await manager.importFromClient('vscode');
+      
+      expect(mockStorage.launch.set).not.toHaveBeenCalled();
+      expect(mockStorage.env.read).not.toHaveBeenCalled();
+      expect(report.unrecovered).toEqual([
+        { key: 'args', value: ['index.js'] },
+        { key: 'envFile', reference: '${userHome}/.env' },
+        { key: 'disabled', value: true }
+      ]);
+    });
+
+    test('should throw ConfigurationError when the client has no entry for the server', async () => {
+      mockDistributor.readClientEntry.mockResolvedValue({ clientId: 'cursor', path: '/p/.cursor/mcp.json', entry: undefined, environment: {} });
+      
+      await expect(manager.importFromClient('cursor')).rejects.toThrow(ConfigurationError);
+      expect(mockStorage.json.set).not.toHaveBeenCalled();
+    });
+
+    test('should reject an invalid scope', async () => {
+      await expect(manager.importFromClient('cursor', { scope: 'workspace' })).rejects.toThrow('Invalid import scope: workspace');
+    });
+  });
+
+  describe('checkDistribution', () => {
+    test('should check the local scope by default', async () => {
+      const results = [{ clientId: 'vscode', status: 'in-sync' }];
+      mockDistributor.checkDistribution.mockResolvedValue(results);
+      
+      expect(await manager.checkDistribution()).toBe(results);
+      expect(mockDistributor.checkDistribution).toHaveBeenCalledWith(undefined, { scope: 'local', repair: false });
+    });
+
+    test('should pass client ids and repair options', async () => {
+      await manager.checkDistribution({ isGlobal: true, clientIds: ['cursor'], repair: true, allOrNothing: true });
+      
+      expect(mockDistributor.checkDistribution).toHaveBeenCalledWith(['cursor'], {
+        scope: 'global',
+        allOrNothing: true,
+        repair: true
+      });
+    });
+  });
+
+  describe('client selection', () => {
+    beforeEach(() => {
+      mockDistributor.getAvailableClients.mockResolvedValue([
+        { id: 'vscode', name: 'VS Code' },
+        { id: 'cursor', name: 'Cursor' }
+      ]);
+    });
+
+    test('should read the selection for the scope', async () => {
+      mockStorage.selection.get.mockResolvedValue(['cursor']);
+      
+      expect(await manager.getSelectedClients({ isGlobal: true })).toEqual(['cursor']);
+      expect(mockStorage.selection.get).toHaveBeenCalledWith(true);
+    });
+
+    test('should save and add known clients', async () => {
+      expect(await manager.setSelectedClients(['vscode'])).toEqual(['vscode']);
+      expect(mockStorage.selection.set).toHaveBeenCalledWith(['vscode'], undefined);
+      
+      await manager.addSelectedClients(['cursor'], { isGlobal: true });
+      expect(mockStorage.selection.add).toHaveBeenCalledWith(['cursor'], true);
+    });
+
+    test('should reject unknown clients', async () => {
+      await expect(manager.addSelectedClients(['vscode', 'emacs'])).rejects.toThrow(ClientError);
+      await expect(manager.setSelectedClients(['emacs'])).rejects.toThrow('Unknown client(s): emacs');
+      expect(mockStorage.selection.add).not.toHaveBeenCalled();
+      expect(mockStorage.selection.set).not.toHaveBeenCalled();
+    });
+
+    test('should remove clients without checking them', async () => {
+      await manager.removeSelectedClients(['retired-client']);
+      
+      expect(mockStorage.selection.remove).toHaveBeenCalledWith(['retired-client'], undefined);
+      expect(mockDistributor.getAvailableClients).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restoreClientBackup', () => {
+    test('should restore through the distributor', async () => {
+      const result = { clientId: 'vscode', timestamp: 't1', files: ['/p/.vscode/mcp.json'] };
+      mockDistributor.restoreBackup.mockResolvedValue(result);
+      
+      expect(await manager.restoreClientBackup('vscode', 't1')).toBe(result);
+      expect(mockDistributor.restoreBackup).toHaveBeenCalledWith('vscode', 't1', { scope: 'local' });
+    });
+
+    test('should list backups through the distributor', async () => {
+      mockDistributor.listBackups.mockResolvedValue(['t1', 't2']);
+      
+      expect(await manager.listClientBackups('vscode', { isGlobal: true })).toEqual(['t1', 't2']);
+      expect(mockDistributor.listBackups).toHaveBeenCalledWith('vscode', { scope: 'global' });
+    });
+  });
+
+  describe('client mappings', () => {
+    test('should describe clients for the scope with this server name', async () => {
+      mockDistributor.describeClients.mockResolvedValue([{ id: 'vscode', hasEntry: true }]);
+      
+      expect(await manager.describeClients({ scope: 'global' })).toEqual([{ id: 'vscode', hasEntry: true }]);
+      expect(mockDistributor.describeClients).toHaveBeenCalledWith({ scope: 'global', serverName: 'test-server' });
+    });
+
+    test('should update and remove clients and rebuild the client adapters', async () => {
+      mockRegistry.updateClient.mockResolvedValue({ name: 'Cursor', autoLoadEnv: false });
+      
+      expect(await manager.updateClient('cursor', { autoLoadEnv: false })).toEqual({ name: 'Cursor', autoLoadEnv: false });
+      expect(mockRegistry.updateClient).toHaveBeenCalledWith('cursor', { autoLoadEnv: false });
+      
+      await manager.removeClient('cursor');
+      expect(mockRegistry.removeClient).toHaveBeenCalledWith('cursor');
+      expect(mockDistributor.resetClients).toHaveBeenCalledTimes(2);
+    });
+
+    test('should list overrides and reset clients through the registry', async () => {
+      mockRegistry.getOverrides.mockResolvedValue([{ clientId: 'cursor', status: 'overridden' }]);
+      mockRegistry.resetClient.mockResolvedValue({ name: 'Cursor' });
+      
+      expect(await manager.getOverrides()).toEqual([{ clientId: 'cursor', status: 'overridden' }]);
+      expect(await manager.resetClient('cursor')).toEqual({ name: 'Cursor' });
+      expect(mockRegistry.resetClient).toHaveBeenCalledWith('cursor');
+      expect(mockDistributor.resetClients).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep the adapters when the registry rejects a change', async () => {
+      mockRegistry.removeClient.mockRejectedValue(new ClientError('Unknown client: nope', 'nope'));
+      
+      await expect(manager.removeClient('nope')).rejects.toThrow(ClientError);
+      expect(mockDistributor.resetClients).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getLaunchSpec', () => {
+    test('should prefer the stored spec', async () => {
+      mockStorage.launch.get.mockResolvedValue({ command: 'node' });
+      
+      expect(await manager.getLaunchSpec({ isGlobal: true })).toEqual({ command: 'node' });
+      expect(mockStorage.launch.get).toHaveBeenCalledWith(true);
+    });
+
+    test('should fall back to the package.json default', async () => {
+      mockStorage.launch.get.mockResolvedValue(null);
+      mockStorage.launch.getDefault.mockResolvedValue({ command: 'npx' });
+      
+      expect(await manager.getLaunchSpec()).toEqual({ command: 'npx' });
+    });
+  });
+
+  describe('undistribute', () => {
+    test('should remove this server from local client paths', async () => {
+      mockDistributor.undistribute.mockResolvedValue([{ clientId: 'client1', path: '/c1.json', changed: true }]);
+      
+      const results = await manager.undistribute(['client1']);
+      
+      expect(results).toEqual([{ clientId: 'client1', path: '/c1.json', changed: true }]);
+      expect(mockDistributor.undistribute).toHaveBeenCalledWith(['client1'], {
+        scope: 'local',
+        serverName: manager.serverName
+      });
+    });
+
+    test('should remove this server from global client paths of all clients', async () => {
+      await manager.undistribute(undefined, { isGlobal: true });
+      
+      expect(mockDistributor.undistribute).toHaveBeenCalledWith(undefined, {
+        scope: 'global',
+        serverName: manager.serverName
+      });
     });
   });
 });
\ No newline at end of file
@@ -1,12 +1,15 @@
 const BaseClient = require('../../lib/distribution/base-client');
 const ClientRegistry = require('../../lib/distribution/client-registry');
+const { DistributionError, ConfigurationError, EnvironmentError, ValidationError } = require('../../lib/errors');
+const JsoncFormat = require('../../lib/formats/jsonc-format');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 
 // Mock PathUtils
 jest.mock('../../lib/utils/path-utils', () => ({
-  getHomeDir: jest.fn(() => '/home/test')
+  getHomeDir: jest.fn(() => '/home/test'),
+  resolveEnvVars: jest.fn((...args) => jest.requireActual('../../lib/utils/path-utils').resolveEnvVars(...args))
 }));
 
 describe('BaseClient', () => {
@@ -21,7 +24,9 @@ describe('BaseClient', () => {
     
     mockRegistry = {
       getClientConfig: jest.fn(),
-      getClientPath: jest.fn()
+      getClientConfigPath: jest.fn(),
+      getClientConfigPaths: jest.fn(),
+      getClientEnvPath: jest.fn()
     };
     
     client = new BaseClient('test-client', mockRegistry);
@@ -76,41 +81,45 @@ describe('BaseClient', () => {
   });
 
   describe('isInstalled', () => {
-    test('should return true for home directory configs', async () => {
-      mockRegistry.getClientPath.mockResolvedValue('/home/test/.mcp.json');
-      mockRegistry.getClientConfig.mockResolvedValue({});
+    beforeEach(() => {
+      mockRegistry.detectClient = jest.fn();
+    });
+
+    test('should return true when the client is detected', async () => {
+      mockRegistry.detectClient.mockResolvedValue({
+        installed: true,
+        evidence: [{ rule: 'marker', path: '/home/test/.cursor' }]
+      });
       
       const result = await client.isInstalled();
       
       expect(result).toBe(true);
+      expect(mockRegistry.detectClient).toHaveBeenCalledWith('test-client');
     });
 
-    test('should check directory existence for non-home paths', async () => {
-      const configPath = path.join(tempDir, 'config', 'settings.json');
-      mockRegistry.getClientPath.mockResolvedValue(configPath);
-      mockRegistry.getClientConfig.mockResolvedValue({});
+    test('should return false when the client is not detected', async () => {
+      mockRegistry.detectClient.mockResolvedValue({ installed: false, evidence: [] });
       
       const result = await client.isInstalled();
       
-      expect(result).toBe(true);
-      // Directory should be created
-      await expect(fs.access(path.dirname(configPath))).resolves.not.toThrow();
+      expect(result).toBe(false);
     });
 
-    test('should return false if directory cannot be created', async () => {
-      // Mock a path that cannot be created
-      mockRegistry.getClientPath.mockResolvedValue('/root/protected/config.json');
-      mockRegistry.getClientConfig.mockResolvedValue({});
-      
-      jest.spyOn(fs, 'mkdir').mockRejectedValueOnce(new Error('Permission denied'));
+    test('should not create the config directory', async () => {
+      const configPath = path.join(tempDir, 'config', 'settings.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      mockRegistry.detectClient.mockResolvedValue({ installed: false, evidence: [] });
+      const mkdirSpy = jest.spyOn(fs, 'mkdir');
       
-      const result = await client.isInstalled();
+      await client.isInstalled();
       
-      expect(result).toBe(false);
+      expect(mkdirSpy).not.toHaveBeenCalled();
+      await expect(fs.access(path.dirname(configPath))).rejects.toThrow();
+      mkdirSpy.mockRestore();
     });
 
     test('should return false on any error', async () => {
-      mockRegistry.getClientPath.mockRejectedValue(new Error('Client error'));
+      mockRegistry.detectClient.mockRejectedValue(new Error('Client error'));
       
       const result = await client.isInstalled();
       
@@ -121,9 +130,12 @@ describe('BaseClient', () => {
   describe('updateConfig', () => {
     const mockConfig = {
       serverName: 'test-server',
-      settings: {
+      launch: {
         command: 'node',
         args: ['server.js'],
+        transport: 'stdio'
+      },
+      settings: {
         port: 3000
       },
       environment: {
@@ -142,7 +154,7 @@ describe('BaseClient', () => {
 
     test('should create config file with proper structure', async () => {
       const configPath = path.join(tempDir, 'config.json');
-      mockRegistry.getClientPath.mockResolvedValue(configPath);
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
       
       await client.updateConfig(mockConfig);
       
@@ -153,7 +165,7 @@ describe('BaseClient', () => {
 
     test('should preserve existing config', async () => {
       const configPath = path.join(tempDir, 'config.json');
-      mockRegistry.getClientPath.mockResolvedValue(configPath);
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
       
       // Write existing config
       const existing = {
@@ -179,7 +191,7 @@ describe('BaseClient', () => {
       });
       
       const configPath = path.join(tempDir, 'config.json');
-      mockRegistry.getClientPath.mockResolvedValue(configPath);
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
       
       await client.updateConfig(mockConfig);
       
@@ -193,7 +205,7 @@ describe('BaseClient', () => {
 
     test('should handle environment variables with autoLoadEnv', async () => {
       const configPath = path.join(tempDir, 'config.json');
-      mockRegistry.getClientPath.mockResolvedValue(configPath);
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
       
       await client.updateConfig(mockConfig);
       
@@ -213,7 +225,7 @@ describe('BaseClient', () => {
       });
       
       const configPath = path.join(tempDir, 'config.json');
-      mockRegistry.getClientPath.mockResolvedValue(configPath);
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
       
       await client.updateConfig(mockConfig);
       
@@ -233,7 +245,7 @@ describe('BaseClient', () => {
       });
       
       const configPath = path.join(tempDir, 'config.json');
-      mockRegistry.getClientPath.mockResolvedValue(configPath);
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
       
       await client.updateConfig(mockConfig);
       
@@ -253,7 +265,7 @@ describe('BaseClient', () => {
       };
       
       const configPath = path.join(tempDir, 'config.json');
-      mockRegistry.getClientPath.mockResolvedValue(configPath);
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
       
       await client.updateConfig(configNoEnv);
       
@@ -263,9 +275,109 @@ describe('BaseClient', () => {
       expect(serverConfig.env).toBeUndefined();
     });
 
+    test('should preserve comments, trailing commas and formatting', async () => {
+      const configPath = path.join(tempDir, 'settings.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      
+      const original = [
+        '// User settings',
+        '{',
+        '\t"editor.fontSize": 14, // keep me',
+        '\t"mcp-servers": {',
+        '\t\t"other-server": { "config": {} },',
+        '\t},',
+        '\t"files.autoSave": "off",',
+        '}',
+        ''
+      ].join('\n');
+      await fs.writeFile(configPath, original);
+      
+      await client.updateConfig(mockConfig);
+      
+      const written = await fs.readFile(configPath, 'utf8');
+      expect(written.startsWith('// User settings\n{\n\t"editor.fontSize": 14, // keep me\n')).toBe(true);
+      expect(written.endsWith('\t"files.autoSave": "off",\n}\n')).toBe(true);
+      expect(written).toContain('\t\t"other-server": { "config": {} },');
+      expect(written).toContain('\t\t"test-server": {');
+    });
+
+    test('should refuse to overwrite unparseable files', async () => {
+      const configPath = path.join(tempDir, 'settings.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      
+      const original = '{ "editor.fontSize": 14, oops }';
+      await fs.writeFile(configPath, original);
+      
+      await expect(client.updateConfig(mockConfig)).rejects.toThrow(DistributionError);
+      expect(await fs.readFile(configPath, 'utf8')).toBe(original);
+    });
+
+    test('should write the local client path by default', async () => {
+      const configPath = path.join(tempDir, 'config.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      
+      await client.updateConfig(mockConfig);
+      
+      expect(mockRegistry.getClientConfigPath).toHaveBeenCalledWith('test-client', false, { strict: true });
+    });
+
+    test('should write the global client path for global scope', async () => {
+      const configPath = path.join(tempDir, 'config.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      
+      await client.updateConfig(mockConfig, { scope: 'global' });
+      
+      expect(mockRegistry.getClientConfigPath).toHaveBeenCalledWith('test-client', true, { strict: true });
+    });
+
+    test('should not create directories for unresolved path variables', async () => {
+      const PathUtils = jest.requireActual('../../lib/utils/path-utils');
+      delete process.env.DJ_TEST_UNSET_DIR;
+      mockRegistry.getClientConfigPath.mockImplementation(async (clientId, isGlobal, options) =>
+        PathUtils.resolveEnvVars(path.join(tempDir, '${DJ_TEST_UNSET_DIR}', 'config.json'), {}, options));
+
+      await expect(client.updateConfig(mockConfig)).rejects.toThrow(EnvironmentError);
+      expect(await fs.readdir(tempDir)).not.toContain('${DJ_TEST_UNSET_DIR}');
+    });
+
+    test('should report whether the file was created or changed', async () => {
+      const configPath = path.join(tempDir, 'config.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      
+      expect(await client.updateConfig(mockConfig)).toEqual({
+        clientId: 'test-client', path: configPath, created: true, changed: true
+      });
+      
+      const { mtimeMs } = await fs.stat(configPath);
+      expect(await client.updateConfig(mockConfig)).toEqual({
+        clientId: 'test-client', path: configPath, created: false, changed: false
+      });
+      expect((await fs.stat(configPath)).mtimeMs).toBe(mtimeMs);
+      
+      const result = await client.updateConfig({ ...mockConfig, settings: { port: 4000 } });
+      expect(result.changed).toBe(true);
+    });
+
+    test('should report a change to the env file alone', async () => {
+      const configPath = path.join(tempDir, 'config.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      mockRegistry.getClientEnvPath.mockResolvedValue(path.join(tempDir, '.test-server', '.env'));
+      mockRegistry.getClientConfig.mockResolvedValue({ configKey: 'mcp-servers', envFormat: '${env:${VAR}}' });
+      
+      await client.updateConfig(mockConfig, { scope: 'global' });
+      const before = await fs.readFile(configPath, 'utf8');
+      const result = await client.updateConfig(
+        { ...mockConfig, environment: { ...mockConfig.environment, API_KEY: 'rotated' } },
+        { scope: 'global' }
+      );
+      
+      expect(result.changed).toBe(true);
+      expect(await fs.readFile(configPath, 'utf8')).toBe(before);
+    });
+
     test('should create directory if needed', async () => {
       const configPath = path.join(tempDir, 'deep', 'nested', 'config.json');
-      mockRegistry.getClientPath.mockResolvedValue(configPath);
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
       
       await client.updateConfig(mockConfig);
       
@@ -273,6 +385,527 @@ describe('BaseClient', () => {
     });
   });
 
+  describe('getTargetPaths', () => {
+    test('should list the config file and the env-path', async () => {
+      mockRegistry.getClientConfigPaths.mockResolvedValue(['/project/.vscode/mcp.json']);
+      mockRegistry.getClientEnvPath.mockResolvedValue('/project/.vscode/.test-server/.env');
+      
+      expect(await client.getTargetPaths({ scope: 'global' })).toEqual([
+        '/project/.vscode/mcp.json',
+        '/project/.vscode/.test-server/.env'
+      ]);
+      expect(mockRegistry.getClientConfigPaths).toHaveBeenCalledWith('test-client', true, { strict: true });
+    });
+
+    test('should list every config path of a client with several variants', async () => {
+      mockRegistry.getClientConfigPaths.mockResolvedValue(['/home/test/Code/User/mcp.json', '/home/test/VSCodium/User/mcp.json']);
+      mockRegistry.getClientEnvPath.mockImplementation(async (clientId, isGlobal, { configPath }) =>
+        `${path.dirname(configPath)}/.test-server/.env`);
+      
+      expect(await client.getTargetPaths({ scope: 'global' })).toEqual([
+        '/home/test/Code/User/mcp.json',
+        '/home/test/VSCodium/User/mcp.json',
+        '/home/test/Code/User/.test-server/.env',
+        '/home/test/VSCodium/User/.test-server/.env'
+      ]);
+    });
+
+    test('should omit the env-path for clients without one', async () => {
+      mockRegistry.getClientConfigPaths.mockResolvedValue(['/project/.mcp.json']);
+      mockRegistry.getClientEnvPath.mockRejectedValue(new ConfigurationError('No env-path', 'test-client'));
+      
+      expect(await client.getTargetPaths()).toEqual(['/project/.mcp.json']);
+    });
+  });
+
+  describe('getConfigPath', () => {
+    test('should use the given config path instead of the registry', async () => {
+      const variant = path.join(tempDir, 'insiders.json');
+      
+      expect(await client.getConfigPath({ scope: 'global', configPath: variant })).toBe(variant);
+      expect(mockRegistry.getClientConfigPath).not.toHaveBeenCalled();
+    });
+
+    test('should write the given config path', async () => {
+      mockRegistry.getClientConfig.mockResolvedValue({ name: 'Test Client', configKey: 'servers' });
+      const variant = path.join(tempDir, 'insiders.json');
+      
+      const result = await client.updateConfig(
+        { serverName: 'test-server', launch: { command: 'node', args: [] } },
+        { scope: 'global', configPath: variant }
+      );
+      
+      expect(result.path).toBe(variant);
+      expect(JSON.parse(await fs.readFile(variant, 'utf8')).servers['test-server']).toBeDefined();
+      expect(mockRegistry.getClientConfigPath).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateEnvFile', () => {
+    const mockConfig = {
+      serverName: 'test-server',
+      settings: {},
+      environment: { API_KEY: 'secret value' }
+    };
+
+    test('should write sensitive values to the env path with owner-only permissions', async () => {
+      const envPath = path.join(tempDir, '.client', '.test-server', '.env');
+      mockRegistry.getClientEnvPath.mockResolvedValue(envPath);
+      
+      const result = await client.updateEnvFile(mockConfig, { scope: 'global' });
+      
+      expect(result).toBe(envPath);
+      expect(mockRegistry.getClientEnvPath).toHaveBeenCalledWith('test-client', true, { strict: true });
+      const content = await fs.readFile(envPath, 'utf8');
+      expect(content).toContain('API_KEY="secret value"');
+      if (process.platform !== 'win32') {
+        const stats = await fs.stat(envPath);
+        expect(stats.mode & 0o777).toBe(0o600);
+      }
+    });
+
+    test('should resolve the env path for the config file being written', async () => {
+      const configPath = path.join(tempDir, 'VSCodium', 'User', 'mcp.json');
+      mockRegistry.getClientEnvPath.mockResolvedValue(path.join(tempDir, 'VSCodium', 'User', '.test-server', '.env'));
+      
+      await client.updateEnvFile(mockConfig, { scope: 'global', configPath });
+      
+      expect(mockRegistry.getClientEnvPath).toHaveBeenCalledWith('test-client', true, { strict: true, configPath });
+    });
+
+    test('should add local env files to .gitignore', async () => {
+      mockRegistry.getClientEnvPath.mockResolvedValue('./.client/.test-server/.env');
+      
+      await client.updateEnvFile(mockConfig);
+      
+      const gitignore = await fs.readFile(path.join(tempDir, '.gitignore'), 'utf8');
+      expect(gitignore).toContain('/.client/.test-server/.env');
+    });
+
+    test('should not touch .gitignore for global env files', async () => {
+      mockRegistry.getClientEnvPath.mockResolvedValue(path.join(tempDir, 'global', '.env'));
+      
+      await client.updateEnvFile(mockConfig, { scope: 'global' });
+      
+      await expect(fs.access(path.join(tempDir, '.gitignore'))).rejects.toThrow();
+    });
+
+    test('should remove a stale env file when there are no sensitive values', async () => {
+      const envPath = path.join(tempDir, '.env');
+      await fs.writeFile(envPath, 'OLD_KEY=old');
+      mockRegistry.getClientEnvPath.mockResolvedValue(envPath);
+      
+      const result = await client.updateEnvFile({ serverName: 'test-server', environment: {} });
+      
+      expect(result).toBe(null);
+      await expect(fs.access(envPath)).rejects.toThrow();
+    });
+
+    test('should skip clients without an env path', async () => {
+      mockRegistry.getClientEnvPath.mockRejectedValue(new ConfigurationError('No env-path', 'env-path'));
+      
+      const result = await client.updateEnvFile(mockConfig);
+      
+      expect(result).toBe(null);
+    });
+
+    test('should be called by updateConfig', async () => {
+      const configPath = path.join(tempDir, 'config.json');
+      const envPath = path.join(tempDir, 'env', '.env');
+      mockRegistry.getClientConfig.mockResolvedValue({ configKey: 'mcp-servers', envFormat: '${env:${VAR}}' });
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      mockRegistry.getClientEnvPath.mockResolvedValue(envPath);
+      
+      await client.updateConfig(mockConfig);
+      
+      expect(await fs.readFile(envPath, 'utf8')).toContain('API_KEY=');
+      const written = JSON.parse(await fs.readFile(configPath, 'utf8'));
+      expect(written['mcp-servers']['test-server'].env).toEqual({ API_KEY: '${env:API_KEY}' });
+    });
+  });
+
+  describe('nested configKey', () => {
+    const nestedConfig = {
+      serverName: 'test-server',
+      launch: { command: 'node', args: ['server.js'], transport: 'stdio' },
+      settings: {},
+      environment: {}
+    };
+
+    beforeEach(() => {
+      mockRegistry.getClientConfig.mockResolvedValue({
+        configKey: '/projects/${PROJECT_ROOT}/mcpServers',
+        configFormat: 'structured'
+      });
+    });
+
+    test('should resolve placeholders in pointer segments', async () => {
+      mockRegistry.getClientConfig.mockResolvedValue({ configKey: '/mcp~1x/${PROJECT_ROOT}/servers' });
+      
+      expect(await client.getConfigKeyPath()).toEqual(['mcp/x', process.cwd(), 'servers']);
+    });
+
+    test('should use the same project root as path templates', async () => {
+      const subdir = path.join(tempDir, 'src');
+      await fs.mkdir(subdir);
+      await fs.writeFile(path.join(tempDir, 'package.json'), '{}');
+      process.chdir(subdir);
+      mockRegistry.getClientConfig.mockResolvedValue({ configKey: '/projects/${PROJECT_ROOT}/mcpServers' });
+      
+      const [, projectRoot] = await client.getConfigKeyPath();
+      
+      expect(projectRoot).toBe(jest.requireActual('../../lib/utils/path-utils').resolveEnvVars('${PROJECT_ROOT}'));
+      expect(await fs.realpath(projectRoot)).toBe(await fs.realpath(tempDir));
+    });
+
+    test('should keep plain keys as a single property', async () => {
+      mockRegistry.getClientConfig.mockResolvedValue({ configKey: 'mcp.servers' });
+      
+      expect(await client.getConfigKeyPath()).toEqual(['mcp.servers']);
+    });
+
+    test('should reject unresolved placeholders and empty segments', async () => {
+      mockRegistry.getClientConfig.mockResolvedValue({ configKey: '/projects/${NO_SUCH_VARIABLE_X}/mcpServers' });
+      await expect(client.getConfigKeyPath()).rejects.toThrow(EnvironmentError);
+      
+      mockRegistry.getClientConfig.mockResolvedValue({ configKey: '/projects//mcpServers' });
+      await expect(client.getConfigKeyPath()).rejects.toThrow('invalid segment ""');
+    });
+
+    test('should create, read and remove entries in nested containers', async () => {
+      const configPath = path.join(tempDir, '.claude.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      await fs.writeFile(configPath, JSON.stringify({
+        numStartups: 3,
+        projects: { [process.cwd()]: { allowedTools: [] } }
+      }, null, 2));
+      
+      await client.updateConfig(nestedConfig, { scope: 'global' });
+      
+      let written = JSON.parse(await fs.readFile(configPath, 'utf8'));
+      expect(written.numStartups).toBe(3);
+      expect(written.projects[process.cwd()].allowedTools).toEqual([]);
+      expect(written.projects[process.cwd()].mcpServers['test-server'].command).toBe('node');
+      expect((await client.checkConfig(nestedConfig, { scope: 'global' })).status).toBe('in-sync');
+      expect((await client.readEntry('test-server', { scope: 'global' })).entry.command).toBe('node');
+      
+      await client.removeConfig('test-server', { scope: 'global' });
+      
+      written = JSON.parse(await fs.readFile(configPath, 'utf8'));
+      expect(written.projects[process.cwd()]).toEqual({ allowedTools: [] });
+    });
+  });
+
+  describe('list containers', () => {
+    const listConfig = {
+      serverName: 'test-server',
+      launch: { command: 'node', args: ['server.js'], transport: 'stdio' },
+      settings: {},
+      environment: {}
+    };
+
+    beforeEach(() => {
+      mockRegistry.getClientConfig.mockResolvedValue({
+        configKey: 'servers',
+        configFormat: 'structured',
+        containerType: 'list',
+        nameKey: 'id'
+      });
+    });
+
+    test('should match entries by their name field', async () => {
+      const configPath = path.join(tempDir, 'list.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      await fs.writeFile(configPath, JSON.stringify({ servers: [{ id: 'other', command: 'uvx' }] }, null, 2));
+      
+      await client.updateConfig(listConfig);
+      await client.updateConfig({ ...listConfig, launch: { ...listConfig.launch, command: 'deno' } });
+      
+      const written = JSON.parse(await fs.readFile(configPath, 'utf8'));
+      expect(written.servers).toEqual([
+        { id: 'other', command: 'uvx' },
+        { id: 'test-server', command: 'deno', args: ['server.js'] }
+      ]);
+      expect((await client.readEntry('test-server')).entry.command).toBe('deno');
+      
+      await client.removeConfig('test-server');
+      expect(JSON.parse(await fs.readFile(configPath, 'utf8')).servers).toEqual([{ id: 'other', command: 'uvx' }]);
+    });
+
+    test('should fail when the container is not a list', async () => {
+      const configPath = path.join(tempDir, 'map.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      await fs.writeFile(configPath, JSON.stringify({ servers: { other: {} } }));
+      
+      await expect(client.updateConfig(listConfig)).rejects.toThrow('Expected an array at servers');
+    });
+  });
+
+  describe('removeConfig', () => {
+    beforeEach(() => {
+      mockRegistry.getClientConfig.mockResolvedValue({
+        configKey: 'mcp-servers',
+        autoLoadEnv: false
+      });
+    });
+
+    test('should remove the server entry and keep other servers', async () => {
+      const configPath = path.join(tempDir, 'config.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      await fs.writeFile(configPath, [
+        '{',
+        '  // user settings',
+        '  "theme": "dark",',
+        '  "mcp-servers": {',
+        '    "test-server": { "config": {} },',
+        '    "other-server": { "config": {} }',
+        '  }',
+        '}',
+        ''
+      ].join('\n'));
+      
+      const result = await client.removeConfig('test-server');
+      
+      expect(result).toEqual({ clientId: 'test-client', path: configPath, changed: true });
+      const content = await fs.readFile(configPath, 'utf8');
+      expect(content).toContain('// user settings');
+      expect(JsoncFormat.parse(content)).toEqual({
+        theme: 'dark',
+        'mcp-servers': { 'other-server': { config: {} } }
+      });
+    });
+
+    test('should delete the env file with the removed entry', async () => {
+      const configPath = path.join(tempDir, 'config.json');
+      const envPath = path.join(tempDir, '.client', '.test-server', '.env');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      mockRegistry.getClientEnvPath.mockResolvedValue(envPath);
+      await fs.writeFile(configPath, JSON.stringify({ 'mcp-servers': { 'test-server': { config: {} } } }));
+      await fs.mkdir(path.dirname(envPath), { recursive: true });
+      await fs.writeFile(envPath, 'API_KEY="secret"\n');
+      
+      await client.removeConfig('test-server');
+      
+      await expect(fs.access(envPath)).rejects.toThrow();
+      expect(mockRegistry.getClientEnvPath).toHaveBeenCalledWith('test-client', false, { strict: true });
+    });
+
+    test('should drop the config key when no servers remain', async () => {
+      const configPath = path.join(tempDir, 'config.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      await fs.writeFile(configPath, JSON.stringify({
+        theme: 'dark',
+        'mcp-servers': { 'test-server': { config: {} } }
+      }, null, 2));
+      
+      await client.removeConfig('test-server', { scope: 'global' });
+      
+      expect(mockRegistry.getClientConfigPath).toHaveBeenCalledWith('test-client', true, { strict: true });
+      expect(JSON.parse(await fs.readFile(configPath, 'utf8'))).toEqual({ theme: 'dark' });
+    });
+
+    test('should not write when the server has no entry', async () => {
+      const configPath = path.join(tempDir, 'config.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      const original = '{ "mcp-servers": { "other-server": {} } }';
+      await fs.writeFile(configPath, original);
+      
+      const result = await client.removeConfig('test-server');
+      
+      expect(result.changed).toBe(false);
+      expect(await fs.readFile(configPath, 'utf8')).toBe(original);
+    });
+
+    test('should not create a missing file', async () => {
+      const configPath = path.join(tempDir, 'missing.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      
+      const result = await client.removeConfig('test-server');
+      
+      expect(result.changed).toBe(false);
+      await expect(fs.access(configPath)).rejects.toThrow();
+    });
+
+    test('should throw DistributionError for unparseable files', async () => {
+      const configPath = path.join(tempDir, 'config.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      await fs.writeFile(configPath, '{ nope');
+      
+      await expect(client.removeConfig('test-server')).rejects.toThrow(DistributionError);
+      expect(await fs.readFile(configPath, 'utf8')).toBe('{ nope');
+    });
+  });
+
+  describe('previewConfig', () => {
+    const mockConfig = {
+      serverName: 'test-server',
+      settings: { port: 3000 },
+      environment: { API_KEY: 'test-key' }
+    };
+
+    beforeEach(() => {
+      mockRegistry.getClientConfig.mockResolvedValue({
+        name: 'Test Client',
+        configKey: 'mcp-servers',
+        autoLoadEnv: false
+      });
+    });
+
+    test('should report a new file without writing it', async () => {
+      const configPath = path.join(tempDir, 'new', 'config.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      
+      const preview = await client.previewConfig(mockConfig);
+      
+      expect(preview).toEqual({
+        clientId: 'test-client',
+        name: 'Test Client',
+        scope: 'local',
+        path: configPath,
+        created: true,
+        changed: true,
+        diff: {
+          added: [
+            { path: 'config.port', value: 3000 },
+            { path: 'env.API_KEY', value: '${env:API_KEY}' }
+          ],
+          changed: [],
+          removed: []
+        }
+      });
+      await expect(fs.access(path.dirname(configPath))).rejects.toThrow();
+    });
+
+    test('should diff against the existing server entry', async () => {
+      const configPath = path.join(tempDir, 'config.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      const original = JSON.stringify({
+        'mcp-servers': {
+          'test-server': { config: { port: 8080, host: 'localhost' }, env: { API_KEY: '${env:API_KEY}' } }
+        }
+      });
+      await fs.writeFile(configPath, original);
+      
+      const preview = await client.previewConfig(mockConfig, { scope: 'global' });
+      
+      expect(mockRegistry.getClientConfigPath).toHaveBeenCalledWith('test-client', true, { strict: true });
+      expect(preview.scope).toBe('global');
+      expect(preview.created).toBe(false);
+      expect(preview.diff).toEqual({
+        added: [],
+        changed: [{ path: 'config.port', from: 8080, to: 3000 }],
+        removed: [{ path: 'config.host', value: 'localhost' }]
+      });
+      expect(await fs.readFile(configPath, 'utf8')).toBe(original);
+    });
+
+    test('should report no changes when the entry is up to date', async () => {
+      const configPath = path.join(tempDir, 'config.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      await client.updateConfig(mockConfig);
+      
+      const preview = await client.previewConfig(mockConfig);
+      
+      expect(preview.changed).toBe(false);
+    });
+
+    test('should throw DistributionError for unparseable files', async () => {
+      const configPath = path.join(tempDir, 'config.json');
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      await fs.writeFile(configPath, '{ nope');
+      
+      await expect(client.previewConfig(mockConfig)).rejects.toThrow(DistributionError);
+    });
+  });
+
+  describe('checkConfig', () => {
+    const config = {
+      serverName: 'test-server',
+      launch: { command: 'node', args: ['server.js'], transport: 'stdio' },
+      settings: { port: 3000 },
+      environment: {}
+    };
+    let configPath;
+
+    beforeEach(() => {
+      configPath = path.join(tempDir, 'config.json');
+      mockRegistry.getClientConfig.mockResolvedValue({ configKey: 'mcpServers', configFormat: 'default' });
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+    });
+
+    test('should report in-sync after distribution', async () => {
+      await client.updateConfig(config);
+      
+      const result = await client.checkConfig(config);
+      
+      expect(result).toEqual({
+        clientId: 'test-client',
+        name: 'test-client',
+        scope: 'local',
+        path: configPath,
+        status: 'in-sync'
+      });
+    });
+
+    test('should report a field-level diff for hand-edited entries', async () => {
+      await client.updateConfig(config);
+      const edited = JSON.parse(await fs.readFile(configPath, 'utf8'));
+      edited.mcpServers['test-server'].config.port = 4000;
+      edited.mcpServers['test-server'].disabled = true;
+      await fs.writeFile(configPath, JSON.stringify(edited));
+      
+      const result = await client.checkConfig(config);
+      
+      expect(result.status).toBe('drifted');
+      expect(result.diff).toEqual({
+        added: [],
+        changed: [{ path: 'config.port', from: 4000, to: 3000 }],
+        removed: [{ path: 'disabled', value: true }]
+      });
+    });
+
+    test('should report missing files and entries', async () => {
+      expect((await client.checkConfig(config)).status).toBe('missing');
+      
+      await fs.writeFile(configPath, JSON.stringify({ mcpServers: { other: {} } }));
+      expect((await client.checkConfig(config)).status).toBe('missing');
+    });
+
+    test('should report unparseable files as unreadable', async () => {
+      await fs.writeFile(configPath, '{ "mcpServers": ');
+      
+      const result = await client.checkConfig(config);
+      
+      expect(result.status).toBe('unreadable');
+      expect(result.error).toBeDefined();
+    });
+  });
+
+  describe('readEntry', () => {
+    test('should return the server entry and the client env values', async () => {
+      const configPath = path.join(tempDir, 'config.json');
+      const envPath = path.join(tempDir, '.env');
+      await fs.writeFile(configPath, JSON.stringify({
+        mcpServers: { 'test-server': { command: 'node', env: { API_KEY: '${env:API_KEY}' } } }
+      }));
+      await fs.writeFile(envPath, 'API_KEY=secret\n');
+      mockRegistry.getClientConfig.mockResolvedValue({ configKey: 'mcpServers' });
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+      mockRegistry.getClientEnvPath.mockResolvedValue(envPath);
+      
+      const result = await client.readEntry('test-server');
+      
+      expect(result).toEqual({
+        clientId: 'test-client',
+        path: configPath,
+        entry: { command: 'node', env: { API_KEY: '${env:API_KEY}' } },
+        fields: { command: 'node', env: { API_KEY: '${env:API_KEY}' }, unmatched: [] },
+        environment: { API_KEY: 'secret' }
+      });
+      expect((await client.readEntry('other-server')).entry).toBeUndefined();
+    });
+  });
+
   describe('getConfigKey', () => {
     test('should return config key from client config', async () => {
       client.clientConfig = { configKey: 'custom-servers' };
@@ -293,9 +926,12 @@ describe('BaseClient', () => {
   describe('formatConfig', () => {
     const baseConfig = {
       serverName: 'test',
-      settings: {
+      launch: {
         command: 'node',
         args: ['server.js'],
+        transport: 'stdio'
+      },
+      settings: {
         option1: 'value1'
       }
     };
@@ -306,6 +942,8 @@ describe('BaseClient', () => {
       const result = client.formatConfig(baseConfig);
       
       expect(result).toEqual({
+        command: 'node',
+        args: ['server.js'],
         config: baseConfig.settings
       });
     });
@@ -324,6 +962,17 @@ describe('BaseClient', () => {
       });
     });
 
+    test('should include the launch cwd in structured format', () => {
+      client.clientConfig = { configFormat: 'structured' };
+      
+      const result = client.formatConfig({
+        ...baseConfig,
+        launch: { ...baseConfig.launch, cwd: '/opt/server' }
+      });
+      
+      expect(result.cwd).toBe('/opt/server');
+    });
+
     test('should handle missing command in structured format', () => {
       client.clientConfig = { configFormat: 'structured' };
       
@@ -342,10 +991,11 @@ describe('BaseClient', () => {
       client.clientConfig = { configFormat: 'structured' };
       
       const configOnlyCommand = {
-        settings: {
+        launch: {
           command: 'node',
           args: ['server.js']
-        }
+        },
+        settings: {}
       };
       
       const result = client.formatConfig(configOnlyCommand);
@@ -361,5 +1011,78 @@ describe('BaseClient', () => {
       const result = client.formatConfig({});
       expect(result).toEqual({ config: {} });
     });
+
+    test('should format remote servers with a url instead of a command', () => {
+      client.clientConfig = {};
+      
+      const result = client.formatConfig({
+        launch: { transport: 'http', url: 'https://mcp.example.com/mcp' },
+        settings: { option1: 'value1' }
+      });
+      
+      expect(result).toEqual({
+        type: 'http',
+        url: 'https://mcp.example.com/mcp',
+        config: { option1: 'value1' }
+      });
+    });
+  });
+
+  describe('formatHeaders', () => {
+    const remoteConfig = {
+      launch: {
+        transport: 'http',
+        url: 'https://mcp.example.com/mcp',
+        headers: { Authorization: 'Bearer ${API_TOKEN}', 'X-Team': 'core' }
+      },
+      environment: { API_TOKEN: 'secret' }
+    };
+
+    test('should reference env store secrets with the client syntax', () => {
+      client.clientConfig = { envFormat: '${${VAR}}' };
+      
+      expect(client.formatHeaders(remoteConfig)).toEqual({
+        Authorization: 'Bearer ${API_TOKEN}',
+        'X-Team': 'core'
+      });
+    });
+
+    test('should default to ${env:VAR} references', () => {
+      client.clientConfig = { autoLoadEnv: true };
+      
+      expect(client.formatHeaders(remoteConfig).Authorization).toBe('Bearer ${env:API_TOKEN}');
+    });
+
+    test('should reject references to variables missing from the env store', () => {
+      client.clientConfig = {};
+      
+      expect(() => client.formatHeaders({ ...remoteConfig, environment: {} })).toThrow(ValidationError);
+      expect(() => client.formatHeaders({ ...remoteConfig, environment: {} }))
+        .toThrow('Header Authorization references API_TOKEN, which is not in the env store');
+    });
+
+    test('should return undefined without headers', () => {
+      expect(client.formatHeaders({ launch: { transport: 'http', url: 'https://example.com' } })).toBeUndefined();
+    });
+  });
+
+  describe('getLaunchCommand', () => {
+    test('should read the registered launch spec', () => {
+      const launch = client.getLaunchCommand({
+        launch: { command: 'npx', args: ['-y', 'test'], cwd: '/srv', transport: 'stdio' },
+        settings: { command: 'ignored' }
+      });
+      
+      expect(launch).toEqual({ command: 'npx', args: ['-y', 'test'], cwd: '/srv', transport: 'stdio' });
+    });
+
+    test('should default args and transport', () => {
+      expect(client.getLaunchCommand({ launch: { command: 'node' } })).toEqual({
+        command: 'node',
+        args: [],
+        cwd: undefined,
+        transport: 'stdio'
+      });
+    });
   });
 });
\ No newline at end of file
@@ -1,5 +1,5 @@
 const ClientRegistry = require('../../lib/distribution/client-registry');
-const { ClientError, ConfigurationError, EnvironmentError } = require('../../lib/errors');
+const { ClientError, ConfigurationError, EnvironmentError, ValidationError } = require('../../lib/errors');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
@@ -23,7 +23,8 @@ jest.mock('../../lib/utils/path-utils', () => ({
       return match;
     });
   }),
-  normalizePath: jest.fn((p) => p)
+  normalizePath: jest.fn((p) => p),
+  findProjectRoot: jest.fn(() => process.cwd())
 }));
 
 describe('ClientRegistry', () => {
@@ -103,12 +104,20 @@ describe('ClientRegistry', () => {
         'sensitivePatterns': []
       };
       
-      jest.spyOn(fs, 'readFile').mockResolvedValue(JSON.stringify(mockMappings));
+      jest.spyOn(fs, 'readFile').mockImplementation(async (filePath) => {
+        if (filePath === registry.projectConfigPath) {
+          throw Object.assign(new Error('not found'), { code: 'ENOENT' });
+        }
+        return JSON.stringify(mockMappings);
+      });
+      jest.spyOn(fs, 'mkdir').mockResolvedValue();
+      jest.spyOn(fs, 'writeFile').mockResolvedValue();
       
       await registry.loadMappings();
       await registry.loadMappings();
       
-      expect(fs.readFile).toHaveBeenCalledTimes(1);
+      // The user and project files are each read once
+      expect(fs.readFile).toHaveBeenCalledTimes(2);
     });
 
     test('should convert legacy structure to new structure', async () => {
@@ -134,7 +143,12 @@ describe('ClientRegistry', () => {
         'sensitivePatterns': ['password']
       };
       
-      jest.spyOn(fs, 'readFile').mockResolvedValue(JSON.stringify(legacyFormat));
+      jest.spyOn(fs, 'readFile').mockImplementation(async (filePath) => {
+        if (filePath === registry.projectConfigPath) {
+          throw Object.assign(new Error('not found'), { code: 'ENOENT' });
+        }
+        return JSON.stringify(legacyFormat);
+      });
       jest.spyOn(fs, 'mkdir').mockResolvedValue();
       const writeFileSpy = jest.spyOn(fs, 'writeFile').mockResolvedValue();
       
@@ -151,6 +165,299 @@ describe('ClientRegistry', () => {
       // Should have saved the new format
       expect(writeFileSpy).toHaveBeenCalled();
     });
+
+    describe('versions and validation', () => {
+      beforeEach(() => {
+        // Earlier tests stub fs.promises; these read and write real files
+        jest.restoreAllMocks();
+        fsSync.mkdirSync(tempDir, { recursive: true });
+        registry.libraryConfigPath = path.join(tempDir, 'client-mappings.json');
+      });
+
+      const writeMappings = mappings => fsSync.writeFileSync(registry.libraryConfigPath, JSON.stringify(mappings));
+      const backups = () => fsSync.readdirSync(tempDir).filter(name => /^client-mappings\.v\d+\..+\.json$/.test(name));
+
+      test('should keep custom clients in an unversioned file', async () => {
+        writeMappings({ 'my-editor': { name: 'My Editor', configKey: 'mcp' } });
+        
+        const mappings = await registry.loadMappings();
+        
+        expect(mappings['my-editor']).toEqual({ name: 'My Editor', configKey: 'mcp' });
+        expect(mappings.vscode).toEqual(registry.getDefaultMappings().vscode);
+        expect(backups()).toHaveLength(1);
+      });
+
+      test('should back up a legacy file before migrating it', async () => {
+        const legacy = {
+          'global-paths': { 'my-editor': { name: 'My Editor', 'config-path': { linux: '/my-editor.json' } } }
+        };
+        writeMappings(legacy);
+        
+        const mappings = await registry.loadMappings();
+        
+        expect(mappings['my-editor'].global['config-path']).toEqual({ linux: '/my-editor.json' });
+        const [backup] = backups();
+        expect(backup).toMatch(/^client-mappings\.v1\./);
+        expect(JSON.parse(fsSync.readFileSync(path.join(tempDir, backup), 'utf8'))).toEqual(legacy);
+        const saved = JSON.parse(fsSync.readFileSync(registry.libraryConfigPath, 'utf8'));
+        expect(saved.version).toBe(3);
+        expect(saved['my-editor'].global['config-path']).toEqual({ linux: '/my-editor.json' });
+        expect(saved['global-paths']).toBeUndefined();
+      });
+
+      test('should give version 2 files the current defaults for values the user did not change', async () => {
+        const v2Defaults = require('../../config/default-client-mappings.v2.json');
+        writeMappings({ ...v2Defaults, cursor: { ...v2Defaults.cursor, autoLoadEnv: false } });
+
+        const mappings = await registry.loadMappings();
+
+        expect(mappings.vscode).toEqual(registry.getDefaultMappings().vscode);
+        expect(mappings.cursor.configKey).toBe(registry.getDefaultMappings().cursor.configKey);
+        expect(mappings.cursor.autoLoadEnv).toBe(false);
+        const overrides = await registry.getOverrides();
+        expect(overrides.map(override => override.clientId)).toEqual(['cursor']);
+      });
+
+      test('should report schema errors with their JSON path and leave the file untouched', async () => {
+        const invalid = { version: 2, 'my-editor': { name: 'My Editor', fileFormat: 'ini' } };
+        writeMappings(invalid);
+        
+        const error = await registry.loadMappings().catch(e => e);
+        
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.field).toBe('$["my-editor"].fileFormat');
+        expect(error.details.configPath).toBe(registry.libraryConfigPath);
+        expect(JSON.parse(fsSync.readFileSync(registry.libraryConfigPath, 'utf8'))).toEqual(invalid);
+      });
+
+      test('should report invalid JSON instead of replacing the file', async () => {
+        fsSync.writeFileSync(registry.libraryConfigPath, '{ "my-editor": ');
+        
+        await expect(registry.loadMappings()).rejects.toThrow(ConfigurationError);
+        expect(fsSync.readFileSync(registry.libraryConfigPath, 'utf8')).toBe('{ "my-editor": ');
+      });
+
+      test('should refuse files from a newer release', async () => {
+        writeMappings({ version: 99 });
+        
+        await expect(registry.loadMappings()).rejects.toThrow('Client mappings version 99 is newer');
+      });
+
+      test('should write the version when saving', async () => {
+        registry.mappings = { ...registry.getDefaultMappings(), 'my-editor': { name: 'My Editor' } };
+        
+        await registry.saveMappings();
+        
+        expect(JSON.parse(fsSync.readFileSync(registry.libraryConfigPath, 'utf8')))
+          .toEqual({ version: 3, 'my-editor': { name: 'My Editor' } });
+      });
+    });
+
+    describe('overlay on the defaults', () => {
+      beforeEach(() => {
+        jest.restoreAllMocks();
+        fsSync.mkdirSync(tempDir, { recursive: true });
+        registry.libraryConfigPath = path.join(tempDir, 'client-mappings.json');
+      });
+
+      const readSaved = () => JSON.parse(fsSync.readFileSync(registry.libraryConfigPath, 'utf8'));
+
+      test('should start from the defaults and save no changes', async () => {
+        const mappings = await registry.loadMappings();
+        
+        expect(mappings.zed).toEqual(registry.getDefaultMappings().zed);
+        expect(readSaved()).toEqual({ version: 3 });
+      });
+
+      test('should merge added clients, overridden fields and removals over the defaults', async () => {
+        fsSync.writeFileSync(registry.libraryConfigPath, JSON.stringify({
+          version: 3,
+          vscode: { global: { 'config-path': { linux: '/opt/code/mcp.json' } } },
+          cursor: null,
+          'my-editor': { name: 'My Editor' }
+        }));
+        const defaults = registry.getDefaultMappings();
+        
+        const mappings = await registry.loadMappings();
+        
+        expect(mappings.vscode.global['config-path']).toEqual({ ...defaults.vscode.global['config-path'], linux: '/opt/code/mcp.json' });
+        expect(mappings.vscode.global['env-path']).toEqual(defaults.vscode.global['env-path']);
+        expect(mappings.cursor).toBeUndefined();
+        expect(mappings['my-editor']).toEqual({ name: 'My Editor' });
+        expect(mappings.zed).toEqual(defaults.zed);
+      });
+
+      test('should save only the differences from the defaults', async () => {
+        const mappings = await registry.loadMappings();
+        mappings.vscode.configKey = 'mcp';
+        delete mappings.cursor;
+        
+        await registry.saveMappings();
+        
+        expect(readSaved()).toEqual({ version: 3, vscode: { configKey: 'mcp' }, cursor: null });
+      });
+
+      test('should list overridden, added and removed clients', async () => {
+        fsSync.writeFileSync(registry.libraryConfigPath, JSON.stringify({
+          version: 3,
+          vscode: { configKey: 'mcp' },
+          cursor: null,
+          'my-editor': { name: 'My Editor' }
+        }));
+        
+        const overrides = await registry.getOverrides();
+        
+        expect(overrides.map(({ clientId, status }) => ({ clientId, status }))).toEqual([
+          { clientId: 'vscode', status: 'overridden' },
+          { clientId: 'cursor', status: 'removed' },
+          { clientId: 'my-editor', status: 'added' }
+        ]);
+        expect(overrides[0].fields).toEqual({
+          added: [],
+          changed: [{ path: 'configKey', from: 'servers', to: 'mcp' }],
+          removed: []
+        });
+      });
+
+      test('should reset a client to its default', async () => {
+        fsSync.writeFileSync(registry.libraryConfigPath, JSON.stringify({
+          version: 3,
+          vscode: { configKey: 'mcp' },
+          cursor: null
+        }));
+        const defaults = registry.getDefaultMappings();
+        
+        await registry.resetClient('vscode');
+        await registry.resetClient('cursor');
+        
+        expect(registry.mappings.vscode).toEqual(defaults.vscode);
+        expect(registry.mappings.cursor).toEqual(defaults.cursor);
+        expect(readSaved()).toEqual({ version: 3 });
+        expect(await registry.getOverrides()).toEqual([]);
+      });
+
+      test('should not reset clients without a default', async () => {
+        await expect(registry.resetClient('my-editor')).rejects.toThrow(ClientError);
+        await expect(registry.resetClient('sensitivePatterns')).rejects.toThrow('No default mapping for client: sensitivePatterns');
+      });
+    });
+
+    describe('project mappings', () => {
+      beforeEach(() => {
+        jest.restoreAllMocks();
+        fsSync.mkdirSync(tempDir, { recursive: true });
+        registry.libraryConfigPath = path.join(tempDir, 'client-mappings.json');
+        registry.projectConfigPath = path.join(tempDir, 'project', 'client-mappings.json');
+        fsSync.mkdirSync(path.dirname(registry.projectConfigPath));
+      });
+
+      const writeUser = mappings => fsSync.writeFileSync(registry.libraryConfigPath, JSON.stringify(mappings));
+      const writeProject = mappings => fsSync.writeFileSync(registry.projectConfigPath, JSON.stringify(mappings));
+      const readSaved = () => JSON.parse(fsSync.readFileSync(registry.libraryConfigPath, 'utf8'));
+
+      test('should be next to the local configuration of the server', () => {
+        expect(new ClientRegistry('my-server').getProjectConfigPath()).toBe(path.join('devjoy-digital', 'my-server', 'client-mappings.json'));
+        registry.setServerName('other-server');
+        expect(registry.projectConfigPath).toBe(path.join('devjoy-digital', 'other-server', 'client-mappings.json'));
+      });
+
+      test('should take precedence over the user and default mappings', async () => {
+        writeUser({ version: 3, vscode: { configKey: 'mcp', local: { 'config-path': { linux: '/user/mcp.json' } } } });
+        writeProject({
+          vscode: { local: { 'config-path': { linux: '.vscode/mcp.json' } } },
+          'in-house': { name: 'In-House Editor', configKey: 'servers' },
+          cursor: null
+        });
+        const defaults = registry.getDefaultMappings();
+
+        const mappings = await registry.loadMappings();
+
+        expect(mappings.vscode.configKey).toBe('mcp');
+        expect(mappings.vscode.local['config-path'].linux).toBe('.vscode/mcp.json');
+        expect(mappings.vscode.global).toEqual(defaults.vscode.global);
+        expect(mappings['in-house']).toEqual({ name: 'In-House Editor', configKey: 'servers' });
+        expect(mappings.cursor).toBeUndefined();
+      });
+
+      test('should report the layer each field comes from', async () => {
+        writeUser({ version: 3, vscode: { configKey: 'mcp' } });
+        writeProject({ version: 3, vscode: { local: { 'config-path': { linux: '.vscode/mcp.json' } } }, 'in-house': { name: 'In-House' } });
+
+        const clients = await registry.getAvailableClients();
+        const vscode = clients.find(client => client.id === 'vscode');
+
+        expect(vscode.sources).toMatchObject({
+          name: 'default',
+          configKey: 'user',
+          'local.config-path.linux': 'project',
+          'local.config-path.darwin': 'default'
+        });
+        expect(clients.find(client => client.id === 'in-house').sources).toEqual({ name: 'project' });
+      });
+
+      test('should save changes to the user file only', async () => {
+        writeProject({ vscode: { local: { configKey: 'project-key' } }, 'in-house': { name: 'In-House' } });
+
+        await registry.updateClient('vscode', { autoLoadEnv: false, local: { configKey: 'user-key' } });
+        await registry.removeClient('cursor');
+
+        expect(readSaved()).toEqual({ version: 3, vscode: { autoLoadEnv: false, local: { configKey: 'user-key' } }, cursor: null });
+        expect(registry.mappings.vscode.local.configKey).toBe('project-key');
+        expect(registry.mappings['in-house']).toEqual({ name: 'In-House' });
+        expect(JSON.parse(fsSync.readFileSync(registry.projectConfigPath, 'utf8'))).toEqual({
+          vscode: { local: { configKey: 'project-key' } },
+          'in-house': { name: 'In-House' }
+        });
+        expect((await registry.getOverrides()).map(override => override.clientId)).toEqual(['vscode', 'cursor']);
+      });
+
+      test('should name the project file when it is invalid', async () => {
+        writeProject({ 'in-house': { name: 'In-House', fileFormat: 'ini' } });
+
+        const error = await registry.loadMappings().catch(e => e);
+
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.message).toContain(registry.projectConfigPath);
+        expect(error.field).toBe('$["in-house"].fileFormat');
+      });
+
+      test('should only let the project change local settings of existing clients', async () => {
+        for (const project of [
+          { vscode: { global: { 'config-path': { linux: '.vscode/mcp.json' } } } },
+          { vscode: { configKey: 'servers', entryTemplate: { command: '${command}' } } },
+          { 'in-house': { name: 'In-House', global: { 'config-path': { linux: '.in-house/mcp.json' } } } },
+          { sensitivePatterns: [] }
+        ]) {
+          writeProject(project);
+          registry.mappings = null;
+
+          const error = await registry.loadMappings().catch(e => e);
+
+          expect(error).toBeInstanceOf(ValidationError);
+          expect(error.message).toContain('Project client mappings cannot');
+          expect(error.details.configPath).toBe(registry.projectConfigPath);
+        }
+      });
+
+      test('should reject project paths outside the project root', async () => {
+        for (const [project, field] of [
+          [{ vscode: { local: { 'config-path': { linux: '${HOME}/.bashrc' } } } }, '$.vscode.local["config-path"].linux'],
+          [{ vscode: { local: { 'env-path': { darwin: '../other/.env' } } } }, '$.vscode.local["env-path"].darwin'],
+          [{ 'in-house': { name: 'In-House', local: { 'config-path': { linux: ['.in-house/mcp.json', '/etc/mcp.json'] } } } },
+            '$["in-house"].local["config-path"].linux[1]']
+        ]) {
+          writeProject(project);
+          registry.mappings = null;
+
+          const error = await registry.loadMappings().catch(e => e);
+
+          expect(error).toBeInstanceOf(ValidationError);
+          expect(error.field).toBe(field);
+          expect(error.message).toContain('outside the project root');
+        }
+        expect(fsSync.existsSync(registry.libraryConfigPath)).toBe(false);
+      });
+    });
   });
 
   describe('getDefaultMappings', () => {
@@ -230,6 +537,90 @@ describe('ClientRegistry', () => {
       await expect(registry.getClientConfigPath('test-client', true))
         .rejects.toThrow(ConfigurationError);
     });
+
+    test('should mark a missing scope as unsupported', async () => {
+      delete registry.mappings['test-client'].local;
+      
+      const error = await registry.getClientConfigPath('test-client', false).catch(e => e);
+      
+      expect(error).toBeInstanceOf(ConfigurationError);
+      expect(error.details).toMatchObject({ clientId: 'test-client', scope: 'local', reason: 'unsupported' });
+    });
+  });
+
+  describe('getClientConfigPaths', () => {
+    let stable;
+    let insiders;
+    let flatpak;
+
+    beforeEach(() => {
+      // fs.promises may be stubbed by earlier tests, so set up real paths synchronously
+      fsSync.mkdirSync(tempDir, { recursive: true });
+      stable = path.join(tempDir, 'Code', 'User', 'mcp.json');
+      insiders = path.join(tempDir, 'Code - Insiders', 'User', 'mcp.json');
+      flatpak = path.join(tempDir, 'flatpak', 'Code', 'User', 'mcp.json');
+      registry.mappings = {
+        'test-client': {
+          name: 'Test Client',
+          global: { 'config-path': { [process.platform]: [stable, insiders, flatpak] } },
+          local: { 'config-path': { [process.platform]: './.testclient/config.json' } }
+        }
+      };
+    });
+
+    test('should return a single path mapping as is', async () => {
+      const paths = await registry.getClientConfigPaths('test-client', false);
+      expect(paths).toEqual(['./.testclient/config.json']);
+    });
+
+    test('should return the candidates whose directory exists', async () => {
+      fsSync.mkdirSync(path.dirname(insiders), { recursive: true });
+      fsSync.mkdirSync(path.dirname(flatpak), { recursive: true });
+      
+      expect(await registry.getClientConfigPaths('test-client', true)).toEqual([insiders, flatpak]);
+      expect(await registry.getClientConfigPath('test-client', true)).toBe(insiders);
+    });
+
+    test('should prefer the candidates whose file exists', async () => {
+      fsSync.mkdirSync(path.dirname(insiders), { recursive: true });
+      fsSync.mkdirSync(path.dirname(flatpak), { recursive: true });
+      fsSync.writeFileSync(flatpak, '{}');
+      
+      expect(await registry.getClientConfigPaths('test-client', true)).toEqual([flatpak]);
+    });
+
+    test('should fall back to the first candidate if none exists', async () => {
+      expect(await registry.getClientConfigPaths('test-client', true)).toEqual([stable]);
+    });
+
+    test('should return every candidate in all mode', async () => {
+      registry.mappings['test-client'].configPathMode = 'all';
+      
+      expect(await registry.getClientConfigPaths('test-client', true)).toEqual([stable, insiders, flatpak]);
+    });
+
+    test('should throw ConfigurationError for an unknown mode', async () => {
+      registry.mappings['test-client'].configPathMode = 'first';
+      
+      await expect(registry.getClientConfigPaths('test-client', true)).rejects.toThrow(ConfigurationError);
+    });
+
+    test('should throw ConfigurationError for an empty candidate list', async () => {
+      registry.mappings['test-client'].global['config-path'][process.platform] = [];
+      
+      await expect(registry.getClientConfigPaths('test-client', true)).rejects.toThrow(ConfigurationError);
+    });
+
+    test('should report the variants found in getAvailableClients', async () => {
+      fsSync.mkdirSync(path.dirname(insiders), { recursive: true });
+      fsSync.writeFileSync(insiders, '{}');
+      
+      const [client] = await registry.getAvailableClients();
+      
+      expect(client.installed).toBe(true);
+      expect(client.evidence).toEqual([{ rule: 'config-file', path: insiders }]);
+      expect(client.configPaths).toEqual({ global: [insiders], local: ['./.testclient/config.json'] });
+    });
   });
 
   describe('getClientEnvPath', () => {
@@ -267,6 +658,23 @@ describe('ClientRegistry', () => {
       await expect(registry.getClientEnvPath('test-client', true))
         .rejects.toThrow(ConfigurationError);
     });
+
+    test('should put the env file next to the chosen config path candidate', async () => {
+      fsSync.mkdirSync(tempDir, { recursive: true });
+      const stable = path.join(tempDir, 'Code', 'User', 'mcp.json');
+      const codium = path.join(tempDir, 'VSCodium', 'User', 'mcp.json');
+      fsSync.mkdirSync(path.dirname(codium), { recursive: true });
+      registry.serverName = 'test-server';
+      registry.mappings['test-client'].global = {
+        'config-path': { [process.platform]: [stable, codium] },
+        'env-path': { [process.platform]: '${CONFIG_FILE_DIR}/.${SERVER_NAME}/.env' }
+      };
+      
+      expect(await registry.getClientEnvPath('test-client', true))
+        .toBe(path.join(tempDir, 'VSCodium', 'User', '.test-server', '.env'));
+      expect(await registry.getClientEnvPath('test-client', true, { configPath: stable }))
+        .toBe(path.join(tempDir, 'Code', 'User', '.test-server', '.env'));
+    });
   });
 
   describe('getClientPath', () => {
@@ -309,6 +717,13 @@ describe('ClientRegistry', () => {
       expect(config.autoLoadEnv).toBe(true);
     });
 
+    test('should prefer the scope configKey', async () => {
+      registry.mappings['test-client'].global.configKey = '/projects/${PROJECT_ROOT}/mcpServers';
+      
+      expect((await registry.getClientConfig('test-client', true)).configKey).toBe('/projects/${PROJECT_ROOT}/mcpServers');
+      expect((await registry.getClientConfig('test-client', false)).configKey).toBe('mcp-servers');
+    });
+
     test('should return null for unknown client', async () => {
       registry.mappings = {};
       const config = await registry.getClientConfig('unknown', true);
@@ -331,6 +746,33 @@ describe('ClientRegistry', () => {
       const result = registry.resolvePath('${HOME}/.config/${SERVER_NAME}');
       expect(result).toBe('/home/test/.config/test-server');
     });
+
+    test('should pass strict mode to PathUtils', () => {
+      const PathUtils = require('../../lib/utils/path-utils');
+
+      registry.resolvePath('${HOME}/.config', { strict: true });
+
+      expect(PathUtils.resolveEnvVars).toHaveBeenLastCalledWith(
+        '${HOME}/.config', { SERVER_NAME: 'test-server' }, { strict: true }
+      );
+    });
+
+    test('should reject unresolved config path candidates in strict mode', async () => {
+      const PathUtils = require('../../lib/utils/path-utils');
+      const actual = jest.requireActual('../../lib/utils/path-utils');
+      PathUtils.resolveEnvVars.mockImplementationOnce((...args) => actual.resolveEnvVars(...args));
+      delete process.env.DJ_TEST_UNSET_DIR;
+      registry.mappings = {
+        'test-client': {
+          name: 'Test Client',
+          global: { 'config-path': { [process.platform]: '${DJ_TEST_UNSET_DIR}/config.json' } }
+        }
+      };
+
+      await expect(registry.getClientConfigPaths('test-client', true, { strict: true }))
+        .rejects.toThrow(EnvironmentError);
+      expect(await registry.getClientConfigPaths('test-client', true)).toEqual(['${DJ_TEST_UNSET_DIR}/config.json']);
+    });
   });
 
   describe('getAvailableClients', () => {
@@ -347,15 +789,36 @@ describe('ClientRegistry', () => {
       expect(clients[0]).toEqual({
         id: 'client1',
         name: 'Client 1',
-        autoLoadEnv: true
+        autoLoadEnv: true,
+        installed: false,
+        evidence: [],
+        configPaths: { global: [], local: [] },
+        sources: { name: 'user', autoLoadEnv: 'user' }
       });
       expect(clients[1]).toEqual({
         id: 'client2',
         name: 'Client 2',
-        autoLoadEnv: false
+        autoLoadEnv: false,
+        installed: false,
+        evidence: [],
+        configPaths: { global: [], local: [] },
+        sources: { name: 'user', autoLoadEnv: 'user' }
       });
     });
 
+    test('should report detection results', async () => {
+      const marker = path.join(tempDir, 'client1-marker');
+      fsSync.mkdirSync(marker, { recursive: true });
+      registry.mappings = {
+        'client1': { name: 'Client 1', autoLoadEnv: true, detect: { markers: { [process.platform]: [marker] } } }
+      };
+      
+      const clients = await registry.getAvailableClients();
+      
+      expect(clients[0].installed).toBe(true);
+      expect(clients[0].evidence).toEqual([{ rule: 'marker', path: marker }]);
+    });
+
     test('should handle empty mappings', async () => {
       registry.mappings = { sensitivePatterns: [] };
       
@@ -364,6 +827,107 @@ describe('ClientRegistry', () => {
     });
   });
 
+  describe('detectClient', () => {
+    beforeEach(() => {
+      // fs.promises may be stubbed by earlier tests, so set up real paths synchronously
+      fsSync.mkdirSync(tempDir, { recursive: true });
+    });
+
+    test('should detect a client by an existing marker path', async () => {
+      const marker = path.join(tempDir, '.client');
+      fsSync.mkdirSync(marker);
+      registry.mappings = {
+        client1: {
+          name: 'Client 1',
+          detect: { markers: { [process.platform]: [path.join(tempDir, 'missing'), marker] } }
+        }
+      };
+      
+      const result = await registry.detectClient('client1');
+      
+      expect(result).toEqual({
+        installed: true,
+        evidence: [{ rule: 'marker', path: marker }]
+      });
+    });
+
+    test('should detect a client by its existing config file', async () => {
+      const configPath = path.join(tempDir, 'mcp.json');
+      fsSync.writeFileSync(configPath, '{}');
+      registry.mappings = {
+        client1: {
+          name: 'Client 1',
+          global: { 'config-path': { [process.platform]: configPath } },
+          local: { 'config-path': { [process.platform]: path.join(tempDir, 'local.json') } }
+        }
+      };
+      
+      const result = await registry.detectClient('client1');
+      
+      expect(result).toEqual({
+        installed: true,
+        evidence: [{ rule: 'config-file', path: configPath }]
+      });
+    });
+
+    test('should ignore the config file when configFile is false', async () => {
+      const configPath = path.join(tempDir, 'mcp.json');
+      fsSync.writeFileSync(configPath, '{}');
+      registry.mappings = {
+        client1: {
+          name: 'Client 1',
+          detect: { configFile: false },
+          global: { 'config-path': { [process.platform]: configPath } }
+        }
+      };
+      
+      const result = await registry.detectClient('client1');
+      
+      expect(result).toEqual({ installed: false, evidence: [] });
+    });
+
+    test('should not match unresolved placeholders or other platforms', async () => {
+      const marker = path.join(tempDir, '.client');
+      fsSync.mkdirSync(marker);
+      registry.mappings = {
+        client1: {
+          name: 'Client 1',
+          detect: {
+            markers: {
+              [process.platform]: ['${UNSET_DETECT_VAR}/Client'],
+              'other-platform': [marker]
+            }
+          }
+        }
+      };
+      
+      const result = await registry.detectClient('client1');
+      
+      expect(result.installed).toBe(false);
+    });
+
+    test('should not create any paths', async () => {
+      const configPath = path.join(tempDir, 'app', 'User', 'mcp.json');
+      registry.mappings = {
+        client1: {
+          name: 'Client 1',
+          detect: { markers: { [process.platform]: [path.join(tempDir, 'app')] } },
+          global: { 'config-path': { [process.platform]: configPath } }
+        }
+      };
+      
+      await registry.detectClient('client1');
+      
+      await expect(fs.access(path.join(tempDir, 'app'))).rejects.toThrow();
+    });
+
+    test('should throw ClientError for unknown client', async () => {
+      registry.mappings = {};
+      
+      await expect(registry.detectClient('unknown')).rejects.toThrow(ClientError);
+    });
+  });
+
   describe('setServerName', () => {
     test('should update server name', () => {
       registry.setServerName('new-server');
@@ -410,6 +974,173 @@ describe('ClientRegistry', () => {
       expect(registry.mappings['new-client']).toEqual(clientConfig);
       expect(registry.saveMappings).toHaveBeenCalled();
     });
+
+    test('should accept entry templates with known placeholders', async () => {
+      const clientConfig = {
+        name: 'Templated',
+        configKey: 'context_servers',
+        entryTemplate: { command: { path: '${command}', args: '${args}', env: '${env}' }, settings: '${settings}' },
+        remoteEntryTemplate: { url: '${url}', headers: { Authorization: 'Bearer ${API_TOKEN}' } }
+      };
+
+      await registry.addClient('templated', clientConfig);
+
+      expect(registry.mappings.templated).toEqual(clientConfig);
+      expect((await registry.getClientConfig('templated')).entryTemplate).toEqual(clientConfig.entryTemplate);
+    });
+
+    test('should reject clients that do not match the schema', async () => {
+      const error = await registry.addClient('broken', { name: 'Broken', global: { 'config-path': { linux: 42 } } }).catch(e => e);
+      
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.field).toBe('$.broken.global["config-path"].linux');
+      expect(registry.mappings.broken).toBeUndefined();
+    });
+
+    test('should reject entry templates with unknown placeholders', async () => {
+      const clientConfig = { name: 'Broken', entryTemplate: { path: '${comand}' } };
+
+      await expect(registry.addClient('broken', clientConfig)).rejects.toThrow(ValidationError);
+      await expect(registry.addClient('broken', clientConfig)).rejects.toThrow('Unknown placeholder(s) in entryTemplate for broken: ${comand}');
+      expect(registry.mappings.broken).toBeUndefined();
+      expect(registry.saveMappings).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateClient', () => {
+    beforeEach(() => {
+      registry.mappings = {
+        version: 3,
+        'client1': {
+          name: 'Client 1',
+          autoLoadEnv: true,
+          global: { 'config-path': { linux: '/c1/global.json', darwin: '/c1/global.json' } }
+        },
+        'sensitivePatterns': []
+      };
+      jest.spyOn(registry, 'saveMappings').mockResolvedValue();
+    });
+
+    test('should merge the changes into the client', async () => {
+      const updated = await registry.updateClient('client1', {
+        autoLoadEnv: null,
+        configKey: 'mcp',
+        global: { 'config-path': { linux: '/opt/c1.json' } }
+      });
+
+      expect(updated).toEqual({
+        name: 'Client 1',
+        configKey: 'mcp',
+        global: { 'config-path': { linux: '/opt/c1.json', darwin: '/c1/global.json' } }
+      });
+      expect(registry.mappings.client1).toEqual(updated);
+      expect(registry.saveMappings).toHaveBeenCalled();
+    });
+
+    test('should reject unknown clients and reserved keys', async () => {
+      await expect(registry.updateClient('unknown', { name: 'X' })).rejects.toThrow(ClientError);
+      await expect(registry.updateClient('sensitivePatterns', { name: 'X' })).rejects.toThrow('Unknown client: sensitivePatterns');
+      expect(registry.saveMappings).not.toHaveBeenCalled();
+    });
+
+    test('should leave the client unchanged if the result is invalid', async () => {
+      const error = await registry.updateClient('client1', { name: null }).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.field).toBe('$.client1.name');
+      await expect(registry.updateClient('client1', ['name'])).rejects.toThrow('Client changes for client1 must be an object');
+      expect(registry.mappings.client1.name).toBe('Client 1');
+      expect(registry.saveMappings).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeClient', () => {
+    test('should remove the client', async () => {
+      registry.mappings = { version: 3, 'client1': { name: 'Client 1' }, 'client2': { name: 'Client 2' } };
+      jest.spyOn(registry, 'saveMappings').mockResolvedValue();
+
+      await registry.removeClient('client1');
+
+      expect(Object.keys(registry.mappings)).toEqual(['version', 'client2']);
+      expect(registry.saveMappings).toHaveBeenCalled();
+      await expect(registry.removeClient('client1')).rejects.toThrow(ClientError);
+      await expect(registry.removeClient('version')).rejects.toThrow('Unknown client: version');
+    });
+
+    test('should record a packaged client as removed until it is reset', async () => {
+      jest.restoreAllMocks();
+      fsSync.mkdirSync(tempDir, { recursive: true });
+      registry.libraryConfigPath = path.join(tempDir, 'client-mappings.json');
+
+      await registry.removeClient('cursor');
+
+      expect(JSON.parse(fsSync.readFileSync(registry.libraryConfigPath, 'utf8'))).toEqual({ version: 3, cursor: null });
+      await registry.resetClient('cursor');
+      expect(registry.mappings.cursor).toEqual(registry.getDefaultMappings().cursor);
+    });
+  });
+
+  describe('describeClients', () => {
+    beforeEach(() => {
+      fsSync.mkdirSync(tempDir, { recursive: true });
+    });
+
+    test('should describe the resolved paths of each client', async () => {
+      const configPath = path.join(tempDir, 'mcp.json');
+      fsSync.writeFileSync(configPath, '{}');
+      registry.mappings = {
+        version: 3,
+        'client1': {
+          name: 'Client 1',
+          global: {
+            'config-path': { [process.platform]: configPath },
+            'env-path': { [process.platform]: '${HOME}/.client1/.${SERVER_NAME}/.env' }
+          }
+        },
+        'client2': {
+          name: 'Client 2',
+          global: { 'config-path': { [process.platform]: ['${LOCALAPPDATA}/client2/mcp.json', '${HOME}/.client2/mcp.json'] } },
+          configPathMode: 'all'
+        },
+        'sensitivePatterns': []
+      };
+
+      const descriptions = await registry.describeClients({ scope: 'global' });
+
+      expect(descriptions).toEqual([
+        {
+          id: 'client1',
+          name: 'Client 1',
+          scope: 'global',
+          configPath,
+          configPaths: [configPath],
+          envPath: '/home/test/.client1/.test-server/.env',
+          unresolved: [],
+          installed: true,
+          evidence: [{ rule: 'config-file', path: configPath }]
+        },
+        {
+          id: 'client2',
+          name: 'Client 2',
+          scope: 'global',
+          configPath: '${LOCALAPPDATA}/client2/mcp.json',
+          configPaths: ['${LOCALAPPDATA}/client2/mcp.json', '/home/test/.client2/mcp.json'],
+          envPath: null,
+          unresolved: ['LOCALAPPDATA'],
+          installed: false,
+          evidence: []
+        }
+      ]);
+    });
+
+    test('should describe local paths by default and reject invalid scopes', async () => {
+      registry.mappings = { version: 3, 'client1': { name: 'Client 1' } };
+
+      const [description] = await registry.describeClients();
+
+      expect(description).toMatchObject({ scope: 'local', configPath: null, configPaths: [], envPath: null });
+      await expect(registry.describeClients({ scope: 'system' })).rejects.toThrow(ValidationError);
+    });
   });
 
   describe('saveMappings', () => {
@@ -422,6 +1153,7 @@ describe('ClientRegistry', () => {
       
       // Set mappings directly
       const testMappings = {
+        ...registry.getDefaultMappings(),
         'vscode': { name: 'Visual Studio Code' },
         'sensitivePatterns': ['password', 'secret']
       };
@@ -432,9 +1164,11 @@ describe('ClientRegistry', () => {
       
       const saved = JSON.parse(await fs.readFile(registry.libraryConfigPath, 'utf8'));
       
-      expect(saved).toHaveProperty('vscode');
-      expect(saved.vscode).toHaveProperty('name', 'Visual Studio Code');
-      expect(saved).toHaveProperty('sensitivePatterns');
+      // Fields missing from the default client are removed; unchanged ones are not written
+      expect(saved.vscode).toHaveProperty('configKey', null);
+      expect(saved.vscode).not.toHaveProperty('name');
+      expect(saved).toHaveProperty('sensitivePatterns', ['password', 'secret']);
+      expect(saved).not.toHaveProperty('cursor');
     });
 
     test('should create directory if needed', async () => {
@@ -444,19 +1178,14 @@ describe('ClientRegistry', () => {
       registry.libraryConfigPath = path.join(tempDir, 'subdir', 'mappings.json');
       
       // Set mappings directly
-      const testMappings = {
-        'vscode': { name: 'Visual Studio Code' },
-        'sensitivePatterns': []
-      };
-      registry.mappings = testMappings;
+      registry.mappings = registry.getDefaultMappings();
       
       // Call saveMappings directly
       await registry.saveMappings();
       
       const saved = JSON.parse(await fs.readFile(registry.libraryConfigPath, 'utf8'));
       
-      expect(saved).toHaveProperty('vscode');
-      expect(saved.vscode).toHaveProperty('name', 'Visual Studio Code');
+      expect(saved).toEqual({ version: 3 });
     });
 
     test('should do nothing if mappings is null', async () => {
@@ -0,0 +1,485 @@
+const {
+  CLIENT_ADAPTERS,
+  createClient,
+  VSCodeClient,
+  ClaudeDesktopClient,
+  ClaudeCodeClient,
+  CursorClient,
+  CodexClient,
+  ContinueClient
+} = require('../../../lib/distribution/clients');
+const BaseClient = require('../../../lib/distribution/base-client');
+const { ClientError } = require('../../../lib/errors');
+const JsoncFormat = require('../../../lib/formats/jsonc-format');
+const TomlFormat = require('../../../lib/formats/toml-format');
+const YamlFormat = require('../../../lib/formats/yaml-format');
+const defaultMappings = require('../../../config/default-client-mappings.json');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'clients');
+
+describe('Client adapters', () => {
+  let tempDir;
+  let mockRegistry;
+
+  const config = {
+    serverName: 'test-server',
+    launch: {
+      command: 'node',
+      args: ['/opt/test-server/index.js'],
+      transport: 'stdio'
+    },
+    settings: {
+      port: 3000
+    },
+    environment: {
+      API_KEY: 'secret-value'
+    }
+  };
+
+  /**
+   * Copy a sample client file into the temp dir and distribute to it
+   */
+  async function distributeToSample(clientId, fixture) {
+    const configPath = path.join(tempDir, fixture);
+    await fs.copyFile(path.join(FIXTURES_DIR, fixture), configPath);
+
+    mockRegistry.getClientConfig.mockResolvedValue(defaultMappings[clientId]);
+    mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+
+    const client = createClient(clientId, mockRegistry);
+    await client.updateConfig(config);
+
+    const format = { '.toml': TomlFormat, '.yaml': YamlFormat }[path.extname(fixture)] || JsoncFormat;
+    const original = format.parse(await fs.readFile(path.join(FIXTURES_DIR, fixture), 'utf8'));
+    const written = format.parse(await fs.readFile(configPath, 'utf8'));
+    return { original, written };
+  }
+
+  /**
+   * Assert our entry only uses fields the sample's own entries use
+   */
+  function expectSameShape(entry, sampleEntry) {
+    const sampleKeys = Object.keys(sampleEntry);
+    for (const key of Object.keys(entry)) {
+      expect(sampleKeys).toContain(key);
+      expect(typeof entry[key]).toBe(typeof sampleEntry[key]);
+    }
+  }
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), 'client-adapters-test-' + Date.now());
+    await fs.mkdir(tempDir, { recursive: true });
+
+    mockRegistry = {
+      getClientConfig: jest.fn(),
+      getClientConfigPath: jest.fn(),
+      getClientEnvPath: jest.fn()
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  describe('createClient', () => {
+    test('should map known client ids to their adapters', () => {
+      expect(createClient('vscode', mockRegistry)).toBeInstanceOf(VSCodeClient);
+      expect(createClient('claude-desktop', mockRegistry)).toBeInstanceOf(ClaudeDesktopClient);
+      expect(createClient('claude-code', mockRegistry)).toBeInstanceOf(ClaudeCodeClient);
+      expect(createClient('cursor', mockRegistry)).toBeInstanceOf(CursorClient);
+      expect(createClient('codex', mockRegistry)).toBeInstanceOf(CodexClient);
+      expect(createClient('continue', mockRegistry)).toBeInstanceOf(ContinueClient);
+    });
+
+    test('should fall back to BaseClient for unknown ids', () => {
+      const client = createClient('custom-client', mockRegistry);
+
+      expect(client.constructor).toBe(BaseClient);
+      expect(client.clientId).toBe('custom-client');
+      expect(client.registry).toBe(mockRegistry);
+    });
+
+    test('should only register BaseClient subclasses', () => {
+      for (const Adapter of Object.values(CLIENT_ADAPTERS)) {
+        expect(Adapter.prototype).toBeInstanceOf(BaseClient);
+      }
+    });
+  });
+
+  describe('Claude Desktop', () => {
+    test('should write an mcpServers entry matching the sample file', async () => {
+      const { original, written } = await distributeToSample('claude-desktop', 'claude_desktop_config.json');
+      const entry = written.mcpServers['test-server'];
+
+      expect(entry).toEqual({
+        command: 'node',
+        args: ['/opt/test-server/index.js'],
+        env: { API_KEY: '${env:API_KEY}' }
+      });
+      expectSameShape(entry, original.mcpServers.filesystem);
+      expect(written.mcpServers.filesystem).toEqual(original.mcpServers.filesystem);
+      expect(written.globalShortcut).toBe('Ctrl+Space');
+    });
+  });
+
+  describe('Cursor', () => {
+    test('should write an mcpServers entry matching the sample file', async () => {
+      const { original, written } = await distributeToSample('cursor', 'cursor-mcp.json');
+      const entry = written.mcpServers['test-server'];
+
+      expect(entry).toEqual({
+        command: 'node',
+        args: ['/opt/test-server/index.js'],
+        env: { API_KEY: '${env:API_KEY}' }
+      });
+      expectSameShape(entry, original.mcpServers['web-search']);
+      expect(written.mcpServers['web-search']).toEqual(original.mcpServers['web-search']);
+    });
+  });
+
+  describe('VS Code', () => {
+    test('should write a typed servers entry matching the sample file', async () => {
+      const { original, written } = await distributeToSample('vscode', 'vscode-mcp.json');
+      const entry = written.servers['test-server'];
+
+      expect(entry).toEqual({
+        type: 'stdio',
+        command: 'node',
+        args: ['/opt/test-server/index.js'],
+        env: { API_KEY: 'secret-value' }
+      });
+      expectSameShape(entry, original.servers.perplexity);
+      expect(written.servers.perplexity).toEqual(original.servers.perplexity);
+      expect(written.inputs).toEqual(original.inputs);
+    });
+
+    test('should reference the env file instead of inlining secrets', async () => {
+      const originalCwd = process.cwd();
+      process.chdir(tempDir);
+      try {
+        mockRegistry.getClientEnvPath.mockResolvedValue('./.vscode/.test-server/.env');
+        const { written } = await distributeToSample('vscode', 'vscode-mcp.json');
+
+        expect(written.servers['test-server']).toEqual({
+          type: 'stdio',
+          command: 'node',
+          args: ['/opt/test-server/index.js'],
+          envFile: '${workspaceFolder}/.vscode/.test-server/.env'
+        });
+        const envContent = await fs.readFile(path.join(tempDir, '.vscode', '.test-server', '.env'), 'utf8');
+        expect(envContent).toContain('API_KEY=secret-value');
+      } finally {
+        process.chdir(originalCwd);
+      }
+    });
+
+    test('should use an absolute envFile for global configuration', () => {
+      const vscode = createClient('vscode', mockRegistry);
+      const envFile = path.join(tempDir, 'Code', 'User', '.test-server', '.env');
+
+      expect(vscode.formatConfig(config, { scope: 'global', envFile }).envFile).toBe(envFile);
+    });
+
+    test('should keep the sample comments', async () => {
+      await distributeToSample('vscode', 'vscode-mcp.json');
+
+      const content = await fs.readFile(path.join(tempDir, 'vscode-mcp.json'), 'utf8');
+      expect(content).toContain('// Inputs are prompted on first server start');
+    });
+  });
+
+  describe('Claude Code', () => {
+    test('should write a typed mcpServers entry matching the sample file', async () => {
+      const { original, written } = await distributeToSample('claude-code', 'claude-code-mcp.json');
+      const entry = written.mcpServers['test-server'];
+
+      expect(entry).toEqual({
+        type: 'stdio',
+        command: 'node',
+        args: ['/opt/test-server/index.js'],
+        env: { API_KEY: '${API_KEY}' }
+      });
+      expectSameShape(entry, original.mcpServers['shared-server']);
+    });
+
+    test('should write the working directory when the launch spec has one', () => {
+      const claudeCode = createClient('claude-code', mockRegistry);
+
+      expect(claudeCode.formatConfig({ ...config, launch: { ...config.launch, cwd: '/opt/test-server' } })).toEqual({
+        type: 'stdio',
+        command: 'node',
+        args: ['/opt/test-server/index.js'],
+        cwd: '/opt/test-server',
+        env: { API_KEY: '${env:API_KEY}' }
+      });
+    });
+  });
+
+  describe('Codex', () => {
+    test('should write an mcp_servers table matching the sample file', async () => {
+      const { original, written } = await distributeToSample('codex', 'codex-config.toml');
+      const entry = written.mcp_servers['test-server'];
+
+      expect(entry).toEqual({
+        command: 'node',
+        args: ['/opt/test-server/index.js'],
+        env: { API_KEY: '${API_KEY}' }
+      });
+      expectSameShape(entry, original.mcp_servers.docs);
+      expect(written.mcp_servers.docs).toEqual(original.mcp_servers.docs);
+      expect(written.profiles).toEqual(original.profiles);
+      expect(written.tui).toEqual(original.tui);
+    });
+
+    test('should keep the sample comments and tables byte-for-byte', async () => {
+      await distributeToSample('codex', 'codex-config.toml');
+
+      const sample = await fs.readFile(path.join(FIXTURES_DIR, 'codex-config.toml'), 'utf8');
+      const content = await fs.readFile(path.join(tempDir, 'codex-config.toml'), 'utf8');
+      expect(content.startsWith(sample)).toBe(true);
+      expect(content).toContain('[mcp_servers.test-server]');
+    });
+
+    test('should remove its table and leave the rest of the sample intact', async () => {
+      await distributeToSample('codex', 'codex-config.toml');
+
+      const codex = createClient('codex', mockRegistry);
+      const result = await codex.removeConfig('test-server');
+
+      const sample = await fs.readFile(path.join(FIXTURES_DIR, 'codex-config.toml'), 'utf8');
+      expect(result.changed).toBe(true);
+      expect(await fs.readFile(path.join(tempDir, 'codex-config.toml'), 'utf8')).toBe(sample);
+    });
+  });
+
+  describe('Continue', () => {
+    test('should append a named mcpServers item matching the sample file', async () => {
+      const { original, written } = await distributeToSample('continue', 'continue-config.yaml');
+
+      expect(written.mcpServers).toHaveLength(2);
+      expect(written.mcpServers[0]).toEqual(original.mcpServers[0]);
+      expect(written.mcpServers[1]).toEqual({
+        name: 'test-server',
+        command: 'node',
+        args: ['/opt/test-server/index.js'],
+        env: { API_KEY: '${{ secrets.API_KEY }}' }
+      });
+      expectSameShape(written.mcpServers[1], original.mcpServers[0]);
+      expect(written.models).toEqual(original.models);
+    });
+
+    test('should update its own item in place on later distributions', async () => {
+      await distributeToSample('continue', 'continue-config.yaml');
+
+      const client = createClient('continue', mockRegistry);
+      await client.updateConfig({ ...config, environment: {} });
+
+      const written = YamlFormat.parse(await fs.readFile(path.join(tempDir, 'continue-config.yaml'), 'utf8'));
+      expect(written.mcpServers.map(server => server.name)).toEqual(['sqlite', 'test-server']);
+      expect(written.mcpServers[1].env).toBeUndefined();
+    });
+
+    test('should keep the sample comments', async () => {
+      await distributeToSample('continue', 'continue-config.yaml');
+
+      const content = await fs.readFile(path.join(tempDir, 'continue-config.yaml'), 'utf8');
+      expect(content).toContain('# MCP servers');
+      expect(content).toContain('- name: Llama # local model');
+    });
+
+    test('should find and remove its item by name', async () => {
+      await distributeToSample('continue', 'continue-config.yaml');
+
+      const client = createClient('continue', mockRegistry);
+      expect((await client.readEntry('test-server')).entry.command).toBe('node');
+      expect((await client.checkConfig(config)).status).toBe('in-sync');
+
+      await client.removeConfig('test-server');
+      const written = YamlFormat.parse(await fs.readFile(path.join(tempDir, 'continue-config.yaml'), 'utf8'));
+      expect(written.mcpServers.map(server => server.name)).toEqual(['sqlite']);
+    });
+  });
+
+  describe('Zed', () => {
+    test('should write a context_servers entry from the mapping template', async () => {
+      const { original, written } = await distributeToSample('zed', 'zed-settings.json');
+      const entry = written.context_servers['test-server'];
+
+      expect(createClient('zed', mockRegistry).constructor).toBe(BaseClient);
+      expect(entry).toEqual({
+        source: 'custom',
+        command: {
+          path: 'node',
+          args: ['/opt/test-server/index.js'],
+          env: { API_KEY: '${env:API_KEY}' }
+        },
+        settings: { port: 3000 }
+      });
+      expectSameShape(entry, original.context_servers['mcp-server-git']);
+      expectSameShape(entry.command, original.context_servers['mcp-server-git'].command);
+      expect(written.context_servers['mcp-server-git']).toEqual(original.context_servers['mcp-server-git']);
+      expect(written.theme).toEqual(original.theme);
+    });
+
+    test('should keep the sample comments', async () => {
+      await distributeToSample('zed', 'zed-settings.json');
+
+      const content = await fs.readFile(path.join(tempDir, 'zed-settings.json'), 'utf8');
+      expect(content).toContain('// Local git tools');
+      expect(content).toContain('// documentation: https://zed.dev/docs/configuring-zed');
+    });
+  });
+
+  describe('remote servers', () => {
+    const remoteConfig = {
+      serverName: 'test-server',
+      launch: {
+        transport: 'http',
+        url: 'https://mcp.example.com/mcp',
+        headers: { Authorization: 'Bearer ${API_TOKEN}' }
+      },
+      settings: {},
+      environment: { API_TOKEN: 'secret-value' }
+    };
+
+    function formatRemote(clientId) {
+      const client = createClient(clientId, mockRegistry);
+      client.clientConfig = defaultMappings[clientId];
+      return client.formatConfig(remoteConfig, { scope: 'local' });
+    }
+
+    test('should write typed url entries for VS Code and Claude Code', () => {
+      expect(formatRemote('vscode')).toEqual({
+        type: 'http',
+        url: 'https://mcp.example.com/mcp',
+        headers: { Authorization: 'Bearer ${env:API_TOKEN}' }
+      });
+      expect(formatRemote('claude-code')).toEqual({
+        type: 'http',
+        url: 'https://mcp.example.com/mcp',
+        headers: { Authorization: 'Bearer ${API_TOKEN}' }
+      });
+    });
+
+    test('should write streamable-http entries with request headers for Continue', () => {
+      expect(formatRemote('continue')).toEqual({
+        type: 'streamable-http',
+        url: 'https://mcp.example.com/mcp',
+        requestOptions: { headers: { Authorization: 'Bearer ${{ secrets.API_TOKEN }}' } }
+      });
+    });
+
+    test('should write remote entries from the Zed remote template', () => {
+      expect(formatRemote('zed')).toEqual({
+        source: 'custom',
+        url: 'https://mcp.example.com/mcp',
+        headers: { Authorization: 'Bearer ${env:API_TOKEN}' },
+        settings: {}
+      });
+    });
+
+    test('should report clients without a remote template as unsupported', () => {
+      const client = createClient('custom-client', mockRegistry);
+      client.clientConfig = { name: 'Custom', entryTemplate: { cmd: '${command}' } };
+
+      expect(() => client.formatConfig(remoteConfig)).toThrow('Custom has no remoteEntryTemplate for remote (http) servers');
+      try {
+        client.formatConfig(remoteConfig);
+      } catch (error) {
+        expect(error.details.reason).toBe('unsupported');
+      }
+    });
+
+    test('should write untyped url entries for Cursor', () => {
+      expect(formatRemote('cursor')).toEqual({
+        url: 'https://mcp.example.com/mcp',
+        headers: { Authorization: 'Bearer ${env:API_TOKEN}' }
+      });
+    });
+
+    test('should report that Codex does not support remote servers', () => {
+      expect(() => formatRemote('codex')).toThrow('does not support remote (http) servers');
+    });
+
+    test('should report that Claude Desktop does not support remote servers', async () => {
+      expect(() => formatRemote('claude-desktop')).toThrow(ClientError);
+
+      const configPath = path.join(tempDir, 'claude_desktop_config.json');
+      mockRegistry.getClientConfig.mockResolvedValue(defaultMappings['claude-desktop']);
+      mockRegistry.getClientConfigPath.mockResolvedValue(configPath);
+
+      const desktop = createClient('claude-desktop', mockRegistry);
+      await expect(desktop.updateConfig(remoteConfig)).rejects.toThrow('does not support remote (http) servers');
+      await expect(fs.access(configPath)).rejects.toThrow();
+    });
+  });
+
+  describe('parseEntry', () => {
+    const clientIds = Object.keys(defaultMappings).filter(id => id !== 'sensitivePatterns');
+
+    function roundTrip(clientId, serverConfig, context = { scope: 'local' }) {
+      const client = createClient(clientId, mockRegistry);
+      client.clientConfig = defaultMappings[clientId];
+      const entry = client.formatConfig(serverConfig, context);
+      return client.parseEntry(client.isListContainer() ? { name: 'test-server', ...entry } : entry);
+    }
+
+    test.each(clientIds)('should read back the launch command written for %s', (clientId) => {
+      const parsed = roundTrip(clientId, config);
+
+      expect(parsed).toMatchObject({ command: 'node', args: ['/opt/test-server/index.js'], unmatched: [] });
+      expect(Object.keys(parsed.env)).toEqual(['API_KEY']);
+    });
+
+    test.each(clientIds.filter(id => !['claude-desktop', 'codex'].includes(id)))(
+      'should read back the remote endpoint written for %s',
+      (clientId) => {
+        const parsed = roundTrip(clientId, {
+          ...config,
+          launch: { transport: 'http', url: 'https://mcp.example.com/mcp', headers: { Authorization: 'Bearer ${API_TOKEN}' } },
+          environment: { API_TOKEN: 'secret-value' }
+        });
+
+        expect(parsed).toMatchObject({ transport: 'http', url: 'https://mcp.example.com/mcp', unmatched: [] });
+        expect(parsed.headers.Authorization).toMatch(/^Bearer .*API_TOKEN/);
+      }
+    );
+
+    test('should read the settings of template entries', () => {
+      expect(roundTrip('zed', config).settings).toEqual({ port: 3000 });
+    });
+
+    test('should resolve a VS Code workspace envFile', () => {
+      const vscode = createClient('vscode', mockRegistry);
+
+      expect(vscode.parseEntry({ type: 'stdio', command: 'node', envFile: '${workspaceFolder}/.vscode/.test-server/.env' }).envFile)
+        .toBe(path.resolve('.vscode/.test-server/.env'));
+    });
+
+    test('should report entry parts the format does not write', () => {
+      const desktop = createClient('claude-desktop', mockRegistry);
+      desktop.clientConfig = defaultMappings['claude-desktop'];
+
+      expect(desktop.parseEntry({ command: 'node', disabled: true, autoApprove: ['search'] }).unmatched).toEqual([
+        { path: 'disabled', value: true },
+        { path: 'autoApprove', value: ['search'] }
+      ]);
+    });
+  });
+
+  describe('defaultConfigKey', () => {
+    test('should be used when the mapping has no configKey', () => {
+      const vscode = createClient('vscode', mockRegistry);
+      const desktop = createClient('claude-desktop', mockRegistry);
+      vscode.clientConfig = {};
+      desktop.clientConfig = {};
+
+      expect(vscode.getConfigKey()).toBe('servers');
+      expect(desktop.getConfigKey()).toBe('mcpServers');
+    });
+  });
+});
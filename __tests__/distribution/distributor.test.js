@@ -1,24 +1,32 @@
 const Distributor = require('../../lib/distribution/distributor');
 const ClientRegistry = require('../../lib/distribution/client-registry');
 const BaseClient = require('../../lib/distribution/base-client');
-const { DistributionError, ClientError } = require('../../lib/errors');
+const BackupStorage = require('../../lib/storage/backup-storage');
+const StorageManager = require('../../lib/storage/storage-manager');
+const { DistributionError, ClientError, ConfigurationError, ValidationError } = require('../../lib/errors');
 const fs = require('fs').promises;
 const path = require('path');
 
 // Mock dependencies
 jest.mock('../../lib/distribution/base-client');
 jest.mock('../../lib/storage/storage-manager');
+jest.mock('../../lib/storage/backup-storage');
 jest.mock('../../lib/utils/path-utils', () => ({
   ensureAbsolute: jest.fn((p) => require('path').resolve(p)),
   getConfigDir: jest.fn((appName) => `/home/test/.config/${appName}`),
   joinPath: jest.fn((...args) => require('path').join(...args))
 }));
 
+// Launch spec for configurations whose contents the tests do not depend on
+const launch = { command: 'node', args: ['server.js'], transport: 'stdio' };
+
 describe('Distributor', () => {
   let distributor;
   let mockRegistry;
   let mockClient1;
   let mockClient2;
+  let mockBackups;
+  let mockSelection;
 
   beforeEach(() => {
     jest.clearAllMocks();
@@ -28,19 +36,51 @@ describe('Distributor', () => {
       getAvailableClients: jest.fn().mockResolvedValue([
         { id: 'client1', name: 'Client 1', autoLoadEnv: true },
         { id: 'client2', name: 'Client 2', autoLoadEnv: false }
-      ])
+      ]),
+      getClientConfig: jest.fn(async (clientId) => ({ name: { client1: 'Client 1', client2: 'Client 2' }[clientId] }))
     };
     
     // Create mock clients
     mockClient1 = {
+      clientId: 'client1',
+      name: 'Client 1',
+      getConfigPath: jest.fn().mockResolvedValue('/c1.json'),
+      getConfigPaths: jest.fn().mockResolvedValue(['/c1.json']),
+      getTargetPaths: jest.fn().mockResolvedValue(['/c1.json']),
       isInstalled: jest.fn().mockResolvedValue(true),
-      updateConfig: jest.fn().mockResolvedValue()
+      updateConfig: jest.fn().mockResolvedValue({ clientId: 'client1', path: '/c1.json', created: false, changed: true }),
+      previewConfig: jest.fn().mockResolvedValue({ clientId: 'client1', changed: true }),
+      checkConfig: jest.fn().mockResolvedValue({ clientId: 'client1', path: '/c1.json', status: 'drifted', diff: {} }),
+      readEntry: jest.fn().mockResolvedValue({ clientId: 'client1', path: '/c1.json', entry: { command: 'node' }, environment: {} }),
+      removeConfig: jest.fn().mockResolvedValue({ clientId: 'client1', path: '/c1.json', changed: true })
     };
     
     mockClient2 = {
+      clientId: 'client2',
+      name: 'Client 2',
+      getConfigPath: jest.fn().mockResolvedValue('/c2.json'),
+      getConfigPaths: jest.fn().mockResolvedValue(['/c2.json']),
+      getTargetPaths: jest.fn().mockResolvedValue(['/c2.json', '/c2.env']),
       isInstalled: jest.fn().mockResolvedValue(true),
-      updateConfig: jest.fn().mockResolvedValue()
+      updateConfig: jest.fn().mockResolvedValue({ clientId: 'client2', path: '/c2.json', created: true, changed: true }),
+      previewConfig: jest.fn().mockResolvedValue({ clientId: 'client2', changed: false }),
+      checkConfig: jest.fn().mockResolvedValue({ clientId: 'client2', path: '/c2.json', status: 'in-sync' }),
+      removeConfig: jest.fn().mockResolvedValue({ clientId: 'client2', path: '/c2.json', changed: false })
+    };
+    
+    mockBackups = {
+      createTimestamp: jest.fn(() => '2024-01-01T00-00-00-000Z'),
+      snapshot: jest.fn((clientId, files, timestamp) => Promise.resolve({ clientId, timestamp, files })),
+      restore: jest.fn(backup => Promise.resolve(backup.files)),
+      list: jest.fn().mockResolvedValue([]),
+      get: jest.fn().mockResolvedValue(null),
+      getBackupDir: jest.fn((clientId, target) => `/home/test/.config/backups/${clientId}/${target}`)
     };
+    BackupStorage.mockImplementation(() => mockBackups);
+    
+    // No saved client selection unless a test sets one
+    mockSelection = { get: jest.fn().mockResolvedValue(null) };
+    StorageManager.mockImplementation(() => ({ selection: mockSelection }));
     
     // Mock BaseClient constructor
     BaseClient.mockImplementation((clientId) => {
@@ -92,6 +132,7 @@ describe('Distributor', () => {
     test('should distribute config to all installed clients', async () => {
       const mockConfig = {
         serverName: 'test-server',
+        launch,
         settings: { port: 3000 },
         environment: { API_KEY: 'test' }
       };
@@ -101,15 +142,144 @@ describe('Distributor', () => {
       await distributor.distribute();
       
       expect(mockClient1.isInstalled).toHaveBeenCalled();
-      expect(mockClient1.updateConfig).toHaveBeenCalledWith(mockConfig);
+      expect(mockClient1.updateConfig).toHaveBeenCalledWith(mockConfig, { scope: 'local', configPath: '/c1.json' });
       expect(mockClient2.isInstalled).toHaveBeenCalled();
-      expect(mockClient2.updateConfig).toHaveBeenCalledWith(mockConfig);
+      expect(mockClient2.updateConfig).toHaveBeenCalledWith(mockConfig, { scope: 'local', configPath: '/c2.json' });
+    });
+
+    test('should distribute global configuration to global client paths', async () => {
+      const gatherSpy = jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
+      
+      await distributor.distribute({ scope: 'global' });
+      
+      expect(gatherSpy).toHaveBeenCalledWith('global');
+      expect(mockClient1.isInstalled).toHaveBeenCalled();
+      expect(mockClient1.updateConfig).toHaveBeenCalledWith({ launch }, { scope: 'global', configPath: '/c1.json' });
+      expect(mockClient2.updateConfig).toHaveBeenCalledWith({ launch }, { scope: 'global', configPath: '/c2.json' });
+    });
+
+    test('should return previews without writing in dry-run mode', async () => {
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ serverName: 'test', launch });
+      
+      const previews = await distributor.distribute({ dryRun: true });
+      
+      expect(previews).toEqual([
+        { clientId: 'client1', changed: true },
+        { clientId: 'client2', changed: false }
+      ]);
+      expect(mockClient1.isInstalled).toHaveBeenCalled();
+      expect(mockClient1.previewConfig).toHaveBeenCalledWith({ serverName: 'test', launch }, { scope: 'local', configPath: '/c1.json' });
+      expect(mockClient1.updateConfig).not.toHaveBeenCalled();
+      expect(mockClient2.updateConfig).not.toHaveBeenCalled();
+    });
+
+    test('should list skipped and unsupported clients in dry-run previews', async () => {
+      mockClient1.isInstalled.mockResolvedValue(false);
+      mockClient2.previewConfig.mockRejectedValue(
+        new ClientError('Client 2 does not support remote (http) servers', 'client2', { transport: 'http', reason: 'unsupported' })
+      );
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ serverName: 'test', launch });
+      
+      const previews = await distributor.distribute({ dryRun: true });
+      
+      expect(previews).toEqual([
+        { clientId: 'client1', name: 'Client 1', scope: 'local', path: '/c1.json', action: 'skipped', reason: 'not-installed' },
+        { clientId: 'client2', name: 'Client 2', scope: 'local', path: '/c2.json', action: 'skipped', reason: 'unsupported' }
+      ]);
+      expect(mockClient1.previewConfig).not.toHaveBeenCalled();
+    });
+
+    test('should distribute provided configuration instead of gathering it', async () => {
+      const gatherSpy = jest.spyOn(distributor, 'gatherConfiguration');
+      const config = { serverName: 'pending', launch };
+      
+      await distributor.distribute({ dryRun: true, config });
+      
+      expect(gatherSpy).not.toHaveBeenCalled();
+      expect(mockClient1.previewConfig).toHaveBeenCalledWith(config, { scope: 'local', configPath: '/c1.json' });
+    });
+
+    test('should return a report row per client', async () => {
+      mockClient1.isInstalled.mockResolvedValue(false);
+      // Skipped clients are never initialized, so they only know their id
+      mockClient1.name = 'client1';
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
+      
+      const report = await distributor.distribute();
+      
+      expect(report).toEqual([
+        { clientId: 'client1', name: 'Client 1', scope: 'local', path: '/c1.json', action: 'skipped', reason: 'not-installed' },
+        { clientId: 'client2', name: 'Client 2', scope: 'local', path: '/c2.json', action: 'created' }
+      ]);
+    });
+
+    test('should report updated and unchanged clients', async () => {
+      mockClient2.updateConfig.mockResolvedValue({ clientId: 'client2', path: '/c2.json', created: false, changed: false });
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
+      
+      const report = await distributor.distribute({ scope: 'global' });
+      
+      expect(report.map(row => [row.clientId, row.scope, row.action])).toEqual([
+        ['client1', 'global', 'updated'],
+        ['client2', 'global', 'unchanged']
+      ]);
+    });
+
+    test('should report clients outside the saved selection as skipped', async () => {
+      mockSelection.get.mockResolvedValue(['client1']);
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
+      
+      const report = await distributor.distribute();
+      
+      expect(report[1]).toMatchObject({ clientId: 'client2', action: 'skipped', reason: 'not-selected' });
+    });
+
+    test('should skip clients that cannot represent the server', async () => {
+      mockClient1.updateConfig.mockRejectedValue(
+        new ClientError('Client 1 does not support remote (http) servers', 'client1', { transport: 'http', reason: 'unsupported' })
+      );
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
+      
+      const report = await distributor.distribute({ allOrNothing: true });
+      
+      expect(report[0]).toEqual({
+        clientId: 'client1', name: 'Client 1', scope: 'local', path: '/c1.json', action: 'skipped', reason: 'unsupported'
+      });
+      expect(report[1].action).toBe('created');
+      expect(mockBackups.restore).not.toHaveBeenCalled();
+    });
+
+    test('should skip clients without a config path for the scope', async () => {
+      const noScope = new ConfigurationError('No local config path mapping for client1', 'config-path', {
+        clientId: 'client1', scope: 'local', reason: 'unsupported'
+      });
+      mockClient1.getTargetPaths.mockRejectedValue(noScope);
+      mockClient1.getConfigPaths.mockRejectedValue(noScope);
+      mockClient1.getConfigPath.mockRejectedValue(noScope);
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
+      
+      const report = await distributor.distribute({ allOrNothing: true });
+      
+      expect(report[0]).toEqual({
+        clientId: 'client1', name: 'Client 1', scope: 'local', path: null, action: 'skipped', reason: 'unsupported'
+      });
+      expect(report[1].action).toBe('created');
+      
+      const [result] = await distributor.checkDistribution();
+      expect(result).toEqual({
+        clientId: 'client1', name: 'Client 1', scope: 'local', path: null, status: 'skipped', reason: 'unsupported'
+      });
+    });
+
+    test('should reject an invalid scope', async () => {
+      await expect(distributor.distribute({ scope: 'workspace' })).rejects.toThrow(ValidationError);
+      expect(mockClient1.updateConfig).not.toHaveBeenCalled();
     });
 
     test('should skip uninstalled clients', async () => {
       mockClient1.isInstalled.mockResolvedValue(false);
       
-      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({});
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
       
       await distributor.distribute();
       
@@ -117,53 +287,371 @@ describe('Distributor', () => {
       expect(mockClient2.updateConfig).toHaveBeenCalled();
     });
 
-    test('should throw DistributionError if any client fails', async () => {
+    test('should only write the saved client selection', async () => {
+      mockSelection.get.mockResolvedValue(['client2']);
+      mockClient2.isInstalled.mockResolvedValue(false);
+      
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
+      
+      await distributor.distribute({ scope: 'global' });
+      
+      expect(mockSelection.get).toHaveBeenCalledWith(true);
+      expect(mockClient1.updateConfig).not.toHaveBeenCalled();
+      expect(mockClient2.updateConfig).toHaveBeenCalledWith({ launch }, { scope: 'global', configPath: '/c2.json' });
+      expect(mockClient2.isInstalled).not.toHaveBeenCalled();
+    });
+
+    test('should write nothing when the saved selection is empty', async () => {
+      mockSelection.get.mockResolvedValue([]);
+      
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
+      
+      await distributor.distribute();
+      
+      expect(mockClient1.updateConfig).not.toHaveBeenCalled();
+      expect(mockClient2.updateConfig).not.toHaveBeenCalled();
+    });
+
+    test('should report failed clients and keep distributing', async () => {
       mockClient1.updateConfig.mockRejectedValue(new Error('Client 1 error'));
-      mockClient2.updateConfig.mockRejectedValue(new Error('Client 2 error'));
+      mockClient1.getConfigPath.mockRejectedValue(new Error('no path'));
+      
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
+      
+      const report = await distributor.distribute();
       
-      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({});
+      expect(report[0]).toEqual({
+        clientId: 'client1', name: 'Client 1', scope: 'local', path: null, action: 'failed', error: 'Client 1 error'
+      });
+      expect(report[1].action).toBe('created');
+    });
+
+    test('should fail every client if no launch command can be resolved', async () => {
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ serverName: 'test', launch: null });
+      
+      const report = await distributor.distribute();
+      
+      expect(report.map(row => row.action)).toEqual(['failed', 'failed']);
+      expect(report[0].error).toMatch(/No launch command/);
+      expect(mockBackups.snapshot).not.toHaveBeenCalled();
+      expect(mockClient1.updateConfig).not.toHaveBeenCalled();
+      expect(mockClient2.updateConfig).not.toHaveBeenCalled();
       
-      await expect(distributor.distribute()).rejects.toThrow(DistributionError);
+      const error = await distributor.distribute({ dryRun: true }).catch(e => e);
+      expect(error).toBeInstanceOf(DistributionError);
+      expect(error.details.errors[0].error).toBeInstanceOf(ValidationError);
+      expect(mockClient1.previewConfig).not.toHaveBeenCalled();
     });
 
     test('should include error details in DistributionError', async () => {
       const error1 = new Error('Client 1 error');
       mockClient1.updateConfig.mockRejectedValue(error1);
       
-      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({});
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
       
-      try {
-        await distributor.distribute();
-      } catch (error) {
-        expect(error).toBeInstanceOf(DistributionError);
-        expect(error.message).toContain('Failed to distribute configuration to 1 client(s)');
-        expect(error.clients).toEqual(['client1']);
-        expect(error.details.errors).toHaveLength(1);
-        expect(error.details.errors[0]).toEqual({ clientId: 'client1', error: error1 });
-      }
+      const error = await distributor.distribute({ allOrNothing: true }).catch(e => e);
+      
+      expect(error).toBeInstanceOf(DistributionError);
+      expect(error.message).toContain('Failed to distribute configuration to 1 client(s)');
+      expect(error.clients).toEqual(['client1']);
+      expect(error.details.errors).toEqual([{ clientId: 'client1', error: error1 }]);
+      expect(error.details.report).toEqual([
+        { clientId: 'client1', name: 'Client 1', scope: 'local', path: '/c1.json', action: 'failed', error: 'Client 1 error' }
+      ]);
+    });
+
+    test('should throw DistributionError if a preview fails', async () => {
+      mockClient1.previewConfig.mockRejectedValue(new Error('Unparseable'));
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
+      
+      await expect(distributor.distribute({ dryRun: true })).rejects.toThrow(DistributionError);
+    });
+  });
+
+  describe('backups and rollback', () => {
+    beforeEach(() => {
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ serverName: 'test', launch });
+    });
+
+    test('should snapshot each client before writing it', async () => {
+      await distributor.distribute();
+      
+      expect(mockBackups.snapshot).toHaveBeenCalledWith('client1', ['/c1.json'], '2024-01-01T00-00-00-000Z');
+      expect(mockBackups.snapshot).toHaveBeenCalledWith('client2', ['/c2.json', '/c2.env'], '2024-01-01T00-00-00-000Z');
+      expect(mockClient2.getTargetPaths).toHaveBeenCalledWith({ scope: 'local' });
+      expect(mockBackups.snapshot.mock.invocationCallOrder[0])
+        .toBeLessThan(mockClient1.updateConfig.mock.invocationCallOrder[0]);
+    });
+
+    test('should not snapshot in dry-run mode', async () => {
+      await distributor.distribute({ dryRun: true });
+      
+      expect(mockBackups.snapshot).not.toHaveBeenCalled();
+    });
+
+    test('should leave written clients in place by default', async () => {
+      mockClient2.updateConfig.mockRejectedValue(new Error('Client 2 error'));
+      
+      const report = await distributor.distribute();
+      
+      expect(report.map(row => row.action)).toEqual(['updated', 'failed']);
+      expect(mockBackups.restore).not.toHaveBeenCalled();
+    });
+
+    test('should roll every client back in all-or-nothing mode', async () => {
+      mockClient2.updateConfig.mockRejectedValue(new Error('Client 2 error'));
+      
+      const error = await distributor.distribute({ allOrNothing: true }).catch(e => e);
+      
+      expect(error).toBeInstanceOf(DistributionError);
+      expect(error.clients).toEqual(['client2']);
+      expect(error.details.rolledBack).toEqual(['client2', 'client1']);
+      expect(error.details.backups).toEqual({ client1: '2024-01-01T00-00-00-000Z', client2: '2024-01-01T00-00-00-000Z' });
+      expect(mockBackups.restore).toHaveBeenCalledWith({
+        clientId: 'client1',
+        timestamp: '2024-01-01T00-00-00-000Z',
+        files: ['/c1.json']
+      });
+    });
+
+    test('should stop at the first failure in all-or-nothing mode', async () => {
+      mockClient1.updateConfig.mockRejectedValue(new Error('Client 1 error'));
+      
+      await expect(distributor.distributeToClients(['client1', 'client2'], { allOrNothing: true }))
+        .rejects.toThrow(DistributionError);
+      expect(mockClient2.updateConfig).not.toHaveBeenCalled();
+      expect(mockBackups.restore).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report clients that could not be rolled back', async () => {
+      mockClient2.updateConfig.mockRejectedValue(new Error('Client 2 error'));
+      const restoreError = new Error('disk full');
+      mockBackups.restore.mockImplementation(backup =>
+        backup.clientId === 'client1' ? Promise.reject(restoreError) : Promise.resolve(backup.files)
+      );
+      
+      const error = await distributor.distribute({ allOrNothing: true }).catch(e => e);
+      
+      expect(error.details.rolledBack).toEqual(['client2']);
+      expect(error.details.rollbackErrors).toEqual([{ clientId: 'client1', error: restoreError }]);
+    });
+
+    test('should not write anything when a client is unknown', async () => {
+      await expect(distributor.distributeToClients(['client1', 'unknown'])).rejects.toThrow(ClientError);
+      
+      expect(mockClient1.updateConfig).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkDistribution', () => {
+    beforeEach(() => {
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ serverName: 'test', launch });
+    });
+
+    test('should check every installed client without writing', async () => {
+      mockClient2.isInstalled.mockResolvedValue(false);
+      
+      const results = await distributor.checkDistribution(undefined, { scope: 'global' });
+      
+      expect(results).toEqual([{ clientId: 'client1', path: '/c1.json', status: 'drifted', diff: {} }]);
+      expect(mockClient1.checkConfig).toHaveBeenCalledWith({ serverName: 'test', launch }, { scope: 'global', configPath: '/c1.json' });
+      expect(mockClient2.checkConfig).not.toHaveBeenCalled();
+      expect(mockClient1.updateConfig).not.toHaveBeenCalled();
+    });
+
+    test('should check the saved client selection', async () => {
+      mockSelection.get.mockResolvedValue(['client2']);
+      
+      const results = await distributor.checkDistribution();
+      
+      expect(mockSelection.get).toHaveBeenCalledWith(false);
+      expect(results).toEqual([{ clientId: 'client2', path: '/c2.json', status: 'in-sync' }]);
+      expect(mockClient1.checkConfig).not.toHaveBeenCalled();
+    });
+
+    test('should check listed clients even if they were not detected', async () => {
+      mockClient2.isInstalled.mockResolvedValue(false);
+      
+      const results = await distributor.checkDistribution(['client2']);
+      
+      expect(results).toEqual([{ clientId: 'client2', path: '/c2.json', status: 'in-sync' }]);
+    });
+
+    test('should throw ClientError for unknown clients', async () => {
+      await expect(distributor.checkDistribution(['unknown'])).rejects.toThrow(ClientError);
+    });
+
+    test('should report clients that cannot represent a remote server as skipped', async () => {
+      const config = { serverName: 'test', launch: { transport: 'http', url: 'https://mcp.example.com/mcp' } };
+      mockClient1.checkConfig.mockRejectedValue(
+        new ClientError('Client 1 does not support remote (http) servers', 'client1', { transport: 'http', reason: 'unsupported' })
+      );
+      
+      const results = await distributor.checkDistribution(undefined, { config, repair: true });
+      
+      expect(results).toEqual([
+        { clientId: 'client1', name: 'Client 1', scope: 'local', path: '/c1.json', status: 'skipped', reason: 'unsupported' },
+        { clientId: 'client2', path: '/c2.json', status: 'in-sync' }
+      ]);
+      expect(mockClient1.checkConfig).toHaveBeenCalledWith(config, { scope: 'local', configPath: '/c1.json' });
+      expect(mockClient1.updateConfig).not.toHaveBeenCalled();
+    });
+
+    test('should repair only drifted clients', async () => {
+      mockClient2.checkConfig.mockResolvedValue({ clientId: 'client2', status: 'missing' });
+      
+      const results = await distributor.checkDistribution(undefined, { repair: true });
+      
+      expect(mockClient1.updateConfig).toHaveBeenCalledWith({ serverName: 'test', launch }, { scope: 'local', configPath: '/c1.json' });
+      expect(mockClient2.updateConfig).not.toHaveBeenCalled();
+      expect(mockBackups.snapshot).toHaveBeenCalledTimes(1);
+      expect(results[0].repaired).toBe(true);
+      expect(results[1].repaired).toBeUndefined();
+    });
+
+    test('should throw DistributionError if a repair fails', async () => {
+      mockClient1.updateConfig.mockRejectedValue(new Error('Write failed'));
+      
+      const error = await distributor.checkDistribution(undefined, { repair: true }).catch(e => e);
+      
+      expect(error).toBeInstanceOf(DistributionError);
+      expect(error.operation).toBe('checkDistribution');
+      expect(error.details.results).toHaveLength(2);
+    });
+
+    test('should report clients whose entry cannot be built', async () => {
+      mockClient1.checkConfig.mockRejectedValue(new ClientError('Remote servers are not supported', 'client1'));
+      
+      await expect(distributor.checkDistribution()).rejects.toThrow('Failed to check configuration of 1 client(s)');
+    });
+  });
+
+  describe('readClientEntry', () => {
+    test('should read the entry from the client', async () => {
+      const result = await distributor.readClientEntry('client1', 'my-server', { scope: 'global' });
+      
+      expect(mockClient1.readEntry).toHaveBeenCalledWith('my-server', { scope: 'global' });
+      expect(result.entry).toEqual({ command: 'node' });
+    });
+
+    test('should throw ClientError for unknown clients', async () => {
+      await expect(distributor.readClientEntry('unknown', 'my-server')).rejects.toThrow(ClientError);
+    });
+  });
+
+  describe('describeClients', () => {
+    beforeEach(() => {
+      mockRegistry.describeClients = jest.fn().mockResolvedValue([
+        { id: 'client1', name: 'Client 1', scope: 'global', configPath: '/c1.json', configPaths: ['/c1.json'] },
+        { id: 'client2', name: 'Client 2', scope: 'global', configPath: null, configPaths: [] }
+      ]);
+    });
+
+    test('should report whether each client file has the server entry', async () => {
+      const descriptions = await distributor.describeClients({ scope: 'global', serverName: 'my-server' });
+      
+      expect(mockRegistry.describeClients).toHaveBeenCalledWith({ scope: 'global' });
+      expect(mockClient1.readEntry).toHaveBeenCalledWith('my-server', { scope: 'global', configPath: '/c1.json' });
+      expect(descriptions.map(d => [d.id, d.hasEntry])).toEqual([['client1', true], ['client2', false]]);
+    });
+
+    test('should report files that cannot be read', async () => {
+      mockClient1.readEntry.mockRejectedValue(new DistributionError('Refusing to overwrite unparseable client configuration', ['client1']));
+      
+      const [description] = await distributor.describeClients({ scope: 'global', serverName: 'my-server' });
+      
+      expect(description.hasEntry).toBeNull();
+      expect(description.error).toContain('unparseable');
+    });
+
+    test('should reject invalid scopes', async () => {
+      await expect(distributor.describeClients({ scope: 'system' })).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('restoreBackup', () => {
+    const backup = { clientId: 'client1', timestamp: '2024-01-01T00-00-00-000Z', files: [] };
+
+    test('should restore a backup by timestamp', async () => {
+      mockBackups.get.mockResolvedValue(backup);
+      mockBackups.restore.mockResolvedValue(['/c1.json']);
+      
+      const result = await distributor.restoreBackup('client1', '2024-01-01T00-00-00-000Z');
+      
+      expect(mockClient1.getTargetPaths).toHaveBeenCalledWith({ scope: 'local' });
+      expect(mockBackups.get).toHaveBeenCalledWith('client1', '/c1.json', '2024-01-01T00-00-00-000Z');
+      expect(mockBackups.restore).toHaveBeenCalledWith(backup);
+      expect(result).toEqual({ clientId: 'client1', timestamp: '2024-01-01T00-00-00-000Z', files: ['/c1.json'] });
+    });
+
+    test('should default to the most recent backup', async () => {
+      mockBackups.list.mockResolvedValue(['2023-12-31T00-00-00-000Z', '2024-01-01T00-00-00-000Z']);
+      mockBackups.get.mockResolvedValue(backup);
+      
+      await distributor.restoreBackup('client1');
+      
+      expect(mockBackups.list).toHaveBeenCalledWith('client1', '/c1.json');
+      expect(mockBackups.get).toHaveBeenCalledWith('client1', '/c1.json', '2024-01-01T00-00-00-000Z');
+    });
+
+    test('should use the backups of the scope\'s files', async () => {
+      mockClient1.getTargetPaths.mockResolvedValue(['/home/test/c1.json']);
+      
+      await distributor.listBackups('client1', { scope: 'global' });
+      
+      expect(mockClient1.getTargetPaths).toHaveBeenCalledWith({ scope: 'global' });
+      expect(mockBackups.list).toHaveBeenCalledWith('client1', '/home/test/c1.json');
+    });
+
+    test('should reject unknown clients', async () => {
+      await expect(distributor.restoreBackup('unknown')).rejects.toThrow(ClientError);
+    });
+
+    test('should throw ConfigurationError when there is no backup', async () => {
+      await expect(distributor.restoreBackup('client1', 'missing')).rejects.toThrow('No backup missing found for client client1');
+      await expect(distributor.restoreBackup('client1')).rejects.toThrow(ConfigurationError);
+      expect(mockBackups.restore).not.toHaveBeenCalled();
     });
   });
 
   describe('distributeToClients', () => {
     test('should distribute to specific clients', async () => {
-      const mockConfig = { serverName: 'test' };
+      const mockConfig = { serverName: 'test', launch };
       jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue(mockConfig);
       
       await distributor.distributeToClients(['client1']);
       
-      expect(mockClient1.updateConfig).toHaveBeenCalledWith(mockConfig);
+      expect(mockClient1.updateConfig).toHaveBeenCalledWith(mockConfig, { scope: 'local', configPath: '/c1.json' });
+      expect(mockClient2.updateConfig).not.toHaveBeenCalled();
+    });
+
+    test('should distribute to specific clients in global scope', async () => {
+      const gatherSpy = jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
+      
+      await distributor.distributeToClients(['client2'], { scope: 'global' });
+      
+      expect(gatherSpy).toHaveBeenCalledWith('global');
+      expect(mockClient2.updateConfig).toHaveBeenCalledWith({ launch }, { scope: 'global', configPath: '/c2.json' });
+    });
+
+    test('should preview specific clients in dry-run mode', async () => {
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
+      
+      const previews = await distributor.distributeToClients(['client2'], { dryRun: true });
+      
+      expect(previews).toEqual([{ clientId: 'client2', changed: false }]);
       expect(mockClient2.updateConfig).not.toHaveBeenCalled();
     });
 
     test('should throw ClientError for unknown clients', async () => {
-      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({});
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
       
       await expect(distributor.distributeToClients(['unknown1', 'unknown2']))
         .rejects.toThrow(ClientError);
     });
 
     test('should throw ClientError with details for unknown clients', async () => {
-      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({});
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
       
       try {
         await distributor.distributeToClients(['unknown', 'client1']);
@@ -174,12 +662,25 @@ describe('Distributor', () => {
       }
     });
 
-    test('should throw DistributionError if distribution fails', async () => {
+    test('should report listed clients that fail', async () => {
       mockClient1.updateConfig.mockRejectedValue(new Error('Update failed'));
-      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({});
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
       
-      await expect(distributor.distributeToClients(['client1']))
-        .rejects.toThrow(DistributionError);
+      const report = await distributor.distributeToClients(['client1']);
+      
+      expect(report).toEqual([
+        { clientId: 'client1', name: 'Client 1', scope: 'local', path: '/c1.json', action: 'failed', error: 'Update failed' }
+      ]);
+    });
+
+    test('should write listed clients even if they are not installed', async () => {
+      mockClient2.isInstalled.mockResolvedValue(false);
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
+      
+      const report = await distributor.distributeToClients(['client2']);
+      
+      expect(report[0].action).toBe('created');
+      expect(mockClient2.isInstalled).not.toHaveBeenCalled();
     });
 
     test('should handle mixed unknown and failed clients', async () => {
@@ -191,7 +692,7 @@ describe('Distributor', () => {
         updateConfig: jest.fn().mockRejectedValue(new Error('Client 3 error'))
       };
       
-      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({});
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ launch });
       
       // Should throw ClientError for unknown client first
       await expect(distributor.distributeToClients(['unknown', 'client3']))
@@ -199,6 +700,121 @@ describe('Distributor', () => {
     });
   });
 
+  describe('multiple config paths', () => {
+    beforeEach(() => {
+      jest.spyOn(distributor, 'gatherConfiguration').mockResolvedValue({ serverName: 'test', launch });
+      mockClient2.isInstalled.mockResolvedValue(false);
+      mockClient1.getConfigPaths.mockResolvedValue(['/c1.json', '/c1-insiders.json']);
+      mockClient1.getTargetPaths.mockResolvedValue(['/c1.json', '/c1-insiders.json']);
+      mockClient1.updateConfig.mockImplementation((config, options) =>
+        Promise.resolve({ clientId: 'client1', path: options.configPath, created: false, changed: true }));
+    });
+
+    test('should write every config path after a single snapshot', async () => {
+      const report = await distributor.distribute();
+      
+      expect(mockBackups.snapshot).toHaveBeenCalledTimes(1);
+      expect(mockBackups.snapshot).toHaveBeenCalledWith('client1', ['/c1.json', '/c1-insiders.json'], expect.any(String));
+      expect(mockClient1.updateConfig).toHaveBeenCalledWith({ serverName: 'test', launch }, { scope: 'local', configPath: '/c1.json' });
+      expect(mockClient1.updateConfig).toHaveBeenCalledWith({ serverName: 'test', launch }, { scope: 'local', configPath: '/c1-insiders.json' });
+      expect(report.filter(row => row.clientId === 'client1').map(row => row.path))
+        .toEqual(['/c1.json', '/c1-insiders.json']);
+    });
+
+    test('should preview every config path in dry-run mode', async () => {
+      const previews = await distributor.distribute({ dryRun: true });
+      
+      expect(previews.map(preview => preview.clientId)).toEqual(['client1', 'client1', 'client2']);
+      expect(previews[2]).toMatchObject({ action: 'skipped', reason: 'not-installed' });
+      expect(mockClient1.previewConfig).toHaveBeenCalledWith({ serverName: 'test', launch }, { scope: 'local', configPath: '/c1-insiders.json' });
+    });
+
+    test('should check and repair only the drifted config paths', async () => {
+      mockClient1.checkConfig.mockImplementation((config, options) => Promise.resolve({
+        clientId: 'client1',
+        path: options.configPath,
+        status: options.configPath === '/c1.json' ? 'in-sync' : 'drifted'
+      }));
+      
+      const results = await distributor.checkDistribution(undefined, { repair: true });
+      
+      expect(results.map(r => r.path)).toEqual(['/c1.json', '/c1-insiders.json']);
+      expect(mockClient1.updateConfig).toHaveBeenCalledTimes(1);
+      expect(mockClient1.updateConfig).toHaveBeenCalledWith({ serverName: 'test', launch }, { scope: 'local', configPath: '/c1-insiders.json' });
+      expect(results[0].repaired).toBeUndefined();
+      expect(results[1].repaired).toBe(true);
+    });
+
+    test('should remove the server from every config path', async () => {
+      await distributor.undistribute(['client1'], { serverName: 'my-server' });
+      
+      expect(mockClient1.removeConfig).toHaveBeenCalledTimes(2);
+      expect(mockClient1.removeConfig).toHaveBeenCalledWith('my-server', { scope: 'local', configPath: '/c1-insiders.json' });
+    });
+  });
+
+  describe('undistribute', () => {
+    test('should remove the server from all clients', async () => {
+      const results = await distributor.undistribute(undefined, { serverName: 'my-server' });
+      
+      expect(results).toEqual([
+        { clientId: 'client1', path: '/c1.json', changed: true },
+        { clientId: 'client2', path: '/c2.json', changed: false }
+      ]);
+      expect(mockClient1.removeConfig).toHaveBeenCalledWith('my-server', { scope: 'local', configPath: '/c1.json' });
+      expect(mockClient2.removeConfig).toHaveBeenCalledWith('my-server', { scope: 'local', configPath: '/c2.json' });
+    });
+
+    test('should remove the server from specific clients in global scope', async () => {
+      await distributor.undistribute(['client2'], { scope: 'global', serverName: 'my-server' });
+      
+      expect(mockClient1.removeConfig).not.toHaveBeenCalled();
+      expect(mockClient2.removeConfig).toHaveBeenCalledWith('my-server', { scope: 'global', configPath: '/c2.json' });
+    });
+
+    test('should default the server name to the package name', async () => {
+      jest.spyOn(distributor, 'getServerName').mockResolvedValue('package-server');
+      
+      await distributor.undistribute(['client1']);
+      
+      expect(mockClient1.removeConfig).toHaveBeenCalledWith('package-server', { scope: 'local', configPath: '/c1.json' });
+    });
+
+    test('should skip clients without a path for the scope when removing from all', async () => {
+      mockClient1.removeConfig.mockRejectedValue(new ConfigurationError('No local path', 'client1'));
+      
+      const results = await distributor.undistribute(undefined, { serverName: 'my-server' });
+      
+      expect(results).toEqual([{ clientId: 'client2', path: '/c2.json', changed: false }]);
+    });
+
+    test('should report missing paths for explicitly requested clients', async () => {
+      mockClient1.removeConfig.mockRejectedValue(new ConfigurationError('No local path', 'client1'));
+      
+      await expect(distributor.undistribute(['client1'], { serverName: 'my-server' }))
+        .rejects.toThrow(DistributionError);
+    });
+
+    test('should throw ClientError for unknown clients', async () => {
+      await expect(distributor.undistribute(['unknown'], { serverName: 'my-server' }))
+        .rejects.toThrow(ClientError);
+    });
+
+    test('should throw DistributionError if any client fails', async () => {
+      mockClient2.removeConfig.mockRejectedValue(new Error('Write failed'));
+      
+      try {
+        await distributor.undistribute(undefined, { serverName: 'my-server' });
+        fail('Should have thrown');
+      } catch (error) {
+        expect(error).toBeInstanceOf(DistributionError);
+        expect(error.details.operation).toBe('undistribute');
+        expect(error.clients).toEqual(['client2']);
+      }
+      expect(mockClient1.removeConfig).toHaveBeenCalled();
+    });
+  });
+
   describe('gatherConfiguration', () => {
     test('should gather configuration from storage', async () => {
       // Mock fs.readFile for package.json
@@ -213,13 +829,15 @@ describe('Distributor', () => {
       const StorageManager = require('../../lib/storage/storage-manager');
       StorageManager.mockImplementation(() => ({
         json: { getAll: jest.fn().mockResolvedValue({ jsonKey: 'jsonValue' }) },
-        env: { getAll: jest.fn().mockResolvedValue({ ENV_KEY: 'envValue' }) }
+        env: { getAll: jest.fn().mockResolvedValue({ ENV_KEY: 'envValue' }) },
+        launch: { get: jest.fn().mockResolvedValue(null), getDefault: jest.fn().mockResolvedValue(null) }
       }));
       
       const config = await newDistributor.gatherConfiguration();
       
       expect(config).toEqual({
         serverName: 'test-package-name',
+        launch: null,
         settings: { jsonKey: 'jsonValue' },
         environment: { ENV_KEY: 'envValue' }
       });
@@ -230,8 +848,9 @@ describe('Distributor', () => {
       
       const StorageManager = require('../../lib/storage/storage-manager');
       StorageManager.mockImplementation(() => ({
-        json: { getAll: jest.fn().mockResolvedValue({}) },
-        env: { getAll: jest.fn().mockResolvedValue({}) }
+        json: { getAll: jest.fn().mockResolvedValue({ launch }) },
+        env: { getAll: jest.fn().mockResolvedValue({ launch }) },
+        launch: { get: jest.fn().mockResolvedValue(null), getDefault: jest.fn().mockResolvedValue(null) }
       }));
       
       const config = await distributor.gatherConfiguration();
@@ -244,8 +863,9 @@ describe('Distributor', () => {
       
       const StorageManager = require('../../lib/storage/storage-manager');
       StorageManager.mockImplementation(() => ({
-        json: { getAll: jest.fn().mockResolvedValue({}) },
-        env: { getAll: jest.fn().mockResolvedValue({}) }
+        json: { getAll: jest.fn().mockResolvedValue({ launch }) },
+        env: { getAll: jest.fn().mockResolvedValue({ launch }) },
+        launch: { get: jest.fn().mockResolvedValue(null), getDefault: jest.fn().mockResolvedValue(null) }
       }));
       
       const config = await distributor.gatherConfiguration();
@@ -261,14 +881,86 @@ describe('Distributor', () => {
       
       const StorageManager = require('../../lib/storage/storage-manager');
       StorageManager.mockImplementation(() => ({
-        json: { getAll: jest.fn().mockResolvedValue({}) },
-        env: { getAll: jest.fn().mockResolvedValue({}) }
+        json: { getAll: jest.fn().mockResolvedValue({ launch }) },
+        env: { getAll: jest.fn().mockResolvedValue({ launch }) },
+        launch: { get: jest.fn().mockResolvedValue(null), getDefault: jest.fn().mockResolvedValue(null) }
       }));
       
       const config = await distributor.gatherConfiguration();
       
       expect(config.serverName).toBe('my-custom-server');
     });
+    test('should read global storage for global scope', async () => {
+      jest.spyOn(fs, 'readFile').mockRejectedValue(new Error('ENOENT'));
+      
+      const jsonGetAll = jest.fn().mockResolvedValue({ global: true });
+      const envGetAll = jest.fn().mockResolvedValue({ launch });
+      const StorageManager = require('../../lib/storage/storage-manager');
+      StorageManager.mockImplementation(() => ({
+        json: { getAll: jsonGetAll },
+        env: { getAll: envGetAll },
+        launch: { get: jest.fn().mockResolvedValue(null), getDefault: jest.fn().mockResolvedValue(null) }
+      }));
+      
+      const config = await distributor.gatherConfiguration('global');
+      
+      expect(StorageManager).toHaveBeenCalledWith(mockRegistry);
+      expect(jsonGetAll).toHaveBeenCalledWith(true);
+      expect(envGetAll).toHaveBeenCalledWith(true);
+      expect(config.settings).toEqual({ global: true });
+    });
+
+    test('should use the registered launch spec', async () => {
+      jest.spyOn(fs, 'readFile').mockRejectedValue(new Error('ENOENT'));
+      
+      const launchGet = jest.fn().mockResolvedValue({ command: 'node', args: ['/srv/index.js'], transport: 'stdio' });
+      const getDefault = jest.fn();
+      const StorageManager = require('../../lib/storage/storage-manager');
+      StorageManager.mockImplementation(() => ({
+        json: { getAll: jest.fn().mockResolvedValue({ command: 'old', port: 1 }) },
+        env: { getAll: jest.fn().mockResolvedValue({ launch }) },
+        launch: { get: launchGet, getDefault }
+      }));
+      
+      const config = await distributor.gatherConfiguration('global');
+      
+      expect(launchGet).toHaveBeenCalledWith(true);
+      expect(getDefault).not.toHaveBeenCalled();
+      expect(config.launch).toEqual({ command: 'node', args: ['/srv/index.js'], transport: 'stdio' });
+      expect(config.settings).toEqual({ port: 1 });
+    });
+
+    test('should move legacy command settings into the launch spec', async () => {
+      jest.spyOn(fs, 'readFile').mockRejectedValue(new Error('ENOENT'));
+      
+      const StorageManager = require('../../lib/storage/storage-manager');
+      StorageManager.mockImplementation(() => ({
+        json: { getAll: jest.fn().mockResolvedValue({ command: 'node', args: ['server.js'], port: 1 }) },
+        env: { getAll: jest.fn().mockResolvedValue({ launch }) },
+        launch: { get: jest.fn().mockResolvedValue(null), getDefault: jest.fn() }
+      }));
+      
+      const config = await distributor.gatherConfiguration();
+      
+      expect(config.launch).toEqual({ command: 'node', args: ['server.js'], transport: 'stdio' });
+      expect(config.settings).toEqual({ port: 1 });
+    });
+
+    test('should fall back to the package.json launch spec', async () => {
+      jest.spyOn(fs, 'readFile').mockRejectedValue(new Error('ENOENT'));
+      
+      const defaultLaunch = { command: 'npx', args: ['-y', 'pkg'], transport: 'stdio' };
+      const StorageManager = require('../../lib/storage/storage-manager');
+      StorageManager.mockImplementation(() => ({
+        json: { getAll: jest.fn().mockResolvedValue({ launch }) },
+        env: { getAll: jest.fn().mockResolvedValue({ launch }) },
+        launch: { get: jest.fn().mockResolvedValue(null), getDefault: jest.fn().mockResolvedValue(defaultLaunch) }
+      }));
+      
+      const config = await distributor.gatherConfiguration();
+      
+      expect(config.launch).toEqual(defaultLaunch);
+    });
   });
 
   describe('getAvailableClients', () => {
@@ -0,0 +1,103 @@
+const MappingMigrations = require('../../lib/distribution/mapping-migrations');
+const { ConfigurationError, ValidationError } = require('../../lib/errors');
+const { MAPPINGS_VERSION } = require('../../lib/constants');
+const v2Defaults = require('../../config/default-client-mappings.v2.json');
+
+describe('MappingMigrations', () => {
+  const legacy = {
+    'global-paths': {
+      vscode: {
+        name: 'Visual Studio Code',
+        configKey: 'servers',
+        autoLoadEnv: true,
+        'config-path': { linux: '${HOME}/.config/Code/User/mcp.json' },
+        'env-path': { linux: '${HOME}/.config/Code/User/.${SERVER_NAME}/.env' }
+      }
+    },
+    'local-paths': {
+      vscode: {
+        name: 'Visual Studio Code',
+        'config-path': { linux: './.vscode/mcp.json' }
+      },
+      'my-editor': {
+        name: 'My Editor',
+        'config-path': { linux: './.my-editor/mcp.json' }
+      }
+    },
+    sensitivePatterns: ['password']
+  };
+
+  describe('detectVersion', () => {
+    test('should use the version field', () => {
+      expect(MappingMigrations.detectVersion({ version: 2 })).toBe(2);
+    });
+
+    test('should recognise unversioned legacy files by their structure', () => {
+      expect(MappingMigrations.detectVersion(legacy)).toBe(1);
+      expect(MappingMigrations.detectVersion({ 'my-editor': { name: 'My Editor' } })).toBe(2);
+    });
+
+    test('should reject malformed versions and documents', () => {
+      expect(() => MappingMigrations.detectVersion({ version: '2' })).toThrow(ValidationError);
+      expect(() => MappingMigrations.detectVersion({ version: 0 })).toThrow('$.version');
+      expect(() => MappingMigrations.detectVersion([])).toThrow('Invalid client mapping at $: expected an object');
+    });
+  });
+
+  describe('migrate', () => {
+    test('should group legacy paths by client', () => {
+      const { mappings, fromVersion, applied } = MappingMigrations.migrate(legacy);
+
+      expect(fromVersion).toBe(1);
+      expect(applied).toEqual([2, 3]);
+      expect(mappings.version).toBe(MAPPINGS_VERSION);
+      // Only the values that differ from the version 2 defaults are kept
+      expect(mappings.vscode).toEqual({
+        configKey: 'servers',
+        global: { 'config-path': { linux: '${HOME}/.config/Code/User/mcp.json' } },
+        local: { 'config-path': { linux: './.vscode/mcp.json' } }
+      });
+      expect(mappings['my-editor'].global).toBeUndefined();
+      expect(mappings.sensitivePatterns).toEqual(['password']);
+      expect(mappings['global-paths']).toBeUndefined();
+    });
+
+    test('should keep only the differences of version 2 files from the version 2 defaults', () => {
+      const { configFormat, ...cursor } = v2Defaults.cursor;
+      const config = {
+        version: 2,
+        ...v2Defaults,
+        vscode: { ...v2Defaults.vscode, configKey: 'mcp' },
+        cursor,
+        'my-editor': { name: 'My Editor' }
+      };
+
+      const { mappings, fromVersion, applied } = MappingMigrations.migrate(config);
+
+      expect(fromVersion).toBe(2);
+      expect(applied).toEqual([3]);
+      // Fields the file lacks are not removals
+      expect(mappings).toEqual({ version: 3, vscode: { configKey: 'mcp' }, 'my-editor': { name: 'My Editor' } });
+      expect(config.version).toBe(2);
+    });
+
+    test('should not keep values copied from the version 2 defaults as overrides', () => {
+      const { mappings } = MappingMigrations.migrate({ version: 2, ...v2Defaults });
+
+      expect(mappings).toEqual({ version: 3 });
+    });
+
+    test('should leave current documents unchanged', () => {
+      const config = { version: MAPPINGS_VERSION, vscode: null, 'my-editor': { name: 'My Editor' } };
+
+      const { mappings, applied } = MappingMigrations.migrate(config);
+
+      expect(applied).toEqual([]);
+      expect(mappings).toEqual(config);
+    });
+
+    test('should refuse documents newer than this release', () => {
+      expect(() => MappingMigrations.migrate({ version: MAPPINGS_VERSION + 1 })).toThrow(ConfigurationError);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const MappingSchema = require('../../lib/distribution/mapping-schema');
+const { ValidationError } = require('../../lib/errors');
+const { MAPPINGS_VERSION } = require('../../lib/constants');
+const defaults = require('../../config/default-client-mappings.json');
+
+describe('MappingSchema', () => {
+  const validate = mappings => {
+    try {
+      MappingSchema.validate(mappings);
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  describe('validate', () => {
+    test('should accept the default mappings', () => {
+      expect(validate({ version: MAPPINGS_VERSION, ...defaults })).toBeNull();
+    });
+
+    test('should accept custom clients alongside the built-in ones', () => {
+      expect(validate({
+        version: 2,
+        'my-editor': {
+          name: 'My Editor',
+          configKey: 'mcp',
+          entryTemplate: { run: { exe: '${command}' } },
+          global: { 'config-path': { linux: '${HOME}/.config/my-editor/settings.json' } }
+        },
+        sensitivePatterns: ['token']
+      })).toBeNull();
+    });
+
+    test('should require a version', () => {
+      const error = validate({ vscode: { name: 'VS Code' } });
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.field).toBe('$.version');
+      expect(error.message).toBe('Invalid client mapping at $.version: is required');
+    });
+
+    test('should report the JSON path of an invalid enum value', () => {
+      const error = validate({ version: 2, vscode: { name: 'VS Code', fileFormat: 'ini' } });
+
+      expect(error.field).toBe('$.vscode.fileFormat');
+      expect(error.value).toBe('ini');
+      expect(error.message).toBe('Invalid client mapping at $.vscode.fileFormat: expected one of json, toml, yaml');
+    });
+
+    test('should quote keys that are not identifiers and index array items', () => {
+      const error = validate({
+        version: 2,
+        'my-editor': { name: 'My Editor', global: { 'config-path': { linux: ['/a.json', 3] } } }
+      });
+
+      expect(error.field).toBe('$["my-editor"].global["config-path"].linux[1]');
+      expect(error.message).toContain('expected a string');
+    });
+
+    test('should describe both accepted shapes of a config path', () => {
+      const error = validate({ version: 2, vscode: { name: 'VS Code', local: { 'config-path': { linux: 42 } } } });
+
+      expect(error.message).toBe('Invalid client mapping at $.vscode.local["config-path"].linux: expected a string or an array of strings');
+    });
+
+    test('should reject unknown properties and platforms', () => {
+      expect(validate({ version: 2, vscode: { name: 'VS Code', configkey: 'servers' } }).field).toBe('$.vscode.configkey');
+      expect(validate({ version: 2, vscode: { name: 'VS Code', detect: { markers: { beos: [] } } } }).field)
+        .toBe('$.vscode.detect.markers.beos');
+    });
+
+    test('should require a client name', () => {
+      expect(validate({ version: 2, vscode: { configKey: 'servers' } }).field).toBe('$.vscode.name');
+    });
+
+    test('should reject clients that are not objects', () => {
+      expect(validate({ version: 2, vscode: 'Visual Studio Code' }).message)
+        .toBe('Invalid client mapping at $.vscode: expected an object');
+    });
+
+    test('should ignore properties whose value is undefined', () => {
+      expect(validate({ version: 2, vscode: { name: 'VS Code', configFormat: undefined } })).toBeNull();
+    });
+  });
+
+  describe('validateClient', () => {
+    test('should report paths under the client id', () => {
+      expect(() => MappingSchema.validateClient('zed', { name: 'Zed', containerType: 'set' }))
+        .toThrow('Invalid client mapping at $.zed.containerType: expected one of map, list');
+    });
+
+    test('should reject reserved ids', () => {
+      expect(() => MappingSchema.validateClient('version', { name: 'Version' })).toThrow(ValidationError);
+      expect(() => MappingSchema.validateClient('sensitivePatterns', { name: 'Patterns' })).toThrow('reserved key');
+    });
+  });
+});
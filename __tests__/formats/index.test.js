@@ -0,0 +1,16 @@
+const { getFormat, JsoncFormat, TomlFormat, YamlFormat } = require('../../lib/formats');
+const { ConfigurationError } = require('../../lib/errors');
+
+describe('getFormat', () => {
+  test('should return the handler for each file format', () => {
+    expect(getFormat('toml')).toBe(TomlFormat);
+    expect(getFormat('json')).toBe(JsoncFormat);
+    expect(getFormat('yaml')).toBe(YamlFormat);
+    expect(getFormat()).toBe(JsoncFormat);
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => getFormat('ini')).toThrow(ConfigurationError);
+    expect(() => getFormat('ini')).toThrow('Unknown file format: ini. Expected one of: json, toml, yaml');
+  });
+});
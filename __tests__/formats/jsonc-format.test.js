@@ -0,0 +1,179 @@
+const JsoncFormat = require('../../lib/formats/jsonc-format');
+
+describe('JsoncFormat', () => {
+  const vscodeSettings = [
+    '// Place your settings in this file to overwrite the default settings',
+    '{',
+    '    "editor.tabSize": 2,',
+    '    /* block comment */',
+    '    "mcp-servers": {',
+    '        "existing": { "command": "node" },',
+    '    },',
+    '    "workbench.colorTheme": "Default Dark+", // trailing comment',
+    '}',
+    ''
+  ].join('\n');
+
+  describe('parse', () => {
+    test('should parse comments and trailing commas', () => {
+      const result = JsoncFormat.parse(vscodeSettings);
+
+      expect(result['editor.tabSize']).toBe(2);
+      expect(result['mcp-servers']).toEqual({ existing: { command: 'node' } });
+      expect(result['workbench.colorTheme']).toBe('Default Dark+');
+    });
+
+    test('should return empty object for empty content', () => {
+      expect(JsoncFormat.parse('')).toEqual({});
+      expect(JsoncFormat.parse('  \n')).toEqual({});
+      expect(JsoncFormat.parse(undefined)).toEqual({});
+    });
+
+    test('should throw SyntaxError for invalid content', () => {
+      expect(() => JsoncFormat.parse('{ "a": }')).toThrow(SyntaxError);
+    });
+
+    test('should throw SyntaxError for non-object root', () => {
+      expect(() => JsoncFormat.parse('[1, 2]')).toThrow('Root value must be an object');
+    });
+  });
+
+  describe('setValue', () => {
+    test('should only change the target entry', () => {
+      const updated = JsoncFormat.setValue(vscodeSettings, ['mcp-servers', 'new-server'], { command: 'npx' });
+
+      const before = vscodeSettings.split('\n');
+      const after = updated.split('\n');
+
+      // Everything before and after the container is untouched
+      expect(after.slice(0, 5)).toEqual(before.slice(0, 5));
+      expect(after.slice(-4)).toEqual(before.slice(-4));
+      expect(JsoncFormat.parse(updated)['mcp-servers']).toEqual({
+        existing: { command: 'node' },
+        'new-server': { command: 'npx' }
+      });
+    });
+
+    test('should replace an existing entry', () => {
+      const updated = JsoncFormat.setValue(vscodeSettings, ['mcp-servers', 'existing'], { command: 'deno' });
+
+      expect(updated).toContain('/* block comment */');
+      expect(JsoncFormat.parse(updated)['mcp-servers'].existing).toEqual({ command: 'deno' });
+    });
+
+    test('should create missing containers using the file indentation', () => {
+      const content = '{\n\t"a": 1\n}\n';
+      const updated = JsoncFormat.setValue(content, ['servers', 'test'], { url: 'http://localhost' });
+
+      expect(updated).toContain('\n\t"servers": {\n\t\t"test": {');
+      expect(JsoncFormat.parse(updated).servers.test).toEqual({ url: 'http://localhost' });
+    });
+
+    test('should create new content from scratch', () => {
+      const updated = JsoncFormat.setValue('', ['servers', 'test'], { command: 'node' });
+
+      expect(JSON.parse(updated)).toEqual({ servers: { test: { command: 'node' } } });
+    });
+
+    test('should throw on unparseable content', () => {
+      expect(() => JsoncFormat.setValue('{ broken', ['a'], 1)).toThrow(SyntaxError);
+    });
+
+    test('should replace an array item by index', () => {
+      const content = '{\n  "servers": [\n    { "name": "a" },\n    { "name": "b" }\n  ]\n}\n';
+      const updated = JsoncFormat.setValue(content, ['servers', 1], { name: 'b', command: 'node' });
+
+      expect(updated).toContain('{ "name": "a" },');
+      expect(JsoncFormat.parse(updated).servers[1]).toEqual({ name: 'b', command: 'node' });
+      expect(() => JsoncFormat.setValue(content, ['servers', 2], {})).toThrow('No array item at servers.2');
+    });
+  });
+
+  describe('appendValue', () => {
+    test('should append to an existing array and keep comments', () => {
+      const content = '{\n  // servers\n  "servers": [\n    { "name": "a" }\n  ]\n}\n';
+      const updated = JsoncFormat.appendValue(content, ['servers'], { name: 'b' });
+
+      expect(updated).toContain('// servers');
+      expect(JsoncFormat.parse(updated).servers).toEqual([{ name: 'a' }, { name: 'b' }]);
+    });
+
+    test('should create a missing array', () => {
+      const updated = JsoncFormat.appendValue('{}', ['servers'], { name: 'a' });
+
+      expect(JsoncFormat.parse(updated)).toEqual({ servers: [{ name: 'a' }] });
+    });
+
+    test('should throw when the value at the path is not an array', () => {
+      expect(() => JsoncFormat.appendValue(vscodeSettings, ['mcp-servers'], {})).toThrow('Expected an array at mcp-servers');
+    });
+  });
+
+  describe('removeValue', () => {
+    test('should remove an entry and keep comments', () => {
+      const updated = JsoncFormat.removeValue(vscodeSettings, ['mcp-servers', 'existing']);
+
+      expect(updated).toContain('// trailing comment');
+      expect(JsoncFormat.parse(updated)['mcp-servers']).toEqual({});
+    });
+
+    test('should keep the comment after the second-to-last property', () => {
+      const content = [
+        '{',
+        '  "servers": {',
+        '    "other": { "command": "a" }, // keep me',
+        '    "mine": { "command": "b" } // mine',
+        '  }',
+        '}'
+      ].join('\n');
+
+      expect(JsoncFormat.removeValue(content, ['servers', 'mine'])).toBe([
+        '{',
+        '  "servers": {',
+        '    "other": { "command": "a" } // keep me',
+        '  }',
+        '}'
+      ].join('\n'));
+    });
+
+    test('should remove the last property of a single-line object', () => {
+      expect(JsoncFormat.removeValue('{ "a": 1, "b": 2 }', ['b'])).toBe('{ "a": 1 }');
+    });
+
+    test('should remove an array item', () => {
+      const content = '{ "servers": [{ "name": "a" }, { "name": "b" }] }';
+
+      expect(JsoncFormat.parse(JsoncFormat.removeValue(content, ['servers', 0])).servers).toEqual([{ name: 'b' }]);
+    });
+
+    test('should leave content unchanged when path does not exist', () => {
+      expect(JsoncFormat.removeValue(vscodeSettings, ['missing', 'entry'])).toBe(vscodeSettings);
+    });
+  });
+
+  describe('detectFormatting', () => {
+    test('should detect tabs', () => {
+      expect(JsoncFormat.detectFormatting('{\n\t"a": 1\n}')).toEqual({
+        insertSpaces: false,
+        tabSize: 1,
+        eol: '\n'
+      });
+    });
+
+    test('should detect space width and CRLF', () => {
+      expect(JsoncFormat.detectFormatting('{\r\n    "a": 1\r\n}')).toEqual({
+        insertSpaces: true,
+        tabSize: 4,
+        eol: '\r\n'
+      });
+    });
+
+    test('should default to two spaces', () => {
+      expect(JsoncFormat.detectFormatting('')).toEqual({
+        insertSpaces: true,
+        tabSize: 2,
+        eol: '\n'
+      });
+    });
+  });
+});
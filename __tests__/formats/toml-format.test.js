@@ -0,0 +1,126 @@
+const TomlFormat = require('../../lib/formats/toml-format');
+
+describe('TomlFormat', () => {
+  const codexConfig = [
+    '# Codex configuration',
+    'model = "o3"',
+    '',
+    '[profiles.fast]',
+    'model = "gpt-4o" # quick',
+    '',
+    '# Documentation server',
+    '[mcp_servers.docs]',
+    'command = "npx"',
+    'args = ["-y", "docs-mcp"]',
+    '',
+    '[mcp_servers.docs.env]',
+    'LOG_LEVEL = "info"',
+    '',
+    '# Editor settings',
+    '[tui]',
+    'notes = """',
+    '[mcp_servers.not-a-header]',
+    '"""',
+    ''
+  ].join('\n');
+
+  describe('parse', () => {
+    test('should parse tables and comments', () => {
+      const result = TomlFormat.parse(codexConfig);
+
+      expect(result.model).toBe('o3');
+      expect(result.mcp_servers).toEqual({
+        docs: { command: 'npx', args: ['-y', 'docs-mcp'], env: { LOG_LEVEL: 'info' } }
+      });
+    });
+
+    test('should return empty object for empty content', () => {
+      expect(TomlFormat.parse('')).toEqual({});
+      expect(TomlFormat.parse('  \n')).toEqual({});
+      expect(TomlFormat.parse(null)).toEqual({});
+    });
+
+    test('should throw SyntaxError with the position for invalid content', () => {
+      expect(() => TomlFormat.parse('a = ')).toThrow(SyntaxError);
+      expect(() => TomlFormat.parse('a = ')).toThrow('at line 1');
+    });
+  });
+
+  describe('setValue', () => {
+    test('should replace an entry and its sub-tables in place', () => {
+      const updated = TomlFormat.setValue(codexConfig, ['mcp_servers', 'docs'], {
+        command: 'node',
+        args: ['docs.js'],
+        env: { API_KEY: '${API_KEY}' }
+      });
+
+      expect(TomlFormat.parse(updated).mcp_servers).toEqual({
+        docs: { command: 'node', args: ['docs.js'], env: { API_KEY: '${API_KEY}' } }
+      });
+      expect(updated).not.toContain('LOG_LEVEL');
+
+      // Everything around the entry is untouched
+      const before = codexConfig.split('\n');
+      const after = updated.split('\n');
+      expect(after.slice(0, 8)).toEqual(before.slice(0, 8));
+      expect(after.slice(-7)).toEqual(before.slice(-7));
+    });
+
+    test('should append a new entry without touching the rest of the file', () => {
+      const updated = TomlFormat.setValue(codexConfig, ['mcp_servers', 'new-server'], { command: 'node' });
+
+      expect(updated.startsWith(codexConfig)).toBe(true);
+      expect(updated.slice(codexConfig.length)).toBe('\n[mcp_servers.new-server]\ncommand = "node"\n');
+      expect(Object.keys(TomlFormat.parse(updated).mcp_servers)).toEqual(['docs', 'new-server']);
+    });
+
+    test('should quote keys that are not bare and find them again', () => {
+      const first = TomlFormat.setValue('', ['mcp_servers', 'my.server'], { command: 'a' });
+      const second = TomlFormat.setValue(first, ['mcp_servers', 'my.server'], { command: 'b' });
+
+      expect(first).toBe('[mcp_servers."my.server"]\ncommand = "a"\n');
+      expect(second).toBe('[mcp_servers."my.server"]\ncommand = "b"\n');
+    });
+
+    test('should keep CRLF line endings', () => {
+      const updated = TomlFormat.setValue('model = "o3"\r\n', ['mcp_servers', 'docs'], { command: 'node' });
+
+      expect(updated).toBe('model = "o3"\r\n\r\n[mcp_servers.docs]\r\ncommand = "node"\r\n');
+    });
+
+    test('should refuse to edit an entry defined as an inline table', () => {
+      const content = '[mcp_servers]\ndocs = { command = "npx" }\n';
+
+      expect(() => TomlFormat.setValue(content, ['mcp_servers', 'docs'], { command: 'node' }))
+        .toThrow('not defined as a [table] section');
+    });
+
+    test('should throw when a container on the path is not a table', () => {
+      expect(() => TomlFormat.setValue('mcp_servers = "none"\n', ['mcp_servers', 'docs'], { command: 'node' }))
+        .toThrow(SyntaxError);
+    });
+  });
+
+  describe('appendValue', () => {
+    test('should reject lists of entries', () => {
+      expect(() => TomlFormat.appendValue(codexConfig, ['mcp_servers'], { name: 'docs' }))
+        .toThrow('lists of entries are not supported in TOML files');
+      expect(() => TomlFormat.setValue(codexConfig, ['mcp_servers', 0], {})).toThrow(SyntaxError);
+    });
+  });
+
+  describe('removeValue', () => {
+    test('should remove an entry with its sub-tables and keep comments', () => {
+      const updated = TomlFormat.removeValue(codexConfig, ['mcp_servers', 'docs']);
+
+      expect(TomlFormat.parse(updated).mcp_servers).toBeUndefined();
+      expect(updated).toContain('# Documentation server');
+      expect(updated).toContain('# Editor settings\n[tui]');
+      expect(updated).not.toContain('\n\n\n');
+    });
+
+    test('should leave content unchanged when path does not exist', () => {
+      expect(TomlFormat.removeValue(codexConfig, ['mcp_servers', 'missing'])).toBe(codexConfig);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const YamlFormat = require('../../lib/formats/yaml-format');
+
+describe('YamlFormat', () => {
+  const continueConfig = [
+    '# Continue configuration',
+    'name: Local Assistant',
+    'version: 1.0.0',
+    '',
+    '# MCP servers',
+    'mcpServers:',
+    '  - name: docs # documentation search',
+    '    command: npx',
+    '    args: ["-y", "docs-mcp"]',
+    '  - name: sqlite',
+    '    command: uvx',
+    ''
+  ].join('\n');
+
+  describe('parse', () => {
+    test('should parse mappings and lists', () => {
+      const result = YamlFormat.parse(continueConfig);
+
+      expect(result.name).toBe('Local Assistant');
+      expect(result.mcpServers).toEqual([
+        { name: 'docs', command: 'npx', args: ['-y', 'docs-mcp'] },
+        { name: 'sqlite', command: 'uvx' }
+      ]);
+    });
+
+    test('should return empty object for empty content', () => {
+      expect(YamlFormat.parse('')).toEqual({});
+      expect(YamlFormat.parse('# only a comment\n')).toEqual({});
+      expect(YamlFormat.parse(null)).toEqual({});
+    });
+
+    test('should throw SyntaxError for invalid content', () => {
+      expect(() => YamlFormat.parse('a: [1, 2')).toThrow(SyntaxError);
+    });
+
+    test('should throw SyntaxError for non-mapping root', () => {
+      expect(() => YamlFormat.parse('- 1\n- 2\n')).toThrow('Root value must be a mapping');
+    });
+  });
+
+  describe('setValue', () => {
+    test('should replace a list item and keep comments', () => {
+      const updated = YamlFormat.setValue(continueConfig, ['mcpServers', 1], { name: 'sqlite', command: 'node' });
+
+      expect(updated).toContain('# Continue configuration');
+      expect(updated).toContain('- name: docs # documentation search');
+      expect(updated).toContain('args: ["-y", "docs-mcp"]');
+      expect(YamlFormat.parse(updated).mcpServers[1]).toEqual({ name: 'sqlite', command: 'node' });
+    });
+
+    test('should create missing mappings', () => {
+      const updated = YamlFormat.setValue('# settings\n', ['extensions', 'docs'], { cmd: 'node' });
+
+      expect(updated).toContain('# settings');
+      expect(YamlFormat.parse(updated)).toEqual({ extensions: { docs: { cmd: 'node' } } });
+    });
+
+    test('should throw when a container on the path is a scalar', () => {
+      expect(() => YamlFormat.setValue('name: x\n', ['name', 'docs'], {})).toThrow(SyntaxError);
+    });
+  });
+
+  describe('appendValue', () => {
+    test('should append to an existing list', () => {
+      const updated = YamlFormat.appendValue(continueConfig, ['mcpServers'], { name: 'new', command: 'node' });
+
+      expect(updated.startsWith(continueConfig)).toBe(true);
+      expect(YamlFormat.parse(updated).mcpServers.map(server => server.name)).toEqual(['docs', 'sqlite', 'new']);
+    });
+
+    test('should create the list if it is missing', () => {
+      const updated = YamlFormat.appendValue('name: x\n', ['mcpServers'], { name: 'new' });
+
+      expect(updated).toBe('name: x\nmcpServers:\n  - name: new\n');
+    });
+
+    test('should throw when the value at the path is not a list', () => {
+      expect(() => YamlFormat.appendValue('mcpServers:\n  docs: {}\n', ['mcpServers'], {}))
+        .toThrow('Expected a list at mcpServers');
+    });
+  });
+
+  describe('removeValue', () => {
+    test('should remove a list item and keep comments', () => {
+      const updated = YamlFormat.removeValue(continueConfig, ['mcpServers', 1]);
+
+      expect(updated).toContain('# MCP servers');
+      expect(YamlFormat.parse(updated).mcpServers).toEqual([
+        { name: 'docs', command: 'npx', args: ['-y', 'docs-mcp'] }
+      ]);
+    });
+
+    test('should leave content unchanged when path does not exist', () => {
+      expect(YamlFormat.removeValue(continueConfig, ['mcpServers', 5])).toBe(continueConfig);
+      expect(YamlFormat.removeValue(continueConfig, ['missing'])).toBe(continueConfig);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const BackupStorage = require('../../lib/storage/backup-storage');
+const PathUtils = require('../../lib/utils/path-utils');
+const { ValidationError, FileSystemError } = require('../../lib/errors');
+const { LIMITS } = require('../../lib/constants');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+// Mock PathUtils
+jest.mock('../../lib/utils/path-utils', () => ({
+  getConfigDir: jest.fn(),
+  joinPath: jest.fn((...args) => require('path').join(...args)),
+  ensureAbsolute: jest.fn((p) => require('path').resolve(p))
+}));
+
+describe('BackupStorage', () => {
+  let storage;
+  let tempDir;
+  let configDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), 'backup-storage-test-' + Date.now());
+    configDir = path.join(tempDir, 'config');
+    await fs.mkdir(tempDir, { recursive: true });
+    PathUtils.getConfigDir.mockImplementation((appName) => path.join(configDir, appName));
+
+    storage = new BackupStorage();
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  describe('createTimestamp', () => {
+    test('should produce a file-system safe timestamp', () => {
+      expect(storage.createTimestamp(new Date('2024-05-01T09:30:00.123Z'))).toBe('2024-05-01T09-30-00-123Z');
+    });
+  });
+
+  describe('getBackupPath', () => {
+    test('should keep backups per client and target under the library config dir', () => {
+      const backupPath = storage.getBackupPath('vscode', '/project/.vscode/mcp.json', '2024-05-01T09-30-00-123Z');
+
+      expect(path.dirname(path.dirname(backupPath))).toBe(path.join(configDir, 'devjoy-digital/config-mcp', 'backups', 'vscode'));
+      expect(path.basename(path.dirname(backupPath))).toMatch(/^[0-9a-f]{16}$/);
+      expect(path.basename(backupPath)).toBe('2024-05-01T09-30-00-123Z.json');
+    });
+
+    test('should key backups by the resolved target path', () => {
+      expect(storage.getBackupDir('vscode', '.vscode/mcp.json')).toBe(storage.getBackupDir('vscode', path.resolve('.vscode/mcp.json')));
+      expect(storage.getBackupDir('vscode', '/a/.vscode/mcp.json')).not.toBe(storage.getBackupDir('vscode', '/b/.vscode/mcp.json'));
+    });
+
+    test('should reject identifiers that escape the backup directory', () => {
+      expect(() => storage.getBackupPath('../vscode', '/p/mcp.json', 'latest')).toThrow(ValidationError);
+      expect(() => storage.getBackupPath('vscode', '/p/mcp.json', '../../global')).toThrow('Invalid backup timestamp');
+      expect(() => storage.getBackupPath('vscode', undefined, 'latest')).toThrow('Invalid backup target');
+    });
+  });
+
+  describe('snapshot and restore', () => {
+    test('should restore existing files and remove files that did not exist', async () => {
+      const configPath = path.join(tempDir, 'mcp.json');
+      const envPath = path.join(tempDir, '.env');
+      await fs.writeFile(configPath, '{ "servers": {} }');
+
+      const backup = await storage.snapshot('vscode', [configPath, envPath], 't1');
+      await fs.writeFile(configPath, '{ "servers": { "new": {} } }');
+      await fs.writeFile(envPath, 'API_KEY=secret');
+
+      const restored = await storage.restore(backup);
+
+      expect(restored).toEqual([configPath, envPath]);
+      expect(await fs.readFile(configPath, 'utf8')).toBe('{ "servers": {} }');
+      await expect(fs.access(envPath)).rejects.toThrow();
+    });
+
+    test('should persist backups so they can be restored later', async () => {
+      const configPath = path.join(tempDir, 'mcp.json');
+      await fs.writeFile(configPath, 'before');
+      await storage.snapshot('cursor', [configPath], 't1');
+
+      const backup = await storage.get('cursor', configPath, 't1');
+
+      expect(backup).toEqual({
+        clientId: 'cursor',
+        timestamp: 't1',
+        files: [{ path: configPath, content: 'before', mode: expect.any(Number) }]
+      });
+      expect(await storage.get('cursor', configPath, 'missing')).toBeNull();
+    });
+
+    test('should store absolute paths', async () => {
+      const backup = await storage.snapshot('vscode', ['./.vscode/mcp.json'], 't1');
+
+      expect(backup.files[0].path).toBe(path.resolve('./.vscode/mcp.json'));
+    });
+
+    test('should restore recorded permissions', async () => {
+      if (process.platform === 'win32') return;
+      const envPath = path.join(tempDir, '.env');
+      await fs.writeFile(envPath, 'A=1');
+      await fs.chmod(envPath, 0o600);
+      const backup = await storage.snapshot('vscode', [envPath], 't1');
+      await fs.rm(envPath);
+
+      await storage.restore(backup);
+
+      expect((await fs.stat(envPath)).mode & 0o777).toBe(0o600);
+    });
+
+    test('should wrap restore failures in FileSystemError', async () => {
+      const blocker = path.join(tempDir, 'blocker');
+      await fs.writeFile(blocker, '');
+
+      await expect(storage.restore({
+        clientId: 'vscode',
+        timestamp: 't1',
+        files: [{ path: path.join(blocker, 'mcp.json'), content: '{}' }]
+      })).rejects.toThrow(FileSystemError);
+    });
+
+    test('should not snapshot files that are unchanged since the latest backup', async () => {
+      const configPath = path.join(tempDir, 'mcp.json');
+      await fs.writeFile(configPath, 'before');
+      await storage.snapshot('vscode', [configPath], 't1');
+
+      const backup = await storage.snapshot('vscode', [configPath], 't2');
+
+      expect(backup.timestamp).toBe('t1');
+      expect(await storage.list('vscode', configPath)).toEqual(['t1']);
+    });
+
+    test('should keep separate backups for each target', async () => {
+      const projectA = path.join(tempDir, 'a', 'mcp.json');
+      const projectB = path.join(tempDir, 'b', 'mcp.json');
+      await storage.snapshot('vscode', [projectA], 't1');
+      await storage.snapshot('vscode', [projectB], 't2');
+
+      expect(await storage.list('vscode', projectA)).toEqual(['t1']);
+      expect(await storage.list('vscode', projectB)).toEqual(['t2']);
+    });
+  });
+
+  describe('list', () => {
+    let configPath;
+
+    beforeEach(() => {
+      configPath = path.join(tempDir, 'mcp.json');
+    });
+
+    test('should list timestamps oldest first', async () => {
+      await fs.writeFile(configPath, 'second');
+      await storage.snapshot('vscode', [configPath], '2024-05-02T00-00-00-000Z');
+      await fs.writeFile(configPath, 'first');
+      await storage.snapshot('vscode', [configPath], '2024-05-01T00-00-00-000Z');
+
+      expect(await storage.list('vscode', configPath)).toEqual(['2024-05-01T00-00-00-000Z', '2024-05-02T00-00-00-000Z']);
+    });
+
+    test('should return an empty list for clients without backups', async () => {
+      expect(await storage.list('cursor', configPath)).toEqual([]);
+    });
+
+    test('should prune the oldest backups beyond the retention limit', async () => {
+      for (let i = 0; i <= LIMITS.MAX_BACKUPS_PER_CLIENT; i++) {
+        await fs.writeFile(configPath, `version ${i}`);
+        await storage.snapshot('vscode', [configPath], `t${String(i).padStart(2, '0')}`);
+      }
+
+      const timestamps = await storage.list('vscode', configPath);
+      expect(timestamps).toHaveLength(LIMITS.MAX_BACKUPS_PER_CLIENT);
+      expect(timestamps[0]).toBe('t01');
+    });
+  });
+});
@@ -156,4 +156,37 @@ describe('GitignoreManager', () => {
       await expect(manager.ensure(false)).resolves.not.toThrow();
     });
   });
+
+  describe('ensureFile', () => {
+    test('should add an anchored entry for a project file', async () => {
+      await manager.ensureFile('./.vscode/.test-server/.env');
+      
+      const content = await fs.readFile('.gitignore', 'utf8');
+      expect(content).toContain('# dj-config-mcp sensitive configuration');
+      expect(content).toContain('/.vscode/.test-server/.env');
+    });
+
+    test('should accept absolute paths inside the project', async () => {
+      await manager.ensureFile(path.join(process.cwd(), '.cursor', '.env'));
+      
+      const content = await fs.readFile('.gitignore', 'utf8');
+      expect(content).toContain('/.cursor/.env');
+    });
+
+    test('should not duplicate existing entries', async () => {
+      await fs.writeFile('.gitignore', '.vscode/.test-server/.env\n');
+      
+      await manager.ensureFile('./.vscode/.test-server/.env');
+      
+      const content = await fs.readFile('.gitignore', 'utf8');
+      expect(content).toBe('.vscode/.test-server/.env\n');
+    });
+
+    test('should skip files outside the project', async () => {
+      await manager.ensureFile(path.join(os.tmpdir(), 'elsewhere', '.env'));
+      
+      const fileExists = await fs.access('.gitignore').then(() => true).catch(() => false);
+      expect(fileExists).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,156 @@
+const LaunchStorage = require('../../lib/storage/launch-storage');
+const { ValidationError } = require('../../lib/errors');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+// Mock PathUtils
+jest.mock('../../lib/utils/path-utils', () => ({
+  getConfigDir: jest.fn((appName) => `/home/test/.config/${appName}`),
+  joinPath: jest.fn((...args) => require('path').join(...args)),
+  ensureAbsolute: jest.fn((p, base = process.cwd()) => require('path').resolve(base, p))
+}));
+
+describe('LaunchStorage', () => {
+  let storage;
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), 'launch-storage-test-' + Date.now());
+    await fs.mkdir(tempDir, { recursive: true });
+    process.chdir(tempDir);
+    
+    storage = new LaunchStorage('test-server');
+  });
+
+  afterEach(async () => {
+    process.chdir(os.tmpdir());
+    await fs.rm(tempDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  describe('getStoragePath', () => {
+    test('should return local path next to the server settings', () => {
+      expect(storage.getStoragePath(false)).toBe(path.join('devjoy-digital', 'test-server', 'launch.json'));
+    });
+
+    test('should return global path in the library config directory', () => {
+      expect(storage.getStoragePath(true)).toBe(
+        path.join('/home/test/.config/devjoy-digital/config-mcp', 'test-server', 'launch.json')
+      );
+    });
+  });
+
+  describe('set and get', () => {
+    test('should store the normalized spec', async () => {
+      const stored = await storage.set({ command: 'node', args: ['server.js'], cwd: '/srv' });
+      
+      expect(stored).toEqual({ command: 'node', args: ['server.js'], cwd: '/srv', transport: 'stdio' });
+      expect(await storage.get()).toEqual(stored);
+      expect(await storage.get(true)).toBe(null);
+    });
+
+    test('should return null when no spec is stored', async () => {
+      expect(await storage.get()).toBe(null);
+    });
+
+    test('should not store invalid specs', async () => {
+      await expect(storage.set({ args: ['x'] })).rejects.toThrow(ValidationError);
+      expect(await storage.get()).toBe(null);
+    });
+  });
+
+  describe('normalize', () => {
+    test('should default args and transport', () => {
+      expect(storage.normalize({ command: 'node' })).toEqual({
+        command: 'node',
+        args: [],
+        transport: 'stdio'
+      });
+    });
+
+    test('should require a command', () => {
+      expect(() => storage.normalize({})).toThrow('Launch spec requires a command');
+      expect(() => storage.normalize(null)).toThrow(ValidationError);
+    });
+
+    test('should validate field types', () => {
+      expect(() => storage.normalize({ command: 'node', args: 'server.js' })).toThrow(ValidationError);
+      expect(() => storage.normalize({ command: 'node', args: [1] })).toThrow(ValidationError);
+      expect(() => storage.normalize({ command: 'node', cwd: 42 })).toThrow(ValidationError);
+    });
+
+    test('should reject unknown transports', () => {
+      expect(() => storage.normalize({ command: 'node', transport: 'pigeon' })).toThrow('Unsupported transport: pigeon');
+    });
+
+    test('should accept remote specs with a url and headers', () => {
+      expect(storage.normalize({
+        transport: 'http',
+        url: 'https://mcp.example.com/mcp',
+        headers: { Authorization: 'Bearer ${API_TOKEN}' },
+        command: 'ignored'
+      })).toEqual({
+        transport: 'http',
+        url: 'https://mcp.example.com/mcp',
+        headers: { Authorization: 'Bearer ${API_TOKEN}' }
+      });
+      expect(storage.normalize({ transport: 'sse', url: 'http://localhost:8080/sse' })).toEqual({
+        transport: 'sse',
+        url: 'http://localhost:8080/sse'
+      });
+    });
+
+    test('should validate remote urls and headers', () => {
+      expect(() => storage.normalize({ transport: 'http' })).toThrow('Launch spec for http requires a valid url');
+      expect(() => storage.normalize({ transport: 'http', url: 'ftp://example.com' })).toThrow('Launch url must use http or https');
+      expect(() => storage.normalize({
+        transport: 'http',
+        url: 'https://example.com',
+        headers: { 'X-Retries': 3 }
+      })).toThrow('Launch headers must be an object of strings');
+    });
+  });
+
+  describe('getDefault', () => {
+    test('should run published packages with a bin through npx', async () => {
+      await fs.writeFile('package.json', JSON.stringify({ name: 'my-server', bin: { 'my-server': 'cli.js' } }));
+      
+      expect(await storage.getDefault()).toEqual({
+        command: 'npx',
+        args: ['-y', 'my-server'],
+        transport: 'stdio'
+      });
+    });
+
+    test('should run the bin of private packages with node', async () => {
+      await fs.writeFile('package.json', JSON.stringify({ name: 'my-server', private: true, bin: 'bin/cli.js' }));
+      
+      expect(await storage.getDefault()).toEqual({
+        command: 'node',
+        args: [path.join(process.cwd(), 'bin', 'cli.js')],
+        transport: 'stdio'
+      });
+    });
+
+    test('should run main with node from its absolute path', async () => {
+      await fs.writeFile('package.json', JSON.stringify({ name: 'my-server', main: 'index.js' }));
+      
+      expect(await storage.getDefault()).toEqual({
+        command: 'node',
+        args: [path.join(process.cwd(), 'index.js')],
+        transport: 'stdio'
+      });
+    });
+
+    test('should return null without bin or main', async () => {
+      await fs.writeFile('package.json', JSON.stringify({ name: 'my-server' }));
+      
+      expect(await storage.getDefault()).toBe(null);
+    });
+
+    test('should return null without package.json', async () => {
+      expect(await storage.getDefault()).toBe(null);
+    });
+  });
+});
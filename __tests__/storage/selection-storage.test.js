@@ -0,0 +1,74 @@
+const SelectionStorage = require('../../lib/storage/selection-storage');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+// Mock PathUtils
+jest.mock('../../lib/utils/path-utils', () => ({
+  getConfigDir: jest.fn((appName) => `/home/test/.config/${appName}`),
+  joinPath: jest.fn((...args) => require('path').join(...args)),
+  ensureAbsolute: jest.fn((p, base = process.cwd()) => require('path').resolve(base, p))
+}));
+
+describe('SelectionStorage', () => {
+  let storage;
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), 'selection-storage-test-' + Date.now());
+    await fs.mkdir(tempDir, { recursive: true });
+    process.chdir(tempDir);
+    
+    storage = new SelectionStorage('test-server');
+  });
+
+  afterEach(async () => {
+    process.chdir(os.tmpdir());
+    await fs.rm(tempDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  describe('getStoragePath', () => {
+    test('should return a path next to the local server settings', () => {
+      expect(storage.getStoragePath()).toBe(path.join('devjoy-digital', 'test-server', 'clients.json'));
+    });
+  });
+
+  describe('get and set', () => {
+    test('should return null when no selection is saved', async () => {
+      expect(await storage.get()).toBe(null);
+    });
+
+    test('should store each scope separately', async () => {
+      await storage.set(['vscode', 'cursor', 'vscode']);
+      await storage.set(['claude-desktop'], true);
+      
+      expect(await storage.get()).toEqual(['vscode', 'cursor']);
+      expect(await storage.get(true)).toEqual(['claude-desktop']);
+      
+      const saved = JSON.parse(await fs.readFile(path.join(tempDir, storage.getStoragePath()), 'utf8'));
+      expect(saved).toEqual({ local: ['vscode', 'cursor'], global: ['claude-desktop'] });
+    });
+  });
+
+  describe('add and remove', () => {
+    test('should add clients without duplicates', async () => {
+      await storage.set(['vscode']);
+      
+      expect(await storage.add(['vscode', 'cursor'])).toEqual(['vscode', 'cursor']);
+    });
+
+    test('should start a new selection when none is saved', async () => {
+      expect(await storage.add(['cursor'], true)).toEqual(['cursor']);
+      expect(await storage.get()).toBe(null);
+    });
+
+    test('should keep an empty selection after removing every client', async () => {
+      await storage.set(['vscode', 'cursor']);
+      
+      expect(await storage.remove(['cursor'])).toEqual(['vscode']);
+      expect(await storage.remove(['vscode'])).toEqual([]);
+      expect(await storage.get()).toEqual([]);
+    });
+  });
+});
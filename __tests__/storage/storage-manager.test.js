@@ -2,12 +2,16 @@ const StorageManager = require('../../lib/storage/storage-manager');
 const JsonStorage = require('../../lib/storage/json-storage');
 const EnvStorage = require('../../lib/storage/env-storage');
 const GitignoreManager = require('../../lib/storage/gitignore');
+const LaunchStorage = require('../../lib/storage/launch-storage');
+const SelectionStorage = require('../../lib/storage/selection-storage');
 const ClientRegistry = require('../../lib/distribution/client-registry');
 
 // Mock all storage classes
 jest.mock('../../lib/storage/json-storage');
 jest.mock('../../lib/storage/env-storage');
 jest.mock('../../lib/storage/gitignore');
+jest.mock('../../lib/storage/launch-storage');
+jest.mock('../../lib/storage/selection-storage');
 jest.mock('../../lib/distribution/client-registry');
 
 describe('StorageManager', () => {
@@ -26,6 +30,8 @@ describe('StorageManager', () => {
     JsonStorage.mockImplementation(() => ({}));
     EnvStorage.mockImplementation(() => ({}));
     GitignoreManager.mockImplementation(() => ({}));
+    LaunchStorage.mockImplementation(() => ({}));
+    SelectionStorage.mockImplementation(() => ({}));
     
     manager = new StorageManager(mockRegistry);
   });
@@ -36,9 +42,13 @@ describe('StorageManager', () => {
       expect(JsonStorage).toHaveBeenCalledWith('test-server');
       expect(EnvStorage).toHaveBeenCalledWith('test-server');
       expect(GitignoreManager).toHaveBeenCalledWith('test-server');
+      expect(LaunchStorage).toHaveBeenCalledWith('test-server');
+      expect(SelectionStorage).toHaveBeenCalledWith('test-server');
       expect(manager.json).toBeDefined();
       expect(manager.env).toBeDefined();
       expect(manager.gitignore).toBeDefined();
+      expect(manager.launch).toBeDefined();
+      expect(manager.selection).toBeDefined();
     });
 
     test('should create new registry if none provided', () => {
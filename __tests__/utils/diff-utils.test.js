@@ -0,0 +1,95 @@
+const DiffUtils = require('../../lib/utils/diff-utils');
+
+describe('DiffUtils', () => {
+  describe('diff', () => {
+    test('should report added, changed and removed fields', () => {
+      const before = { command: 'node', env: { A: '1', B: '2' }, config: { port: 3000 } };
+      const after = { command: 'npx', args: ['-y'], env: { A: '1', B: '3' } };
+
+      expect(DiffUtils.diff(before, after)).toEqual({
+        added: [{ path: 'args', value: ['-y'] }],
+        changed: [
+          { path: 'command', from: 'node', to: 'npx' },
+          { path: 'env.B', from: '2', to: '3' }
+        ],
+        removed: [{ path: 'config.port', value: 3000 }]
+      });
+    });
+
+    test('should report every field of a new entry as added', () => {
+      expect(DiffUtils.diff(undefined, { command: 'node', env: { A: '1' } })).toEqual({
+        added: [
+          { path: 'command', value: 'node' },
+          { path: 'env.A', value: '1' }
+        ],
+        changed: [],
+        removed: []
+      });
+    });
+
+    test('should report every field of a removed entry as removed', () => {
+      const diff = DiffUtils.diff({ command: 'node' }, undefined);
+
+      expect(diff.removed).toEqual([{ path: 'command', value: 'node' }]);
+      expect(diff.added).toEqual([]);
+    });
+
+    test('should compare arrays as whole values', () => {
+      const diff = DiffUtils.diff({ args: ['a', 'b'] }, { args: ['a', 'c'] });
+
+      expect(diff.changed).toEqual([{ path: 'args', from: ['a', 'b'], to: ['a', 'c'] }]);
+    });
+
+    test('should report a type change as a change', () => {
+      const diff = DiffUtils.diff({ env: 'none' }, { env: { A: '1' } });
+
+      expect(diff.changed).toEqual([{ path: 'env', from: 'none', to: { A: '1' } }]);
+    });
+
+    test('should return an empty diff for equal values', () => {
+      const diff = DiffUtils.diff({ a: { b: [1] } }, { a: { b: [1] } });
+
+      expect(DiffUtils.hasChanges(diff)).toBe(false);
+    });
+  });
+
+  describe('hasChanges', () => {
+    test('should detect any kind of change', () => {
+      expect(DiffUtils.hasChanges({ added: [{}], changed: [], removed: [] })).toBe(true);
+      expect(DiffUtils.hasChanges({ added: [], changed: [{}], removed: [] })).toBe(true);
+      expect(DiffUtils.hasChanges({ added: [], changed: [], removed: [{}] })).toBe(true);
+      expect(DiffUtils.hasChanges({ added: [], changed: [], removed: [] })).toBe(false);
+    });
+  });
+
+  describe('createPatch', () => {
+    test('should record changed fields, removals and replaced arrays', () => {
+      const before = { a: 1, b: { c: 2, d: 3 }, list: [1, 2], same: { x: 1 } };
+      const after = { b: { c: 2, d: 4 }, list: [1], same: { x: 1 }, added: 'yes' };
+
+      expect(DiffUtils.createPatch(before, after)).toEqual({ a: null, b: { d: 4 }, list: [1], added: 'yes' });
+    });
+
+    test('should return an empty patch for equal objects', () => {
+      expect(DiffUtils.createPatch({ a: { b: [1] } }, { a: { b: [1] } })).toEqual({});
+    });
+  });
+
+  describe('applyPatch', () => {
+    test('should merge objects, remove null fields and replace other values', () => {
+      const target = { a: 1, b: { c: 2, d: 3 }, list: [1, 2] };
+
+      const result = DiffUtils.applyPatch(target, { a: null, b: { d: 4, e: { f: null, g: 5 } }, list: [3] });
+
+      expect(result).toEqual({ b: { c: 2, d: 4, e: { g: 5 } }, list: [3] });
+      expect(target).toEqual({ a: 1, b: { c: 2, d: 3 }, list: [1, 2] });
+    });
+
+    test('should undo createPatch', () => {
+      const before = { a: 1, b: { c: 2 }, d: [1] };
+      const after = { b: { c: 3, e: true }, d: [] };
+
+      expect(DiffUtils.applyPatch(before, DiffUtils.createPatch(before, after))).toEqual(after);
+    });
+  });
+});
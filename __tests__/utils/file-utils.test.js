@@ -0,0 +1,90 @@
+const FileUtils = require('../../lib/utils/file-utils');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('FileUtils', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), 'file-utils-test-' + Date.now());
+    await fs.mkdir(tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('writeAtomic', () => {
+    test('should create missing directories and write the file', async () => {
+      const filePath = path.join(tempDir, 'nested', 'config.json');
+
+      await FileUtils.writeAtomic(filePath, '{}');
+
+      expect(await fs.readFile(filePath, 'utf8')).toBe('{}');
+      expect(await fs.readdir(path.dirname(filePath))).toEqual(['config.json']);
+    });
+
+    test('should keep the permissions of an existing file', async () => {
+      if (process.platform === 'win32') return;
+      const filePath = path.join(tempDir, 'config.json');
+      await fs.writeFile(filePath, 'old');
+      await fs.chmod(filePath, 0o640);
+
+      await FileUtils.writeAtomic(filePath, 'new');
+
+      const stats = await fs.stat(filePath);
+      expect(stats.mode & 0o777).toBe(0o640);
+    });
+
+    test('should apply an explicit mode', async () => {
+      if (process.platform === 'win32') return;
+      const filePath = path.join(tempDir, '.env');
+
+      await FileUtils.writeAtomic(filePath, 'A=1', { mode: 0o600 });
+
+      const stats = await fs.stat(filePath);
+      expect(stats.mode & 0o777).toBe(0o600);
+    });
+
+    test('should create the temporary file with the mode', async () => {
+      const writeFile = jest.spyOn(fs, 'writeFile');
+      const filePath = path.join(tempDir, '.env');
+
+      await FileUtils.writeAtomic(filePath, 'A=1', { mode: 0o600 });
+
+      expect(writeFile).toHaveBeenCalledWith(expect.stringMatching(/\.tmp$/), 'A=1', { mode: 0o600 });
+    });
+
+    test('should write through a symlink and keep the link', async () => {
+      if (process.platform === 'win32') return;
+      const realDir = path.join(tempDir, 'dotfiles');
+      const realPath = path.join(realDir, 'mcp.json');
+      const linkPath = path.join(tempDir, 'mcp.json');
+      await fs.mkdir(realDir);
+      await fs.writeFile(realPath, 'old');
+      await fs.chmod(realPath, 0o640);
+      await fs.symlink(realPath, linkPath);
+
+      await FileUtils.writeAtomic(linkPath, 'new');
+
+      expect((await fs.lstat(linkPath)).isSymbolicLink()).toBe(true);
+      expect(await fs.readFile(realPath, 'utf8')).toBe('new');
+      expect((await fs.stat(realPath)).mode & 0o777).toBe(0o640);
+      expect(await fs.readdir(realDir)).toEqual(['mcp.json']);
+      expect((await fs.readdir(tempDir)).sort()).toEqual(['dotfiles', 'mcp.json']);
+    });
+
+    test('should leave the target untouched if the write fails', async () => {
+      const filePath = path.join(tempDir, 'config.json');
+      await fs.writeFile(filePath, 'original');
+      jest.spyOn(fs, 'rename').mockRejectedValueOnce(new Error('rename failed'));
+
+      await expect(FileUtils.writeAtomic(filePath, 'replacement')).rejects.toThrow('rename failed');
+
+      expect(await fs.readFile(filePath, 'utf8')).toBe('original');
+      expect(await fs.readdir(tempDir)).toEqual(['config.json']);
+    });
+  });
+});
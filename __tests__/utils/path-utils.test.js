@@ -2,6 +2,7 @@ const PathUtils = require('../../lib/utils/path-utils');
 const { EnvironmentError } = require('../../lib/errors');
 const path = require('path');
 const os = require('os');
+const fs = require('fs');
 
 describe('PathUtils', () => {
   const originalEnv = process.env;
@@ -98,6 +99,113 @@ describe('PathUtils', () => {
     test('should keep placeholder if variable not found', () => {
       expect(PathUtils.resolveEnvVars('${UNKNOWN_VAR}/config')).toBe('${UNKNOWN_VAR}/config');
     });
+
+    test('should throw listing unresolved variables in strict mode', () => {
+      delete process.env.UNKNOWN_VAR;
+      delete process.env.OTHER_VAR;
+
+      let error;
+      try {
+        PathUtils.resolveEnvVars('${UNKNOWN_VAR}/${OTHER_VAR}/${UNKNOWN_VAR}', {}, { strict: true });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(EnvironmentError);
+      expect(error.message).toContain('UNKNOWN_VAR, OTHER_VAR');
+      expect(error.details.variables).toEqual(['UNKNOWN_VAR', 'OTHER_VAR']);
+    });
+
+    test('should resolve in strict mode when every variable is known', () => {
+      process.env.TEST_VAR = 'test-value';
+
+      expect(PathUtils.resolveEnvVars('${TEST_VAR}/config', {}, { strict: true })).toBe('test-value/config');
+    });
+
+    test('should use shell-style defaults for unset or empty variables', () => {
+      delete process.env.UNSET_VAR;
+      process.env.EMPTY_VAR = '';
+      process.env.TEST_VAR = 'test-value';
+
+      expect(PathUtils.resolveEnvVars('${UNSET_VAR:-fallback}/config')).toBe('fallback/config');
+      expect(PathUtils.resolveEnvVars('${EMPTY_VAR:-fallback}/config')).toBe('fallback/config');
+      expect(PathUtils.resolveEnvVars('${TEST_VAR:-fallback}/config')).toBe('test-value/config');
+      expect(PathUtils.resolveEnvVars('${UNSET_VAR:-}config')).toBe('config');
+    });
+
+    test('should resolve placeholders nested in defaults', () => {
+      delete process.env.XDG_CONFIG_HOME;
+      process.env.HOME = '/home/user';
+
+      expect(PathUtils.resolveEnvVars('${XDG_CONFIG_HOME:-${HOME}/.config}/app')).toBe('/home/user/.config/app');
+
+      process.env.XDG_CONFIG_HOME = '/xdg';
+      expect(PathUtils.resolveEnvVars('${XDG_CONFIG_HOME:-${HOME}/.config}/app')).toBe('/xdg/app');
+    });
+
+    test('should report variables unresolved inside defaults in strict mode', () => {
+      delete process.env.UNSET_VAR;
+      delete process.env.UNKNOWN_VAR;
+
+      expect(PathUtils.resolveEnvVars('${UNSET_VAR:-${UNKNOWN_VAR}}/config')).toBe('${UNKNOWN_VAR}/config');
+      expect(() => PathUtils.resolveEnvVars('${UNSET_VAR:-${UNKNOWN_VAR}}/config', {}, { strict: true }))
+        .toThrow('UNKNOWN_VAR');
+    });
+
+    test('should resolve built-in variables', () => {
+      delete process.env.CWD;
+      delete process.env.PROJECT_ROOT;
+      delete process.env.CONFIG_DIR;
+
+      expect(PathUtils.resolveEnvVars('${CWD}/app')).toBe(`${process.cwd()}/app`);
+      expect(PathUtils.resolveEnvVars('${PROJECT_ROOT}/app')).toBe(`${PathUtils.findProjectRoot()}/app`);
+      expect(PathUtils.resolveEnvVars('${CONFIG_DIR}/app')).toBe(`${PathUtils.getConfigDir('')}/app`);
+    });
+
+    test('should prefer built-in variables over conflicting env vars', () => {
+      process.env.CWD = '/env-cwd';
+      process.env.PROJECT_ROOT = '/env-project';
+      process.env.CONFIG_DIR = '/env-config';
+
+      expect(PathUtils.resolveEnvVars('${CWD}/app')).toBe(`${process.cwd()}/app`);
+      expect(PathUtils.resolveEnvVars('${PROJECT_ROOT}/app')).toBe(`${PathUtils.findProjectRoot()}/app`);
+      expect(PathUtils.resolveEnvVars('${CONFIG_DIR}/app')).toBe(`${PathUtils.getConfigDir('')}/app`);
+    });
+
+    test('should prefer additional vars over built-in variables', () => {
+      expect(PathUtils.resolveEnvVars('${CWD}/app', { CWD: '/extra' })).toBe('/extra/app');
+    });
+
+    test('should leave expressions that are not variable names in place', () => {
+      expect(PathUtils.resolveEnvVars('${env:API_KEY}', {}, { strict: true })).toBe('${env:API_KEY}');
+    });
+  });
+
+  describe('findProjectRoot', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'path-utils-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should find the nearest directory with a package.json', () => {
+      const nested = path.join(tempDir, 'src', 'lib');
+      fs.mkdirSync(nested, { recursive: true });
+      fs.writeFileSync(path.join(tempDir, 'package.json'), '{}');
+
+      expect(PathUtils.findProjectRoot(nested)).toBe(PathUtils.normalizePath(tempDir));
+    });
+
+    test('should fall back to the start directory', () => {
+      jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+
+      expect(PathUtils.findProjectRoot(tempDir)).toBe(PathUtils.normalizePath(tempDir));
+      jest.restoreAllMocks();
+    });
   });
 
   describe('getConfigDir', () => {
@@ -0,0 +1,74 @@
+const TemplateUtils = require('../../lib/utils/template-utils');
+
+describe('TemplateUtils', () => {
+  describe('render', () => {
+    test('should replace lone placeholders with values of any type', () => {
+      const template = { command: { path: '${command}', args: '${args}' }, settings: '${settings}' };
+
+      expect(TemplateUtils.render(template, {
+        command: 'node',
+        args: ['index.js'],
+        settings: { port: 3000 }
+      })).toEqual({
+        command: { path: 'node', args: ['index.js'] },
+        settings: { port: 3000 }
+      });
+    });
+
+    test('should omit properties and items whose placeholder has no value', () => {
+      const template = { env: '${env}', args: ['--verbose', '${cwd}'], fixed: true };
+
+      expect(TemplateUtils.render(template, { env: undefined, cwd: undefined })).toEqual({
+        args: ['--verbose'],
+        fixed: true
+      });
+    });
+
+    test('should interpolate placeholders inside longer strings', () => {
+      expect(TemplateUtils.render('mcp-${name} (${transport})', { name: 'docs', transport: 'stdio' }))
+        .toBe('mcp-docs (stdio)');
+    });
+
+    test('should leave unknown placeholders and client references alone', () => {
+      expect(TemplateUtils.render({ a: '${other}', b: 'Bearer ${API_TOKEN}' }, { name: 'docs' }))
+        .toEqual({ a: '${other}', b: 'Bearer ${API_TOKEN}' });
+    });
+  });
+
+  describe('extract', () => {
+    const template = { source: 'custom', command: { path: '${command}', args: '${args}' }, label: 'mcp-${name}' };
+
+    test('should read back the values render placed', () => {
+      const values = { command: 'node', args: ['index.js'], name: 'docs' };
+
+      expect(TemplateUtils.extract(template, TemplateUtils.render(template, values))).toEqual({ values, unmatched: [] });
+    });
+
+    test('should report properties and literals the template does not account for', () => {
+      expect(TemplateUtils.extract(template, {
+        source: 'extension',
+        command: { path: 'node', cwd: '/srv' },
+        label: 'server',
+        enabled: true
+      })).toEqual({
+        values: { command: 'node' },
+        unmatched: [
+          { path: 'source', value: 'extension' },
+          { path: 'command.cwd', value: '/srv' },
+          { path: 'label', value: 'server' },
+          { path: 'enabled', value: true }
+        ]
+      });
+    });
+  });
+
+  describe('getPlaceholders', () => {
+    test('should list lowercase placeholders in order of first use', () => {
+      expect(TemplateUtils.getPlaceholders({
+        path: '${command}',
+        args: ['--name', '${name}', '${command}'],
+        header: 'Bearer ${API_TOKEN}'
+      })).toEqual(['command', 'name']);
+    });
+  });
+});
@@ -39,7 +39,11 @@ module.exports = {
    * @param {any} value - Configuration value
    * @param {Object} options
    * @param {boolean} options.isGlobal - Use global configuration
-   * @returns {Promise<void>}
+   * @param {boolean} options.dryRun - Preview client changes without writing anything
+   * @param {boolean} options.skipDistribution - Store the value without writing client files
+   * @param {boolean} options.allOrNothing - Roll every client back if any client fails
+   * @returns {Promise<Array<Object>|void>} Distribution report ({ clientId, name, scope, path, action, reason?, error? }
+   *   per client file), or per-file previews in dry-run mode (skipped clients keep their report row)
    */
   configSet: async (key, value, options = {}) => {
     const configSetCommand = require('./lib/commands/config-set');
@@ -61,13 +65,192 @@ module.exports = {
    * @param {string} key - Configuration key to delete
    * @param {Object} options
    * @param {boolean} options.isGlobal - Use global configuration
-   * @returns {Promise<void>}
+   * @param {boolean} options.allOrNothing - Roll every client back if any client fails
+   * @returns {Promise<Array<Object>|boolean>} Distribution report (see configSet), or false if the key does not exist
    */
   configDelete: async (key, options = {}) => {
     const configDeleteCommand = require('./lib/commands/config-delete');
     return await configDeleteCommand(configManager, key, options);
   },
 
+  /**
+   * Apply several configuration changes and distribute them once
+   * configSet, configDelete and configLaunch calls made inside the callback update storage
+   * right away; client files are written once per changed scope after the callback finishes.
+   * @param {Function} callback - Async function making the changes
+   * @param {Object} options
+   * @param {boolean} options.skipDistribution - Store the changes without writing client files
+   * @param {boolean} options.allOrNothing - Roll every client back if any client fails
+   * @returns {Promise<Object>} Report ({ result, changes, scopes, clients })
+   */
+  configBatch: async (callback, options = {}) => {
+    const configBatchCommand = require('./lib/commands/config-batch');
+    return await configBatchCommand(configManager, callback, options);
+  },
+
+  /**
+   * Register how MCP clients launch this server
+   * @param {Object} [spec] - Launch spec ({ command, args, cwd, transport }, or { transport: 'http' | 'sse', url, headers }); omitted fields default from package.json
+   * @param {Object} options
+   * @param {boolean} options.isGlobal - Use global configuration
+   * @param {boolean} options.allOrNothing - Roll every client back if any client fails
+   * @returns {Promise<Object>} The stored launch spec
+   */
+  configLaunch: async (spec = {}, options = {}) => {
+    const configLaunchCommand = require('./lib/commands/config-launch');
+    return await configLaunchCommand(configManager, spec, options);
+  },
+
+  /**
+   * List the clients that configuration changes are distributed to
+   * @param {Object} options
+   * @param {boolean} options.isGlobal - Selection for global client paths
+   * @returns {Promise<Array<string>|null>} Selected client IDs, or null if none has been saved (every installed client is used)
+   */
+  listSelectedClients: async (options = {}) => {
+    const configClientsCommand = require('./lib/commands/config-clients');
+    return await configClientsCommand(configManager, 'list', undefined, options);
+  },
+
+  /**
+   * Add clients to the distribution selection
+   * @param {Array<string>} clientIds - Client IDs to add
+   * @param {Object} options
+   * @param {boolean} options.isGlobal - Selection for global client paths
+   * @returns {Promise<Array<string>>} The saved selection
+   */
+  addSelectedClients: async (clientIds, options = {}) => {
+    const configClientsCommand = require('./lib/commands/config-clients');
+    return await configClientsCommand(configManager, 'add', clientIds, options);
+  },
+
+  /**
+   * Remove clients from the distribution selection
+   * @param {Array<string>} clientIds - Client IDs to remove
+   * @param {Object} options
+   * @param {boolean} options.isGlobal - Selection for global client paths
+   * @returns {Promise<Array<string>>} The saved selection
+   */
+  removeSelectedClients: async (clientIds, options = {}) => {
+    const configClientsCommand = require('./lib/commands/config-clients');
+    return await configClientsCommand(configManager, 'remove', clientIds, options);
+  },
+
+  /**
+   * Describe the paths each MCP client uses on this platform
+   * @param {Object} options
+   * @param {string} options.scope - 'local' (default) or 'global' client paths
+   * @returns {Promise<Array<Object>>} Per-client descriptions ({ id, name, scope, configPath, configPaths,
+   *   envPath, unresolved, installed, evidence, hasEntry })
+   */
+  describeClients: async (options = {}) => {
+    const configMappingsCommand = require('./lib/commands/config-mappings');
+    return await configMappingsCommand(configManager, 'describe', undefined, undefined, options);
+  },
+
+  /**
+   * Update part of a client's mapping
+   * @param {string} clientId - Client identifier
+   * @param {Object} changes - Fields to change; null removes a field
+   * @returns {Promise<Object>} The updated client mapping
+   */
+  updateClient: async (clientId, changes) => {
+    const configMappingsCommand = require('./lib/commands/config-mappings');
+    return await configMappingsCommand(configManager, 'update', clientId, changes);
+  },
+
+  /**
+   * Remove a client's mapping
+   * @param {string} clientId - Client identifier
+   * @returns {Promise<void>}
+   */
+  removeClient: async (clientId) => {
+    const configMappingsCommand = require('./lib/commands/config-mappings');
+    return await configMappingsCommand(configManager, 'remove', clientId);
+  },
+
+  /**
+   * List the clients whose mapping differs from the packaged defaults in the user's mappings
+   * @returns {Promise<Array<Object>>} One entry per changed client ({ clientId, status, fields }), where
+   *   status is 'overridden', 'added' or 'removed'
+   */
+  getOverrides: async () => {
+    const configMappingsCommand = require('./lib/commands/config-mappings');
+    return await configMappingsCommand(configManager, 'overrides');
+  },
+
+  /**
+   * Reset a client to its packaged default mapping
+   * @param {string} clientId - Client identifier
+   * @returns {Promise<Object>} The client's default mapping
+   */
+  resetClient: async (clientId) => {
+    const configMappingsCommand = require('./lib/commands/config-mappings');
+    return await configMappingsCommand(configManager, 'reset', clientId);
+  },
+
+  /**
+   * Remove this server's entries, and the env files holding its secrets, from MCP client configuration files
+   * @param {Array<string>} [clientIds] - Client IDs to remove from (defaults to all configured clients)
+   * @param {Object} options
+   * @param {boolean} options.isGlobal - Use global client paths
+   * @returns {Promise<Array<Object>>} Per-client results ({ clientId, path, changed })
+   */
+  configUninstall: async (clientIds, options = {}) => {
+    const configUninstallCommand = require('./lib/commands/config-uninstall');
+    return await configUninstallCommand(configManager, clientIds, options);
+  },
+
+  /**
+   * Import this server's existing entry from an MCP client configuration file
+   * @param {string} clientId - Client to import from (e.g., 'claude-desktop')
+   * @param {Object} options
+   * @param {string} options.scope - 'local' (default) or 'global' client path and storage
+   * @returns {Promise<Object>} Import report ({ clientId, scope, path, launch, settings, environment, unrecovered })
+   */
+  importFromClient: async (clientId, options = {}) => {
+    const configImportCommand = require('./lib/commands/config-import');
+    return await configImportCommand(configManager, clientId, options);
+  },
+
+  /**
+   * Check whether MCP clients still have the server entry that distribution wrote
+   * @param {Object} options
+   * @param {boolean} options.isGlobal - Check global client paths
+   * @param {Array<string>} options.clientIds - Clients to check (defaults to all installed clients)
+   * @param {boolean} options.repair - Re-apply the configuration to drifted clients
+   * @returns {Promise<Array<Object>>} Per-client results with status 'in-sync', 'drifted', 'missing', 'unreadable' or 'skipped'
+   */
+  checkDistribution: async (options = {}) => {
+    const configCheckCommand = require('./lib/commands/config-check');
+    return await configCheckCommand(configManager, options);
+  },
+
+  /**
+   * Restore a client's configuration files from a backup taken before distribution
+   * @param {string} clientId - Client identifier
+   * @param {string} [timestamp] - Backup timestamp (defaults to the most recent backup)
+   * @param {Object} options
+   * @param {boolean} options.isGlobal - Restore the client's global files instead of this project's
+   * @returns {Promise<Object>} Restore result ({ clientId, timestamp, files })
+   */
+  restoreClientBackup: async (clientId, timestamp, options = {}) => {
+    const configRestoreCommand = require('./lib/commands/config-restore');
+    return await configRestoreCommand(configManager, clientId, timestamp, options);
+  },
+
+  /**
+   * List the backups available for a client
+   * @param {string} clientId - Client identifier
+   * @param {Object} options
+   * @param {boolean} options.isGlobal - List backups of the client's global files instead of this project's
+   * @returns {Promise<Array<string>>} Backup timestamps, oldest first
+   */
+  listClientBackups: async (clientId, options = {}) => {
+    const configBackupsCommand = require('./lib/commands/config-backups');
+    return await configBackupsCommand(configManager, clientId, options);
+  },
+
   /**
    * Load environment variables from .env files
    * @returns {Promise<void>}
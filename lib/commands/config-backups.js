@@ -0,0 +1,21 @@
+/**
+ * List Backups Command
+ * Lists the distribution backups kept for a client
+ */
+
+/**
+ * List a client's backups
+ * @param {ConfigurationManager} configManager - Configuration manager instance
+ * @param {string} clientId - Client identifier
+ * @param {Object} [options={}] - Command options ({ isGlobal })
+ * @returns {Promise<Array<string>>} Backup timestamps, oldest first
+ */
+async function configBackupsCommand(configManager, clientId, options = {}) {
+  if (!clientId || typeof clientId !== 'string') {
+    throw new Error('Client ID is required');
+  }
+
+  return await configManager.listClientBackups(clientId, options);
+}
+
+module.exports = configBackupsCommand;
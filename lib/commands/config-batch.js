@@ -0,0 +1,21 @@
+/**
+ * Batch Configuration Command
+ * Applies several configuration changes and distributes them to clients once
+ */
+
+/**
+ * Run configuration changes as one batch
+ * @param {ConfigurationManager} configManager - Configuration manager instance
+ * @param {Function} callback - Async function making the changes (e.g., through configSet and configDelete)
+ * @param {Object} options - Command options
+ * @returns {Promise<Object>} Batch report ({ result, changes, scopes, clients })
+ */
+async function configBatchCommand(configManager, callback, options = {}) {
+  if (typeof callback !== 'function') {
+    throw new Error('Batch callback must be a function');
+  }
+
+  return await configManager.batch(callback, options);
+}
+
+module.exports = configBatchCommand;
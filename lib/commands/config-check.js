@@ -0,0 +1,22 @@
+/**
+ * Check Distribution Command
+ * Reports client entries that no longer match the stored configuration
+ */
+
+/**
+ * Check (and optionally repair) the server entries in MCP client files
+ * @param {ConfigurationManager} configManager - Configuration manager instance
+ * @param {Object} options - Command options
+ * @returns {Promise<Array<Object>>} Per-client results ({ clientId, path, status, diff?, error?, repaired? })
+ */
+async function configCheckCommand(configManager, options = {}) {
+  if (options.clientIds !== undefined && !Array.isArray(options.clientIds)) {
+    throw new Error('Client IDs must be an array');
+  }
+
+  // Note: Results are returned rather than logged to prevent breaking MCP protocol
+  // The MCP protocol requires JSON-only communication on stdout
+  return await configManager.checkDistribution(options);
+}
+
+module.exports = configCheckCommand;
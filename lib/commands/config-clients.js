@@ -0,0 +1,34 @@
+/**
+ * Client Selection Command
+ * Lists and changes the MCP clients that configuration is distributed to
+ */
+
+const ACTIONS = ['list', 'add', 'remove'];
+
+/**
+ * List, add or remove selected clients
+ * @param {ConfigurationManager} configManager - Configuration manager instance
+ * @param {string} action - 'list', 'add' or 'remove'
+ * @param {Array<string>} [clientIds] - Client IDs to add or remove
+ * @param {Object} options - Command options
+ * @returns {Promise<Array<string>|null>} The selection after the action (null if none has been saved)
+ */
+async function configClientsCommand(configManager, action, clientIds, options = {}) {
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown action: ${action}. Expected one of: ${ACTIONS.join(', ')}`);
+  }
+
+  if (action === 'list') {
+    return await configManager.getSelectedClients(options);
+  }
+
+  if (!Array.isArray(clientIds)) {
+    throw new Error('Client IDs must be an array');
+  }
+
+  return action === 'add'
+    ? await configManager.addSelectedClients(clientIds, options)
+    : await configManager.removeSelectedClients(clientIds, options);
+}
+
+module.exports = configClientsCommand;
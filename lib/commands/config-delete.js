@@ -8,7 +8,8 @@
  * @param {ConfigurationManager} configManager - Configuration manager instance
  * @param {string} key - Configuration key
  * @param {Object} options - Command options
- * @returns {Promise<void>}
+ * @returns {Promise<Array<Object>|boolean>} Distribution report with one row per client; false if the key
+ *   does not exist, true inside a batch (distribution happens when the batch ends)
  */
 async function configDeleteCommand(configManager, key, options = {}) {
   if (!key) {
@@ -25,12 +26,12 @@ async function configDeleteCommand(configManager, key, options = {}) {
   }
 
   // Delete the configuration
-  await configManager.deleteConfig(key, options);
+  const report = await configManager.deleteConfig(key, options);
   
   // Note: Removed console.log statements to prevent breaking MCP protocol
   // The MCP protocol requires JSON-only communication on stdout
   
-  return true;
+  return report || true;
 }
 
 module.exports = configDeleteCommand;
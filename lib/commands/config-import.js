@@ -0,0 +1,23 @@
+/**
+ * Import Configuration Command
+ * Imports an existing server entry from an MCP client configuration file
+ */
+
+/**
+ * Import the server's configuration from a client
+ * @param {ConfigurationManager} configManager - Configuration manager instance
+ * @param {string} clientId - Client to import from
+ * @param {Object} options - Command options
+ * @returns {Promise<Object>} Import report ({ clientId, scope, path, launch, settings, environment, unrecovered })
+ */
+async function configImportCommand(configManager, clientId, options = {}) {
+  if (!clientId || typeof clientId !== 'string') {
+    throw new Error('Client ID is required');
+  }
+
+  // Note: The report is returned rather than logged to prevent breaking MCP protocol
+  // The MCP protocol requires JSON-only communication on stdout
+  return await configManager.importFromClient(clientId, options);
+}
+
+module.exports = configImportCommand;
@@ -0,0 +1,23 @@
+/**
+ * Launch Configuration Command
+ * Registers how MCP clients launch the server
+ */
+
+/**
+ * Set the server launch spec
+ * @param {ConfigurationManager} configManager - Configuration manager instance
+ * @param {Object} [spec] - Launch spec ({ command, args, cwd, transport }); omitted fields default from package.json
+ * @param {Object} options - Command options
+ * @returns {Promise<Object>} The stored launch spec
+ */
+async function configLaunchCommand(configManager, spec = {}, options = {}) {
+  if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('Launch spec must be an object');
+  }
+
+  // Note: The stored spec is returned rather than logged to prevent breaking MCP protocol
+  // The MCP protocol requires JSON-only communication on stdout
+  return await configManager.setLaunchSpec(spec, options);
+}
+
+module.exports = configLaunchCommand;
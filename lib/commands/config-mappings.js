@@ -0,0 +1,45 @@
+/**
+ * Client Mappings Command
+ * Describes, updates, removes and resets the MCP client mappings
+ */
+
+const ACTIONS = ['describe', 'overrides', 'update', 'remove', 'reset'];
+
+/**
+ * Describe, update, remove or reset client mappings
+ * @param {ConfigurationManager} configManager - Configuration manager instance
+ * @param {string} action - 'describe', 'overrides', 'update', 'remove' or 'reset'
+ * @param {string} [clientId] - Client to update, remove or reset
+ * @param {Object} [changes] - Fields to change when updating
+ * @param {Object} options - Command options
+ * @returns {Promise<Array<Object>|Object|void>} Client descriptions, the user's overrides, the updated or
+ *   reset mapping, or nothing after a removal
+ */
+async function configMappingsCommand(configManager, action, clientId, changes, options = {}) {
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown action: ${action}. Expected one of: ${ACTIONS.join(', ')}`);
+  }
+
+  if (action === 'describe') {
+    return await configManager.describeClients(options);
+  }
+
+  if (action === 'overrides') {
+    return await configManager.getOverrides();
+  }
+
+  if (!clientId || typeof clientId !== 'string') {
+    throw new Error('Client ID is required');
+  }
+
+  switch (action) {
+    case 'update':
+      return await configManager.updateClient(clientId, changes);
+    case 'reset':
+      return await configManager.resetClient(clientId);
+    default:
+      return await configManager.removeClient(clientId);
+  }
+}
+
+module.exports = configMappingsCommand;
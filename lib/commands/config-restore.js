@@ -0,0 +1,24 @@
+/**
+ * Restore Configuration Command
+ * Restores a client's configuration files from a distribution backup
+ */
+
+/**
+ * Restore a client backup
+ * @param {ConfigurationManager} configManager - Configuration manager instance
+ * @param {string} clientId - Client identifier
+ * @param {string} [timestamp] - Backup timestamp (defaults to the most recent backup)
+ * @param {Object} [options={}] - Command options ({ isGlobal })
+ * @returns {Promise<Object>} Restore result ({ clientId, timestamp, files })
+ */
+async function configRestoreCommand(configManager, clientId, timestamp, options = {}) {
+  if (!clientId || typeof clientId !== 'string') {
+    throw new Error('Client ID is required');
+  }
+
+  // Note: The result is returned rather than logged to prevent breaking MCP protocol
+  // The MCP protocol requires JSON-only communication on stdout
+  return await configManager.restoreClientBackup(clientId, timestamp, options);
+}
+
+module.exports = configRestoreCommand;
@@ -9,7 +9,9 @@
  * @param {string} key - Configuration key
  * @param {any} value - Configuration value
  * @param {Object} options - Command options
- * @returns {Promise<void>}
+ * @param {boolean} [options.dryRun] - Preview client changes without writing anything
+ * @returns {Promise<Array<Object>|void>} Distribution report with one row per client, per-client
+ *   previews (and skipped rows) in dry-run mode, or nothing inside a batch
  */
 async function configSetCommand(configManager, key, value, options = {}) {
   if (!key) {
@@ -21,10 +23,7 @@ async function configSetCommand(configManager, key, value, options = {}) {
   }
 
   // Set the configuration
-  await configManager.setConfig(key, value, options);
-  
-  // Note: Removed console.log statements to prevent breaking MCP protocol
-  // The MCP protocol requires JSON-only communication on stdout
+  return await configManager.setConfig(key, value, options);
 }
 
 module.exports = configSetCommand;
@@ -0,0 +1,23 @@
+/**
+ * Uninstall Configuration Command
+ * Removes the server's entries from MCP client configuration files
+ */
+
+/**
+ * Remove the server from MCP clients
+ * @param {ConfigurationManager} configManager - Configuration manager instance
+ * @param {Array<string>} [clientIds] - Client IDs to remove from (defaults to all configured clients)
+ * @param {Object} options - Command options
+ * @returns {Promise<Array<Object>>} Per-client results ({ clientId, path, changed })
+ */
+async function configUninstallCommand(configManager, clientIds, options = {}) {
+  if (clientIds !== undefined && clientIds !== null && !Array.isArray(clientIds)) {
+    throw new Error('Client IDs must be an array');
+  }
+
+  // Note: Results are returned rather than logged to prevent breaking MCP protocol
+  // The MCP protocol requires JSON-only communication on stdout
+  return await configManager.undistribute(clientIds || undefined, options);
+}
+
+module.exports = configUninstallCommand;
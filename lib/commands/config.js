@@ -4,6 +4,7 @@
  */
 
 const readline = require('readline');
+const { DISTRIBUTION_ACTIONS } = require('../constants');
 
 /**
  * Interactive configuration command
@@ -66,70 +67,84 @@ async function configCommand(configManager, options = {}) {
       }
     ];
 
-    // Process each configuration
-    for (const config of configs) {
-      // Get current value
-      const current = await configManager.getConfig(config.key);
-      const currentValue = current?.value || '';
-      
-      // Build prompt message
-      let promptMsg = `${config.prompt}`;
-      if (currentValue && config.type !== 'password') {
-        promptMsg += ` [${currentValue}]`;
-      } else if (currentValue && config.type === 'password') {
-        promptMsg += ' [****]';
-      } else if (config.default) {
-        promptMsg += ` [${config.default}]`;
-      }
-      promptMsg += ': ';
-
-      // Get user input
-      const input = await prompt(promptMsg);
-      
-      // Process input
-      let value = input.trim();
-      if (!value && currentValue) {
-        // Keep current value
-        continue;
-      } else if (!value && config.default) {
-        value = config.default;
-      }
+    // Clients are chosen below, so answers are only stored here; client files are written once
+    // the user has seen the planned changes and confirmed them
+    const selectClients = !options.global;
+    await configManager.batch(async () => {
+      // Process each configuration
+      for (const config of configs) {
+        // Get current value
+        const current = await configManager.getConfig(config.key);
+        const currentValue = current?.value || '';
+        
+        // Build prompt message
+        let promptMsg = `${config.prompt}`;
+        if (currentValue && config.type !== 'password') {
+          promptMsg += ` [${currentValue}]`;
+        } else if (currentValue && config.type === 'password') {
+          promptMsg += ' [****]';
+        } else if (config.default) {
+          promptMsg += ` [${config.default}]`;
+        }
+        promptMsg += ': ';
 
-      if (value) {
-        // Validate based on type
-        if (config.type === 'number' && isNaN(value)) {
-          console.log(`Invalid number: ${value}`);
+        // Get user input
+        const input = await prompt(promptMsg);
+        
+        // Process input
+        let value = input.trim();
+        if (!value && currentValue) {
+          // Keep current value
           continue;
+        } else if (!value && config.default) {
+          value = config.default;
         }
 
-        // Set configuration
-        await configManager.setConfig(config.key, value, options);
+        if (value) {
+          // Validate based on type
+          if (config.type === 'number' && isNaN(value)) {
+            console.log(`Invalid number: ${value}`);
+            continue;
+          }
+
+          // Set configuration
+          await configManager.setConfig(config.key, value, options);
+        }
       }
-    }
 
-    // Ask about custom configurations
-    console.log('\nWould you like to add custom configuration values?');
-    const addCustom = await prompt('Add custom values? (y/N): ');
-    
-    if (addCustom.toLowerCase() === 'y') {
-      while (true) {
-        const key = await prompt('Configuration key (or press Enter to finish): ');
-        if (!key.trim()) break;
-        
-        const value = await prompt('Value: ');
-        if (value.trim()) {
-          await configManager.setConfig(key.trim(), value.trim(), options);
+      // Ask about custom configurations
+      console.log('\nWould you like to add custom configuration values?');
+      const addCustom = await prompt('Add custom values? (y/N): ');
+      
+      if (addCustom.toLowerCase() === 'y') {
+        while (true) {
+          const key = await prompt('Configuration key (or press Enter to finish): ');
+          if (!key.trim()) break;
+          
+          const value = await prompt('Value: ');
+          if (value.trim()) {
+            await configManager.setConfig(key.trim(), value.trim(), options);
+          }
         }
       }
-    }
+    }, { ...options, skipDistribution: selectClients });
 
     // Client selection (local only)
-    if (!options.global) {
+    if (selectClients) {
       console.log('\nSelect clients to configure:');
       const clients = await configManager.getAvailableClients();
       
       for (let i = 0; i < clients.length; i++) {
-        console.log(`${i + 1}. ${clients[i].name}${clients[i].autoLoadEnv ? '' : ' (requires manual env loading)'}`);
+        const notes = [];
+        if (!clients[i].installed) notes.push('not detected');
+        if (!clients[i].autoLoadEnv) notes.push('requires manual env loading');
+        console.log(`${i + 1}. ${clients[i].name}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`);
+      }
+      
+      const saved = await configManager.getSelectedClients(options);
+      if (saved) {
+        const names = clients.filter(c => saved.includes(c.id)).map(c => c.name);
+        console.log(`Currently selected: ${names.length > 0 ? names.join(', ') : 'none'}`);
       }
       
       const clientSelection = await prompt('Enter client numbers separated by commas (e.g., 1,3) or "all": ');
@@ -145,8 +160,24 @@ async function configCommand(configManager, options = {}) {
       }
 
       if (selectedClients.length > 0) {
-        console.log('\nDistributing configuration to selected clients...');
-        await configManager.distributeToClients(selectedClients);
+        // Show what will change before touching any client files
+        const previews = await configManager.distributeToClients(selectedClients, { ...options, dryRun: true });
+        console.log('\nPlanned changes:');
+        printPreviews(previews);
+        
+        const confirm = await prompt('Apply these changes? (y/N): ');
+        if (confirm.trim().toLowerCase() === 'y') {
+          console.log('\nDistributing configuration to selected clients...');
+          const report = await configManager.distributeToClients(selectedClients, options);
+          printReport(report);
+          
+          // Later configuration changes go to the same clients
+          await configManager.setSelectedClients(selectedClients, options);
+        } else {
+          console.log('Distribution skipped. Client files were not changed.');
+        }
+      } else {
+        console.log('No clients selected. Client files were not changed.');
       }
     }
 
@@ -157,4 +188,56 @@ async function configCommand(configManager, options = {}) {
   }
 }
 
+/**
+ * Print the outcome of a distribution
+ * @param {Array<Object>} report - Distribution report rows
+ */
+function printReport(report = []) {
+  for (const row of report) {
+    const detail = row.error || row.reason;
+    console.log(`  ${row.name}: ${row.action}${detail ? ` (${detail})` : ''}`);
+  }
+}
+
+/**
+ * Print distribution previews
+ * @param {Array<Object>} previews - Per-client previews from a dry run
+ */
+function printPreviews(previews = []) {
+  for (const preview of previews) {
+    if (preview.action === DISTRIBUTION_ACTIONS.SKIPPED) {
+      console.log(`\n${preview.name}: skipped (${preview.reason})`);
+      continue;
+    }
+    
+    const status = preview.created ? ' (new file)' : '';
+    console.log(`\n${preview.name} -> ${preview.path}${status}`);
+    
+    if (!preview.changed) {
+      console.log('  No changes');
+      continue;
+    }
+    
+    for (const field of preview.diff.added) {
+      console.log(`  + ${field.path}: ${formatPreviewValue(field.path, field.value)}`);
+    }
+    for (const field of preview.diff.changed) {
+      console.log(`  ~ ${field.path}: ${formatPreviewValue(field.path, field.from)} -> ${formatPreviewValue(field.path, field.to)}`);
+    }
+    for (const field of preview.diff.removed) {
+      console.log(`  - ${field.path}`);
+    }
+  }
+}
+
+/**
+ * Format a preview value, masking environment values since they may be secrets
+ * @param {string} fieldPath - Dot-notation field path
+ * @param {any} value - Field value
+ * @returns {string} Printable value
+ */
+function formatPreviewValue(fieldPath, value) {
+  return fieldPath.split('.')[0] === 'env' ? '****' : JSON.stringify(value);
+}
+
 module.exports = configCommand;
\ No newline at end of file
@@ -19,6 +19,8 @@ const SecurityDetector = require('../security/detector');
 const Distributor = require('../distribution/distributor');
 const ConfigResolver = require('./resolver');
 const ClientRegistry = require('../distribution/client-registry');
+const { SCOPES } = require('../constants');
+const { ClientError, ConfigurationError, ValidationError } = require('../errors');
 
 class ConfigurationManager {
   constructor(options = {}) {
@@ -33,6 +35,9 @@ class ConfigurationManager {
     this.security = new SecurityDetector(this.clientRegistry);
     this.distributor = new Distributor(this.clientRegistry);
     this.resolver = new ConfigResolver(this.storage, this.clientRegistry);
+    
+    // Changes recorded while a batch is running (see batch)
+    this.pendingChanges = null;
   }
 
   /**
@@ -60,21 +65,40 @@ class ConfigurationManager {
    * @param {any} value - Configuration value to set
    * @param {Object} options - Configuration options
    * @param {boolean} options.isGlobal - If true, stores in global config; if false, stores in local config
-   * @returns {Promise<void>}
+   * @param {boolean} [options.dryRun=false] - Preview the client changes without writing storage or client files
+   * @param {boolean} [options.skipDistribution=false] - Update storage only; client files are not written
+   * @param {boolean} [options.allOrNothing=false] - Roll every client back if any client fails
+   * @returns {Promise<Array<Object>|void>} Distribution report with one row per client file (see Distributor#distribute),
+   *   per-client previews when dryRun is set (skipped clients appear as their report rows), or nothing
+   *   inside a batch or with skipDistribution
    * @throws {StorageError} If storage operation fails
    * @throws {FileSystemError} If file system operation fails
+   * @throws {DistributionError} If a client fails in all-or-nothing mode
    * 
    * @example
-   * // Set a local configuration value
+   * // Set a local configuration value (distributed to project client files)
    * await manager.setConfig('database.host', 'localhost');
    * 
-   * // Set a global configuration value
+   * // Set a global configuration value (distributed to user-wide client files)
    * await manager.setConfig('api.key', 'secret-key', { isGlobal: true });
+   * 
+   * // Preview which client files would change
+   * const previews = await manager.setConfig('server.port', 8080, { dryRun: true });
    */
   async setConfig(key, value, options = {}) {
     // Detect if sensitive
     const isSensitive = await this.security.isSensitive(key);
     
+    if (options.dryRun) {
+      const scope = this.getScope(options);
+      const config = await this.distributor.gatherConfiguration(scope);
+      return await this.distributor.distribute({
+        scope,
+        dryRun: true,
+        config: this.applyPendingChange(config, key, value, isSensitive)
+      });
+    }
+    
     // Route to appropriate storage
     if (isSensitive) {
       await this.storage.env.set(key, value, options.isGlobal);
@@ -86,10 +110,61 @@ class ConfigurationManager {
       await this.storage.json.set(key, value, options.isGlobal);
     }
     
-    // Distribute to clients if local
-    if (!options.isGlobal) {
-      await this.distributor.distribute();
-    }
+    // Distribute to the clients' paths for the same scope
+    return await this.distributeChange({ operation: 'set', key, scope: this.getScope(options) }, options);
+  }
+
+  /**
+   * Register how MCP clients should launch this server
+   * The launch spec is stored separately from user settings and used by every client
+   * formatter to build the server entry. Fields that are omitted default from package.json
+   * (`npx <name>` for published packages with a `bin`, otherwise node with the absolute
+   * path of `bin` or `main`).
+   * @param {Object} [spec={}] - Launch spec
+   * @param {string} [spec.command] - Executable to run
+   * @param {Array<string>} [spec.args] - Command arguments
+   * @param {string} [spec.cwd] - Working directory for the server process
+   * @param {string} [spec.transport='stdio'] - Transport the server speaks ('stdio', 'http' or 'sse')
+   * @param {string} [spec.url] - Server URL (remote transports)
+   * @param {Object<string, string>} [spec.headers] - Header templates; `${VAR}` references values in the env store
+   * @param {Object} [options={}] - Configuration options
+   * @param {boolean} [options.isGlobal] - If true, stores the global launch spec; otherwise the local one
+   * @param {boolean} [options.skipDistribution=false] - Update storage only; client files are not written
+   * @param {boolean} [options.allOrNothing=false] - Roll every client back if any client fails
+   * @returns {Promise<Object>} The stored launch spec
+   * @throws {ValidationError} If no command (or url, for remote transports) is given and none can be derived from package.json
+   * @throws {DistributionError} If a client fails in all-or-nothing mode
+   * 
+   * @example
+   * // Derive from package.json
+   * await manager.setLaunchSpec();
+   * 
+   * // Explicit command
+   * await manager.setLaunchSpec({ command: 'node', args: ['dist/server.js'], cwd: '/opt/my-server' });
+   * 
+   * // Remote server
+   * await manager.setLaunchSpec({
+   *   transport: 'http',
+   *   url: 'https://mcp.example.com/mcp',
+   *   headers: { Authorization: 'Bearer ${API_TOKEN}' }
+   * });
+   */
+  async setLaunchSpec(spec = {}, options = {}) {
+    const base = spec.command || spec.url ? {} : (await this.storage.launch.getDefault() || {});
+    const stored = await this.storage.launch.set({ ...base, ...spec }, options.isGlobal);
+    
+    await this.distributeChange({ operation: 'launch', scope: this.getScope(options) }, options);
+    return stored;
+  }
+
+  /**
+   * Get the launch spec used when building client entries
+   * @param {Object} [options={}] - Configuration options
+   * @param {boolean} [options.isGlobal] - If true, reads the global launch spec; otherwise the local one
+   * @returns {Promise<Object|null>} Registered launch spec, else the package.json default, else null
+   */
+  async getLaunchSpec(options = {}) {
+    return await this.storage.launch.get(options.isGlobal) || await this.storage.launch.getDefault();
   }
 
   /**
@@ -129,8 +204,12 @@ class ConfigurationManager {
    * @param {string} key - Configuration key to delete
    * @param {Object} options - Configuration options
    * @param {boolean} options.isGlobal - If true, deletes from global config; if false, deletes from local config
-   * @returns {Promise<void>}
+   * @param {boolean} [options.skipDistribution=false] - Update storage only; client files are not written
+   * @param {boolean} [options.allOrNothing=false] - Roll every client back if any client fails
+   * @returns {Promise<Array<Object>|void>} Distribution report with one row per client file, or nothing inside a batch
+   *   or with skipDistribution
    * @throws {StorageError} If storage operation fails
+   * @throws {DistributionError} If a client fails in all-or-nothing mode
    * 
    * @example
    * // Delete a local configuration value
@@ -152,9 +231,64 @@ class ConfigurationManager {
       await this.storage.json.delete(key, options.isGlobal);
     }
     
-    if (!options.isGlobal) {
-      await this.distributor.distribute();
+    return await this.distributeChange({ operation: 'delete', key, scope: this.getScope(options) }, options);
+  }
+
+  /**
+   * Apply several configuration changes and distribute them once
+   * setConfig, deleteConfig and setLaunchSpec calls made while the callback runs update
+   * storage immediately, but client files are only written after the callback finishes:
+   * once per scope that changed. Changes stored before a failing callback are still
+   * distributed, so client files match storage, and the callback's error is rethrown.
+   * With skipDistribution, no client files are written; the caller distributes later (e.g. after
+   * previewing the changes with distributeToClients and dryRun).
+   * @param {Function} callback - Async function making the changes
+   * @param {Object} [options={}] - Batch options
+   * @param {boolean} [options.skipDistribution=false] - Update storage only; client files are not written
+   * @param {boolean} [options.allOrNothing=false] - Roll every client back if any client fails
+   * @returns {Promise<Object>} Report ({ result, changes, scopes, clients }): the callback's return value,
+   *   the recorded changes ({ operation, key?, scope }), the scopes that were distributed (none with
+   *   skipDistribution) and the distribution report rows of every scope
+   * @throws {ConfigurationError} If a batch is already running
+   * @throws {DistributionError} If a client fails in all-or-nothing mode
+   * 
+   * @example
+   * const report = await manager.batch(async () => {
+   *   await manager.setConfig('database.host', 'localhost');
+   *   await manager.setConfig('database.port', 5432);
+   *   await manager.deleteConfig('database.socket');
+   * });
+   * // { result: undefined, changes: [...3 changes], scopes: ['local'], clients: [...rows] }
+   */
+  async batch(callback, options = {}) {
+    if (this.pendingChanges) {
+      throw new ConfigurationError('A configuration batch is already running');
+    }
+    
+    const changes = [];
+    let result;
+    let failure;
+    this.pendingChanges = changes;
+    try {
+      result = await callback();
+    } catch (error) {
+      failure = error;
+    } finally {
+      this.pendingChanges = null;
     }
+    
+    const scopes = options.skipDistribution ? [] : [...new Set(changes.map(change => change.scope))];
+    const clients = [];
+    for (const scope of scopes) {
+      clients.push(...await this.distributor.distribute(
+        this.getDistributionOptions({ ...options, isGlobal: scope === SCOPES.GLOBAL })
+      ));
+    }
+    
+    if (failure) {
+      throw failure;
+    }
+    return { result, changes, scopes, clients };
   }
 
   /**
@@ -173,23 +307,542 @@ class ConfigurationManager {
    * @returns {string} clients[].id - Client identifier
    * @returns {string} clients[].name - Client display name
    * @returns {boolean} clients[].autoLoadEnv - Whether client auto-loads env vars
+   * @returns {boolean} clients[].installed - Whether the client was detected on this machine
+   * @returns {Array<Object>} clients[].evidence - Paths that matched a detection rule
+   * @returns {Object} clients[].sources - Mapping layer ('default', 'user' or 'project') of each field
    */
   async getAvailableClients() {
     return await this.distributor.getAvailableClients();
   }
 
+  /**
+   * Describe the paths each client uses on this platform and whether they have this server's entry
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - Paths to describe ('local' or 'global')
+   * @returns {Promise<Array<Object>>} Per-client descriptions ({ id, name, scope, configPath, configPaths,
+   *   envPath, unresolved, installed, evidence, hasEntry, error? }; see ClientRegistry#describeClients)
+   * @throws {ValidationError} If the scope is invalid
+   *
+   * @example
+   * const clients = await manager.describeClients({ scope: 'global' });
+   * const unusable = clients.filter(client => client.unresolved.length > 0);
+   */
+  async describeClients(options = {}) {
+    return await this.distributor.describeClients({
+      scope: options.scope,
+      serverName: this.serverName
+    });
+  }
+
+  /**
+   * Update part of a client's mapping (see ClientRegistry#updateClient)
+   * @param {string} clientId - Client identifier
+   * @param {Object} changes - Fields to change; null removes a field
+   * @returns {Promise<Object>} The updated client mapping
+   * @throws {ClientError} If the client is unknown
+   * @throws {ValidationError} If the updated mapping is invalid
+   *
+   * @example
+   * await manager.updateClient('vscode', { global: { 'config-path': { linux: '/opt/code/User/mcp.json' } } });
+   */
+  async updateClient(clientId, changes) {
+    const clientConfig = await this.clientRegistry.updateClient(clientId, changes);
+    this.distributor.resetClients();
+    return clientConfig;
+  }
+
+  /**
+   * Remove a client's mapping, so nothing is distributed to it
+   * Entries already written to the client's files are kept (see undistribute).
+   * @param {string} clientId - Client identifier
+   * @returns {Promise<void>}
+   * @throws {ClientError} If the client is unknown
+   */
+  async removeClient(clientId) {
+    await this.clientRegistry.removeClient(clientId);
+    this.distributor.resetClients();
+  }
+
+  /**
+   * List the clients whose mapping the user changed from the packaged defaults (see ClientRegistry#getOverrides)
+   * @returns {Promise<Array<Object>>} One entry per changed client ({ clientId, status, fields }), where status
+   *   is 'overridden', 'added' or 'removed'
+   *
+   * @example
+   * const overrides = await manager.getOverrides();
+   * const overridden = overrides.filter(override => override.status === 'overridden');
+   */
+  async getOverrides() {
+    return await this.clientRegistry.getOverrides();
+  }
+
+  /**
+   * Reset a client to its packaged default mapping (see ClientRegistry#resetClient)
+   * @param {string} clientId - Client identifier
+   * @returns {Promise<Object>} The client's default mapping
+   * @throws {ClientError} If the client has no default mapping
+   */
+  async resetClient(clientId) {
+    const clientConfig = await this.clientRegistry.resetClient(clientId);
+    this.distributor.resetClients();
+    return clientConfig;
+  }
+
+  /**
+   * Get the clients that configuration changes are distributed to
+   * @param {Object} [options={}] - Selection options
+   * @param {boolean} [options.isGlobal] - If true, the selection for global client paths; otherwise for local paths
+   * @returns {Promise<Array<string>|null>} Selected client IDs, or null if none has been saved
+   *   (changes then go to every installed client)
+   */
+  async getSelectedClients(options = {}) {
+    return await this.storage.selection.get(options.isGlobal);
+  }
+
+  /**
+   * Replace the clients that configuration changes are distributed to
+   * @param {Array<string>} clientIds - Client IDs to select
+   * @param {Object} [options={}] - Selection options
+   * @param {boolean} [options.isGlobal] - If true, the selection for global client paths; otherwise for local paths
+   * @returns {Promise<Array<string>>} The saved selection
+   * @throws {ClientError} If any client is unknown
+   * 
+   * @example
+   * await manager.setSelectedClients(['vscode', 'claude-code']);
+   */
+  async setSelectedClients(clientIds, options = {}) {
+    await this.assertKnownClients(clientIds);
+    return await this.storage.selection.set(clientIds, options.isGlobal);
+  }
+
+  /**
+   * Add clients to the selection
+   * Only the selection changes; the added clients are written on the next distribution.
+   * @param {Array<string>} clientIds - Client IDs to add
+   * @param {Object} [options={}] - Selection options
+   * @param {boolean} [options.isGlobal] - If true, the selection for global client paths; otherwise for local paths
+   * @returns {Promise<Array<string>>} The saved selection
+   * @throws {ClientError} If any client is unknown
+   */
+  async addSelectedClients(clientIds, options = {}) {
+    await this.assertKnownClients(clientIds);
+    return await this.storage.selection.add(clientIds, options.isGlobal);
+  }
+
+  /**
+   * Remove clients from the selection
+   * Existing entries in the removed clients' files are kept (see undistribute).
+   * @param {Array<string>} clientIds - Client IDs to remove
+   * @param {Object} [options={}] - Selection options
+   * @param {boolean} [options.isGlobal] - If true, the selection for global client paths; otherwise for local paths
+   * @returns {Promise<Array<string>>} The saved selection
+   */
+  async removeSelectedClients(clientIds, options = {}) {
+    return await this.storage.selection.remove(clientIds, options.isGlobal);
+  }
+
   /**
    * Distribute configuration to specific MCP clients
    * @param {Array<string>} clientIds - Array of client IDs to distribute configuration to
-   * @returns {Promise<void>}
+   * @param {Object} [options={}] - Distribution options
+   * @param {boolean} [options.isGlobal] - If true, writes the clients' global paths; otherwise their local paths
+   * @param {boolean} [options.dryRun=false] - Preview the changes per client instead of writing them
+   * @param {boolean} [options.allOrNothing=false] - Roll every client back if any client fails
+   * @returns {Promise<Array<Object>>} Distribution report with one row per client file, or per-client previews when dryRun is set
+   *   (skipped clients appear as their report rows)
    * @throws {ClientError} If any specified client is unknown
-   * @throws {DistributionError} If distribution to any client fails
+   * @throws {DistributionError} If a client fails in all-or-nothing mode
    * 
    * @example
    * await manager.distributeToClients(['vscode', 'claude-desktop']);
    */
-  async distributeToClients(clientIds) {
-    await this.distributor.distributeToClients(clientIds);
+  async distributeToClients(clientIds, options = {}) {
+    return await this.distributor.distributeToClients(clientIds, {
+      ...this.getDistributionOptions(options),
+      dryRun: options.dryRun
+    });
+  }
+
+  /**
+   * Remove this server's entry from MCP client configuration files
+   * @param {Array<string>} [clientIds] - Client IDs to remove from (defaults to all configured clients)
+   * @param {Object} [options={}] - Removal options
+   * @param {boolean} [options.isGlobal] - If true, edits the clients' global paths; otherwise their local paths
+   * @returns {Promise<Array<Object>>} Per-client results ({ clientId, path, changed })
+   * @throws {ClientError} If any specified client is unknown
+   * @throws {DistributionError} If removal from any client fails
+   * 
+   * @example
+   * const results = await manager.undistribute();
+   * const changedFiles = results.filter(r => r.changed).map(r => r.path);
+   */
+  async undistribute(clientIds, options = {}) {
+    return await this.distributor.undistribute(clientIds, {
+      scope: this.getScope(options),
+      serverName: this.serverName
+    });
+  }
+
+  /**
+   * Import this server's existing entry from an MCP client configuration file
+   * The entry is read back through the client's format (see BaseClient#parseEntry), so entries
+   * written from entry templates (e.g. Zed's `command.path`) and remote entries are understood.
+   * The command, args and cwd, or the transport, url and headers of remote servers, become the
+   * launch spec (see setLaunchSpec). Environment values are routed like setConfig: sensitive ones
+   * (per SecurityDetector) to the env store, the rest to JSON settings; the values of a VS Code
+   * `envFile` are imported the same way. `${env:VAR}` and `${VAR}` references are resolved from the
+   * client's env-path and the process environment; header references are stored in the env store
+   * and kept as `${VAR}` in the header templates. Everything that cannot be recovered is reported
+   * and not stored. Nothing is distributed, so the source file is left as it is.
+   * @param {string} clientId - Client to import from (e.g., 'claude-desktop')
+   * @param {Object} [options={}] - Import options
+   * @param {string} [options.scope='local'] - Client path to read and storage to write ('local' or 'global')
+   * @returns {Promise<Object>} Import report ({ clientId, scope, path, launch, settings, environment, unrecovered })
+   *   where launch/settings/environment list the stored keys and unrecovered lists `{ key, reference }` for
+   *   references that cannot be resolved and `{ key, value }` for entry parts that have no place in the
+   *   configuration
+   * @throws {ClientError} If the client is unknown
+   * @throws {ConfigurationError} If the client file has no entry for this server
+   * @throws {ValidationError} If the scope is invalid
+   * 
+   * @example
+   * const report = await manager.importFromClient('claude-desktop', { scope: 'global' });
+   * // { clientId: 'claude-desktop', scope: 'global', path: '...', launch: ['command', 'args'], settings: [],
+   * //   environment: ['API_KEY'], unrecovered: [{ key: 'TOKEN', reference: '${env:TOKEN}' }] }
+   */
+  async importFromClient(clientId, options = {}) {
+    const scope = options.scope || SCOPES.LOCAL;
+    if (scope !== SCOPES.LOCAL && scope !== SCOPES.GLOBAL) {
+      throw new ValidationError(`Invalid import scope: ${scope}`, 'scope', scope);
+    }
+    const isGlobal = scope === SCOPES.GLOBAL;
+    
+    const { path, entry, fields, environment } = await this.distributor.readClientEntry(clientId, this.serverName, { scope });
+    if (!entry || typeof entry !== 'object') {
+      throw new ConfigurationError(
+        `No entry for ${this.serverName} found in ${clientId} configuration`,
+        path,
+        { clientId, serverName: this.serverName }
+      );
+    }
+    
+    const report = { clientId, scope, path, launch: [], settings: [], environment: [], unrecovered: [] };
+    
+    await this.importLaunchSpec(fields, environment, isGlobal, report);
+    
+    if (fields.settings && typeof fields.settings === 'object' && !Array.isArray(fields.settings)) {
+      for (const [key, value] of Object.entries(fields.settings)) {
+        await this.storage.json.set(key, value, isGlobal);
+        report.settings.push(key);
+      }
+    }
+    
+    for (const [name, raw] of Object.entries(fields.env || {})) {
+      const { value, reference } = this.recoverValue(raw, environment);
+      if (value === undefined) {
+        report.unrecovered.push({ key: name, reference });
+        continue;
+      }
+      await this.importValue(name, value, isGlobal, report);
+    }
+    
+    if (fields.envFile !== undefined) {
+      const content = /\$\{[^}]+\}/.test(fields.envFile) ? '' : await this.storage.env.read(fields.envFile);
+      if (!content) {
+        report.unrecovered.push({ key: 'envFile', reference: fields.envFile });
+      }
+      for (const [name, value] of Object.entries(content ? this.storage.env.parse(content) : {})) {
+        await this.importValue(name, value, isGlobal, report);
+      }
+    }
+    
+    for (const { path: key, value } of fields.unmatched || []) {
+      report.unrecovered.push({ key, value });
+    }
+    
+    if (report.environment.length > 0) {
+      await this.storage.gitignore.ensure(isGlobal);
+    }
+    
+    return report;
+  }
+
+  /**
+   * Check whether MCP clients still have the server entry that distribution wrote
+   * Detects hand edits and other tools rewriting client files.
+   * @param {Object} [options={}] - Check options
+   * @param {boolean} [options.isGlobal] - If true, checks the clients' global paths; otherwise their local paths
+   * @param {Array<string>} [options.clientIds] - Client IDs to check (defaults to all installed clients)
+   * @param {boolean} [options.repair=false] - Re-apply the configuration to drifted clients
+   * @param {boolean} [options.allOrNothing=false] - When repairing, roll every repaired client back if any repair fails
+   * @returns {Promise<Array<Object>>} Per-client results ({ clientId, name, scope, path, status, diff?, error?, repaired? })
+   *   with status 'in-sync', 'drifted', 'missing', 'unreadable' or 'skipped' (clients that cannot represent the server)
+   * @throws {ClientError} If any specified client is unknown
+   * @throws {DistributionError} If a client's entry cannot be built or a repair fails
+   * 
+   * @example
+   * const results = await manager.checkDistribution();
+   * const drifted = results.filter(r => r.status === 'drifted');
+   * 
+   * // Re-apply the stored configuration to drifted clients
+   * await manager.checkDistribution({ repair: true });
+   */
+  async checkDistribution(options = {}) {
+    return await this.distributor.checkDistribution(options.clientIds, {
+      ...this.getDistributionOptions(options),
+      repair: Boolean(options.repair)
+    });
+  }
+
+  /**
+   * Restore a client's configuration files from a backup taken before distribution
+   * Every distribution snapshots the files it writes (see listClientBackups). Backups are kept per
+   * client file, so a local restore only sees this project's backups.
+   * @param {string} clientId - Client identifier
+   * @param {string} [timestamp] - Backup timestamp (defaults to the most recent backup)
+   * @param {Object} [options={}] - Restore options
+   * @param {boolean} [options.isGlobal] - If true, restores the client's global files; otherwise its local files
+   * @returns {Promise<Object>} Restore result ({ clientId, timestamp, files })
+   * @throws {ClientError} If the client is unknown
+   * @throws {ConfigurationError} If there is no matching backup
+   * @throws {FileSystemError} If a file cannot be restored
+   * 
+   * @example
+   * const timestamps = await manager.listClientBackups('vscode');
+   * await manager.restoreClientBackup('vscode', timestamps[timestamps.length - 1]);
+   */
+  async restoreClientBackup(clientId, timestamp, options = {}) {
+    return await this.distributor.restoreBackup(clientId, timestamp, { scope: this.getScope(options) });
+  }
+
+  /**
+   * List the backups available for a client
+   * @param {string} clientId - Client identifier
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.isGlobal] - If true, lists backups of the client's global files; otherwise of its local files
+   * @returns {Promise<Array<string>>} Backup timestamps, oldest first
+   * @throws {ClientError} If the client is unknown
+   */
+  async listClientBackups(clientId, options = {}) {
+    return await this.distributor.listBackups(clientId, { scope: this.getScope(options) });
+  }
+
+  /**
+   * Ensure every client ID is in the client mappings
+   * @private
+   * @param {Array<string>} clientIds - Client IDs to check
+   * @returns {Promise<void>}
+   * @throws {ClientError} If any client is unknown
+   */
+  async assertKnownClients(clientIds) {
+    const known = (await this.getAvailableClients()).map(client => client.id);
+    const unknownClients = clientIds.filter(clientId => !known.includes(clientId));
+    
+    if (unknownClients.length > 0) {
+      throw new ClientError(
+        `Unknown client(s): ${unknownClients.join(', ')}`,
+        unknownClients.join(', ')
+      );
+    }
+  }
+
+  /**
+   * Store the launch spec read from a client entry
+   * Nothing is stored without a command (or url, for remote servers); the other launch
+   * parts are then reported as unrecovered.
+   * @private
+   * @param {Object} fields - Entry parts (see BaseClient#parseEntry)
+   * @param {Object} environment - Values from the client's env file
+   * @param {boolean} isGlobal - Whether to store the global launch spec
+   * @param {Object} report - Import report, updated in place
+   * @returns {Promise<void>}
+   */
+  async importLaunchSpec(fields, environment, isGlobal, report) {
+    const spec = {};
+    if (fields.url !== undefined) {
+      Object.assign(spec, { transport: fields.transport, url: fields.url });
+      
+      const headers = {};
+      for (const [name, raw] of Object.entries(fields.headers || {})) {
+        const template = await this.importHeader(raw, environment, isGlobal, report);
+        if (template === undefined) {
+          report.unrecovered.push({ key: `headers.${name}`, reference: raw });
+        } else {
+          headers[name] = template;
+        }
+      }
+      if (Object.keys(headers).length > 0) {
+        spec.headers = headers;
+      }
+    } else {
+      for (const key of ['command', 'args', 'cwd']) {
+        if (fields[key] !== undefined) {
+          spec[key] = fields[key];
+        }
+      }
+    }
+    
+    if (!spec.command && !spec.url) {
+      for (const [key, value] of Object.entries(spec)) {
+        report.unrecovered.push({ key, value });
+      }
+      return;
+    }
+    
+    await this.setLaunchSpec(spec, { isGlobal, skipDistribution: true });
+    report.launch.push(...Object.keys(spec));
+  }
+
+  /**
+   * Turn a client header back into a header template
+   * The values of `${env:VAR}` / `${VAR}` references are stored in the env store, which is
+   * where header templates read them from (see BaseClient#formatHeaders).
+   * @private
+   * @param {string} raw - Header value from the client entry
+   * @param {Object} environment - Values from the client's env file
+   * @param {boolean} isGlobal - Whether to store the values globally
+   * @param {Object} report - Import report, updated in place
+   * @returns {Promise<string|undefined>} Header template, or undefined if a reference cannot be recovered
+   */
+  async importHeader(raw, environment, isGlobal, report) {
+    if (typeof raw !== 'string') {
+      return undefined;
+    }
+    
+    const references = [...raw.matchAll(/\$\{[^}]+\}/g)].map(([reference]) => reference);
+    const recovered = references.map(reference => ({ reference, ...this.recoverValue(reference, environment) }));
+    if (recovered.some(({ value }) => value === undefined)) {
+      return undefined;
+    }
+    
+    let template = raw;
+    for (const { reference, value } of recovered) {
+      const envKey = this.storage.env.toEnvKey(reference.match(/(\w+)\}$/)[1]);
+      await this.storage.env.set(envKey, value, isGlobal);
+      if (!report.environment.includes(envKey)) {
+        report.environment.push(envKey);
+      }
+      template = template.replace(reference, `\${${envKey}}`);
+    }
+    return template;
+  }
+
+  /**
+   * Store an imported environment value where setConfig would
+   * @private
+   * @param {string} name - Variable name from the client entry
+   * @param {any} value - Recovered value
+   * @param {boolean} isGlobal - Whether to store the value globally
+   * @param {Object} report - Import report, updated in place
+   * @returns {Promise<void>}
+   */
+  async importValue(name, value, isGlobal, report) {
+    if (await this.security.isSensitive(name)) {
+      const envKey = this.storage.env.toEnvKey(name);
+      await this.storage.env.set(name, value, isGlobal);
+      if (!report.environment.includes(envKey)) {
+        report.environment.push(envKey);
+      }
+    } else {
+      const key = this.storage.env.fromEnvKey(name);
+      await this.storage.json.set(key, value, isGlobal);
+      if (!report.settings.includes(key)) {
+        report.settings.push(key);
+      }
+    }
+  }
+
+  /**
+   * Recover the value behind a client env entry
+   * @private
+   * @param {string} raw - Value from the client entry (a literal or a reference such as '${env:API_KEY}')
+   * @param {Object} environment - Values from the client's env file
+   * @returns {Object} `{ value }` if recovered, otherwise `{ reference }`
+   */
+  recoverValue(raw, environment) {
+    if (typeof raw !== 'string') {
+      return { value: raw };
+    }
+    
+    const match = raw.match(/^\$\{(?:env:)?(\w+)\}$/);
+    if (!match) {
+      // Other placeholders (e.g. VS Code '${input:...}') are only resolved by the client
+      return /\$\{[^}]+\}/.test(raw) ? { reference: raw } : { value: raw };
+    }
+    
+    const value = environment[match[1]] !== undefined ? environment[match[1]] : process.env[match[1]];
+    return value === undefined ? { reference: raw } : { value };
+  }
+
+  /**
+   * Apply an unsaved change to gathered configuration
+   * @private
+   * @param {Object} config - Configuration gathered by the distributor
+   * @param {string} key - Configuration key being set
+   * @param {any} value - New value
+   * @param {boolean} isSensitive - Whether the key is stored as an environment variable
+   * @returns {Object} Copy of the configuration with the change applied
+   */
+  applyPendingChange(config, key, value, isSensitive) {
+    const pending = {
+      ...config,
+      settings: JSON.parse(JSON.stringify(config.settings || {})),
+      environment: { ...config.environment }
+    };
+    
+    if (isSensitive) {
+      pending.environment[this.storage.env.toEnvKey(key)] = value;
+    } else {
+      this.storage.json.setNestedValue(pending.settings, key, value);
+    }
+    
+    return pending;
+  }
+
+  /**
+   * Distribute a stored change, or record it while a batch is running
+   * Nothing is distributed if options.skipDistribution is set.
+   * @private
+   * @param {Object} change - Change description ({ operation, key?, scope })
+   * @param {Object} options - Configuration options of the change
+   * @returns {Promise<Array<Object>|void>} Distribution report, or nothing if the change was recorded or skipped
+   * @throws {DistributionError} If a client fails in all-or-nothing mode
+   */
+  async distributeChange(change, options) {
+    if (this.pendingChanges) {
+      this.pendingChanges.push(change);
+      return;
+    }
+    
+    if (options.skipDistribution) {
+      return;
+    }
+    
+    return await this.distributor.distribute(this.getDistributionOptions(options));
+  }
+
+  /**
+   * Map configuration options to a distribution scope
+   * @private
+   * @param {Object} options - Configuration options
+   * @returns {string} 'global' if options.isGlobal is set, otherwise 'local'
+   */
+  getScope(options = {}) {
+    return options.isGlobal ? SCOPES.GLOBAL : SCOPES.LOCAL;
+  }
+
+  /**
+   * Map configuration options to distributor options
+   * @private
+   * @param {Object} options - Configuration options
+   * @returns {Object} Distribution options ({ scope, allOrNothing? })
+   */
+  getDistributionOptions(options = {}) {
+    const distributionOptions = { scope: this.getScope(options) };
+    if (options.allOrNothing) {
+      distributionOptions.allOrNothing = true;
+    }
+    return distributionOptions;
   }
 }
 
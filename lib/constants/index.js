@@ -19,6 +19,8 @@ const FILE_NAMES = {
   CLIENT_MAPPINGS: 'client-mappings.json',
   GLOBAL_CONFIG: 'global.json',
   LOCAL_CONFIG: 'default.json',
+  LAUNCH_CONFIG: 'launch.json',
+  CLIENT_SELECTION: 'clients.json',
   ENV_FILE: '.env',
   GITIGNORE: '.gitignore',
   PACKAGE_JSON: 'package.json'
@@ -29,7 +31,10 @@ const FILE_NAMES = {
  */
 const DIRECTORIES = {
   CONFIG_SUBDIR: 'config-mcp',
-  DEFAULT_CONFIG_PATH: '../../config/default-client-mappings.json'
+  BACKUPS: 'backups',
+  DEFAULT_CONFIG_PATH: '../../config/default-client-mappings.json',
+  // Frozen copy of the defaults shipped with version 2 mappings files (see MappingMigrations)
+  V2_DEFAULT_CONFIG_PATH: '../../config/default-client-mappings.v2.json'
 };
 
 /**
@@ -44,7 +49,62 @@ const CONFIG_KEYS = {
   ENV_PATH: 'env-path',
   CONFIG_KEY: 'configKey',
   AUTO_LOAD_ENV: 'autoLoadEnv',
-  CONFIG_FORMAT: 'configFormat'
+  CONFIG_FORMAT: 'configFormat',
+  FILE_FORMAT: 'fileFormat',
+  CONTAINER_TYPE: 'containerType',
+  NAME_KEY: 'nameKey',
+  ENTRY_TEMPLATE: 'entryTemplate',
+  REMOTE_ENTRY_TEMPLATE: 'remoteEntryTemplate',
+  CONFIG_PATH_MODE: 'configPathMode',
+  VERSION: 'version'
+};
+
+/**
+ * Distribution scopes
+ */
+const SCOPES = {
+  LOCAL: 'local',
+  GLOBAL: 'global'
+};
+
+/**
+ * Server transports
+ */
+const TRANSPORTS = {
+  STDIO: 'stdio',
+  HTTP: 'http',
+  SSE: 'sse'
+};
+
+/**
+ * Distribution check statuses
+ */
+const DRIFT_STATUS = {
+  IN_SYNC: 'in-sync',
+  DRIFTED: 'drifted',
+  MISSING: 'missing',
+  UNREADABLE: 'unreadable',
+  SKIPPED: 'skipped'
+};
+
+/**
+ * Per-client outcomes in a distribution report
+ */
+const DISTRIBUTION_ACTIONS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  UNCHANGED: 'unchanged',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+/**
+ * Reasons a client is skipped during distribution
+ */
+const SKIP_REASONS = {
+  NOT_INSTALLED: 'not-installed',
+  NOT_SELECTED: 'not-selected',
+  UNSUPPORTED: 'unsupported'
 };
 
 /**
@@ -71,7 +131,8 @@ const ENV_VARS = {
  * File permissions
  */
 const FILE_PERMISSIONS = {
-  ENV_FILE_UNIX: 0o600 // Read/write for owner only
+  ENV_FILE_UNIX: 0o600, // Read/write for owner only
+  BACKUP_FILE_UNIX: 0o600 // Backups may contain env files
 };
 
 /**
@@ -101,6 +162,86 @@ const CONFIG_FORMATS = {
   STRUCTURED: 'structured'
 };
 
+/**
+ * Client configuration file formats
+ */
+const FILE_FORMATS = {
+  JSON: 'json',
+  TOML: 'toml',
+  YAML: 'yaml'
+};
+
+/**
+ * Shapes of the servers container in client files
+ */
+const CONTAINER_TYPES = {
+  MAP: 'map',
+  LIST: 'list'
+};
+
+/**
+ * How a client's candidate config paths are resolved
+ * 'existing' targets the candidates found on this machine; 'all' targets every candidate
+ */
+const CONFIG_PATH_MODES = {
+  EXISTING: 'existing',
+  ALL: 'all'
+};
+
+/**
+ * Placeholders available in client entry templates
+ */
+const ENTRY_PLACEHOLDERS = {
+  NAME: 'name',
+  COMMAND: 'command',
+  ARGS: 'args',
+  CWD: 'cwd',
+  ENV: 'env',
+  ENV_FILE: 'envFile',
+  SETTINGS: 'settings',
+  TRANSPORT: 'transport',
+  URL: 'url',
+  HEADERS: 'headers'
+};
+
+/**
+ * Built-in variables available in path templates (see PathUtils.resolveEnvVars)
+ * SERVER_NAME and CONFIG_FILE_DIR are supplied by the caller, since they depend on the server
+ * being configured and the client file being written.
+ */
+const PATH_VARIABLES = {
+  PROJECT_ROOT: 'PROJECT_ROOT',
+  CWD: 'CWD',
+  CONFIG_DIR: 'CONFIG_DIR',
+  SERVER_NAME: 'SERVER_NAME',
+  CONFIG_FILE_DIR: 'CONFIG_FILE_DIR'
+};
+
+/**
+ * Version of the client-mappings.json structure written by this release
+ * Older files are brought up to date by the migrations in lib/distribution/mapping-migrations.js.
+ */
+const MAPPINGS_VERSION = 3;
+
+/**
+ * How a client's mapping relates to the packaged defaults
+ */
+const MAPPING_STATUS = {
+  DEFAULT: 'default',
+  OVERRIDDEN: 'overridden',
+  ADDED: 'added',
+  REMOVED: 'removed'
+};
+
+/**
+ * Client mapping layers, lowest precedence first
+ */
+const MAPPING_LAYERS = {
+  DEFAULT: 'default',
+  USER: 'user',
+  PROJECT: 'project'
+};
+
 /**
  * Storage types
  */
@@ -139,7 +280,8 @@ const LIMITS = {
   MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
   MAX_KEY_LENGTH: 256,
   MAX_VALUE_LENGTH: 65536,
-  MAX_PATH_LENGTH: 4096
+  MAX_PATH_LENGTH: 4096,
+  MAX_BACKUPS_PER_CLIENT: 10
 };
 
 module.exports = {
@@ -147,11 +289,24 @@ module.exports = {
   FILE_NAMES,
   DIRECTORIES,
   CONFIG_KEYS,
+  SCOPES,
+  TRANSPORTS,
+  DRIFT_STATUS,
+  DISTRIBUTION_ACTIONS,
+  SKIP_REASONS,
   PLATFORMS,
   ENV_VARS,
   FILE_PERMISSIONS,
   DEFAULT_SENSITIVE_PATTERNS,
   CONFIG_FORMATS,
+  FILE_FORMATS,
+  CONTAINER_TYPES,
+  CONFIG_PATH_MODES,
+  ENTRY_PLACEHOLDERS,
+  PATH_VARIABLES,
+  MAPPINGS_VERSION,
+  MAPPING_STATUS,
+  MAPPING_LAYERS,
   STORAGE_TYPES,
   OPERATIONS,
   PATTERNS,
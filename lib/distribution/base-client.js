@@ -4,14 +4,22 @@
  */
 
 const fs = require('fs').promises;
-const path = require('path');
+const { getFormat } = require('../formats');
+const DiffUtils = require('../utils/diff-utils');
+const FileUtils = require('../utils/file-utils');
+const EnvStorage = require('../storage/env-storage');
+const GitignoreManager = require('../storage/gitignore');
 const PathUtils = require('../utils/path-utils');
+const TemplateUtils = require('../utils/template-utils');
+const { ClientError, DistributionError, FileSystemError, ConfigurationError, ValidationError } = require('../errors');
+const { SCOPES, TRANSPORTS, DRIFT_STATUS, CONTAINER_TYPES, SKIP_REASONS, PATH_VARIABLES } = require('../constants');
 
 class BaseClient {
   constructor(clientId, registry) {
     this.clientId = clientId;
     this.registry = registry;
     this.clientConfig = null;
+    this.envStorage = new EnvStorage();
   }
 
   /**
@@ -34,70 +42,436 @@ class BaseClient {
 
   /**
    * Check if client is installed
+   * Uses the client's detection rules (see ClientRegistry#detectClient); nothing is created or written.
    * @returns {Promise<boolean>} True if installed
    */
   async isInstalled() {
     try {
-      await this.init();
-      const configPath = await this.registry.getClientPath(this.clientId);
-      
-      // For home directory configs (.mcp.json, .claude.json), always return true
-      // since we want to create these files regardless
-      const parentDir = path.dirname(configPath);
-      const homeDir = PathUtils.getHomeDir();
-      
-      if (parentDir === homeDir) {
-        return true;
-      }
-      
-      // For other paths, try to create the directory structure
-      try {
-        await fs.mkdir(parentDir, { recursive: true });
-        return true;
-      } catch (createError) {
-        // If we can't create the directory, the client is not available
-        return false;
-      }
+      const { installed } = await this.registry.detectClient(this.clientId);
+      return installed;
     } catch (error) {
       return false;
     }
   }
 
+  /**
+   * Resolve the client configuration file path for a scope
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - 'local' for project paths, 'global' for user-wide paths
+   * @param {string} [options.configPath] - One of the paths returned by getConfigPaths, to address
+   *   a specific variant of the client (defaults to the first one)
+   * @returns {Promise<string>} Resolved configuration file path
+   * @throws {ClientError} If the client is unknown
+   * @throws {ConfigurationError} If the client has no path for the scope or platform
+   * @throws {EnvironmentError} If the path template has unresolved variables (nothing is written)
+   */
+  async getConfigPath(options = {}) {
+    if (options.configPath) {
+      return options.configPath;
+    }
+    return await this.registry.getClientConfigPath(this.clientId, options.scope === SCOPES.GLOBAL, { strict: true });
+  }
+
+  /**
+   * Resolve every client configuration file path distribution writes for a scope
+   * Clients with several candidate paths (e.g. VS Code and VS Code Insiders) may have more than one
+   * (see ClientRegistry#getClientConfigPaths).
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - 'local' for project paths, 'global' for user-wide paths
+   * @returns {Promise<Array<string>>} Resolved configuration file paths
+   * @throws {ClientError} If the client is unknown
+   * @throws {ConfigurationError} If the client has no path for the scope or platform
+   * @throws {EnvironmentError} If a path template has unresolved variables (nothing is written)
+   */
+  async getConfigPaths(options = {}) {
+    return await this.registry.getClientConfigPaths(this.clientId, options.scope === SCOPES.GLOBAL, { strict: true });
+  }
+
+  /**
+   * Get every file updateConfig may write for a scope
+   * Used to snapshot the files before distribution (see BackupStorage).
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - 'local' for project paths, 'global' for user-wide paths
+   * @returns {Promise<Array<string>>} Configuration file paths, followed by their env-paths if the client has one
+   * @throws {ClientError} If the client is unknown
+   * @throws {ConfigurationError} If the client has no path for the scope or platform
+   */
+  async getTargetPaths(options = {}) {
+    const paths = await this.getConfigPaths(options);
+    const envPaths = [];
+    for (const configPath of paths) {
+      const envPath = await this.getEnvPath({ ...options, configPath });
+      if (envPath && !paths.includes(envPath) && !envPaths.includes(envPath)) {
+        envPaths.push(envPath);
+      }
+    }
+    return [...paths, ...envPaths];
+  }
+
   /**
    * Update client configuration
+   * Only the server's entry under the configuration key is rewritten; comments,
+   * key order and indentation elsewhere in the file are preserved. In list containers the
+   * entry is matched by its name field and appended if there is none. Sensitive values
+   * are written to the client's env-path first (see updateEnvFile).
    * @param {Object} config - Configuration data
-   * @returns {Promise<void>}
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - Scope whose client file is updated ('local' or 'global')
+   * @param {string} [options.configPath] - Client file to use instead of the scope's first config path
+   * @returns {Promise<Object>} Result ({ clientId, path, created, changed }); changed is false if
+   *   neither the client file nor its env file had to change (an unchanged client file is not rewritten)
+   * @throws {DistributionError} If the existing file cannot be parsed (the file is left untouched)
+   * @throws {ClientError} If the client cannot represent the server (e.g., a remote server)
+   * @throws {ValidationError} If a header references a variable missing from the env store
+   * @throws {FileSystemError} If the env file cannot be written
    */
-  async updateConfig(config) {
+  async updateConfig(config, options = {}) {
     await this.init();
-    const configPath = await this.registry.getClientPath(this.clientId);
+    const { configPath, exists, content, data } = await this.loadConfigFile(options);
     
-    // Ensure directory exists
-    await fs.mkdir(path.dirname(configPath), { recursive: true });
+    // Get the path of the servers container based on client type and scope
+    const keyPath = await this.getConfigKeyPath(options);
     
-    // Read existing config
-    let existingConfig = {};
+    // Format configuration for the client before anything is written, so
+    // unsupported entries (e.g. remote servers) leave all files untouched
+    const formattedConfig = await this.buildEntry(config, options);
+    
+    const format = this.getFileFormat();
+    const { entryPath } = this.findEntry(data, keyPath, config.serverName);
+    let updated;
     try {
-      const content = await fs.readFile(configPath, 'utf8');
-      existingConfig = JSON.parse(content);
+      updated = entryPath
+        ? format.setValue(content, entryPath, formattedConfig)
+        : format.appendValue(content, keyPath, formattedConfig);
     } catch (error) {
-      // File doesn't exist or is invalid
+      throw new DistributionError(
+        `Cannot update ${keyPath.join('.')} in ${configPath}: ${error.message}`,
+        [this.clientId],
+        'updateConfig',
+        { path: configPath, originalError: error.message }
+      );
     }
     
-    // Get the appropriate configuration key based on client type
-    const configKey = this.getConfigKey();
+    // Write secrets before the entry that may reference them
+    const envPath = await this.getEnvPath(options);
+    const envBefore = envPath ? await this.readConfigFile(envPath) : null;
+    await this.updateEnvFile(config, options);
+    const envChanged = envPath ? envBefore !== await this.readConfigFile(envPath) : false;
     
-    // Update MCP server configuration
-    if (!existingConfig[configKey]) {
-      existingConfig[configKey] = {};
+    const fileChanged = !exists || updated !== content;
+    if (fileChanged) {
+      // Write updated config (creating its directory if needed)
+      await FileUtils.writeAtomic(configPath, updated);
     }
     
-    // Format configuration for the client
-    const formattedConfig = this.formatConfig(config);
-    existingConfig[configKey][config.serverName] = formattedConfig;
+    return {
+      clientId: this.clientId,
+      path: configPath,
+      created: !exists,
+      changed: fileChanged || envChanged
+    };
+  }
+
+  /**
+   * Remove a server's entry from the client configuration
+   * The servers container is dropped as well if no other servers remain under it
+   * (containers above it, such as a project entry, are kept).
+   * Comments and formatting elsewhere in the file are preserved. When an entry is removed, the
+   * client's env file holding the server's sensitive values is deleted too.
+   * @param {string} serverName - Name of the server entry to remove
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - Scope whose client file is updated ('local' or 'global')
+   * @param {string} [options.configPath] - Client file to use instead of the scope's first config path
+   * @returns {Promise<Object>} Result ({ clientId, path, changed }); changed is false if there was no entry
+   * @throws {DistributionError} If the existing file cannot be parsed or the entry cannot be
+   *   removed in place (the file is left untouched)
+   * @throws {EnvironmentError} If the env path template has unresolved variables
+   */
+  async removeConfig(serverName, options = {}) {
+    await this.init();
+    const { configPath, content, data } = await this.loadConfigFile(options);
+    const keyPath = await this.getConfigKeyPath(options);
+    const servers = this.getValueAt(data, keyPath);
+    const { entry, entryPath } = this.findEntry(data, keyPath, serverName);
+    const result = { clientId: this.clientId, path: configPath, changed: false };
     
-    // Write updated config
-    await fs.writeFile(configPath, JSON.stringify(existingConfig, null, 2));
+    if (entry === undefined) {
+      return result;
+    }
+    
+    const format = this.getFileFormat();
+    let updated;
+    try {
+      updated = format.removeValue(content, entryPath);
+      if (Object.keys(servers).length === 1) {
+        updated = format.removeValue(updated, keyPath);
+      }
+    } catch (error) {
+      throw new DistributionError(
+        `Cannot remove ${serverName} from ${configPath}: ${error.message}`,
+        [this.clientId],
+        'removeConfig',
+        { path: configPath, originalError: error.message }
+      );
+    }
+    
+    await FileUtils.writeAtomic(configPath, updated);
+    await this.removeEnvFile(await this.getEnvPath(options));
+    result.changed = true;
+    return result;
+  }
+
+  /**
+   * Preview what updateConfig would change, without writing anything
+   * @param {Object} config - Configuration data
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - Scope whose client file is previewed ('local' or 'global')
+   * @param {string} [options.configPath] - Client file to use instead of the scope's first config path
+   * @returns {Promise<Object>} Preview ({ clientId, name, scope, path, created, changed, diff })
+   * @throws {DistributionError} If the existing file cannot be parsed
+   */
+  async previewConfig(config, options = {}) {
+    await this.init();
+    const { configPath, exists, data } = await this.loadConfigFile(options);
+    
+    const keyPath = await this.getConfigKeyPath(options);
+    const { entry: existingEntry } = this.findEntry(data, keyPath, config.serverName);
+    const diff = DiffUtils.diff(existingEntry, await this.buildEntry(config, options));
+    
+    return {
+      clientId: this.clientId,
+      name: this.name,
+      scope: options.scope || SCOPES.LOCAL,
+      path: configPath,
+      created: !exists,
+      changed: DiffUtils.hasChanges(diff),
+      diff
+    };
+  }
+
+  /**
+   * Compare the server's entry on disk with the entry updateConfig would write
+   * @param {Object} config - Configuration data
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - Scope whose client file is checked ('local' or 'global')
+   * @param {string} [options.configPath] - Client file to use instead of the scope's first config path
+   * @returns {Promise<Object>} Check result ({ clientId, name, scope, path, status, diff?, error? }) where
+   *   status is 'in-sync', 'drifted' (with the diff from the file to the expected entry),
+   *   'missing' (no file or no entry) or 'unreadable' (with the read or parse error message)
+   * @throws {ClientError} If the client cannot represent the server (e.g., a remote server)
+   * @throws {ValidationError} If a header references a variable missing from the env store
+   */
+  async checkConfig(config, options = {}) {
+    await this.init();
+    const scope = options.scope || SCOPES.LOCAL;
+    const configPath = await this.getConfigPath(options);
+    const result = { clientId: this.clientId, name: this.name, scope, path: configPath };
+    
+    const format = this.getFileFormat();
+    let data;
+    try {
+      data = format.parse(await this.readConfigFile(configPath));
+    } catch (error) {
+      if (error instanceof SyntaxError || error instanceof FileSystemError) {
+        return { ...result, status: DRIFT_STATUS.UNREADABLE, error: error.message };
+      }
+      throw error;
+    }
+    
+    const expectedEntry = await this.buildEntry(config, options);
+    const keyPath = await this.getConfigKeyPath(options);
+    const { entry: existingEntry } = this.findEntry(data, keyPath, config.serverName);
+    if (existingEntry === undefined) {
+      return { ...result, status: DRIFT_STATUS.MISSING };
+    }
+    
+    const diff = DiffUtils.diff(existingEntry, expectedEntry);
+    if (DiffUtils.hasChanges(diff)) {
+      return { ...result, status: DRIFT_STATUS.DRIFTED, diff };
+    }
+    
+    return { ...result, status: DRIFT_STATUS.IN_SYNC };
+  }
+
+  /**
+   * Read a server's entry from the client configuration
+   * Also returns the values in the client's env-path, so `${env:VAR}` references in the
+   * entry can be resolved by the caller.
+   * @param {string} serverName - Name of the server entry
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - Scope whose client file is read ('local' or 'global')
+   * @param {string} [options.configPath] - Client file to use instead of the scope's first config path
+   * @returns {Promise<Object>} Entry ({ clientId, path, entry, fields, environment }) where fields is the
+   *   entry read back into its parts (see parseEntry); entry and fields are undefined if there is none
+   * @throws {DistributionError} If the file cannot be parsed
+   * @throws {FileSystemError} If the file or env file cannot be read
+   */
+  async readEntry(serverName, options = {}) {
+    await this.init();
+    const { configPath, data } = await this.loadConfigFile(options);
+    const envPath = await this.getEnvPath(options);
+    const keyPath = await this.getConfigKeyPath(options);
+    
+    const { entry } = this.findEntry(data, keyPath, serverName);
+    
+    return {
+      clientId: this.clientId,
+      path: configPath,
+      entry,
+      fields: entry && typeof entry === 'object' ? this.parseEntry(entry) : undefined,
+      environment: envPath ? this.envStorage.parse(await this.envStorage.read(envPath)) : {}
+    };
+  }
+
+  /**
+   * Build the server entry updateConfig writes for a scope
+   * Entries of list containers lead with the server name under the mapping's nameKey.
+   * @private
+   * @param {Object} config - Configuration data
+   * @param {Object} options - Options ({ scope })
+   * @returns {Promise<Object>} Formatted server entry (see formatConfig)
+   */
+  async buildEntry(config, options = {}) {
+    const envFile = this.hasEnvironment(config) ? await this.getEnvPath(options) : null;
+    const formatted = this.formatConfig(config, {
+      scope: options.scope || SCOPES.LOCAL,
+      envFile
+    });
+    
+    if (this.isListContainer()) {
+      return { [this.getNameKey()]: config.serverName, ...formatted };
+    }
+    return formatted;
+  }
+
+  /**
+   * Write the server's sensitive values to the client's env-path
+   * The file is created with 0600 permissions and, for local scope, added to .gitignore.
+   * If the server has no sensitive values, a previously written env file is removed.
+   * @param {Object} config - Configuration data
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - Scope whose env-path is written ('local' or 'global')
+   * @returns {Promise<string|null>} Path of the written env file, or null if none was written
+   * @throws {FileSystemError} If the env file cannot be written
+   */
+  async updateEnvFile(config, options = {}) {
+    const envPath = await this.getEnvPath(options);
+    if (!envPath) {
+      return null;
+    }
+    
+    if (!this.hasEnvironment(config)) {
+      await this.removeEnvFile(envPath);
+      return null;
+    }
+    
+    await this.envStorage.write(envPath, this.envStorage.stringify(config.environment));
+    
+    if ((options.scope || SCOPES.LOCAL) === SCOPES.LOCAL) {
+      await new GitignoreManager().ensureFile(envPath);
+    }
+    
+    return envPath;
+  }
+
+  /**
+   * Delete a previously written env file
+   * @param {string|null} envPath - Env file path (nothing is deleted if null or the file does not exist)
+   * @returns {Promise<void>}
+   */
+  async removeEnvFile(envPath) {
+    if (envPath) {
+      await fs.rm(envPath, { force: true });
+    }
+  }
+
+  /**
+   * Resolve the client env file path for a scope
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - 'local' for project paths, 'global' for user-wide paths
+   * @param {string} [options.configPath] - Client file the env file belongs to (see getConfigPath)
+   * @returns {Promise<string|null>} Resolved env file path, or null if the client has no env-path
+   * @throws {EnvironmentError} If the path template has unresolved variables
+   */
+  async getEnvPath(options = {}) {
+    try {
+      return await this.registry.getClientEnvPath(this.clientId, options.scope === SCOPES.GLOBAL, {
+        strict: true,
+        configPath: options.configPath
+      });
+    } catch (error) {
+      if (error instanceof ConfigurationError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether the configuration has any environment variables
+   * @param {Object} config - Raw configuration data
+   * @returns {boolean} True if there are environment variables to distribute
+   */
+  hasEnvironment(config) {
+    return Boolean(config.environment) && Object.keys(config.environment).length > 0;
+  }
+
+  /**
+   * Read and parse the client configuration file for a scope
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - Scope whose client file is read
+   * @returns {Promise<Object>} File state ({ configPath, exists, content, data })
+   * @throws {DistributionError} If the file exists but cannot be parsed
+   */
+  async loadConfigFile(options = {}) {
+    const configPath = await this.getConfigPath(options);
+    const content = await this.readConfigFile(configPath);
+    const format = this.getFileFormat();
+    
+    let data;
+    try {
+      data = format.parse(content);
+    } catch (error) {
+      throw new DistributionError(
+        `Refusing to overwrite unparseable client configuration at ${configPath}: ${error.message}`,
+        [this.clientId],
+        'updateConfig',
+        { path: configPath, originalError: error.message }
+      );
+    }
+    
+    return { configPath, exists: content !== null, content: content || '', data };
+  }
+
+  /**
+   * Read the raw content of a client configuration file
+   * @param {string} configPath - Path to the client configuration file
+   * @returns {Promise<string|null>} File content, or null if the file does not exist
+   * @throws {FileSystemError} If the file exists but cannot be read
+   */
+  async readConfigFile(configPath) {
+    try {
+      return await fs.readFile(configPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new FileSystemError(
+        `Failed to read client configuration: ${error.message}`,
+        configPath,
+        'read',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Get the handler for the client's configuration file format
+   * @returns {JsoncFormat|TomlFormat|YamlFormat} Format handler for the mapping's `fileFormat` (JSON by default)
+   * @throws {ConfigurationError} If the mapping names an unsupported format
+   */
+  getFileFormat() {
+    return getFormat(this.clientConfig?.fileFormat);
   }
 
   /**
@@ -105,59 +479,406 @@ class BaseClient {
    * @returns {string} Configuration key
    */
   getConfigKey() {
-    // Get from client configuration, with fallback to default
-    return this.clientConfig?.configKey || 'mcp-servers';
+    // Get from client configuration, with fallback to the client's default
+    return this.clientConfig?.configKey || this.defaultConfigKey;
+  }
+
+  /**
+   * Get the property path of the servers container for a scope
+   * A scope's `configKey` overrides the client-level one. A plain key (e.g. 'mcpServers') names a
+   * top-level property; a key starting with '/' is a JSON-pointer-like path whose segments are
+   * resolved strictly like path templates (see PathUtils.resolveEnvVars), so `${PROJECT_ROOT}` has
+   * the same value as in the client's paths. `~1` and `~0` in a segment stand for '/' and '~'.
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - Scope whose configKey is used
+   * @returns {Promise<Array<string>>} Property path (e.g., ['projects', '/home/user/app', 'mcpServers'])
+   * @throws {ConfigurationError} If a segment is empty
+   * @throws {EnvironmentError} If a segment has a variable that cannot be resolved
+   *
+   * @example
+   * // configKey: '/projects/${PROJECT_ROOT}/mcpServers', run from /home/user/app/src
+   * await client.getConfigKeyPath({ scope: 'global' });
+   * // Returns: ['projects', '/home/user/app', 'mcpServers']
+   */
+  async getConfigKeyPath(options = {}) {
+    const scoped = await this.registry.getClientConfig(this.clientId, options.scope === SCOPES.GLOBAL);
+    const configKey = scoped?.configKey || this.getConfigKey();
+    
+    if (!configKey.startsWith('/')) {
+      return [configKey];
+    }
+    
+    const variables = this.registry.serverName ? { [PATH_VARIABLES.SERVER_NAME]: this.registry.serverName } : {};
+    return configKey.slice(1).split('/').map(segment => {
+      const resolved = PathUtils.resolveEnvVars(
+        segment.replace(/~1/g, '/').replace(/~0/g, '~'),
+        variables,
+        { strict: true }
+      );
+      
+      if (!resolved) {
+        throw new ConfigurationError(
+          `Cannot resolve configKey ${configKey} for ${this.clientId}: invalid segment "${segment}"`,
+          null,
+          { clientId: this.clientId, configKey, segment }
+        );
+      }
+      return resolved;
+    });
+  }
+
+  /**
+   * Read the value at a property path of parsed client configuration
+   * @private
+   * @param {Object} data - Parsed client configuration
+   * @param {Array<string>} propertyPath - Property path
+   * @returns {any} Value, or undefined if any part of the path is missing
+   */
+  getValueAt(data, propertyPath) {
+    let value = data;
+    for (const key of propertyPath) {
+      if (!value || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+        return undefined;
+      }
+      value = value[key];
+    }
+    return value;
+  }
+
+  /**
+   * Find a server's entry in parsed client configuration
+   * Map containers key entries by server name; list containers hold entries whose
+   * name field (the mapping's nameKey, 'name' by default) is the server name.
+   * @private
+   * @param {Object} data - Parsed client configuration
+   * @param {Array<string>} keyPath - Property path of the servers container
+   * @param {string} serverName - Server name
+   * @returns {Object} Match ({ entry, entryPath }); in list containers entryPath is null if there is no entry
+   */
+  findEntry(data, keyPath, serverName) {
+    if (!this.isListContainer()) {
+      const entryPath = [...keyPath, serverName];
+      return { entry: this.getValueAt(data, entryPath), entryPath };
+    }
+    
+    const servers = this.getValueAt(data, keyPath);
+    const nameKey = this.getNameKey();
+    const index = Array.isArray(servers)
+      ? servers.findIndex(item => item && typeof item === 'object' && item[nameKey] === serverName)
+      : -1;
+    
+    return index === -1
+      ? { entry: undefined, entryPath: null }
+      : { entry: servers[index], entryPath: [...keyPath, index] };
+  }
+
+  /**
+   * Check whether the servers container is a list rather than a map keyed by server name
+   * @returns {boolean} True if the mapping's containerType is 'list'
+   */
+  isListContainer() {
+    return this.clientConfig?.containerType === CONTAINER_TYPES.LIST;
+  }
+
+  /**
+   * Get the field that names entries in a list container
+   * @returns {string} Name field (the mapping's nameKey, 'name' by default)
+   */
+  getNameKey() {
+    return this.clientConfig?.nameKey || 'name';
+  }
+
+  /**
+   * Configuration key used when the mapping does not define one
+   * @returns {string} Default configuration key
+   */
+  get defaultConfigKey() {
+    return 'mcp-servers';
+  }
+
+  /**
+   * Entry template used to read entries of clients whose mapping has none (see parseEntry)
+   * It covers every property the built-in formats write.
+   * @returns {Object} Entry template
+   */
+  get defaultEntryTemplate() {
+    return {
+      type: '${transport}',
+      command: '${command}',
+      args: '${args}',
+      cwd: '${cwd}',
+      env: '${env}',
+      envFile: '${envFile}',
+      url: '${url}',
+      headers: '${headers}',
+      config: '${settings}'
+    };
+  }
+
+  /**
+   * Read a server entry back into its parts (the inverse of formatConfig)
+   * Entries are matched against the mapping's entryTemplate or remoteEntryTemplate, or against
+   * defaultEntryTemplate if the mapping has none. References (e.g. '${env:API_KEY}') are
+   * returned as written.
+   * @param {Object} entry - Server entry from the client file
+   * @returns {Object} Values keyed by ENTRY_PLACEHOLDERS name ({ command, args, cwd, env, envFile,
+   *   settings, transport, url, headers }; absent parts are undefined) plus `unmatched`, the
+   *   `{ path, value }` parts of the entry that have no counterpart
+   *
+   * @example
+   * // Zed entryTemplate: { source: 'custom', command: { path: '${command}', args: '${args}' } }
+   * client.parseEntry({ source: 'custom', command: { path: 'node', args: ['index.js'] } });
+   * // Returns: { command: 'node', args: ['index.js'], unmatched: [] }
+   */
+  parseEntry(entry) {
+    const fields = { ...entry };
+    if (this.isListContainer()) {
+      delete fields[this.getNameKey()];
+    }
+    
+    const { values, unmatched } = TemplateUtils.extract(this.getEntryTemplate(fields), fields);
+    delete values.name;
+    if (values.url !== undefined && values.transport === undefined) {
+      values.transport = TRANSPORTS.HTTP;
+    }
+    return { ...values, unmatched };
+  }
+
+  /**
+   * Choose the template an existing entry was written from
+   * @private
+   * @param {Object} entry - Server entry without its name field
+   * @returns {Object} remoteEntryTemplate if the entry fits it with a url, else entryTemplate,
+   *   else defaultEntryTemplate
+   */
+  getEntryTemplate(entry) {
+    const { entryTemplate, remoteEntryTemplate } = this.clientConfig || {};
+    if (remoteEntryTemplate) {
+      const { values, unmatched } = TemplateUtils.extract(remoteEntryTemplate, entry);
+      if (values.url !== undefined && unmatched.length === 0) {
+        return remoteEntryTemplate;
+      }
+    }
+    return entryTemplate || remoteEntryTemplate || this.defaultEntryTemplate;
   }
 
   /**
    * Format configuration for the specific client based on client configuration
    * @param {Object} config - Raw configuration data
+   * @param {Object} [context={}] - Distribution context
+   * @param {string} [context.scope='local'] - Scope being written
+   * @param {string|null} [context.envFile] - Env file holding the server's sensitive values, if one was written
    * @returns {Object} Formatted configuration
+   * @throws {ClientError} For remote servers if the mapping only has an entryTemplate for launched servers
    */
-  formatConfig(config) {
+  formatConfig(config, context = {}) {
+    if (this.clientConfig?.entryTemplate || this.clientConfig?.remoteEntryTemplate) {
+      const template = this.isRemote(config) ? this.clientConfig.remoteEntryTemplate : this.clientConfig.entryTemplate;
+      if (template) {
+        return this.formatTemplate(template, config, context);
+      }
+      if (this.isRemote(config)) {
+        throw new ClientError(
+          `${this.name} has no remoteEntryTemplate for remote (${config.launch.transport}) servers`,
+          this.clientId,
+          { transport: config.launch.transport, reason: SKIP_REASONS.UNSUPPORTED }
+        );
+      }
+    }
+    
     const formatted = {};
     
     // Handle different configuration formats based on client config
     const configFormat = this.clientConfig?.configFormat || 'default';
     
+    const { command, args, cwd } = this.getLaunchCommand(config);
+    const settings = config.settings || {};
+    
+    if (this.isRemote(config)) {
+      // Remote servers have no process to configure: endpoint plus settings only
+      Object.assign(formatted, this.formatRemoteConfig(config));
+      if (Object.keys(settings).length > 0) {
+        formatted.config = settings;
+      }
+      return formatted;
+    }
+    
     if (configFormat === 'structured') {
-      // VS Code style - separate command and args from config
-      if (config.settings?.command) {
-        formatted.command = config.settings.command;
-        formatted.args = config.settings.args || [];
-        
-        // Create config object without command/args
-        const configCopy = { ...config.settings };
-        delete configCopy.command;
-        delete configCopy.args;
-        if (Object.keys(configCopy).length > 0) {
-          formatted.config = configCopy;
+      // VS Code style - launch details at the top level, settings under config
+      if (command) {
+        formatted.command = command;
+        formatted.args = args;
+        if (cwd) {
+          formatted.cwd = cwd;
+        }
+        if (Object.keys(settings).length > 0) {
+          formatted.config = settings;
         }
       } else {
-        formatted.config = config.settings || {};
+        formatted.config = settings;
       }
     } else {
       // Default format
-      formatted.config = config.settings || {};
+      if (command) {
+        formatted.command = command;
+        formatted.args = args;
+      }
+      formatted.config = settings;
     }
     
     // Add environment variables if any
-    if (config.environment && Object.keys(config.environment).length > 0) {
-      formatted.env = {};
-      for (const [key, value] of Object.entries(config.environment)) {
-        // Use client-specific env var format from configuration
-        if (this.clientConfig?.envFormat) {
-          // Replace ${VAR} placeholder with actual variable name
-          formatted.env[key] = this.clientConfig.envFormat.replace(/\$\{VAR\}/g, key);
-        } else {
-          // Default format based on autoLoadEnv setting
-          formatted.env[key] = this.clientConfig?.autoLoadEnv ? value : `\${env:${key}}`;
-        }
+    const env = this.formatEnvironment(config);
+    if (env) {
+      formatted.env = env;
+    }
+    
+    return formatted;
+  }
+
+  /**
+   * Format a server entry from one of the mapping's entry templates
+   * Available placeholders are listed in ENTRY_PLACEHOLDERS; a placeholder without a value
+   * (e.g. `${env}` for a server without environment variables) drops its property.
+   * @param {any} template - The mapping's entryTemplate or remoteEntryTemplate
+   * @param {Object} config - Raw configuration data
+   * @param {Object} [context={}] - Distribution context ({ scope, envFile })
+   * @returns {Object} Rendered server entry
+   * @throws {ValidationError} If a header references a variable missing from the env store
+   *
+   * @example
+   * // entryTemplate: { command: { path: '${command}', args: '${args}', env: '${env}' }, settings: '${settings}' }
+   * client.formatTemplate(template, config);
+   * // Returns: { command: { path: 'node', args: ['index.js'] }, settings: { port: 3000 } }
+   */
+  formatTemplate(template, config, context = {}) {
+    const remote = this.isRemote(config);
+    const { command, args, cwd } = remote ? {} : this.getLaunchCommand(config);
+    
+    return TemplateUtils.render(template, {
+      name: config.serverName,
+      command,
+      args,
+      cwd: cwd || undefined,
+      env: remote ? undefined : this.formatEnvironment(config),
+      envFile: context.envFile || undefined,
+      settings: config.settings || {},
+      transport: config.launch?.transport,
+      url: remote ? config.launch.url : undefined,
+      headers: remote ? this.formatHeaders(config) : undefined
+    });
+  }
+
+  /**
+   * Format environment variables using the client's reference syntax
+   * @param {Object} config - Raw configuration data
+   * @returns {Object|undefined} Formatted env object, or undefined if there are no variables
+   */
+  formatEnvironment(config) {
+    if (!this.hasEnvironment(config)) {
+      return undefined;
+    }
+    
+    const env = {};
+    for (const [key, value] of Object.entries(config.environment)) {
+      // Clients that auto-load env files without a configured reference format get the value itself
+      if (this.clientConfig?.autoLoadEnv && !this.clientConfig?.envFormat) {
+        env[key] = value;
+      } else {
+        env[key] = this.formatSecretReference(key);
       }
     }
+    return env;
+  }
+
+  /**
+   * Check whether the server is reached over the network rather than launched
+   * @param {Object} config - Raw configuration data
+   * @returns {boolean} True for http and sse transports
+   */
+  isRemote(config) {
+    const transport = config.launch?.transport;
+    return transport === TRANSPORTS.HTTP || transport === TRANSPORTS.SSE;
+  }
+
+  /**
+   * Format a remote server entry
+   * Clients that cannot connect to remote servers override this to throw a ClientError.
+   * @param {Object} config - Raw configuration data
+   * @returns {Object} Remote entry ({ type, url, headers? })
+   * @throws {ValidationError} If a header references a variable missing from the env store
+   */
+  formatRemoteConfig(config) {
+    const formatted = { type: config.launch.transport, url: config.launch.url };
+    
+    const headers = this.formatHeaders(config);
+    if (headers) {
+      formatted.headers = headers;
+    }
     
     return formatted;
   }
+
+  /**
+   * Render header templates with the client's secret reference syntax
+   * `${VAR}` placeholders must name variables in the env store; they are replaced by
+   * references (see formatSecretReference) so secret values never land in the client file.
+   * @param {Object} config - Raw configuration data
+   * @returns {Object|undefined} Rendered headers, or undefined if there are none
+   * @throws {ValidationError} If a header references a variable missing from the env store
+   *
+   * @example
+   * // launch.headers: { Authorization: 'Bearer ${API_TOKEN}' }, envFormat: '${env:${VAR}}'
+   * client.formatHeaders(config);
+   * // Returns: { Authorization: 'Bearer ${env:API_TOKEN}' }
+   */
+  formatHeaders(config) {
+    const templates = config.launch?.headers;
+    if (!templates || Object.keys(templates).length === 0) {
+      return undefined;
+    }
+    
+    const environment = config.environment || {};
+    const headers = {};
+    for (const [name, template] of Object.entries(templates)) {
+      headers[name] = template.replace(/\$\{(\w+)\}/g, (match, variable) => {
+        if (!Object.prototype.hasOwnProperty.call(environment, variable)) {
+          throw new ValidationError(
+            `Header ${name} references ${variable}, which is not in the env store`,
+            'headers',
+            template,
+            { header: name, variable }
+          );
+        }
+        return this.formatSecretReference(variable);
+      });
+    }
+    return headers;
+  }
+
+  /**
+   * Format a reference to an environment variable in the client's syntax
+   * @param {string} variable - Environment variable name
+   * @returns {string} Reference (e.g., '${env:API_TOKEN}')
+   */
+  formatSecretReference(variable) {
+    const envFormat = this.clientConfig?.envFormat || '${env:${VAR}}';
+    return envFormat.replace(/\$\{VAR\}/g, variable);
+  }
+
+  /**
+   * Get the command and arguments used to launch the server
+   * @param {Object} config - Raw configuration data
+   * @returns {Object} Launch command ({ command, args, cwd, transport }) from the registered launch spec
+   */
+  getLaunchCommand(config) {
+    const launch = config.launch || {};
+    return {
+      command: launch.command,
+      args: launch.args || [],
+      cwd: launch.cwd,
+      transport: launch.transport || TRANSPORTS.STDIO
+    };
+  }
 }
 
 module.exports = BaseClient;
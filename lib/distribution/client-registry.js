@@ -14,8 +14,24 @@
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
-const { ClientError, ConfigurationError, FileSystemError, EnvironmentError } = require('../errors');
+const { ClientError, ConfigurationError, FileSystemError, EnvironmentError, ValidationError } = require('../errors');
 const PathUtils = require('../utils/path-utils');
+const TemplateUtils = require('../utils/template-utils');
+const DiffUtils = require('../utils/diff-utils');
+const MappingSchema = require('./mapping-schema');
+const MappingMigrations = require('./mapping-migrations');
+const {
+  CONFIG_KEYS,
+  CONFIG_PATH_MODES,
+  ENTRY_PLACEHOLDERS,
+  FILE_NAMES,
+  MAPPINGS_VERSION,
+  MAPPING_STATUS,
+  MAPPING_LAYERS,
+  PATH_VARIABLES,
+  SCOPES,
+  SKIP_REASONS
+} = require('../constants');
 
 /**
  * Client registry for managing MCP client configurations
@@ -28,8 +44,12 @@ class ClientRegistry {
   constructor(serverName = null) {
     this.serverName = serverName;
     this.mappings = null;
+    // Layers merged into mappings (see loadMappings)
+    this.userMappings = null;
+    this.projectMappings = null;
     // Library's own configuration path
     this.libraryConfigPath = this.getLibraryConfigPath();
+    this.projectConfigPath = this.getProjectConfigPath();
   }
 
   getLibraryConfigPath() {
@@ -37,10 +57,33 @@ class ClientRegistry {
     return PathUtils.joinPath(configDir, 'client-mappings.json');
   }
 
+  /**
+   * Get the path of the project mappings file, next to the local configuration
+   * @returns {string} Project mappings path (e.g. ./devjoy-digital/my-server/client-mappings.json)
+   */
+  getProjectConfigPath() {
+    return PathUtils.joinPath('.', 'devjoy-digital', this.serverName || 'dj-config-mcp', FILE_NAMES.CLIENT_MAPPINGS);
+  }
+
   /**
    * Load client mappings from storage
-   * @returns {Promise<Object>} Client mappings object with client-first structure
-   * @throws {FileSystemError} If config file cannot be read
+   * Mappings are built from three layers, each merged over the one before it:
+   * 1. default: the packaged defaults (see getDefaultMappings)
+   * 2. user: the user's changes in the library config directory (libraryConfigPath)
+   * 3. project: the project's changes next to the local configuration (projectConfigPath), so a
+   *    repository can adjust or add clients for everyone who works in it. Since a checkout may not be
+   *    trusted, it can only change local settings whose paths stay inside the project (see assertProjectPatch)
+   * The user and project files hold only changes: added clients, overridden fields, and clients or
+   * fields set to null to remove them. Clients and fixes shipped in new releases therefore reach
+   * existing users. A user file from an older version is migrated (see MappingMigrations) and saved,
+   * after its original content is backed up next to it; the project file is never written. A missing
+   * file means no changes; a file that cannot be parsed or whose merged mappings do not match the
+   * schema is reported and left untouched.
+   * @returns {Promise<Object>} Merged client mappings object with client-first structure
+   * @throws {FileSystemError} If a mappings file cannot be read, or the user file cannot be backed up or saved
+   * @throws {ConfigurationError} If a file is not valid JSON or is newer than this release supports
+   * @throws {ValidationError} If a file does not match the schema, or the project file changes more
+   *   than it may; `field` is the JSON path of the offending value (see MappingSchema)
    * 
    * @example
    * const mappings = await registry.loadMappings();
@@ -48,96 +91,213 @@ class ClientRegistry {
    */
   async loadMappings() {
     if (!this.mappings) {
-      try {
-        // Try to load from library config path
-        const content = await fs.readFile(this.libraryConfigPath, 'utf8');
-        const loadedConfig = JSON.parse(content);
-        
-        // Check if loaded config has the new client-first structure
-        if (loadedConfig.vscode || loadedConfig['claude-desktop'] || loadedConfig.cursor) {
-          this.mappings = loadedConfig;
-        } else if (loadedConfig['global-paths'] && loadedConfig['local-paths']) {
-          // Convert old structure to new structure
-          this.mappings = this.convertLegacyStructure(loadedConfig);
-          await this.saveMappings();
-        } else {
-          // Invalid structure detected - overwrite with defaults
-          this.mappings = this.getDefaultMappings();
-          await this.saveMappings();
-        }
-      } catch (error) {
-        // Use default mappings if no config file exists
-        this.mappings = this.getDefaultMappings();
+      const defaults = this.getDefaultMappings();
+      const content = await this.readMappingsFile(this.libraryConfigPath);
+      
+      let userMappings = defaults;
+      let migration = null;
+      if (content !== null) {
+        migration = MappingMigrations.migrate(this.parseMappings(content, this.libraryConfigPath));
+        userMappings = this.applyLayer(defaults, migration.mappings, this.libraryConfigPath);
+      }
+      
+      const projectContent = await this.readMappingsFile(this.projectConfigPath);
+      let projectMappings = null;
+      if (projectContent !== null) {
+        // Project files are newer than version 2, so one without a version is current
+        const parsed = this.parseMappings(projectContent, this.projectConfigPath);
+        const { mappings } = MappingMigrations.migrate({ [CONFIG_KEYS.VERSION]: MAPPINGS_VERSION, ...parsed });
+        const { [CONFIG_KEYS.VERSION]: version, ...patch } = mappings;
+        this.assertProjectPatch(patch, userMappings);
+        this.applyLayer(userMappings, mappings, this.projectConfigPath);
+        projectMappings = patch;
+      }
+      
+      this.userMappings = userMappings;
+      this.projectMappings = projectMappings;
+      this.mappings = this.mergeLayers();
+      
+      if (content === null) {
         // Save defaults to library config
         try {
           await this.saveMappings();
         } catch (saveError) {
           // Ignore save errors during initialization
         }
+      } else if (migration.applied.length > 0) {
+        await this.backupMappings(content, migration.fromVersion);
+        await this.saveMappings();
       }
     }
     return this.mappings || this.getDefaultMappings();
   }
 
   /**
-   * Convert legacy structure to new client-first structure
+   * Read a mappings file
    * @private
-   * @param {Object} legacyConfig - Old structure config
-   * @returns {Object} New client-first structure
+   * @param {string} configPath - File path
+   * @returns {Promise<string|null>} File content, or null if the file does not exist
+   * @throws {FileSystemError} If the file cannot be read
    */
-  convertLegacyStructure(legacyConfig) {
-    const newConfig = {};
-    
-    // Get all client IDs from both global and local paths
-    const clientIds = new Set();
-    if (legacyConfig['global-paths']) {
-      Object.keys(legacyConfig['global-paths']).forEach(id => clientIds.add(id));
+  async readMappingsFile(configPath) {
+    try {
+      return await fs.readFile(configPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new FileSystemError(
+        `Failed to read client mappings: ${error.message}`,
+        configPath,
+        'read',
+        { originalError: error.message }
+      );
     }
-    if (legacyConfig['local-paths']) {
-      Object.keys(legacyConfig['local-paths']).forEach(id => clientIds.add(id));
+  }
+
+  /**
+   * Merge a migrated mappings file over a lower layer and validate the result
+   * @private
+   * @param {Object} base - Mappings of the lower layers
+   * @param {Object} overlay - Migrated file content, including its version
+   * @param {string} configPath - File the overlay was read from, for error messages
+   * @returns {Object} Merged mappings, without a version
+   * @throws {ValidationError} If the merged mappings do not match the schema
+   */
+  applyLayer(base, overlay, configPath) {
+    const { [CONFIG_KEYS.VERSION]: version, ...patch } = overlay;
+    const mappings = DiffUtils.applyPatch(base, patch);
+    try {
+      MappingSchema.validate({ [CONFIG_KEYS.VERSION]: version, ...mappings });
+    } catch (error) {
+      throw new ValidationError(
+        `${error.message} (${configPath})`,
+        error.field,
+        error.value,
+        { configPath }
+      );
     }
+    return mappings;
+  }
+
+  /**
+   * Check that the project mappings only change what a checkout may control
+   * Distribution replaces whole files, so a cloned repository must not be able to point writes at
+   * the user's own files. The project layer may therefore remove clients and change the `local`
+   * section of existing clients; clients it adds may have any field except `global`. Every local
+   * `config-path` and `env-path` it sets must resolve inside the project root.
+   * @private
+   * @param {Object} patch - Project changes, without a version
+   * @param {Object} base - Mappings of the lower layers
+   * @throws {ValidationError} If the project changes a field it may not, or a path resolves outside the project root
+   */
+  assertProjectPatch(patch, base) {
+    const reject = (segments, value, problem) => {
+      const field = MappingSchema.formatPath(segments);
+      throw new ValidationError(
+        `Project client mappings cannot ${problem} at ${field} (${this.projectConfigPath})`,
+        field,
+        value,
+        { configPath: this.projectConfigPath }
+      );
+    };
+    const projectRoot = path.resolve(PathUtils.findProjectRoot());
     
-    // Convert each client
-    clientIds.forEach(clientId => {
-      const globalConfig = legacyConfig['global-paths'] ? legacyConfig['global-paths'][clientId] : null;
-      const localConfig = legacyConfig['local-paths'] ? legacyConfig['local-paths'][clientId] : null;
+    for (const [clientId, changes] of Object.entries(patch)) {
+      if (clientId === CONFIG_KEYS.SENSITIVE_PATTERNS) {
+        reject([clientId], changes, 'change sensitive patterns');
+      }
+      // Removing a client only stops distribution to it; malformed values are left to the schema
+      if (changes === null || typeof changes !== 'object' || Array.isArray(changes)) {
+        continue;
+      }
       
-      if (globalConfig || localConfig) {
-        newConfig[clientId] = {
-          name: (globalConfig || localConfig).name,
-          configKey: (globalConfig || localConfig).configKey,
-          autoLoadEnv: (globalConfig || localConfig).autoLoadEnv,
-          configFormat: (globalConfig || localConfig).configFormat,
-          envFormat: (globalConfig || localConfig).envFormat
-        };
-        
-        if (globalConfig) {
-          newConfig[clientId].global = {
-            'config-path': globalConfig['config-path'],
-            'env-path': globalConfig['env-path']
-          };
+      const isNew = !base[clientId];
+      for (const [field, value] of Object.entries(changes)) {
+        if (field === SCOPES.GLOBAL || (!isNew && field !== SCOPES.LOCAL)) {
+          reject([clientId, field], value, 'change fields other than local settings of a packaged or user client');
         }
-        
-        if (localConfig) {
-          newConfig[clientId].local = {
-            'config-path': localConfig['config-path'],
-            'env-path': localConfig['env-path']
-          };
+      }
+      
+      const local = changes[SCOPES.LOCAL] || {};
+      for (const key of [CONFIG_KEYS.CONFIG_PATH, CONFIG_KEYS.ENV_PATH]) {
+        for (const [platform, templates] of Object.entries(local[key] || {})) {
+          [].concat(templates || []).forEach((template, index) => {
+            if (typeof template !== 'string') {
+              return;
+            }
+            // Relative paths are written relative to the working directory
+            const relative = path.relative(projectRoot, path.resolve(this.resolvePath(template)));
+            if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+              const segments = [clientId, SCOPES.LOCAL, key, platform];
+              reject(Array.isArray(templates) ? [...segments, index] : segments, template, 'use a path outside the project root');
+            }
+          });
         }
       }
-    });
-    
-    // Copy sensitive patterns
-    if (legacyConfig.sensitivePatterns) {
-      newConfig.sensitivePatterns = legacyConfig.sensitivePatterns;
     }
-    
-    return newConfig;
   }
 
   /**
-   * Get default client mappings
+   * Merge the project layer over the user layer
    * @private
+   * @returns {Object} Merged mappings with the current version
+   */
+  mergeLayers() {
+    return {
+      [CONFIG_KEYS.VERSION]: MAPPINGS_VERSION,
+      ...DiffUtils.applyPatch(this.userMappings, this.projectMappings || {})
+    };
+  }
+
+  /**
+   * Parse the content of a mappings file
+   * @private
+   * @param {string} content - File content
+   * @param {string} [configPath] - File path, for error messages (defaults to libraryConfigPath)
+   * @returns {any} Parsed JSON
+   * @throws {ConfigurationError} If the content is not valid JSON
+   */
+  parseMappings(content, configPath = this.libraryConfigPath) {
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new ConfigurationError(
+        `Invalid JSON in client mappings: ${error.message}`,
+        configPath,
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Write the original content of the mappings file next to it before a migration
+   * @private
+   * @param {string} content - Original file content
+   * @param {number} version - Version of the original content
+   * @returns {Promise<string>} Backup file path (e.g. client-mappings.v1.2024-05-01T09-30-00-000Z.json)
+   * @throws {FileSystemError} If the backup cannot be written
+   */
+  async backupMappings(content, version) {
+    const { dir, name, ext } = path.parse(this.libraryConfigPath);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = PathUtils.joinPath(dir, `${name}.v${version}.${timestamp}${ext}`);
+    
+    try {
+      await fs.writeFile(backupPath, content);
+    } catch (error) {
+      throw new FileSystemError(
+        `Failed to back up client mappings before migration: ${error.message}`,
+        backupPath,
+        'write',
+        { originalError: error.message }
+      );
+    }
+    return backupPath;
+  }
+
+  /**
+   * Get the packaged default client mappings (config/default-client-mappings.json)
    * @returns {Object} Default mappings with client-first structure
    */
   getDefaultMappings() {
@@ -154,26 +314,34 @@ class ClientRegistry {
       return {
         "vscode": {
           "name": "Visual Studio Code",
-          "configKey": "mcp-servers",
+          "configKey": "servers",
           "autoLoadEnv": true,
           "configFormat": "structured",
+          "detect": {
+            "markers": {
+              "win32": ["${APPDATA}/Code", "${LOCALAPPDATA}/Programs/Microsoft VS Code"],
+              "darwin": ["${HOME}/Library/Application Support/Code", "/Applications/Visual Studio Code.app"],
+              "linux": ["${HOME}/.config/Code", "${HOME}/.vscode"]
+            },
+            "configFile": true
+          },
           "global": {
             "config-path": {
-              "win32": "${APPDATA}/Code/User/settings.json",
-              "darwin": "${HOME}/Library/Application Support/Code/User/settings.json",
-              "linux": "${HOME}/.config/Code/User/settings.json"
+              "win32": "${APPDATA}/Code/User/mcp.json",
+              "darwin": "${HOME}/Library/Application Support/Code/User/mcp.json",
+              "linux": "${HOME}/.config/Code/User/mcp.json"
             },
             "env-path": {
-              "win32": "${APPDATA}/Code/User/.${SERVER_NAME}/.env",
-              "darwin": "${HOME}/Library/Application Support/Code/User/.${SERVER_NAME}/.env",
-              "linux": "${HOME}/.config/Code/User/.${SERVER_NAME}/.env"
+              "win32": "${CONFIG_FILE_DIR}/.${SERVER_NAME}/.env",
+              "darwin": "${CONFIG_FILE_DIR}/.${SERVER_NAME}/.env",
+              "linux": "${CONFIG_FILE_DIR}/.${SERVER_NAME}/.env"
             }
           },
           "local": {
             "config-path": {
-              "win32": "./.vscode/settings.json",
-              "darwin": "./.vscode/settings.json",
-              "linux": "./.vscode/settings.json"
+              "win32": "./.vscode/mcp.json",
+              "darwin": "./.vscode/mcp.json",
+              "linux": "./.vscode/mcp.json"
             },
             "env-path": {
               "win32": "./.vscode/.${SERVER_NAME}/.env",
@@ -189,18 +357,96 @@ class ClientRegistry {
 
   /**
    * Get client configuration file path
+   * If the mapping lists several candidate paths, this is the first one getClientConfigPaths resolves to.
    * @param {string} clientId - Client identifier (e.g., 'vscode', 'claude-desktop')
    * @param {boolean} [isGlobal=false] - If true, returns global config path; if false, returns local config path
+   * @param {Object} [options={}] - Resolution options (see getClientConfigPaths)
    * @returns {Promise<string>} Resolved absolute path to client configuration file
    * @throws {ClientError} If client is unknown
    * @throws {ConfigurationError} If no config path mapping exists for the platform
+   * @throws {EnvironmentError} In strict mode, if a path template has unresolved variables
    * 
    * @example
    * // Get global VS Code settings path
    * const vscodePath = await registry.getClientConfigPath('vscode', true);
    * // Returns: C:\\Users\\username\\AppData\\Roaming\\Code\\User\\settings.json (Windows)
    */
-  async getClientConfigPath(clientId, isGlobal = false) {
+  async getClientConfigPath(clientId, isGlobal = false, options = {}) {
+    const [configPath] = await this.getClientConfigPaths(clientId, isGlobal, options);
+    return configPath;
+  }
+
+  /**
+   * Get every client configuration file path to write for a scope
+   * A platform's `config-path` may be a single path or an ordered list of candidates (e.g. VS Code,
+   * VS Code Insiders, VSCodium, Flatpak and Snap installs). With the client's `configPathMode` set to
+   * 'existing' (the default) the candidates found on this machine are returned: those whose file
+   * exists or, if there are none, those whose parent directory exists, falling back to the first
+   * candidate if nothing is found. With 'all' every candidate is returned.
+   * @param {string} clientId - Client identifier
+   * @param {boolean} [isGlobal=false] - If true, returns global config paths; if false, returns local config paths
+   * @param {Object} [options={}] - Resolution options
+   * @param {boolean} [options.strict=false] - Throw if any candidate has unresolved variables instead of
+   *   keeping the placeholders (used before writing, so no literal `${APPDATA}` directory is created)
+   * @returns {Promise<Array<string>>} Resolved absolute paths, in candidate order (never empty)
+   * @throws {ClientError} If client is unknown
+   * @throws {ConfigurationError} If no config path mapping exists for the platform, or the
+   *   client's configPathMode is not recognised
+   * @throws {EnvironmentError} In strict mode, if a candidate has unresolved variables
+   * 
+   * @example
+   * // Only VS Code Insiders is installed
+   * const paths = await registry.getClientConfigPaths('vscode', true);
+   * // Returns: ['/home/user/.config/Code - Insiders/User/mcp.json']
+   */
+  async getClientConfigPaths(clientId, isGlobal = false, options = {}) {
+    const candidates = await this.getClientConfigCandidates(clientId, isGlobal, options);
+    const mappings = await this.loadMappings();
+    const mode = mappings[clientId].configPathMode || CONFIG_PATH_MODES.EXISTING;
+    
+    if (mode === CONFIG_PATH_MODES.ALL) {
+      return candidates;
+    }
+    if (mode !== CONFIG_PATH_MODES.EXISTING) {
+      throw new ConfigurationError(
+        `Unknown configPathMode for ${clientId}: ${mode}. Expected one of: ${Object.values(CONFIG_PATH_MODES).join(', ')}`,
+        'configPathMode',
+        { clientId, configPathMode: mode }
+      );
+    }
+    
+    if (candidates.length === 1) {
+      return candidates;
+    }
+    
+    const files = [];
+    const directories = [];
+    for (const candidate of candidates) {
+      if (await this.pathExists(candidate)) {
+        files.push(candidate);
+      } else if (await this.pathExists(path.dirname(candidate))) {
+        directories.push(candidate);
+      }
+    }
+    
+    if (files.length > 0) {
+      return files;
+    }
+    return directories.length > 0 ? directories : [candidates[0]];
+  }
+
+  /**
+   * Resolve every candidate configuration file path of a client for a scope
+   * @private
+   * @param {string} clientId - Client identifier
+   * @param {boolean} isGlobal - Global or local scope
+   * @param {Object} [options={}] - Resolution options ({ strict })
+   * @returns {Promise<Array<string>>} Resolved candidate paths, in mapping order (never empty)
+   * @throws {ClientError} If client is unknown
+   * @throws {ConfigurationError} If no config path mapping exists for the platform
+   * @throws {EnvironmentError} In strict mode, if a candidate has unresolved variables
+   */
+  async getClientConfigCandidates(clientId, isGlobal, options = {}) {
     const mappings = await this.loadMappings();
     const client = mappings[clientId];
     
@@ -215,17 +461,19 @@ class ClientRegistry {
     const scopedConfig = client[scope];
     
     if (!scopedConfig || !scopedConfig['config-path']) {
+      // Clients such as Continue have no project configuration; distribution skips them
       throw new ConfigurationError(
         `No ${scope} config path mapping for ${clientId}`,
         'config-path',
-        { clientId, scope }
+        { clientId, scope, reason: SKIP_REASONS.UNSUPPORTED }
       );
     }
 
     const platform = process.platform;
     const pathTemplate = scopedConfig['config-path'][platform];
+    const templates = Array.isArray(pathTemplate) ? pathTemplate : [pathTemplate];
     
-    if (!pathTemplate) {
+    if (!pathTemplate || templates.length === 0) {
       throw new ConfigurationError(
         `No config path mapping for ${clientId} on ${platform}`,
         'config-path',
@@ -233,19 +481,22 @@ class ClientRegistry {
       );
     }
 
-    // Resolve environment variables in path
-    return this.resolvePath(pathTemplate);
+    // Resolve environment variables in each path
+    return templates.map(template => this.resolvePath(template, options));
   }
 
   /**
    * Get client environment file path
    * @param {string} clientId - Client identifier
    * @param {boolean} [isGlobal=false] - If true, returns global env path; if false, returns local env path
+   * @param {Object} [options={}] - Resolution options ({ strict, configPath }, see resolvePath); without
+   *   a configPath, ${CONFIG_FILE_DIR} is the directory of the scope's first config path
    * @returns {Promise<string>} Resolved absolute path to client .env file
    * @throws {ClientError} If client is unknown
    * @throws {ConfigurationError} If no env-path configured for the client
+   * @throws {EnvironmentError} In strict mode, if the path template has unresolved variables
    */
-  async getClientEnvPath(clientId, isGlobal = false) {
+  async getClientEnvPath(clientId, isGlobal = false, options = {}) {
     const mappings = await this.loadMappings();
     const client = mappings[clientId];
     
@@ -278,8 +529,14 @@ class ClientRegistry {
       );
     }
 
+    // Env files kept next to the client file follow the candidate being written
+    let configPath = options.configPath;
+    if (!configPath && pathTemplate.includes(`\${${PATH_VARIABLES.CONFIG_FILE_DIR}}`)) {
+      configPath = await this.getClientConfigPath(clientId, isGlobal, options);
+    }
+
     // Resolve environment variables in path
-    return this.resolvePath(pathTemplate);
+    return this.resolvePath(pathTemplate, { ...options, configPath });
   }
 
   /**
@@ -297,7 +554,8 @@ class ClientRegistry {
    * Get client configuration object
    * @param {string} clientId - Client identifier
    * @param {boolean} [isGlobal=false] - If true, returns global config; if false, returns local config
-   * @returns {Promise<Object|null>} Client configuration object or null if not found
+   * @returns {Promise<Object|null>} Client configuration object or null if not found; its configKey
+   *   is the scope's own configKey if the scope defines one
    */
   async getClientConfig(clientId, isGlobal = false) {
     const mappings = await this.loadMappings();
@@ -313,9 +571,15 @@ class ClientRegistry {
     
     return {
       name: client.name,
-      configKey: client.configKey,
+      configKey: (scopedConfig && scopedConfig.configKey) || client.configKey,
       autoLoadEnv: client.autoLoadEnv,
       configFormat: client.configFormat,
+      fileFormat: client.fileFormat,
+      containerType: client.containerType,
+      nameKey: client.nameKey,
+      entryTemplate: client.entryTemplate,
+      remoteEntryTemplate: client.remoteEntryTemplate,
+      configPathMode: client.configPathMode,
       envFormat: client.envFormat,
       'config-path': scopedConfig ? scopedConfig['config-path'] : null,
       'env-path': scopedConfig ? scopedConfig['env-path'] : null
@@ -325,23 +589,30 @@ class ClientRegistry {
   /**
    * Resolve path template with environment variables and server name
    * @private
-   * @param {string} pathTemplate - Path template with ${VAR} placeholders
+   * @param {string} pathTemplate - Path template with ${VAR} placeholders (see PathUtils.resolveEnvVars)
+   * @param {Object} [options={}] - Resolution options
+   * @param {boolean} [options.strict=false] - Throw instead of keeping unresolved placeholders
+   * @param {string} [options.configPath] - Client file the path belongs to (its directory is ${CONFIG_FILE_DIR})
    * @returns {string} Resolved path with all variables replaced
+   * @throws {EnvironmentError} In strict mode, if any variable cannot be resolved
    * 
    * @example
    * // With serverName = 'my-server'
    * resolvePath('${HOME}/.config/${SERVER_NAME}')
    * // Returns: /home/user/.config/my-server
    */
-  resolvePath(pathTemplate) {
+  resolvePath(pathTemplate, options = {}) {
     // Create additional variables object with SERVER_NAME if available
     const additionalVars = {};
     if (this.serverName) {
-      additionalVars.SERVER_NAME = this.serverName;
+      additionalVars[PATH_VARIABLES.SERVER_NAME] = this.serverName;
+    }
+    if (options.configPath) {
+      additionalVars[PATH_VARIABLES.CONFIG_FILE_DIR] = path.dirname(options.configPath);
     }
     
     // Use PathUtils for consistent resolution
-    const resolved = PathUtils.resolveEnvVars(pathTemplate, additionalVars);
+    const resolved = PathUtils.resolveEnvVars(pathTemplate, additionalVars, { strict: Boolean(options.strict) });
     return PathUtils.normalizePath(resolved);
   }
 
@@ -352,6 +623,13 @@ class ClientRegistry {
    * @returns {string} clients[].id - Client identifier
    * @returns {string} clients[].name - Client display name
    * @returns {boolean} clients[].autoLoadEnv - Whether client auto-loads environment variables
+   * @returns {boolean} clients[].installed - Whether the client was detected on this machine
+   * @returns {Array<Object>} clients[].evidence - Paths that matched a detection rule (see detectClient)
+   * @returns {Object} clients[].configPaths - Config paths distribution targets per scope ({ global, local }),
+   *   showing which candidate variants were found (see getClientConfigPaths); a scope without a
+   *   mapping for this platform is an empty array
+   * @returns {Object} clients[].sources - Layer each field of the mapping comes from, keyed by
+   *   dot-notation path ('default', 'user' or 'project'; see MAPPING_LAYERS and loadMappings)
    */
   async getAvailableClients() {
     const mappings = await this.loadMappings();
@@ -360,10 +638,18 @@ class ClientRegistry {
     // Get clients from the client-first structure (excluding sensitivePatterns)
     for (const [id, config] of Object.entries(mappings)) {
       if (id !== 'sensitivePatterns' && config.name) {
+        const { installed, evidence } = await this.detectClient(id);
         clients.push({
           id,
           name: config.name,
-          autoLoadEnv: config.autoLoadEnv
+          autoLoadEnv: config.autoLoadEnv,
+          installed,
+          evidence,
+          configPaths: {
+            global: await this.findConfigPaths(id, true),
+            local: await this.findConfigPaths(id, false)
+          },
+          sources: this.getFieldSources(id)
         });
       }
     }
@@ -371,12 +657,200 @@ class ClientRegistry {
     return clients;
   }
 
+  /**
+   * Find the layer each field of a client mapping comes from
+   * A field comes from the highest layer that sets it: the project file, then the user file if it
+   * differs from the packaged default.
+   * @private
+   * @param {string} clientId - Client identifier (mappings must be loaded)
+   * @returns {Object} Layer per dot-notation field path (e.g. { 'global.config-path.linux': 'project' })
+   */
+  getFieldSources(clientId) {
+    const { [CONFIG_KEYS.VERSION]: version, ...mappings } = this.mappings;
+    const userMappings = this.userMappings || mappings;
+    const leafPaths = value => DiffUtils.diff(undefined, value).added.map(field => field.path);
+    
+    const projectPaths = leafPaths((this.projectMappings || {})[clientId]);
+    const diff = DiffUtils.diff(this.getDefaultMappings()[clientId], userMappings[clientId]);
+    const userPaths = [...diff.added, ...diff.changed].map(field => field.path);
+    
+    const sources = {};
+    for (const fieldPath of leafPaths(mappings[clientId])) {
+      if (projectPaths.includes(fieldPath)) {
+        sources[fieldPath] = MAPPING_LAYERS.PROJECT;
+      } else if (userPaths.includes(fieldPath)) {
+        sources[fieldPath] = MAPPING_LAYERS.USER;
+      } else {
+        sources[fieldPath] = MAPPING_LAYERS.DEFAULT;
+      }
+    }
+    return sources;
+  }
+
+  /**
+   * Describe the paths each client uses on this platform
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - Scope to resolve paths for ('local' or 'global')
+   * @returns {Promise<Array<Object>>} One description per client
+   * @returns {string} clients[].id - Client identifier
+   * @returns {string} clients[].name - Client display name
+   * @returns {string} clients[].scope - Scope the paths belong to
+   * @returns {string|null} clients[].configPath - First config path (see getClientConfigPaths), or null
+   *   if the scope has no mapping for this platform
+   * @returns {Array<string>} clients[].configPaths - Every config path distribution targets
+   * @returns {string|null} clients[].envPath - Env path, or null if the scope has none for this platform
+   * @returns {Array<string>} clients[].unresolved - Variables left unresolved in the paths (e.g. 'LOCALAPPDATA')
+   * @returns {boolean} clients[].installed - Whether the client was detected on this machine (see detectClient)
+   * @returns {Array<Object>} clients[].evidence - Paths that matched a detection rule
+   * @throws {ValidationError} If the scope is invalid
+   *
+   * @example
+   * const [cursor] = await registry.describeClients({ scope: 'global' });
+   * // { id: 'cursor', name: 'Cursor', scope: 'global', configPath: '/home/user/.cursor/mcp.json',
+   * //   configPaths: ['/home/user/.cursor/mcp.json'], envPath: '/home/user/.cursor/.my-server/.env',
+   * //   unresolved: [], installed: true, evidence: [...] }
+   */
+  async describeClients(options = {}) {
+    const scope = options.scope || SCOPES.LOCAL;
+    if (scope !== SCOPES.LOCAL && scope !== SCOPES.GLOBAL) {
+      throw new ValidationError(`Invalid scope: ${scope}`, 'scope', scope);
+    }
+    const isGlobal = scope === SCOPES.GLOBAL;
+
+    const descriptions = [];
+    for (const { id, name, installed, evidence } of await this.getAvailableClients()) {
+      const configPaths = await this.findConfigPaths(id, isGlobal);
+      let envPath = null;
+      try {
+        envPath = await this.getClientEnvPath(id, isGlobal);
+      } catch (error) {
+        // No env-path for this scope or platform
+      }
+
+      const unresolved = new Set();
+      for (const resolved of [...configPaths, envPath].filter(Boolean)) {
+        for (const [, variable] of resolved.matchAll(/\$\{([^}]+)\}/g)) {
+          unresolved.add(variable);
+        }
+      }
+
+      descriptions.push({
+        id,
+        name,
+        scope,
+        configPath: configPaths[0] || null,
+        configPaths,
+        envPath,
+        unresolved: [...unresolved],
+        installed,
+        evidence
+      });
+    }
+
+    return descriptions;
+  }
+
+  /**
+   * Detect whether a client is installed, without touching the file system
+   * A client counts as installed if any of its `detect.markers` paths for the current
+   * platform exists, or (unless `detect.configFile` is false) one of its global or local
+   * candidate configuration files exists.
+   * @param {string} clientId - Client identifier
+   * @returns {Promise<Object>} Detection result
+   * @returns {boolean} result.installed - True if any rule matched
+   * @returns {Array<Object>} result.evidence - Matches as { rule: 'marker'|'config-file', path }
+   * @throws {ClientError} If client is unknown
+   * 
+   * @example
+   * const { installed, evidence } = await registry.detectClient('cursor');
+   * // installed: true, evidence: [{ rule: 'marker', path: '/home/user/.cursor' }]
+   */
+  async detectClient(clientId) {
+    const mappings = await this.loadMappings();
+    const client = mappings[clientId];
+    
+    if (!client) {
+      throw new ClientError(
+        `Unknown client: ${clientId}`,
+        clientId
+      );
+    }
+    
+    const rules = client.detect || {};
+    const evidence = [];
+    
+    const markers = (rules.markers && rules.markers[process.platform]) || [];
+    for (const template of markers) {
+      const markerPath = this.resolvePath(template);
+      if (await this.pathExists(markerPath)) {
+        evidence.push({ rule: 'marker', path: markerPath });
+      }
+    }
+    
+    if (rules.configFile !== false) {
+      for (const isGlobal of [true, false]) {
+        let candidates;
+        try {
+          candidates = await this.getClientConfigCandidates(clientId, isGlobal);
+        } catch (error) {
+          // No mapping for this scope or platform
+          continue;
+        }
+        
+        for (const configPath of candidates) {
+          if (!evidence.some(e => e.path === configPath) && await this.pathExists(configPath)) {
+            evidence.push({ rule: 'config-file', path: configPath });
+          }
+        }
+      }
+    }
+    
+    return { installed: evidence.length > 0, evidence };
+  }
+
+  /**
+   * Get the config paths of a client for a scope, or none if the scope has no mapping
+   * @private
+   * @param {string} clientId - Client identifier
+   * @param {boolean} isGlobal - Global or local scope
+   * @returns {Promise<Array<string>>} Config paths (see getClientConfigPaths)
+   */
+  async findConfigPaths(clientId, isGlobal) {
+    try {
+      return await this.getClientConfigPaths(clientId, isGlobal);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Check whether a path exists
+   * @private
+   * @param {string} targetPath - Path to check
+   * @returns {Promise<boolean>} True if the path exists
+   */
+  async pathExists(targetPath) {
+    // Unresolved placeholders (e.g., ${LOCALAPPDATA} on Linux) can never match
+    if (!targetPath || targetPath.includes('${')) {
+      return false;
+    }
+    
+    try {
+      await fs.access(targetPath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Set the server name for path resolution
+   * Also selects the server's project mappings file (see getProjectConfigPath).
    * @param {string} serverName - The MCP server name used in ${SERVER_NAME} placeholders
    */
   setServerName(serverName) {
     this.serverName = serverName;
+    this.projectConfigPath = this.getProjectConfigPath();
   }
 
   /**
@@ -395,17 +869,189 @@ class ClientRegistry {
    * @param {string} clientConfig.name - Display name for the client
    * @param {Object} clientConfig.global - Global configuration
    * @param {Object} clientConfig.local - Local configuration
+   * @param {Object} [clientConfig.entryTemplate] - Server entry shape with placeholders (see ENTRY_PLACEHOLDERS)
+   * @param {Object} [clientConfig.remoteEntryTemplate] - Entry shape for remote (http/sse) servers
    * @returns {Promise<void>}
+   * @throws {ValidationError} If the configuration does not match the mapping schema (see MappingSchema),
+   *   the id is reserved, or an entry template uses an unknown placeholder
    * @throws {FileSystemError} If configuration cannot be saved
    */
   async addClient(clientId, clientConfig) {
+    MappingSchema.validateClient(clientId, clientConfig);
+    this.validateEntryTemplates(clientId, clientConfig);
+    const mappings = await this.loadMappings();
+    mappings[clientId] = clientConfig;
+    await this.saveMappings();
+  }
+
+  /**
+   * Update part of a client configuration
+   * Changes are merged like a JSON Merge Patch: objects merge field by field, other values
+   * replace the current one, and `null` removes a field.
+   * @param {string} clientId - Client identifier
+   * @param {Object} changes - Fields to change (e.g. `{ global: { 'config-path': { linux: '...' } } }`)
+   * @returns {Promise<Object>} The updated client configuration
+   * @throws {ClientError} If the client is unknown
+   * @throws {ValidationError} If the updated configuration does not match the mapping schema or an
+   *   entry template uses an unknown placeholder
+   * @throws {FileSystemError} If configuration cannot be saved
+   *
+   * @example
+   * await registry.updateClient('cursor', { autoLoadEnv: false, detect: null });
+   */
+  async updateClient(clientId, changes) {
     const mappings = await this.loadMappings();
+    this.assertClient(mappings, clientId);
+
+    if (changes === null || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new ValidationError(
+        `Client changes for ${clientId} must be an object`,
+        'changes',
+        changes
+      );
+    }
+
+    const clientConfig = DiffUtils.applyPatch(mappings[clientId], changes);
+    MappingSchema.validateClient(clientId, clientConfig);
+    this.validateEntryTemplates(clientId, clientConfig);
+
     mappings[clientId] = clientConfig;
     await this.saveMappings();
+    return clientConfig;
+  }
+
+  /**
+   * Remove a client configuration
+   * A packaged client stays removed until it is reset (see resetClient).
+   * @param {string} clientId - Client identifier
+   * @returns {Promise<void>}
+   * @throws {ClientError} If the client is unknown
+   * @throws {FileSystemError} If configuration cannot be saved
+   */
+  async removeClient(clientId) {
+    const mappings = await this.loadMappings();
+    this.assertClient(mappings, clientId);
+
+    delete mappings[clientId];
+    await this.saveMappings();
+  }
+
+  /**
+   * Ensure a client id names a client configuration
+   * @private
+   * @param {Object} mappings - Loaded mappings
+   * @param {string} clientId - Client identifier
+   * @throws {ClientError} If the client is unknown or the id is a reserved key
+   */
+  assertClient(mappings, clientId) {
+    if (clientId === CONFIG_KEYS.VERSION || clientId === CONFIG_KEYS.SENSITIVE_PATTERNS || !mappings[clientId]) {
+      throw new ClientError(
+        `Unknown client: ${clientId}`,
+        clientId
+      );
+    }
+  }
+
+  /**
+   * Check that entry templates only use known placeholders
+   * @private
+   * @param {string} clientId - Client identifier
+   * @param {Object} clientConfig - Client configuration object
+   * @throws {ValidationError} If a template uses an unknown placeholder
+   */
+  validateEntryTemplates(clientId, clientConfig) {
+    const known = Object.values(ENTRY_PLACEHOLDERS);
+    
+    for (const field of [CONFIG_KEYS.ENTRY_TEMPLATE, CONFIG_KEYS.REMOTE_ENTRY_TEMPLATE]) {
+      const template = clientConfig[field];
+      if (template === undefined) {
+        continue;
+      }
+      
+      const unknown = TemplateUtils.getPlaceholders(template).filter(name => !known.includes(name));
+      if (unknown.length > 0) {
+        throw new ValidationError(
+          `Unknown placeholder(s) in ${field} for ${clientId}: ${unknown.map(name => `\${${name}}`).join(', ')}. Expected one of: ${known.join(', ')}`,
+          field,
+          template,
+          { clientId, placeholders: unknown }
+        );
+      }
+    }
+  }
+
+  /**
+   * List the clients whose mapping differs from the packaged defaults in the user layer
+   * Project changes are not included, since resetClient cannot undo them (see getAvailableClients
+   * for the layer each field comes from).
+   * @returns {Promise<Array<Object>>} One entry per differing client ({ clientId, status, fields }), where
+   *   status is 'overridden', 'added' (no default exists) or 'removed' (see MAPPING_STATUS), and fields
+   *   is the field-level diff from the default to the current mapping (see DiffUtils.diff)
+   * 
+   * @example
+   * const overrides = await registry.getOverrides();
+   * // [{ clientId: 'vscode', status: 'overridden',
+   * //    fields: { added: [], changed: [{ path: 'global.config-path.linux', from: [...], to: '/opt/code/mcp.json' }], removed: [] } }]
+   */
+  async getOverrides() {
+    const loaded = await this.loadMappings();
+    const mappings = this.userMappings || loaded;
+    const defaults = this.getDefaultMappings();
+    const reserved = [CONFIG_KEYS.VERSION, CONFIG_KEYS.SENSITIVE_PATTERNS];
+    const clientIds = new Set([...Object.keys(defaults), ...Object.keys(mappings)]);
+    const overrides = [];
+    
+    for (const clientId of clientIds) {
+      if (reserved.includes(clientId)) {
+        continue;
+      }
+      
+      const fields = DiffUtils.diff(defaults[clientId], mappings[clientId]);
+      if (!DiffUtils.hasChanges(fields)) {
+        continue;
+      }
+      
+      let status = MAPPING_STATUS.OVERRIDDEN;
+      if (!defaults[clientId]) {
+        status = MAPPING_STATUS.ADDED;
+      } else if (!mappings[clientId]) {
+        status = MAPPING_STATUS.REMOVED;
+      }
+      overrides.push({ clientId, status, fields });
+    }
+    
+    return overrides;
+  }
+
+  /**
+   * Reset a client to its packaged default mapping
+   * The user's overridden fields are dropped and a removed client is restored; fields set by the
+   * project mappings file still apply.
+   * @param {string} clientId - Client identifier
+   * @returns {Promise<Object>} The client's default mapping
+   * @throws {ClientError} If the client has no default mapping
+   * @throws {FileSystemError} If configuration cannot be saved
+   */
+  async resetClient(clientId) {
+    const defaults = this.getDefaultMappings();
+    if (clientId === CONFIG_KEYS.VERSION || clientId === CONFIG_KEYS.SENSITIVE_PATTERNS || !defaults[clientId]) {
+      throw new ClientError(
+        `No default mapping for client: ${clientId}`,
+        clientId
+      );
+    }
+    
+    const mappings = await this.loadMappings();
+    mappings[clientId] = defaults[clientId];
+    await this.saveMappings();
+    return defaults[clientId];
   }
 
   /**
    * Save current mappings to configuration file
+   * Changes made to the merged mappings since they were loaded are recorded in the user layer, and
+   * only the user layer's differences from the packaged defaults are written (see loadMappings).
+   * The project file is never written, so fields it sets keep precedence over user changes.
    * @private
    * @returns {Promise<void>}
    * @throws {FileSystemError} If file cannot be written
@@ -418,7 +1064,21 @@ class ClientRegistry {
     // Ensure directory exists
     await fs.mkdir(dir, { recursive: true });
     
-    await fs.writeFile(this.libraryConfigPath, JSON.stringify(this.mappings, null, 2));
+    const { [CONFIG_KEYS.VERSION]: version, ...mappings } = this.mappings;
+    let userMappings = mappings;
+    if (this.userMappings) {
+      const { [CONFIG_KEYS.VERSION]: loadedVersion, ...loaded } = this.mergeLayers();
+      userMappings = DiffUtils.applyPatch(this.userMappings, DiffUtils.createPatch(loaded, mappings));
+    }
+    
+    const overlay = DiffUtils.createPatch(this.getDefaultMappings(), userMappings);
+    const document = { [CONFIG_KEYS.VERSION]: MAPPINGS_VERSION, ...overlay };
+    await fs.writeFile(this.libraryConfigPath, JSON.stringify(document, null, 2));
+    
+    if (this.userMappings) {
+      this.userMappings = userMappings;
+      this.mappings = this.mergeLayers();
+    }
     // Don't clear cache since it causes issues with subsequent calls
   }
 }
@@ -0,0 +1,42 @@
+/**
+ * Claude Code Client
+ * Formats server entries for Claude Code's .mcp.json / ~/.claude.json ("mcpServers" with a "type" field)
+ */
+
+const BaseClient = require('../base-client');
+
+class ClaudeCodeClient extends BaseClient {
+  /**
+   * Configuration key used when the mapping does not define one
+   * @returns {string} Default configuration key
+   */
+  get defaultConfigKey() {
+    return 'mcpServers';
+  }
+
+  /**
+   * Format configuration as a Claude Code server entry
+   * @param {Object} config - Raw configuration data
+   * @returns {Object} Server entry ({ type, command, args, cwd?, env }, or { type, url, headers? } for remote servers)
+   */
+  formatConfig(config) {
+    if (this.isRemote(config)) {
+      return this.formatRemoteConfig(config);
+    }
+    
+    const { command, args, cwd, transport } = this.getLaunchCommand(config);
+    const formatted = { type: transport, command, args };
+    if (cwd) {
+      formatted.cwd = cwd;
+    }
+    
+    const env = this.formatEnvironment(config);
+    if (env) {
+      formatted.env = env;
+    }
+    
+    return formatted;
+  }
+}
+
+module.exports = ClaudeCodeClient;
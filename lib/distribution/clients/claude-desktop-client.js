@@ -0,0 +1,56 @@
+/**
+ * Claude Desktop Client
+ * Formats server entries for claude_desktop_config.json ("mcpServers" with command/args/env)
+ */
+
+const BaseClient = require('../base-client');
+const { ClientError } = require('../../errors');
+const { SKIP_REASONS } = require('../../constants');
+
+class ClaudeDesktopClient extends BaseClient {
+  /**
+   * Configuration key used when the mapping does not define one
+   * @returns {string} Default configuration key
+   */
+  get defaultConfigKey() {
+    return 'mcpServers';
+  }
+
+  /**
+   * Format configuration as a Claude Desktop server entry
+   * @param {Object} config - Raw configuration data
+   * @returns {Object} Server entry ({ command, args, env })
+   * @throws {ClientError} For remote servers (see formatRemoteConfig)
+   */
+  formatConfig(config) {
+    if (this.isRemote(config)) {
+      return this.formatRemoteConfig(config);
+    }
+    
+    const { command, args } = this.getLaunchCommand(config);
+    const formatted = { command, args };
+    
+    const env = this.formatEnvironment(config);
+    if (env) {
+      formatted.env = env;
+    }
+    
+    return formatted;
+  }
+
+  /**
+   * Claude Desktop only launches local servers from its configuration file
+   * The error is marked as unsupported, so distribution reports the client as skipped.
+   * @param {Object} config - Raw configuration data
+   * @throws {ClientError} Always
+   */
+  formatRemoteConfig(config) {
+    throw new ClientError(
+      `${this.name} does not support remote (${config.launch.transport}) servers in its configuration file`,
+      this.clientId,
+      { transport: config.launch.transport, reason: SKIP_REASONS.UNSUPPORTED }
+    );
+  }
+}
+
+module.exports = ClaudeDesktopClient;
@@ -0,0 +1,22 @@
+/**
+ * Codex Client
+ * Formats server entries for Codex CLI's config.toml ("[mcp_servers.<name>]" tables with command/args/env)
+ */
+
+const ClaudeDesktopClient = require('./claude-desktop-client');
+
+/**
+ * Codex reads the same local entry shape as Claude Desktop, written as TOML tables
+ * (see the mapping's `fileFormat`). Remote servers are reported as unsupported.
+ */
+class CodexClient extends ClaudeDesktopClient {
+  /**
+   * Configuration key used when the mapping does not define one
+   * @returns {string} Default configuration key
+   */
+  get defaultConfigKey() {
+    return 'mcp_servers';
+  }
+}
+
+module.exports = CodexClient;
@@ -0,0 +1,92 @@
+/**
+ * Continue Client
+ * Formats server entries for Continue's config.yaml ("mcpServers" list items with name/command/args/env,
+ * or name/type/url)
+ */
+
+const BaseClient = require('../base-client');
+const { TRANSPORTS } = require('../../constants');
+
+/**
+ * Continue lists servers rather than keying them by name; the mapping's containerType
+ * makes BaseClient add the name field and match entries by it.
+ */
+class ContinueClient extends BaseClient {
+  /**
+   * Configuration key used when the mapping does not define one
+   * @returns {string} Default configuration key
+   */
+  get defaultConfigKey() {
+    return 'mcpServers';
+  }
+
+  /**
+   * Entry template used to read Continue entries (see BaseClient#parseEntry)
+   * @returns {Object} Entry template with headers under requestOptions
+   */
+  get defaultEntryTemplate() {
+    const { headers, ...template } = super.defaultEntryTemplate;
+    return { ...template, requestOptions: { headers } };
+  }
+
+  /**
+   * Read a Continue server entry back into its parts
+   * @param {Object} entry - Server entry from config.yaml
+   * @returns {Object} Entry parts (see BaseClient#parseEntry), with "streamable-http" read as 'http'
+   */
+  parseEntry(entry) {
+    const parsed = super.parseEntry(entry);
+    if (parsed.transport === 'streamable-http') {
+      parsed.transport = TRANSPORTS.HTTP;
+    }
+    return parsed;
+  }
+
+  /**
+   * Format configuration as a Continue server entry
+   * @param {Object} config - Raw configuration data
+   * @returns {Object} Server entry ({ command, args, cwd?, env? } or a remote entry)
+   */
+  formatConfig(config) {
+    if (this.isRemote(config)) {
+      return this.formatRemoteConfig(config);
+    }
+    
+    const { command, args, cwd } = this.getLaunchCommand(config);
+    const formatted = { command, args };
+    if (cwd) {
+      formatted.cwd = cwd;
+    }
+    
+    const env = this.formatEnvironment(config);
+    if (env) {
+      formatted.env = env;
+    }
+    
+    return formatted;
+  }
+
+  /**
+   * Format a remote server entry
+   * Continue names the http transport "streamable-http" and reads headers from requestOptions.
+   * @param {Object} config - Raw configuration data
+   * @returns {Object} Remote entry ({ type, url, requestOptions? })
+   * @throws {ValidationError} If a header references a variable missing from the env store
+   */
+  formatRemoteConfig(config) {
+    const transport = config.launch.transport;
+    const formatted = {
+      type: transport === TRANSPORTS.HTTP ? 'streamable-http' : transport,
+      url: config.launch.url
+    };
+    
+    const headers = this.formatHeaders(config);
+    if (headers) {
+      formatted.requestOptions = { headers };
+    }
+    
+    return formatted;
+  }
+}
+
+module.exports = ContinueClient;
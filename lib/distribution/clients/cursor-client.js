@@ -0,0 +1,30 @@
+/**
+ * Cursor Client
+ * Formats server entries for Cursor's mcp.json ("mcpServers" with command/args/env, or url/headers)
+ */
+
+const ClaudeDesktopClient = require('./claude-desktop-client');
+
+/**
+ * Cursor reads the same local entry shape as Claude Desktop, and also connects to remote servers
+ */
+class CursorClient extends ClaudeDesktopClient {
+  /**
+   * Format a remote server entry
+   * Cursor picks the transport itself, so entries have no "type" field.
+   * @param {Object} config - Raw configuration data
+   * @returns {Object} Remote entry ({ url, headers? })
+   */
+  formatRemoteConfig(config) {
+    const formatted = { url: config.launch.url };
+    
+    const headers = this.formatHeaders(config);
+    if (headers) {
+      formatted.headers = headers;
+    }
+    
+    return formatted;
+  }
+}
+
+module.exports = CursorClient;
@@ -0,0 +1,51 @@
+/**
+ * @module ClientAdapters
+ * @description Maps client ids to the BaseClient subclass that formats their server entries.
+ * Clients without a dedicated adapter fall back to BaseClient and its mapping-driven formats.
+ *
+ * @example
+ * const { createClient } = require('./clients');
+ * const client = createClient('vscode', registry);
+ */
+
+const BaseClient = require('../base-client');
+const VSCodeClient = require('./vscode-client');
+const ClaudeDesktopClient = require('./claude-desktop-client');
+const ClaudeCodeClient = require('./claude-code-client');
+const CursorClient = require('./cursor-client');
+const CodexClient = require('./codex-client');
+const ContinueClient = require('./continue-client');
+
+/**
+ * Client adapters keyed by client id
+ */
+const CLIENT_ADAPTERS = {
+  'vscode': VSCodeClient,
+  'claude-desktop': ClaudeDesktopClient,
+  'claude-code': ClaudeCodeClient,
+  'cursor': CursorClient,
+  'codex': CodexClient,
+  'continue': ContinueClient
+};
+
+/**
+ * Create the client instance for a client id
+ * @param {string} clientId - Client identifier
+ * @param {ClientRegistry} registry - Client registry
+ * @returns {BaseClient} Adapter instance, or a BaseClient for clients without an adapter
+ */
+function createClient(clientId, registry) {
+  const Adapter = CLIENT_ADAPTERS[clientId] || BaseClient;
+  return new Adapter(clientId, registry);
+}
+
+module.exports = {
+  CLIENT_ADAPTERS,
+  createClient,
+  VSCodeClient,
+  ClaudeDesktopClient,
+  ClaudeCodeClient,
+  CursorClient,
+  CodexClient,
+  ContinueClient
+};
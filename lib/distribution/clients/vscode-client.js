@@ -0,0 +1,83 @@
+/**
+ * VS Code Client
+ * Formats server entries for VS Code's mcp.json ("servers" entries with a "type" field, stdio or remote)
+ */
+
+const path = require('path');
+const BaseClient = require('../base-client');
+const { SCOPES } = require('../../constants');
+
+class VSCodeClient extends BaseClient {
+  /**
+   * Configuration key used when the mapping does not define one
+   * @returns {string} Default configuration key
+   */
+  get defaultConfigKey() {
+    return 'servers';
+  }
+
+  /**
+   * Format configuration as a VS Code mcp.json server entry
+   * When the server's secrets were written to an env file, the entry references it
+   * through `envFile` instead of inlining the values.
+   * @param {Object} config - Raw configuration data
+   * @param {Object} [context={}] - Distribution context (see BaseClient#formatConfig)
+   * @returns {Object} Server entry ({ type, command, args, cwd?, env | envFile }, or { type, url, headers? } for remote servers)
+   */
+  formatConfig(config, context = {}) {
+    if (this.isRemote(config)) {
+      return this.formatRemoteConfig(config);
+    }
+    
+    const { command, args, cwd, transport } = this.getLaunchCommand(config);
+    const formatted = { type: transport, command, args };
+    if (cwd) {
+      formatted.cwd = cwd;
+    }
+    
+    if (context.envFile) {
+      formatted.envFile = this.formatEnvFilePath(context.envFile, context.scope);
+      return formatted;
+    }
+    
+    const env = this.formatEnvironment(config);
+    if (env) {
+      formatted.env = env;
+    }
+    
+    return formatted;
+  }
+
+  /**
+   * Read a VS Code server entry back into its parts
+   * A `${workspaceFolder}` envFile is resolved against the working directory (see formatEnvFilePath).
+   * @param {Object} entry - Server entry from mcp.json
+   * @returns {Object} Entry parts (see BaseClient#parseEntry)
+   */
+  parseEntry(entry) {
+    const parsed = super.parseEntry(entry);
+    if (typeof parsed.envFile === 'string' && parsed.envFile.startsWith('${workspaceFolder}/')) {
+      parsed.envFile = path.resolve(parsed.envFile.slice('${workspaceFolder}/'.length));
+    }
+    return parsed;
+  }
+
+  /**
+   * Express an env file path the way VS Code expects it
+   * Workspace files are made relative to ${workspaceFolder} so the entry can be committed.
+   * @param {string} envFile - Env file path
+   * @param {string} [scope='local'] - Scope being written
+   * @returns {string} Path for the envFile property
+   */
+  formatEnvFilePath(envFile, scope = SCOPES.LOCAL) {
+    const relativePath = path.relative(process.cwd(), path.resolve(envFile));
+    
+    if (scope === SCOPES.LOCAL && !relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
+      return '${workspaceFolder}/' + relativePath.split(path.sep).join('/');
+    }
+    
+    return path.resolve(envFile);
+  }
+}
+
+module.exports = VSCodeClient;
@@ -6,8 +6,10 @@
 const fs = require('fs').promises;
 const path = require('path');
 const ClientRegistry = require('./client-registry');
-const BaseClient = require('./base-client');
-const { DistributionError, ClientError, FileSystemError } = require('../errors');
+const { createClient } = require('./clients');
+const BackupStorage = require('../storage/backup-storage');
+const { DistributionError, ClientError, ConfigurationError, FileSystemError, ValidationError } = require('../errors');
+const { SCOPES, TRANSPORTS, DRIFT_STATUS, DISTRIBUTION_ACTIONS, SKIP_REASONS } = require('../constants');
 const PathUtils = require('../utils/path-utils');
 
 class Distributor {
@@ -15,10 +17,12 @@ class Distributor {
     this.registry = clientRegistry || new ClientRegistry();
     this.clients = {};
     this.initialized = false;
+    this.backups = new BackupStorage();
   }
 
   /**
    * Initialize clients dynamically from configuration
+   * Each client id is paired with its adapter (see ./clients), falling back to BaseClient
    * @returns {Promise<void>}
    */
   async initializeClients() {
@@ -27,53 +31,99 @@ class Distributor {
     const availableClients = await this.registry.getAvailableClients();
     
     for (const clientInfo of availableClients) {
-      this.clients[clientInfo.id] = new BaseClient(clientInfo.id, this.registry);
+      this.clients[clientInfo.id] = createClient(clientInfo.id, this.registry);
     }
     
     this.initialized = true;
   }
 
   /**
-   * Distribute configuration to all installed clients
-   * @returns {Promise<void>}
+   * Drop the client adapters so they are rebuilt from the current client mappings
+   * Call after clients are updated or removed in the registry.
+   */
+  resetClients() {
+    this.clients = {};
+    this.initialized = false;
+  }
+
+  /**
+   * Distribute configuration to the selected clients
+   * Targets the clients saved for the scope (see SelectionStorage); if no selection has been
+   * saved, every client detected on this machine is targeted (see ClientRegistry#detectClient).
+   * Each client's files are snapshotted before they are written (see restoreBackup).
+   * A client that fails does not stop the others: it is reported with action 'failed'.
+   * @param {Object} [options={}] - Distribution options
+   * @param {string} [options.scope='local'] - 'local' writes the clients' project paths, 'global' their user-wide paths
+   * @param {boolean} [options.dryRun=false] - Preview the changes per client instead of writing them
+   * @param {boolean} [options.allOrNothing=false] - Stop at the first failure and restore every client already written
+   * @param {Object} [options.config] - Configuration to distribute instead of the stored one
+   * @returns {Promise<Array<Object>>} Report with one row per client ({ clientId, name, scope, path, action,
+   *   reason?, error? }; see DISTRIBUTION_ACTIONS and SKIP_REASONS), or per-client previews when dryRun
+   *   is set (see BaseClient#previewConfig) with skipped clients as their report rows (action 'skipped',
+   *   no diff); a client written to several config paths (see
+   *   BaseClient#getConfigPaths) has one row or preview per path
+   * @throws {DistributionError} If a client fails in all-or-nothing or dry-run mode; details include the
+   *   report, the clients' backup timestamps and, in all-or-nothing mode, the clients that were rolled back
    */
-  async distribute() {
+  async distribute(options = {}) {
+    const scope = this.getScope(options);
     await this.initializeClients();
-    const config = await this.gatherConfiguration();
-    const errors = [];
+    const config = options.config || await this.gatherConfiguration(scope);
+    const selected = await this.getSelectedClients(scope);
     
-    for (const [clientId, client] of Object.entries(this.clients)) {
-      try {
-        if (await client.isInstalled()) {
-          await client.updateConfig(config);
-        }
-      } catch (error) {
-        errors.push({ clientId, error });
-      }
-    }
+    return await this.runDistribution(Object.keys(this.clients), config, scope, selected, options, 'distribute');
+  }
+
+  /**
+   * Distribute configuration to specific clients
+   * Listed clients are written even if they are not installed or selected.
+   * @param {Array<string>} clientIds - Client IDs to distribute to
+   * @param {Object} [options={}] - Distribution options
+   * @param {string} [options.scope='local'] - 'local' writes the clients' project paths, 'global' their user-wide paths
+   * @param {boolean} [options.dryRun=false] - Preview the changes per client instead of writing them
+   * @param {boolean} [options.allOrNothing=false] - Stop at the first failure and restore every client already written
+   * @param {Object} [options.config] - Configuration to distribute instead of the stored one
+   * @returns {Promise<Array<Object>>} Report with one row per client, or per-client previews when dryRun is set (see distribute)
+   * @throws {ClientError} If any client is unknown (nothing is written)
+   * @throws {DistributionError} If a client fails in all-or-nothing or dry-run mode (see distribute)
+   */
+  async distributeToClients(clientIds, options = {}) {
+    const scope = this.getScope(options);
+    await this.initializeClients();
+    const config = options.config || await this.gatherConfiguration(scope);
     
-    if (errors.length > 0) {
-      throw new DistributionError(
-        `Failed to distribute configuration to ${errors.length} client(s)`,
-        errors.map(e => e.clientId),
-        'distribute',
-        { errors }
+    const unknownClients = clientIds.filter(clientId => !this.clients[clientId]);
+    if (unknownClients.length > 0) {
+      throw new ClientError(
+        `Unknown client(s): ${unknownClients.join(', ')}`,
+        unknownClients.join(', ')
       );
     }
+    
+    return await this.runDistribution(clientIds, config, scope, clientIds, options, 'distributeToClients');
   }
 
   /**
-   * Distribute configuration to specific clients
-   * @param {Array<string>} clientIds - Client IDs to distribute to
-   * @returns {Promise<void>}
+   * Remove the server's entry, and the env file holding its sensitive values, from client configuration files
+   * @param {Array<string>} [clientIds] - Client IDs to remove from (defaults to all configured clients)
+   * @param {Object} [options={}] - Removal options
+   * @param {string} [options.scope='local'] - 'local' edits the clients' project paths, 'global' their user-wide paths
+   * @param {string} [options.serverName] - Server entry to remove (defaults to the package.json name)
+   * @returns {Promise<Array<Object>>} Results per client file ({ clientId, path, changed }); a client with
+   *   several config paths (see BaseClient#getConfigPaths) has one result per path
+   * @throws {ClientError} If any client is unknown
+   * @throws {DistributionError} If removal from any client fails
    */
-  async distributeToClients(clientIds) {
+  async undistribute(clientIds, options = {}) {
+    const scope = this.getScope(options);
     await this.initializeClients();
-    const config = await this.gatherConfiguration();
+    const serverName = options.serverName || await this.getServerName();
+    const targets = clientIds || Object.keys(this.clients);
     const errors = [];
+    const results = [];
     const unknownClients = [];
     
-    for (const clientId of clientIds) {
+    for (const clientId of targets) {
       const client = this.clients[clientId];
       if (!client) {
         unknownClients.push(clientId);
@@ -81,8 +131,15 @@ class Distributor {
       }
       
       try {
-        await client.updateConfig(config);
+        for (const configPath of await client.getConfigPaths({ scope })) {
+          results.push(await client.removeConfig(serverName, { scope, configPath }));
+        }
       } catch (error) {
+        // A client without a path for this scope has nothing to remove (nor has any client
+        // without a path for this platform, when removing from every client)
+        if (error instanceof ConfigurationError && (!clientIds || this.isUnsupported(error))) {
+          continue;
+        }
         errors.push({ clientId, error });
       }
     }
@@ -96,45 +153,589 @@ class Distributor {
     
     if (errors.length > 0) {
       throw new DistributionError(
-        `Failed to distribute configuration to ${errors.length} client(s)`,
+        `Failed to remove configuration from ${errors.length} client(s)`,
         errors.map(e => e.clientId),
-        'distributeToClients',
-        { errors }
+        'undistribute',
+        { errors, scope }
       );
     }
+    
+    return results;
   }
 
   /**
-   * Gather all configuration data
-   * @returns {Promise<Object>} Combined configuration
+   * Compare each client's server entry with the entry distribution would write
+   * @param {Array<string>} [clientIds] - Client IDs to check (defaults to the clients distribute targets)
+   * @param {Object} [options={}] - Check options
+   * @param {string} [options.scope='local'] - 'local' checks the clients' project paths, 'global' their user-wide paths
+   * @param {boolean} [options.repair=false] - Re-apply the configuration to drifted clients
+   * @param {boolean} [options.allOrNothing=false] - When repairing, restore every repaired client if any repair fails
+   * @param {Object} [options.config] - Configuration to compare against instead of the stored one
+   * @returns {Promise<Array<Object>>} Results per client file (see BaseClient#checkConfig); repaired files have `repaired: true`.
+   *   Clients that cannot represent the server (e.g., a remote server) have status 'skipped' with reason 'unsupported',
+   *   as do clients without a config path for the scope (with path null)
+   * @throws {ClientError} If any client is unknown
+   * @throws {DistributionError} If the expected entry cannot be built for a client, or a repair fails
    */
-  async gatherConfiguration() {
-    const StorageManager = require('../storage/storage-manager');
-    const storage = new StorageManager();
+  async checkDistribution(clientIds, options = {}) {
+    const scope = this.getScope(options);
+    await this.initializeClients();
+    const config = options.config || await this.gatherConfiguration(scope);
+    
+    const unknownClients = (clientIds || []).filter(clientId => !this.clients[clientId]);
+    if (unknownClients.length > 0) {
+      throw new ClientError(
+        `Unknown client(s): ${unknownClients.join(', ')}`,
+        unknownClients.join(', ')
+      );
+    }
     
-    // Get the name of the MCP server from package.json
-    let serverName = 'mcp-server';
+    const selected = clientIds || await this.getSelectedClients(scope);
+    const results = [];
+    const errors = [];
+    for (const clientId of clientIds || Object.keys(this.clients)) {
+      const client = this.clients[clientId];
+      try {
+        if (!await this.getSkipReason(clientId, client, selected)) {
+          for (const configPath of await client.getConfigPaths({ scope })) {
+            results.push(await this.checkClientFile(client, config, scope, configPath));
+          }
+        }
+      } catch (error) {
+        if (this.isUnsupported(error)) {
+          results.push(await this.createSkippedResult(client, scope, null));
+          continue;
+        }
+        errors.push({ clientId, error });
+      }
+    }
+    
+    if (errors.length > 0) {
+      throw new DistributionError(
+        `Failed to check configuration of ${errors.length} client(s)`,
+        errors.map(e => e.clientId),
+        'checkDistribution',
+        { errors, scope }
+      );
+    }
+    
+    if (options.repair) {
+      await this.repairClients(results, config, scope, options);
+    }
+    
+    return results;
+  }
+
+  /**
+   * Check one client file, reporting clients that cannot represent the server as skipped
+   * Distribution skips these clients too, so there is no entry to compare.
+   * @private
+   * @param {BaseClient} client - Client to check
+   * @param {Object} config - Configuration to compare against
+   * @param {string} scope - Distribution scope
+   * @param {string} configPath - Client file to check
+   * @returns {Promise<Object>} Check result (see BaseClient#checkConfig), or a 'skipped' result with reason 'unsupported'
+   */
+  async checkClientFile(client, config, scope, configPath) {
     try {
-      const packageJsonPath = PathUtils.ensureAbsolute('./package.json');
-      const packageContent = await fs.readFile(packageJsonPath, 'utf8');
-      const packageJson = JSON.parse(packageContent);
-      serverName = packageJson.name || 'mcp-server';
+      return await client.checkConfig(config, { scope, configPath });
     } catch (error) {
-      // Use default if package.json not found or invalid
-      // This is not a critical error
+      if (!this.isUnsupported(error)) {
+        throw error;
+      }
+      return await this.createSkippedResult(client, scope, configPath);
+    }
+  }
+
+  /**
+   * Build the check result of a client that distribution skips as unsupported
+   * @private
+   * @param {BaseClient} client - Client the result describes
+   * @param {string} scope - Distribution scope
+   * @param {string|null} configPath - Client file, or null if the client has none for the scope
+   * @returns {Promise<Object>} Result with status 'skipped' and reason 'unsupported'
+   */
+  async createSkippedResult(client, scope, configPath) {
+    return {
+      clientId: client.clientId,
+      name: await this.getClientName(client),
+      scope,
+      path: configPath,
+      status: DRIFT_STATUS.SKIPPED,
+      reason: SKIP_REASONS.UNSUPPORTED
+    };
+  }
+
+  /**
+   * Re-apply configuration to the drifted clients of a check
+   * Each client is snapshotted once, then only its drifted files are rewritten.
+   * @private
+   * @param {Array<Object>} results - Check results (marked `repaired: true` in place)
+   * @param {Object} config - Configuration to distribute
+   * @param {string} scope - Distribution scope
+   * @param {Object} options - Check options ({ allOrNothing })
+   * @returns {Promise<void>}
+   * @throws {DistributionError} If any repair fails
+   */
+  async repairClients(results, config, scope, options) {
+    const run = this.startRun(options);
+    const errors = [];
+    
+    const drifted = results.filter(r => r.status === DRIFT_STATUS.DRIFTED);
+    for (const clientId of new Set(drifted.map(r => r.clientId))) {
+      const clientResults = drifted.filter(r => r.clientId === clientId);
+      try {
+        await this.writeClient(this.clients[clientId], config, scope, run, clientResults.map(r => r.path));
+        clientResults.forEach(result => { result.repaired = true; });
+      } catch (error) {
+        errors.push({ clientId, error });
+        if (run.allOrNothing) break;
+      }
+    }
+    
+    if (errors.length > 0) {
+      throw new DistributionError(
+        `Failed to repair ${errors.length} client(s)`,
+        errors.map(e => e.clientId),
+        'checkDistribution',
+        { errors, scope, results, ...await this.finishFailedRun(run) }
+      );
+    }
+  }
+
+  /**
+   * Read a server's entry from a client configuration file
+   * @param {string} clientId - Client to read from
+   * @param {string} serverName - Server entry to read
+   * @param {Object} [options={}] - Read options
+   * @param {string} [options.scope='local'] - 'local' reads the client's project path, 'global' its user-wide path
+   * @returns {Promise<Object>} Entry (see BaseClient#readEntry)
+   * @throws {ClientError} If the client is unknown
+   */
+  async readClientEntry(clientId, serverName, options = {}) {
+    const scope = this.getScope(options);
+    await this.initializeClients();
+    
+    const client = this.clients[clientId];
+    if (!client) {
+      throw new ClientError(`Unknown client(s): ${clientId}`, clientId);
+    }
+    
+    return await client.readEntry(serverName, { scope });
+  }
+
+  /**
+   * Describe each client's resolved paths and whether its files contain a server's entry
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - 'local' describes the clients' project paths, 'global' their user-wide paths
+   * @param {string} [options.serverName] - Server entry to look for (defaults to the package name)
+   * @returns {Promise<Array<Object>>} Descriptions (see ClientRegistry#describeClients) with `hasEntry`:
+   *   true if any config path has the server's entry, false if none has, or null with `error` if a file
+   *   cannot be read or parsed
+   * @throws {ValidationError} If the scope is invalid
+   */
+  async describeClients(options = {}) {
+    const scope = this.getScope(options);
+    const serverName = options.serverName || await this.getServerName();
+    const descriptions = await this.registry.describeClients({ scope });
+
+    for (const description of descriptions) {
+      // Clients added after initialization have no adapter yet
+      const client = this.clients[description.id] || createClient(description.id, this.registry);
+      description.hasEntry = false;
+      try {
+        for (const configPath of description.configPaths) {
+          const { entry } = await client.readEntry(serverName, { scope, configPath });
+          if (entry !== undefined) {
+            description.hasEntry = true;
+            break;
+          }
+        }
+      } catch (error) {
+        description.hasEntry = null;
+        description.error = error.message;
+      }
+    }
+
+    return descriptions;
+  }
+
+  /**
+   * Restore a client's files from a backup taken before distribution
+   * Only backups of the client's files for the scope (in this project, for 'local') are considered.
+   * @param {string} clientId - Client identifier
+   * @param {string} [timestamp] - Backup timestamp (defaults to the most recent backup)
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - 'local' restores the client's project files, 'global' its user-wide files
+   * @returns {Promise<Object>} Restore result ({ clientId, timestamp, files })
+   * @throws {ClientError} If the client is unknown
+   * @throws {ConfigurationError} If there is no matching backup
+   * @throws {ValidationError} If the client id or timestamp is malformed
+   * @throws {FileSystemError} If a file cannot be restored
+   */
+  async restoreBackup(clientId, timestamp, options = {}) {
+    const target = await this.getBackupTarget(clientId, options);
+    const selected = timestamp || (await this.backups.list(clientId, target)).pop();
+    const backup = selected ? await this.backups.get(clientId, target, selected) : null;
+    
+    if (!backup) {
+      throw new ConfigurationError(
+        timestamp
+          ? `No backup ${timestamp} found for client ${clientId}`
+          : `No backups found for client ${clientId}`,
+        this.backups.getBackupDir(clientId, target),
+        { clientId, timestamp, target }
+      );
+    }
+    
+    const files = await this.backups.restore(backup);
+    return { clientId, timestamp: backup.timestamp, files };
+  }
+
+  /**
+   * List the backups available for a client
+   * @param {string} clientId - Client identifier
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scope='local'] - 'local' lists backups of the client's project files, 'global' of its user-wide files
+   * @returns {Promise<Array<string>>} Backup timestamps, oldest first
+   * @throws {ClientError} If the client is unknown
+   */
+  async listBackups(clientId, options = {}) {
+    return await this.backups.list(clientId, await this.getBackupTarget(clientId, options));
+  }
+
+  /**
+   * Get the file a client's backups are keyed by (see BackupStorage#getBackupDir)
+   * @private
+   * @param {string} clientId - Client identifier
+   * @param {Object} options - Options ({ scope })
+   * @returns {Promise<string>} Client's primary file for the scope
+   * @throws {ClientError} If the client is unknown
+   */
+  async getBackupTarget(clientId, options) {
+    const scope = this.getScope(options);
+    await this.initializeClients();
+    
+    const client = this.clients[clientId];
+    if (!client) {
+      throw new ClientError(`Unknown client(s): ${clientId}`, clientId);
+    }
+    
+    const [target] = await client.getTargetPaths({ scope });
+    return target;
+  }
+
+  /**
+   * Write (or preview) configuration for each client and build the report
+   * @private
+   * @param {Array<string>} clientIds - Clients to consider, in order
+   * @param {Object} config - Configuration to distribute
+   * @param {string} scope - Distribution scope
+   * @param {Array<string>|null} selected - Clients to write (null to write installed clients)
+   * @param {Object} options - Distribution options ({ dryRun, allOrNothing })
+   * @param {string} operation - Operation name for DistributionError
+   * @returns {Promise<Array<Object>>} Report rows, or previews and skipped rows in dry-run mode
+   * @throws {DistributionError} If a client fails in all-or-nothing or dry-run mode
+   */
+  async runDistribution(clientIds, config, scope, selected, options, operation) {
+    const dryRun = Boolean(options.dryRun);
+    const run = this.startRun(options);
+    const report = [];
+    const previews = [];
+    const errors = [];
+    
+    for (const clientId of clientIds) {
+      const client = this.clients[clientId];
+      
+      try {
+        const reason = await this.getSkipReason(clientId, client, selected);
+        if (reason) {
+          const row = await this.createReportRow(client, scope, DISTRIBUTION_ACTIONS.SKIPPED, { reason });
+          report.push(row);
+          if (dryRun) previews.push(row);
+        } else if (dryRun) {
+          this.validateLaunch(config);
+          for (const configPath of await client.getConfigPaths({ scope })) {
+            previews.push(await client.previewConfig(config, { scope, configPath }));
+          }
+        } else {
+          report.push(...await this.writeClient(client, config, scope, run));
+        }
+      } catch (error) {
+        // Clients that cannot represent the server (e.g., remote servers) are skipped, not failed
+        if (this.isUnsupported(error)) {
+          const row = await this.createReportRow(client, scope, DISTRIBUTION_ACTIONS.SKIPPED, {
+            reason: SKIP_REASONS.UNSUPPORTED
+          });
+          report.push(row);
+          if (dryRun) previews.push(row);
+          continue;
+        }
+        
+        report.push(await this.createReportRow(client, scope, DISTRIBUTION_ACTIONS.FAILED, { error: error.message }));
+        errors.push({ clientId, error });
+        if (run.allOrNothing) break;
+      }
     }
     
+    if (errors.length > 0 && (dryRun || run.allOrNothing)) {
+      throw new DistributionError(
+        `Failed to distribute configuration to ${errors.length} client(s)`,
+        errors.map(e => e.clientId),
+        operation,
+        { errors, scope, report, ...await this.finishFailedRun(run) }
+      );
+    }
+    
+    return dryRun ? previews : report;
+  }
+
+  /**
+   * Build a distribution report row
+   * @private
+   * @param {BaseClient} client - Client the row describes
+   * @param {string} scope - Distribution scope
+   * @param {string} action - One of DISTRIBUTION_ACTIONS
+   * @param {Object} [fields={}] - Additional fields ({ path, reason, error })
+   * @returns {Promise<Object>} Row ({ clientId, name, scope, path, action, ...fields }); path is null
+   *   if the client has no configuration path for the scope
+   */
+  async createReportRow(client, scope, action, fields = {}) {
+    let configPath = null;
+    if (fields.path === undefined) {
+      try {
+        configPath = await client.getConfigPath({ scope });
+      } catch (error) {
+        // Reported as null; the row's error (if any) explains why
+      }
+    }
+    
+    return { clientId: client.clientId, name: await this.getClientName(client), scope, path: configPath, action, ...fields };
+  }
+
+  /**
+   * Get a client's display name from the client mappings
+   * Skipped clients are never initialized, so their own name is still the raw client id.
+   * @private
+   * @param {BaseClient} client - Client to name
+   * @returns {Promise<string>} Display name, or the client id if the mapping has none
+   */
+  async getClientName(client) {
+    const clientConfig = await this.registry.getClientConfig(client.clientId, true);
+    return clientConfig?.name || client.clientId;
+  }
+
+  /**
+   * Check whether an error means a client cannot represent the server (e.g., a remote server)
+   * or has no configuration file for the scope
+   * @private
+   * @param {Error} error - Error thrown while building or writing a client's entry
+   * @returns {boolean} True if the client should be skipped rather than failed
+   */
+  isUnsupported(error) {
+    return (error instanceof ClientError || error instanceof ConfigurationError) &&
+      error.details.reason === SKIP_REASONS.UNSUPPORTED;
+  }
+
+  /**
+   * Get the clients saved as distribution targets for a scope
+   * @private
+   * @param {string} scope - Distribution scope
+   * @returns {Promise<Array<string>|null>} Selected client IDs, or null if no selection has been saved
+   */
+  async getSelectedClients(scope) {
+    return await this.getStorage().selection.get(scope === SCOPES.GLOBAL);
+  }
+
+  /**
+   * Get the reason a client is not a distribution target
+   * @private
+   * @param {string} clientId - Client identifier
+   * @param {BaseClient} client - Client instance
+   * @param {Array<string>|null} selected - Saved selection (null to target installed clients)
+   * @returns {Promise<string|null>} One of SKIP_REASONS, or null if the client should be written
+   */
+  async getSkipReason(clientId, client, selected) {
+    if (selected) {
+      return selected.includes(clientId) ? null : SKIP_REASONS.NOT_SELECTED;
+    }
+    return await client.isInstalled() ? null : SKIP_REASONS.NOT_INSTALLED;
+  }
+
+  /**
+   * Create a storage manager sharing this distributor's registry
+   * @private
+   * @returns {StorageManager} Storage manager
+   */
+  getStorage() {
+    const StorageManager = require('../storage/storage-manager');
+    return new StorageManager(this.registry);
+  }
+
+  /**
+   * Start tracking the writes of one distribution
+   * @private
+   * @param {Object} options - Distribution options
+   * @returns {Object} Run state ({ timestamp, allOrNothing, snapshots })
+   */
+  startRun(options) {
+    return {
+      timestamp: this.backups.createTimestamp(),
+      allOrNothing: Boolean(options.allOrNothing),
+      snapshots: []
+    };
+  }
+
+  /**
+   * Snapshot a client's files, then write its configuration to each of its config paths
+   * @private
+   * @param {BaseClient} client - Client to update
+   * @param {Object} config - Configuration to distribute
+   * @param {string} scope - Distribution scope
+   * @param {Object} run - Run state (see startRun)
+   * @param {Array<string>} [configPaths] - Config paths to write (defaults to all of the client's paths)
+   * @returns {Promise<Array<Object>>} Report rows, one per config path, with action 'created', 'updated'
+   *   or 'unchanged'
+   * @throws {ValidationError} If the configuration has no launch command or url (nothing is written)
+   */
+  async writeClient(client, config, scope, run, configPaths) {
+    this.validateLaunch(config);
+    const paths = await client.getTargetPaths({ scope });
+    run.snapshots.push(await this.backups.snapshot(client.clientId, paths, run.timestamp));
+    
+    const rows = [];
+    for (const configPath of configPaths || await client.getConfigPaths({ scope })) {
+      const result = await client.updateConfig(config, { scope, configPath });
+      
+      let action = DISTRIBUTION_ACTIONS.UNCHANGED;
+      if (result.created) {
+        action = DISTRIBUTION_ACTIONS.CREATED;
+      } else if (result.changed) {
+        action = DISTRIBUTION_ACTIONS.UPDATED;
+      }
+      rows.push(await this.createReportRow(client, scope, action, { path: result.path }));
+    }
+    return rows;
+  }
+
+  /**
+   * Check that the configuration says how clients start or reach the server
+   * gatherConfiguration leaves launch null if there is no launch spec and package.json has
+   * neither bin nor main; client entries without a command would not start anything.
+   * @private
+   * @param {Object} config - Configuration to distribute
+   * @throws {ValidationError} If a stdio launch has no command or a remote launch has no url
+   */
+  validateLaunch(config) {
+    const launch = config.launch;
+    const transport = launch?.transport || TRANSPORTS.STDIO;
+    if (transport === TRANSPORTS.STDIO && !launch?.command) {
+      throw new ValidationError(
+        'No launch command: register a launch spec (configLaunch) or add bin or main to package.json',
+        'command',
+        launch?.command
+      );
+    }
+    if (transport !== TRANSPORTS.STDIO && !launch.url) {
+      throw new ValidationError(`Launch spec for ${transport} requires a url`, 'url', launch.url);
+    }
+  }
+
+  /**
+   * Describe a failed run for DistributionError details, rolling back in all-or-nothing mode
+   * Every snapshotted client is restored, including the one that failed part-way.
+   * @private
+   * @param {Object} run - Run state (see startRun)
+   * @returns {Promise<Object>} Details ({ backups, rolledBack, rollbackErrors? }); backups maps each
+   *   snapshotted client to its backup timestamp (an earlier one if its files had not changed since)
+   */
+  async finishFailedRun(run) {
+    const backups = Object.fromEntries(run.snapshots.map(snapshot => [snapshot.clientId, snapshot.timestamp]));
+    const details = { backups, rolledBack: [] };
+    if (!run.allOrNothing) {
+      return details;
+    }
+    
+    const rollbackErrors = [];
+    for (const snapshot of [...run.snapshots].reverse()) {
+      try {
+        await this.backups.restore(snapshot);
+        details.rolledBack.push(snapshot.clientId);
+      } catch (error) {
+        rollbackErrors.push({ clientId: snapshot.clientId, error });
+      }
+    }
+    
+    if (rollbackErrors.length > 0) {
+      details.rollbackErrors = rollbackErrors;
+    }
+    return details;
+  }
+
+  /**
+   * Gather all configuration data for a scope
+   * @param {string} [scope='local'] - Storage scope to read ('local' or 'global')
+   * @returns {Promise<Object>} Combined configuration
+   */
+  async gatherConfiguration(scope = SCOPES.LOCAL) {
+    const storage = this.getStorage();
+    const isGlobal = scope === SCOPES.GLOBAL;
+    const serverName = await this.getServerName();
+    
     // Gather both JSON and env configurations
-    const jsonConfig = await storage.json.getAll(false);
-    const envConfig = await storage.env.getAll(false);
+    const jsonConfig = await storage.json.getAll(isGlobal);
+    const envConfig = await storage.env.getAll(isGlobal);
+    
+    // Launch details set via configSet('command', ...) predate setLaunchSpec; keep them out of settings
+    const { command, args, ...settings } = jsonConfig;
+    const legacyLaunch = command ? { command, args: args || [], transport: TRANSPORTS.STDIO } : null;
+    const launch = await storage.launch.get(isGlobal) || legacyLaunch || await storage.launch.getDefault();
     
     return {
       serverName,
-      settings: jsonConfig,
+      launch,
+      settings,
       environment: envConfig
     };
   }
 
+  /**
+   * Get the name of the MCP server from package.json
+   * @private
+   * @returns {Promise<string>} Package name, or 'mcp-server' if it cannot be read
+   */
+  async getServerName() {
+    try {
+      const packageJsonPath = PathUtils.ensureAbsolute('./package.json');
+      const packageContent = await fs.readFile(packageJsonPath, 'utf8');
+      const packageJson = JSON.parse(packageContent);
+      return packageJson.name || 'mcp-server';
+    } catch (error) {
+      // Use default if package.json not found or invalid
+      // This is not a critical error
+      return 'mcp-server';
+    }
+  }
+
+  /**
+   * Get the distribution scope from options
+   * @private
+   * @param {Object} options - Distribution options
+   * @returns {string} 'local' or 'global'
+   * @throws {ValidationError} If the scope is not recognised
+   */
+  getScope(options = {}) {
+    const scope = options.scope || SCOPES.LOCAL;
+    if (scope !== SCOPES.LOCAL && scope !== SCOPES.GLOBAL) {
+      throw new ValidationError(
+        `Invalid distribution scope: ${scope}`,
+        'scope',
+        scope
+      );
+    }
+    return scope;
+  }
+
   /**
    * Get available clients
    * @returns {Promise<Array>} Array of client info
@@ -0,0 +1,180 @@
+/**
+ * @module MappingMigrations
+ * @description Versioned migrations of client-mappings.json.
+ * Each migration takes the document from one version to the next; a document is brought up to
+ * MAPPINGS_VERSION by running every migration after its own version, in order.
+ *
+ * Versions:
+ * - 1: paths grouped by scope (`global-paths` / `local-paths`, each keyed by client id)
+ * - 2: client-first (each client id holds its own `global` and `local` paths)
+ * - 3: overlay; a JSON Merge Patch over the packaged default mappings (null removes a client or field)
+ *
+ * Version 2 files are migrated against the defaults version 2 releases shipped
+ * (config/default-client-mappings.v2.json), so only the user's own changes become overrides.
+ *
+ * Files written before the `version` field existed are recognised by their structure.
+ *
+ * @example
+ * const MappingMigrations = require('./mapping-migrations');
+ *
+ * const { mappings, fromVersion, applied } = MappingMigrations.migrate(JSON.parse(content));
+ * // applied: [2, 3] if the file was a version 1 document
+ */
+
+const fs = require('fs');
+const DiffUtils = require('../utils/diff-utils');
+const PathUtils = require('../utils/path-utils');
+const { ConfigurationError, ValidationError } = require('../errors');
+const { CONFIG_KEYS, DIRECTORIES, MAPPINGS_VERSION } = require('../constants');
+
+/**
+ * Load the default mappings that releases writing version 2 files shipped
+ * Version 2 files are compared with these, not the current defaults, so values the user never
+ * changed are not kept as overrides once the defaults move on.
+ * @private
+ * @returns {Object} Version 2 default mappings
+ */
+function loadV2Defaults() {
+  const defaultsPath = PathUtils.joinPath(__dirname, DIRECTORIES.V2_DEFAULT_CONFIG_PATH);
+  return JSON.parse(fs.readFileSync(defaultsPath, 'utf8'));
+}
+
+/**
+ * Migrations in order; `to` is the version each one produces from version `to - 1`
+ * @private
+ */
+const MIGRATIONS = [
+  {
+    to: 2,
+    description: 'Group paths by client instead of by scope',
+    migrate: legacyConfig => {
+      const newConfig = {};
+      const globalPaths = legacyConfig[CONFIG_KEYS.GLOBAL_PATHS] || {};
+      const localPaths = legacyConfig[CONFIG_KEYS.LOCAL_PATHS] || {};
+      const clientIds = new Set([...Object.keys(globalPaths), ...Object.keys(localPaths)]);
+
+      for (const clientId of clientIds) {
+        const globalConfig = globalPaths[clientId];
+        const localConfig = localPaths[clientId];
+        const source = globalConfig || localConfig;
+
+        newConfig[clientId] = {
+          name: source.name,
+          configKey: source.configKey,
+          autoLoadEnv: source.autoLoadEnv,
+          configFormat: source.configFormat,
+          envFormat: source.envFormat
+        };
+
+        if (globalConfig) {
+          newConfig[clientId].global = {
+            'config-path': globalConfig['config-path'],
+            'env-path': globalConfig['env-path']
+          };
+        }
+
+        if (localConfig) {
+          newConfig[clientId].local = {
+            'config-path': localConfig['config-path'],
+            'env-path': localConfig['env-path']
+          };
+        }
+      }
+
+      if (legacyConfig.sensitivePatterns) {
+        newConfig.sensitivePatterns = legacyConfig.sensitivePatterns;
+      }
+
+      return newConfig;
+    }
+  },
+  {
+    to: 3,
+    description: 'Store only the user\'s changes to the packaged defaults',
+    migrate: config => {
+      // Version 2 files are full copies of the defaults they were created from, so only the values
+      // that differ from those defaults are the user's. Fields and clients the file lacks may predate
+      // the defaults that added them, so they are not recorded as removals.
+      const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+      const withoutRemovals = patch => Object.fromEntries(
+        Object.entries(patch)
+          .filter(([, value]) => value !== null)
+          .map(([key, value]) => [key, isObject(value) ? withoutRemovals(value) : value])
+          .filter(([, value]) => !isObject(value) || Object.keys(value).length > 0)
+      );
+      return withoutRemovals(DiffUtils.createPatch(loadV2Defaults(), config));
+    }
+  }
+];
+
+/**
+ * Client mappings migrations
+ * @class
+ */
+class MappingMigrations {
+  /**
+   * Determine the version of a mappings document
+   * @static
+   * @param {Object} config - Parsed client-mappings.json
+   * @returns {number} Document version
+   * @throws {ValidationError} If the document is not an object or its version is not a positive integer
+   */
+  static detectVersion(config) {
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+      throw new ValidationError('Invalid client mapping at $: expected an object', '$', config);
+    }
+
+    const version = config[CONFIG_KEYS.VERSION];
+    if (version !== undefined) {
+      if (!Number.isInteger(version) || version < 1) {
+        throw new ValidationError(
+          'Invalid client mapping at $.version: expected an integer of at least 1',
+          '$.version',
+          version
+        );
+      }
+      return version;
+    }
+
+    return config[CONFIG_KEYS.GLOBAL_PATHS] || config[CONFIG_KEYS.LOCAL_PATHS] ? 1 : 2;
+  }
+
+  /**
+   * Bring a mappings document up to the current version
+   * The input is not modified.
+   * @static
+   * @param {Object} config - Parsed client-mappings.json
+   * @returns {Object} Result ({ mappings, fromVersion, applied }); mappings carries the current
+   *   `version`, applied lists the versions migrated to (empty if the document was current)
+   * @throws {ValidationError} If the document's version is malformed
+   * @throws {ConfigurationError} If the document is newer than this release supports
+   *
+   * @example
+   * MappingMigrations.migrate({ 'global-paths': { 'my-editor': { name: 'My Editor' } } });
+   * // Returns: { mappings: { version: 3, 'my-editor': { name: 'My Editor', global: { ... } } }, fromVersion: 1, applied: [2, 3] }
+   */
+  static migrate(config) {
+    const fromVersion = this.detectVersion(config);
+
+    if (fromVersion > MAPPINGS_VERSION) {
+      throw new ConfigurationError(
+        `Client mappings version ${fromVersion} is newer than this release supports (${MAPPINGS_VERSION})`,
+        CONFIG_KEYS.VERSION,
+        { version: fromVersion, supportedVersion: MAPPINGS_VERSION }
+      );
+    }
+
+    let mappings = { ...config };
+    delete mappings[CONFIG_KEYS.VERSION];
+    const applied = [];
+
+    for (const migration of MIGRATIONS.filter(m => m.to > fromVersion)) {
+      mappings = migration.migrate(mappings);
+      applied.push(migration.to);
+    }
+
+    return { mappings: { [CONFIG_KEYS.VERSION]: MAPPINGS_VERSION, ...mappings }, fromVersion, applied };
+  }
+}
+
+module.exports = MappingMigrations;
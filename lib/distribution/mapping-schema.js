@@ -0,0 +1,289 @@
+/**
+ * @module MappingSchema
+ * @description Schema of client-mappings.json and its validation.
+ * Errors name the exact JSON path of the offending value (e.g. `$.vscode.global["config-path"].linux[1]`).
+ *
+ * @example
+ * const MappingSchema = require('./mapping-schema');
+ *
+ * MappingSchema.validate(mappings);              // throws ValidationError on the first problem
+ * MappingSchema.validateClient('my-editor', clientConfig);
+ */
+
+const { ValidationError } = require('../errors');
+const {
+  CONFIG_KEYS,
+  CONFIG_FORMATS,
+  FILE_FORMATS,
+  CONTAINER_TYPES,
+  CONFIG_PATH_MODES,
+  PLATFORMS
+} = require('../constants');
+
+/**
+ * Keys of client-mappings.json that are not client ids
+ * @private
+ */
+const RESERVED_KEYS = [CONFIG_KEYS.VERSION, CONFIG_KEYS.SENSITIVE_PATTERNS];
+
+/**
+ * Build the schema of a per-platform value map
+ * @private
+ * @param {Object} valueSchema - Schema of each platform's value
+ * @returns {Object} Schema
+ */
+function platformMap(valueSchema) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.values(PLATFORMS).map(platform => [platform, valueSchema])),
+    additionalProperties: false
+  };
+}
+
+const STRING = { type: 'string' };
+const STRING_LIST = { type: 'array', items: STRING };
+
+/**
+ * Schema of a client's global or local scope
+ * @private
+ */
+const SCOPE_SCHEMA = {
+  type: 'object',
+  properties: {
+    [CONFIG_KEYS.CONFIG_PATH]: platformMap({ anyOf: [STRING, STRING_LIST] }),
+    [CONFIG_KEYS.ENV_PATH]: platformMap(STRING),
+    [CONFIG_KEYS.CONFIG_KEY]: STRING
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema of one client mapping
+ * @private
+ */
+const CLIENT_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: STRING,
+    [CONFIG_KEYS.CONFIG_KEY]: STRING,
+    [CONFIG_KEYS.AUTO_LOAD_ENV]: { type: 'boolean' },
+    [CONFIG_KEYS.CONFIG_FORMAT]: { enum: Object.values(CONFIG_FORMATS) },
+    [CONFIG_KEYS.FILE_FORMAT]: { enum: Object.values(FILE_FORMATS) },
+    [CONFIG_KEYS.CONTAINER_TYPE]: { enum: Object.values(CONTAINER_TYPES) },
+    [CONFIG_KEYS.NAME_KEY]: STRING,
+    [CONFIG_KEYS.ENTRY_TEMPLATE]: { type: 'object' },
+    [CONFIG_KEYS.REMOTE_ENTRY_TEMPLATE]: { type: 'object' },
+    [CONFIG_KEYS.CONFIG_PATH_MODE]: { enum: Object.values(CONFIG_PATH_MODES) },
+    envFormat: STRING,
+    detect: {
+      type: 'object',
+      properties: {
+        markers: platformMap(STRING_LIST),
+        configFile: { type: 'boolean' }
+      },
+      additionalProperties: false
+    },
+    global: SCOPE_SCHEMA,
+    local: SCOPE_SCHEMA
+  },
+  additionalProperties: false
+};
+
+/**
+ * Schema of client-mappings.json; every key other than the reserved ones is a client id
+ * @private
+ */
+const MAPPINGS_SCHEMA = {
+  type: 'object',
+  required: [CONFIG_KEYS.VERSION],
+  properties: {
+    [CONFIG_KEYS.VERSION]: { type: 'integer', minimum: 1 },
+    [CONFIG_KEYS.SENSITIVE_PATTERNS]: STRING_LIST
+  },
+  additionalProperties: CLIENT_SCHEMA
+};
+
+/**
+ * Client mapping schema validation
+ * @class
+ */
+class MappingSchema {
+  /**
+   * Validate a whole mappings document
+   * @static
+   * @param {Object} mappings - Parsed client-mappings.json
+   * @throws {ValidationError} If the document does not match the schema; `field` is the JSON path
+   *
+   * @example
+   * MappingSchema.validate({ version: 2, vscode: { name: 'VS Code', fileFormat: 'ini' } });
+   * // Throws: Invalid client mapping at $.vscode.fileFormat: expected one of json, toml, yaml
+   */
+  static validate(mappings) {
+    this.check(mappings, MAPPINGS_SCHEMA, []);
+  }
+
+  /**
+   * Validate a single client mapping
+   * @static
+   * @param {string} clientId - Client identifier
+   * @param {Object} clientConfig - Client mapping
+   * @throws {ValidationError} If the id is reserved or the mapping does not match the schema
+   */
+  static validateClient(clientId, clientConfig) {
+    if (RESERVED_KEYS.includes(clientId)) {
+      throw new ValidationError(
+        `Invalid client id: ${clientId} is a reserved key of client-mappings.json`,
+        'clientId',
+        clientId
+      );
+    }
+    this.check(clientConfig, CLIENT_SCHEMA, [clientId]);
+  }
+
+  /**
+   * Format a JSON path
+   * @static
+   * @param {Array<string|number>} segments - Path segments
+   * @returns {string} JSON path (e.g. '$.vscode.global["config-path"].linux[1]')
+   */
+  static formatPath(segments) {
+    return segments.reduce((result, segment) => {
+      if (typeof segment === 'number') {
+        return `${result}[${segment}]`;
+      }
+      return /^[A-Za-z_$][\w$]*$/.test(segment) ? `${result}.${segment}` : `${result}[${JSON.stringify(segment)}]`;
+    }, '$');
+  }
+
+  /**
+   * Check a value against a schema node
+   * @private
+   * @static
+   * @param {any} value - Value to check
+   * @param {Object} schema - Schema node
+   * @param {Array<string|number>} segments - Path of the value
+   * @throws {ValidationError} On the first mismatch
+   */
+  static check(value, schema, segments) {
+    if (schema.anyOf) {
+      // The option of the value's own type reports problems inside it (e.g. a bad array item)
+      const option = schema.anyOf.find(candidate => this.hasType(value, candidate.type));
+      if (!option) {
+        this.fail(segments, value, `expected ${schema.anyOf.map(candidate => this.describe(candidate)).join(' or ')}`);
+      }
+      this.check(value, option, segments);
+      return;
+    }
+
+    if (schema.enum) {
+      if (!schema.enum.includes(value)) {
+        this.fail(segments, value, `expected one of ${schema.enum.join(', ')}`);
+      }
+      return;
+    }
+
+    if (!this.hasType(value, schema.type)) {
+      this.fail(segments, value, `expected ${this.describe(schema)}`);
+    }
+
+    if (schema.type === 'integer' && schema.minimum !== undefined && value < schema.minimum) {
+      this.fail(segments, value, `expected an integer of at least ${schema.minimum}`);
+    }
+
+    if (schema.type === 'array') {
+      value.forEach((item, index) => this.check(item, schema.items, [...segments, index]));
+    }
+
+    if (schema.type === 'object') {
+      this.checkObject(value, schema, segments);
+    }
+  }
+
+  /**
+   * Check an object's required, known and additional properties
+   * Properties whose value is undefined count as absent.
+   * @private
+   * @static
+   * @param {Object} value - Object to check
+   * @param {Object} schema - Object schema node
+   * @param {Array<string|number>} segments - Path of the object
+   * @throws {ValidationError} On the first mismatch
+   */
+  static checkObject(value, schema, segments) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        this.fail([...segments, key], undefined, 'is required');
+      }
+    }
+
+    // Objects without declared properties (e.g. entry templates) are free-form
+    if (!schema.properties && schema.additionalProperties === undefined) {
+      return;
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) {
+        continue;
+      }
+
+      const itemSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+      if (!itemSchema) {
+        const known = Object.keys(schema.properties || {});
+        this.fail([...segments, key], item, `unknown property; expected one of ${known.join(', ')}`);
+      }
+      this.check(item, itemSchema, [...segments, key]);
+    }
+  }
+
+  /**
+   * Check a value's JSON type
+   * @private
+   * @static
+   * @param {any} value - Value to check
+   * @param {string} type - Schema type
+   * @returns {boolean} True if the value has the type
+   */
+  static hasType(value, type) {
+    switch (type) {
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'integer':
+        return Number.isInteger(value);
+      default:
+        return typeof value === type;
+    }
+  }
+
+  /**
+   * Describe a schema node for error messages
+   * @private
+   * @static
+   * @param {Object} schema - Schema node
+   * @returns {string} Description (e.g. 'an array of strings')
+   */
+  static describe(schema) {
+    if (schema.type === 'array') {
+      return `an array of ${this.describe(schema.items).replace(/^an? /, '')}s`;
+    }
+    return ['object', 'array', 'integer'].includes(schema.type) ? `an ${schema.type}` : `a ${schema.type}`;
+  }
+
+  /**
+   * Throw a validation error for a path
+   * @private
+   * @static
+   * @param {Array<string|number>} segments - Path of the value
+   * @param {any} value - Offending value
+   * @param {string} problem - What is wrong
+   * @throws {ValidationError} Always
+   */
+  static fail(segments, value, problem) {
+    const jsonPath = this.formatPath(segments);
+    throw new ValidationError(`Invalid client mapping at ${jsonPath}: ${problem}`, jsonPath, value);
+  }
+}
+
+module.exports = MappingSchema;
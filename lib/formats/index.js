@@ -0,0 +1,50 @@
+/**
+ * @module FileFormats
+ * @description Maps a client mapping's `fileFormat` to the handler that reads and edits its files.
+ * Every handler exposes the same static API: parse, setValue, appendValue and removeValue.
+ *
+ * @example
+ * const { getFormat } = require('./formats');
+ * const data = getFormat('toml').parse(content);
+ */
+
+const JsoncFormat = require('./jsonc-format');
+const TomlFormat = require('./toml-format');
+const YamlFormat = require('./yaml-format');
+const { ConfigurationError } = require('../errors');
+const { FILE_FORMATS } = require('../constants');
+
+/**
+ * Format handlers keyed by file format
+ */
+const FORMAT_HANDLERS = {
+  [FILE_FORMATS.JSON]: JsoncFormat,
+  [FILE_FORMATS.TOML]: TomlFormat,
+  [FILE_FORMATS.YAML]: YamlFormat
+};
+
+/**
+ * Get the handler for a file format
+ * @param {string} [fileFormat='json'] - File format from the client mapping
+ * @returns {JsoncFormat|TomlFormat|YamlFormat} Format handler
+ * @throws {ConfigurationError} If the format is not supported
+ */
+function getFormat(fileFormat = FILE_FORMATS.JSON) {
+  const handler = FORMAT_HANDLERS[fileFormat];
+  if (!handler) {
+    throw new ConfigurationError(
+      `Unknown file format: ${fileFormat}. Expected one of: ${Object.keys(FORMAT_HANDLERS).join(', ')}`,
+      null,
+      { fileFormat }
+    );
+  }
+  return handler;
+}
+
+module.exports = {
+  FORMAT_HANDLERS,
+  getFormat,
+  JsoncFormat,
+  TomlFormat,
+  YamlFormat
+};
@@ -0,0 +1,368 @@
+/**
+ * @module JsoncFormat
+ * @description Comment- and format-preserving read/modify/write for JSON client files.
+ * Accepts JSON with comments and trailing commas (JSONC) as used by VS Code and Cursor,
+ * and rewrites only the value being changed so the rest of the file stays byte-for-byte intact.
+ *
+ * @example
+ * const JsoncFormat = require('./formats/jsonc-format');
+ *
+ * const data = JsoncFormat.parse(content);
+ * const updated = JsoncFormat.setValue(content, ['mcpServers', 'my-server'], { command: 'node' });
+ */
+
+const jsonc = require('jsonc-parser');
+
+/**
+ * Parser options used for every read
+ * @private
+ */
+const PARSE_OPTIONS = {
+  allowTrailingComma: true,
+  disallowComments: false,
+  allowEmptyContent: true
+};
+
+/**
+ * JSONC file format handler
+ * @class
+ */
+class JsoncFormat {
+  /**
+   * Parse JSONC content into a plain object
+   * @static
+   * @param {string} content - File content (may contain comments and trailing commas)
+   * @returns {Object} Parsed object; empty content yields an empty object
+   * @throws {SyntaxError} If the content is not valid JSONC or its root is not an object
+   *
+   * @example
+   * JsoncFormat.parse('{ "a": 1, // note\n }');
+   * // Returns: { a: 1 }
+   */
+  static parse(content) {
+    if (!content || content.trim() === '') {
+      return {};
+    }
+
+    const errors = [];
+    const result = jsonc.parse(content, errors, PARSE_OPTIONS);
+
+    if (errors.length > 0) {
+      const first = errors[0];
+      throw new SyntaxError(
+        `${jsonc.printParseErrorCode(first.error)} at offset ${first.offset}`
+      );
+    }
+
+    if (result === null || typeof result !== 'object' || Array.isArray(result)) {
+      throw new SyntaxError('Root value must be an object');
+    }
+
+    return result;
+  }
+
+  /**
+   * Set a value at a property path, editing only the affected text range
+   * Missing containers along the path are created; an existing value is replaced in place.
+   * Numeric segments address existing array items.
+   * @static
+   * @param {string} content - Original file content
+   * @param {Array<string|number>} propertyPath - Property path (e.g., ['mcpServers', 'my-server'])
+   * @param {any} value - Value to set
+   * @returns {string} Updated file content
+   * @throws {SyntaxError} If the content cannot be parsed or a container on the path is not an object
+   */
+  static setValue(content, propertyPath, value) {
+    this.parse(content);
+    const formatting = this.detectFormatting(content);
+
+    if (!content || content.trim() === '') {
+      return this.stringify(this.nest(propertyPath, value), formatting, '');
+    }
+
+    let node = jsonc.parseTree(content, [], PARSE_OPTIONS);
+    for (let i = 0; i < propertyPath.length; i++) {
+      const child = jsonc.findNodeAtLocation(node, [propertyPath[i]]);
+
+      if (!child && node.type === 'array') {
+        throw new SyntaxError(`No array item at ${propertyPath.slice(0, i + 1).join('.')}`);
+      }
+
+      if (!child) {
+        return this.insertProperty(content, node, propertyPath[i], this.nest(propertyPath.slice(i + 1), value), formatting);
+      }
+
+      if (i === propertyPath.length - 1) {
+        // Properties continue at the indent of their key; array items at their own
+        const indent = this.lineIndent(content, child.parent.type === 'property' ? child.parent.offset : child.offset);
+        return this.splice(content, child.offset, child.length, this.stringify(value, formatting, indent));
+      }
+
+      const indexesArray = child.type === 'array' && typeof propertyPath[i + 1] === 'number';
+      if (child.type !== 'object' && !indexesArray) {
+        throw new SyntaxError(`Expected an object at ${propertyPath.slice(0, i + 1).join('.')}, found ${child.type}`);
+      }
+      node = child;
+    }
+
+    return content;
+  }
+
+  /**
+   * Append an item to the array at a property path, creating the array if it is missing
+   * @static
+   * @param {string} content - Original file content
+   * @param {Array<string|number>} propertyPath - Property path of the array
+   * @param {any} value - Item to append
+   * @returns {string} Updated file content
+   * @throws {SyntaxError} If the content cannot be parsed or the value at the path is not an array
+   */
+  static appendValue(content, propertyPath, value) {
+    this.parse(content);
+
+    const root = content && content.trim() !== '' ? jsonc.parseTree(content, [], PARSE_OPTIONS) : null;
+    const arrayNode = root ? jsonc.findNodeAtLocation(root, propertyPath) : null;
+    if (!arrayNode) {
+      return this.setValue(content, propertyPath, [value]);
+    }
+    if (arrayNode.type !== 'array') {
+      throw new SyntaxError(`Expected an array at ${propertyPath.join('.')}, found ${arrayNode.type}`);
+    }
+
+    const edits = jsonc.modify(content, [...propertyPath, -1], value, {
+      formattingOptions: this.detectFormatting(content),
+      isArrayInsertion: true
+    });
+    return jsonc.applyEdits(content, edits);
+  }
+
+  /**
+   * Remove the value at a property path, editing only the affected text range
+   * @static
+   * @param {string} content - Original file content
+   * @param {Array<string|number>} propertyPath - Property path to remove (numeric segments address array items)
+   * @returns {string} Updated file content (unchanged if the path does not exist)
+   * @throws {SyntaxError} If the original content cannot be parsed
+   */
+  static removeValue(content, propertyPath) {
+    this.parse(content);
+
+    if (!content || content.trim() === '') {
+      return content;
+    }
+
+    const root = jsonc.parseTree(content, [], PARSE_OPTIONS);
+    const valueNode = jsonc.findNodeAtLocation(root, propertyPath);
+    if (!valueNode || !valueNode.parent) {
+      return content;
+    }
+
+    // Object values are removed with their key; array items on their own
+    const property = valueNode.parent.type === 'property' ? valueNode.parent : valueNode;
+    const container = property.parent;
+    const index = container.children.indexOf(property);
+
+    if (index < container.children.length - 1) {
+      // Remove up to the next sibling, taking the separating comma with it
+      const next = container.children[index + 1];
+      return this.splice(content, property.offset, next.offset - property.offset, '');
+    }
+
+    if (index > 0) {
+      // Last property: remove it, then the comma that separated it from the previous one
+      const previous = container.children[index - 1];
+      return this.removeLast(content, previous.offset + previous.length, property);
+    }
+
+    // Only property: empty the container
+    return this.splice(content, container.offset + 1, container.length - 2, '');
+  }
+
+  /**
+   * Remove the last property (or item) of a container
+   * Only the separating comma, the property and its own same-line comment are removed, so a
+   * comment after the previous property's comma stays on that property's line.
+   * @private
+   * @static
+   * @param {string} content - File content
+   * @param {number} previousEnd - Offset just after the previous property
+   * @param {Object} property - jsonc-parser node to remove
+   * @returns {string} Updated content
+   */
+  static removeLast(content, previousEnd, property) {
+    const propertyEnd = property.offset + property.length;
+    const ownComment = content.slice(propertyEnd).match(/^[ \t]*\/\/[^\r\n]*/);
+    const end = propertyEnd + (ownComment ? ownComment[0].length : 0);
+
+    // Find the separating comma with the scanner, so commas inside comments are skipped
+    const scanner = jsonc.createScanner(content.slice(previousEnd, property.offset), false);
+    let comma = -1;
+    while (comma === -1 && scanner.scan() !== jsonc.SyntaxKind.EOF) {
+      if (scanner.getToken() === jsonc.SyntaxKind.CommaToken) {
+        comma = previousEnd + scanner.getTokenOffset();
+      }
+    }
+
+    // A property on its own line is removed with the line break before it
+    const lineBreak = content.lastIndexOf('\n', property.offset - 1);
+    let begin = lineBreak > comma ? lineBreak : comma + 1;
+    if (begin === lineBreak && content[begin - 1] === '\r') {
+      begin -= 1;
+    }
+
+    const updated = this.splice(content, begin, end - begin, '');
+    return this.splice(updated, comma, 1, '');
+  }
+
+  /**
+   * Insert a new property into an existing object node
+   * @private
+   * @static
+   * @param {string} content - File content
+   * @param {Object} objectNode - jsonc-parser object node
+   * @param {string} key - Property name
+   * @param {any} value - Property value
+   * @param {Object} formatting - Formatting options
+   * @returns {string} Updated content
+   */
+  static insertProperty(content, objectNode, key, value, formatting) {
+    const { eol } = formatting;
+    const objectEnd = objectNode.offset + objectNode.length;
+    const children = objectNode.children || [];
+    const ownIndent = objectNode.parent ? this.lineIndent(content, objectNode.parent.offset) : this.lineIndent(content, objectNode.offset);
+
+    // Compact single-line objects stay on one line
+    if (!content.slice(objectNode.offset, objectEnd).includes('\n') && children.length > 0) {
+      const last = children[children.length - 1];
+      const insertAt = last.offset + last.length;
+      return this.splice(content, insertAt, 0, `, ${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+    }
+
+    if (children.length === 0) {
+      const indent = ownIndent + this.indentUnit(formatting);
+      const property = `${indent}${JSON.stringify(key)}: ${this.stringify(value, formatting, indent)}`;
+      const interior = content.slice(objectNode.offset + 1, objectEnd - 1);
+
+      if (interior.trim() === '') {
+        return this.splice(content, objectNode.offset + 1, interior.length, `${eol}${property}${eol}${ownIndent}`);
+      }
+      // Keep any comments inside the empty object
+      return this.splice(content, objectNode.offset + 1, 0, `${eol}${property}`);
+    }
+
+    const last = children[children.length - 1];
+    const lastEnd = last.offset + last.length;
+    const indent = this.lineIndent(content, last.offset);
+    const property = `${indent}${JSON.stringify(key)}: ${this.stringify(value, formatting, indent)}`;
+
+    // Skip a trailing comma and same-line comment after the last property
+    const rest = content.slice(lastEnd);
+    const tail = rest.match(/^[ \t]*(,)?[ \t]*(\/\/[^\r\n]*|\/\*.*?\*\/[ \t]*)?/);
+    const hadTrailingComma = Boolean(tail[1]);
+    const lineEnd = lastEnd + tail[0].length;
+
+    let updated = this.splice(content, lineEnd, 0, `${eol}${property}${hadTrailingComma ? ',' : ''}`);
+    if (!hadTrailingComma) {
+      updated = this.splice(updated, lastEnd, 0, ',');
+    }
+    return updated;
+  }
+
+  /**
+   * Build a nested object from a property path
+   * @private
+   * @static
+   * @param {Array<string>} propertyPath - Remaining path segments
+   * @param {any} value - Leaf value
+   * @returns {any} Nested value
+   */
+  static nest(propertyPath, value) {
+    return propertyPath.reduceRight((acc, key) => ({ [key]: acc }), value);
+  }
+
+  /**
+   * Serialize a value with the file's indentation, continuing at a base indent
+   * @private
+   * @static
+   * @param {any} value - Value to serialize
+   * @param {Object} formatting - Formatting options
+   * @param {string} baseIndent - Indentation of the line the value starts on
+   * @returns {string} Serialized value
+   */
+  static stringify(value, formatting, baseIndent) {
+    return JSON.stringify(value, null, this.indentUnit(formatting))
+      .split('\n')
+      .join(formatting.eol + baseIndent);
+  }
+
+  /**
+   * Get one level of indentation
+   * @private
+   * @static
+   * @param {Object} formatting - Formatting options
+   * @returns {string} Indentation unit
+   */
+  static indentUnit(formatting) {
+    return formatting.insertSpaces ? ' '.repeat(formatting.tabSize) : '\t';
+  }
+
+  /**
+   * Get the leading whitespace of the line containing an offset
+   * @private
+   * @static
+   * @param {string} content - File content
+   * @param {number} offset - Offset within the line
+   * @returns {string} Leading whitespace
+   */
+  static lineIndent(content, offset) {
+    const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+    return content.slice(lineStart).match(/^[ \t]*/)[0];
+  }
+
+  /**
+   * Replace a range of text
+   * @private
+   * @static
+   * @param {string} content - Original text
+   * @param {number} offset - Start offset
+   * @param {number} length - Number of characters to replace
+   * @param {string} text - Replacement text
+   * @returns {string} Updated text
+   */
+  static splice(content, offset, length, text) {
+    return content.slice(0, offset) + text + content.slice(offset + length);
+  }
+
+  /**
+   * Detect indentation and line endings of existing content
+   * @static
+   * @param {string} content - File content
+   * @returns {Object} Formatting options ({ insertSpaces, tabSize, eol })
+   *
+   * @example
+   * JsoncFormat.detectFormatting('{\n\t"a": 1\n}');
+   * // Returns: { insertSpaces: false, tabSize: 1, eol: '\n' }
+   */
+  static detectFormatting(content) {
+    const eol = content && content.includes('\r\n') ? '\r\n' : '\n';
+    const formatting = { insertSpaces: true, tabSize: 2, eol };
+
+    if (!content) {
+      return formatting;
+    }
+
+    const indented = content.split(/\r?\n/).find(line => /^[ \t]+\S/.test(line));
+    if (indented) {
+      if (indented.startsWith('\t')) {
+        formatting.insertSpaces = false;
+        formatting.tabSize = 1;
+      } else {
+        formatting.tabSize = indented.match(/^ +/)[0].length;
+      }
+    }
+
+    return formatting;
+  }
+}
+
+module.exports = JsoncFormat;
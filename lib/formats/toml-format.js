@@ -0,0 +1,355 @@
+/**
+ * @module TomlFormat
+ * @description Comment-preserving read/modify/write for TOML client files (e.g. Codex CLI config.toml).
+ * Server entries are written as `[table]` sections; only the sections belonging to the value being
+ * changed are rewritten, so comments and other tables stay byte-for-byte intact.
+ *
+ * @example
+ * const TomlFormat = require('./formats/toml-format');
+ *
+ * const data = TomlFormat.parse(content);
+ * const updated = TomlFormat.setValue(content, ['mcp_servers', 'my-server'], { command: 'node' });
+ */
+
+const toml = require('smol-toml');
+
+/**
+ * Bare TOML keys; anything else in a header is quoted
+ * @private
+ */
+const BARE_KEY = /[A-Za-z0-9_-]+/y;
+
+/**
+ * TOML file format handler
+ * @class
+ */
+class TomlFormat {
+  /**
+   * Parse TOML content into a plain object
+   * @static
+   * @param {string} content - File content
+   * @returns {Object} Parsed object; empty content yields an empty object
+   * @throws {SyntaxError} If the content is not valid TOML
+   *
+   * @example
+   * TomlFormat.parse('# note\n[mcp_servers.docs]\ncommand = "node"\n');
+   * // Returns: { mcp_servers: { docs: { command: 'node' } } }
+   */
+  static parse(content) {
+    if (!content || content.trim() === '') {
+      return {};
+    }
+
+    try {
+      return toml.parse(content);
+    } catch (error) {
+      const position = error.line ? ` at line ${error.line}, column ${error.column}` : '';
+      throw new SyntaxError(`${error.message.split('\n')[0]}${position}`);
+    }
+  }
+
+  /**
+   * Set a value at a property path, rewriting only the value's own tables
+   * The value is written as a `[table]` (plus sub-tables for nested objects) in place of the
+   * existing one, or appended to the end of the file if there is none.
+   * @static
+   * @param {string} content - Original file content
+   * @param {Array<string>} propertyPath - Property path (e.g., ['mcp_servers', 'my-server'])
+   * @param {Object} value - Table to set
+   * @returns {string} Updated file content
+   * @throws {SyntaxError} If the content cannot be parsed, the existing value is not defined by
+   *   table headers (e.g. an inline table), a container on the path is not a table, or the path
+   *   addresses an array item
+   */
+  static setValue(content, propertyPath, value) {
+    this.assertTablePath(propertyPath);
+    this.parse(content);
+    const eol = this.detectEol(content);
+    const rendered = toml.stringify(this.nest(propertyPath, value)).trimEnd().split('\n').join(eol) + eol;
+
+    const { content: remaining, offset } = this.removeTables(content || '', propertyPath);
+
+    let updated;
+    if (offset === null) {
+      let separator = eol + eol;
+      if (/\n[ \t]*\r?\n$/.test(remaining)) {
+        separator = '';
+      } else if (remaining.endsWith('\n')) {
+        separator = eol;
+      }
+      updated = remaining.trim() === '' ? rendered : remaining + separator + rendered;
+    } else {
+      const rest = remaining.slice(offset);
+      const gap = rest === '' || /^[ \t]*\r?\n/.test(rest) ? '' : eol;
+      updated = remaining.slice(0, offset) + rendered + gap + rest;
+    }
+
+    // Catches containers on the path that are not tables (e.g. `mcp_servers = "none"`)
+    this.parse(updated);
+    return updated;
+  }
+
+  /**
+   * Remove the value at a property path, deleting only the value's own tables
+   * @static
+   * @param {string} content - Original file content
+   * @param {Array<string>} propertyPath - Property path to remove
+   * @returns {string} Updated file content (unchanged if the path does not exist)
+   * @throws {SyntaxError} If the content cannot be parsed, the value is not defined by table headers
+   *   or the path addresses an array item
+   */
+  static removeValue(content, propertyPath) {
+    this.assertTablePath(propertyPath);
+    if (this.getValueAt(this.parse(content), propertyPath) === undefined) {
+      return content;
+    }
+    const { content: updated, offset } = this.removeTables(content, propertyPath);
+    return this.tidy(updated.slice(0, offset), updated.slice(offset), true);
+  }
+
+  /**
+   * Append an item to an array
+   * Server lists are not supported in TOML files; entries are tables keyed by server name.
+   * @static
+   * @param {string} content - Original file content
+   * @param {Array<string>} propertyPath - Property path of the array
+   * @throws {SyntaxError} Always
+   */
+  static appendValue(content, propertyPath) {
+    throw new SyntaxError(`Cannot append to ${propertyPath.join('.')}: lists of entries are not supported in TOML files`);
+  }
+
+  /**
+   * Reject paths that address array items
+   * @private
+   * @static
+   * @param {Array<string|number>} propertyPath - Property path
+   * @throws {SyntaxError} If a segment is an array index
+   */
+  static assertTablePath(propertyPath) {
+    if (propertyPath.some(segment => typeof segment === 'number')) {
+      throw new SyntaxError(`Cannot edit ${propertyPath.join('.')}: lists of entries are not supported in TOML files`);
+    }
+  }
+
+  /**
+   * Remove the table at a property path and all of its sub-tables
+   * Comments and blank lines directly above the following header stay with that header.
+   * @private
+   * @static
+   * @param {string} content - File content
+   * @param {Array<string>} propertyPath - Property path of the table
+   * @returns {Object} Result ({ content, offset }); offset is where the first removed table started,
+   *   or null if there was none
+   * @throws {SyntaxError} If the value is still defined after removing its tables
+   */
+  static removeTables(content, propertyPath) {
+    const sections = this.findSections(content).filter(section =>
+      section.key.length >= propertyPath.length &&
+      propertyPath.every((segment, i) => section.key[i] === segment)
+    );
+
+    let updated = content;
+    for (const section of [...sections].reverse()) {
+      updated = this.tidy(updated.slice(0, section.start), updated.slice(section.end), section !== sections[0]);
+    }
+
+    if (this.getValueAt(this.parse(updated), propertyPath) !== undefined) {
+      throw new SyntaxError(`Cannot edit ${propertyPath.join('.')}: it is not defined as a [table] section`);
+    }
+
+    return { content: updated, offset: sections.length > 0 ? sections[0].start : null };
+  }
+
+  /**
+   * Join the text around a removed section, dropping the blank line it leaves behind
+   * @private
+   * @static
+   * @param {string} before - Text before the removed section
+   * @param {string} after - Text after the removed section
+   * @param {boolean} collapse - Whether to drop a doubled blank line
+   * @returns {string} Joined text
+   */
+  static tidy(before, after, collapse) {
+    if (collapse && /\n[ \t]*\r?\n$/.test(before)) {
+      if (after === '') {
+        return before.replace(/[ \t]*\r?\n$/, '');
+      }
+      return before + after.replace(/^[ \t]*\r?\n/, '');
+    }
+    return before + after;
+  }
+
+  /**
+   * Locate every table header and the text range of its section
+   * A section runs from its header to the next header, excluding the comments and blank lines
+   * directly above that header. Lines inside multi-line strings are never treated as headers.
+   * @private
+   * @static
+   * @param {string} content - File content
+   * @returns {Array<Object>} Sections ({ key, start, end }) in file order
+   */
+  static findSections(content) {
+    const lines = [];
+    let offset = 0;
+    for (const text of content.split('\n')) {
+      lines.push({ text, start: offset });
+      offset += text.length + 1;
+    }
+
+    const headers = [];
+    let delimiter = null;
+    lines.forEach((line, index) => {
+      if (!delimiter) {
+        const key = this.parseHeader(line.text);
+        if (key) {
+          headers.push({ key, index });
+          return;
+        }
+      }
+      delimiter = this.trackMultilineString(line.text, delimiter);
+    });
+
+    return headers.map((header, i) => {
+      let endIndex = i + 1 < headers.length ? headers[i + 1].index : lines.length;
+      while (endIndex - 1 > header.index && /^\s*(#[^\n]*)?$/.test(lines[endIndex - 1].text)) {
+        endIndex--;
+      }
+      return {
+        key: header.key,
+        start: lines[header.index].start,
+        end: endIndex < lines.length ? lines[endIndex].start : content.length
+      };
+    });
+  }
+
+  /**
+   * Parse a `[table]` or `[[array.of.tables]]` header line
+   * @private
+   * @static
+   * @param {string} line - Line of the file
+   * @returns {Array<string>|null} Key segments, or null if the line is not a header
+   *
+   * @example
+   * TomlFormat.parseHeader('[mcp_servers."my.server"] # note');
+   * // Returns: ['mcp_servers', 'my.server']
+   */
+  static parseHeader(line) {
+    const opening = line.match(/^\s*(\[\[?)/);
+    if (!opening) {
+      return null;
+    }
+
+    const key = [];
+    let position = opening[0].length;
+    const skipSpace = () => {
+      while (line[position] === ' ' || line[position] === '\t') {
+        position++;
+      }
+    };
+
+    for (;;) {
+      skipSpace();
+      let match;
+      if (line[position] === '"') {
+        match = line.slice(position).match(/^"((?:[^"\\]|\\.)*)"/);
+        if (!match) {
+          return null;
+        }
+        key.push(JSON.parse(match[0]));
+      } else if (line[position] === "'") {
+        match = line.slice(position).match(/^'([^']*)'/);
+        if (!match) {
+          return null;
+        }
+        key.push(match[1]);
+      } else {
+        BARE_KEY.lastIndex = position;
+        match = BARE_KEY.exec(line);
+        if (!match) {
+          return null;
+        }
+        key.push(match[0]);
+      }
+      position += match[0].length;
+      skipSpace();
+
+      if (line[position] !== '.') {
+        break;
+      }
+      position++;
+    }
+
+    const closing = opening[1] === '[[' ? ']]' : ']';
+    return line.startsWith(closing, position) && /^\s*(#[^\n]*)?$/.test(line.slice(position + closing.length))
+      ? key
+      : null;
+  }
+
+  /**
+   * Track whether a line leaves the parser inside a multi-line string
+   * @private
+   * @static
+   * @param {string} line - Line of the file
+   * @param {string|null} delimiter - Open multi-line string delimiter before the line
+   * @returns {string|null} Open delimiter after the line, or null
+   */
+  static trackMultilineString(line, delimiter) {
+    let open = delimiter;
+    let position = 0;
+    for (;;) {
+      const next = open
+        ? line.indexOf(open, position)
+        : Math.min(...['"""', "'''"].map(d => line.indexOf(d, position)).filter(i => i >= 0), Infinity);
+      if (next === -1 || next === Infinity) {
+        return open;
+      }
+      open = open ? null : line.substr(next, 3);
+      position = next + 3;
+    }
+  }
+
+  /**
+   * Read the value at a property path
+   * @private
+   * @static
+   * @param {Object} data - Parsed content
+   * @param {Array<string>} propertyPath - Property path
+   * @returns {any} Value, or undefined if any part of the path is missing
+   */
+  static getValueAt(data, propertyPath) {
+    let value = data;
+    for (const key of propertyPath) {
+      if (!value || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+        return undefined;
+      }
+      value = value[key];
+    }
+    return value;
+  }
+
+  /**
+   * Build a nested object from a property path
+   * @private
+   * @static
+   * @param {Array<string>} propertyPath - Path segments
+   * @param {any} value - Leaf value
+   * @returns {Object} Nested value
+   */
+  static nest(propertyPath, value) {
+    return propertyPath.reduceRight((acc, key) => ({ [key]: acc }), value);
+  }
+
+  /**
+   * Detect the line ending of existing content
+   * @private
+   * @static
+   * @param {string} content - File content
+   * @returns {string} '\r\n' or '\n'
+   */
+  static detectEol(content) {
+    return content && content.includes('\r\n') ? '\r\n' : '\n';
+  }
+}
+
+module.exports = TomlFormat;
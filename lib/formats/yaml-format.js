@@ -0,0 +1,144 @@
+/**
+ * @module YamlFormat
+ * @description Comment-preserving read/modify/write for YAML client files (e.g. Continue's config.yaml).
+ * Edits go through the parsed document, so comments, key order and scalar styles elsewhere
+ * in the file are kept; only the value being changed is re-serialized.
+ *
+ * @example
+ * const YamlFormat = require('./formats/yaml-format');
+ *
+ * const data = YamlFormat.parse(content);
+ * const updated = YamlFormat.appendValue(content, ['mcpServers'], { name: 'my-server', command: 'node' });
+ */
+
+const YAML = require('yaml');
+
+/**
+ * Serializer options used for every write
+ * Long lines are never folded and flow collections keep their compact form,
+ * so untouched values keep their layout.
+ * @private
+ */
+const STRINGIFY_OPTIONS = {
+  lineWidth: 0,
+  flowCollectionPadding: false
+};
+
+/**
+ * YAML file format handler
+ * @class
+ */
+class YamlFormat {
+  /**
+   * Parse YAML content into a plain object
+   * @static
+   * @param {string} content - File content
+   * @returns {Object} Parsed object; empty content yields an empty object
+   * @throws {SyntaxError} If the content is not valid YAML or its root is not a mapping
+   *
+   * @example
+   * YamlFormat.parse('# servers\nmcpServers:\n  - name: docs\n');
+   * // Returns: { mcpServers: [{ name: 'docs' }] }
+   */
+  static parse(content) {
+    const result = this.parseDocument(content).toJS();
+    return result === null || result === undefined ? {} : result;
+  }
+
+  /**
+   * Set a value at a property path
+   * Missing mappings along the path are created; numeric segments address sequence items.
+   * @static
+   * @param {string} content - Original file content
+   * @param {Array<string|number>} propertyPath - Property path (e.g., ['mcpServers', 0])
+   * @param {any} value - Value to set
+   * @returns {string} Updated file content
+   * @throws {SyntaxError} If the content cannot be parsed or a container on the path is not a collection
+   */
+  static setValue(content, propertyPath, value) {
+    const doc = this.parseDocument(content);
+    this.edit(propertyPath, () => doc.setIn(propertyPath, doc.createNode(value)));
+    return doc.toString(STRINGIFY_OPTIONS);
+  }
+
+  /**
+   * Append an item to the sequence at a property path, creating the sequence if it is missing
+   * @static
+   * @param {string} content - Original file content
+   * @param {Array<string|number>} propertyPath - Property path of the sequence
+   * @param {any} value - Item to append
+   * @returns {string} Updated file content
+   * @throws {SyntaxError} If the content cannot be parsed or the value at the path is not a sequence
+   */
+  static appendValue(content, propertyPath, value) {
+    const doc = this.parseDocument(content);
+    const sequence = doc.getIn(propertyPath, true);
+
+    if (sequence === undefined) {
+      return this.setValue(content, propertyPath, [value]);
+    }
+    if (!YAML.isSeq(sequence)) {
+      throw new SyntaxError(`Expected a list at ${propertyPath.join('.')}`);
+    }
+
+    sequence.add(doc.createNode(value));
+    return doc.toString(STRINGIFY_OPTIONS);
+  }
+
+  /**
+   * Remove the value at a property path
+   * @static
+   * @param {string} content - Original file content
+   * @param {Array<string|number>} propertyPath - Property path to remove
+   * @returns {string} Updated file content (unchanged if the path does not exist)
+   * @throws {SyntaxError} If the original content cannot be parsed
+   */
+  static removeValue(content, propertyPath) {
+    const doc = this.parseDocument(content);
+    if (!doc.hasIn(propertyPath)) {
+      return content;
+    }
+
+    this.edit(propertyPath, () => doc.deleteIn(propertyPath));
+    return doc.toString(STRINGIFY_OPTIONS);
+  }
+
+  /**
+   * Parse content into a YAML document
+   * @private
+   * @static
+   * @param {string} content - File content
+   * @returns {YAML.Document} Parsed document
+   * @throws {SyntaxError} If the content is not valid YAML or its root is not a mapping
+   */
+  static parseDocument(content) {
+    const doc = YAML.parseDocument(content || '');
+
+    if (doc.errors.length > 0) {
+      throw new SyntaxError(doc.errors[0].message.split('\n')[0].replace(/:$/, ''));
+    }
+    if (doc.contents !== null && !YAML.isMap(doc.contents)) {
+      throw new SyntaxError('Root value must be a mapping');
+    }
+
+    return doc;
+  }
+
+  /**
+   * Run a document edit, reporting structural conflicts as syntax errors
+   * @private
+   * @static
+   * @param {Array<string|number>} propertyPath - Property path being edited
+   * @param {Function} change - Edit to apply
+   * @throws {SyntaxError} If a container on the path is not a collection
+   */
+  static edit(propertyPath, change) {
+    try {
+      change();
+    } catch (error) {
+      throw new SyntaxError(`Cannot edit ${propertyPath.join('.')}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = YamlFormat;
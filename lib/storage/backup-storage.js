@@ -0,0 +1,245 @@
+/**
+ * Backup Storage
+ * Snapshots client files before distribution so they can be restored later
+ */
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const JsonStorage = require('./json-storage');
+const { FileSystemError, ValidationError } = require('../errors');
+const { DIRECTORIES, FILE_PERMISSIONS, LIMITS } = require('../constants');
+const PathUtils = require('../utils/path-utils');
+const FileUtils = require('../utils/file-utils');
+
+/**
+ * Client ids and timestamps become path segments; keep them to safe characters
+ * @private
+ */
+const SAFE_SEGMENT = /^[\w.-]+$/;
+
+class BackupStorage {
+  constructor() {
+    this.json = new JsonStorage();
+  }
+
+  /**
+   * Create a backup timestamp
+   * All clients written by one distribution share a timestamp.
+   * @param {Date} [date=new Date()] - Time of the backup
+   * @returns {string} File-system safe timestamp (e.g., '2024-05-01T09-30-00-000Z')
+   */
+  createTimestamp(date = new Date()) {
+    return date.toISOString().replace(/[:.]/g, '-');
+  }
+
+  /**
+   * Get the directory holding a client's backups of one target
+   * Backups are kept per resolved target path, so the files of different projects (or of a
+   * client's global and local paths) never share a history.
+   * @param {string} clientId - Client identifier
+   * @param {string} target - Client's primary file (the first path passed to snapshot)
+   * @returns {string} Backup directory under the library config dir
+   * @throws {ValidationError} If the client id is not a safe path segment or the target is missing
+   */
+  getBackupDir(clientId, target) {
+    this.assertSafe('clientId', clientId);
+    if (typeof target !== 'string' || !target) {
+      throw new ValidationError(`Invalid backup target: ${target}`, 'target', target);
+    }
+
+    const targetKey = crypto.createHash('sha256').update(PathUtils.ensureAbsolute(target)).digest('hex').slice(0, 16);
+    return PathUtils.joinPath(this.json.getLibraryConfigDir(), DIRECTORIES.BACKUPS, clientId, targetKey);
+  }
+
+  /**
+   * Get the path of a single backup
+   * @param {string} clientId - Client identifier
+   * @param {string} target - Client's primary file (see getBackupDir)
+   * @param {string} timestamp - Backup timestamp
+   * @returns {string} Backup file path
+   * @throws {ValidationError} If the client id, target or timestamp is invalid
+   */
+  getBackupPath(clientId, target, timestamp) {
+    this.assertSafe('timestamp', timestamp);
+    return PathUtils.joinPath(this.getBackupDir(clientId, target), `${timestamp}.json`);
+  }
+
+  /**
+   * Snapshot a client's files
+   * Files that do not exist yet are recorded as such, so restoring removes them. The backups
+   * are keyed by the first file (see getBackupDir). If the files are unchanged since the most
+   * recent backup of that target, no new backup is written and that backup is returned.
+   * Older backups beyond LIMITS.MAX_BACKUPS_PER_CLIENT are pruned.
+   * @param {string} clientId - Client identifier
+   * @param {Array<string>} filePaths - Files the client is about to write, primary file first
+   * @param {string} timestamp - Backup timestamp (see createTimestamp)
+   * @returns {Promise<Object>} Backup ({ clientId, timestamp, files: [{ path, content, mode }] })
+   * @throws {ValidationError} If no file is given
+   * @throws {FileSystemError} If a file exists but cannot be read, or the backup cannot be written
+   */
+  async snapshot(clientId, filePaths, timestamp) {
+    const [target] = filePaths;
+    const files = [];
+    for (const filePath of filePaths) {
+      files.push(await this.readFile(PathUtils.ensureAbsolute(filePath)));
+    }
+
+    const latest = await this.getLatest(clientId, target);
+    if (latest && JSON.stringify(latest.files) === JSON.stringify(files)) {
+      return latest;
+    }
+
+    const backup = { clientId, timestamp, files };
+    const backupPath = this.getBackupPath(clientId, target, timestamp);
+
+    try {
+      await FileUtils.writeAtomic(backupPath, JSON.stringify(backup, null, 2), {
+        mode: FILE_PERMISSIONS.BACKUP_FILE_UNIX
+      });
+    } catch (error) {
+      throw new FileSystemError(
+        `Failed to write backup: ${error.message}`,
+        backupPath,
+        'write',
+        { originalError: error.message }
+      );
+    }
+
+    await this.prune(clientId, target);
+    return backup;
+  }
+
+  /**
+   * List a client's backup timestamps for a target
+   * @param {string} clientId - Client identifier
+   * @param {string} target - Client's primary file (see getBackupDir)
+   * @returns {Promise<Array<string>>} Timestamps, oldest first
+   */
+  async list(clientId, target) {
+    let entries;
+    try {
+      entries = await fs.readdir(this.getBackupDir(clientId, target));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return entries
+      .filter(entry => entry.endsWith('.json'))
+      .map(entry => entry.slice(0, -'.json'.length))
+      .sort();
+  }
+
+  /**
+   * Read a backup
+   * @param {string} clientId - Client identifier
+   * @param {string} target - Client's primary file (see getBackupDir)
+   * @param {string} timestamp - Backup timestamp
+   * @returns {Promise<Object|null>} Backup, or null if there is none for the timestamp
+   */
+  async get(clientId, target, timestamp) {
+    return await this.json.read(this.getBackupPath(clientId, target, timestamp));
+  }
+
+  /**
+   * Read the most recent backup of a target
+   * @private
+   * @param {string} clientId - Client identifier
+   * @param {string} target - Client's primary file (see getBackupDir)
+   * @returns {Promise<Object|null>} Backup, or null if there is none
+   */
+  async getLatest(clientId, target) {
+    const timestamp = (await this.list(clientId, target)).pop();
+    return timestamp ? await this.get(clientId, target, timestamp) : null;
+  }
+
+  /**
+   * Put a backup's files back in place
+   * Files are written atomically with their recorded permissions; files that did not
+   * exist when the snapshot was taken are removed.
+   * @param {Object} backup - Backup returned by snapshot or get
+   * @returns {Promise<Array<string>>} Restored file paths
+   * @throws {FileSystemError} If a file cannot be restored
+   */
+  async restore(backup) {
+    const restored = [];
+
+    for (const file of backup.files) {
+      try {
+        if (file.content === null) {
+          await fs.rm(file.path, { force: true });
+        } else {
+          await FileUtils.writeAtomic(file.path, file.content, { mode: file.mode });
+        }
+      } catch (error) {
+        throw new FileSystemError(
+          `Failed to restore ${file.path}: ${error.message}`,
+          file.path,
+          'write',
+          { clientId: backup.clientId, timestamp: backup.timestamp, originalError: error.message }
+        );
+      }
+      restored.push(file.path);
+    }
+
+    return restored;
+  }
+
+  /**
+   * Remove a target's oldest backups beyond the retention limit
+   * @private
+   * @param {string} clientId - Client identifier
+   * @param {string} target - Client's primary file (see getBackupDir)
+   * @returns {Promise<void>}
+   */
+  async prune(clientId, target) {
+    const timestamps = await this.list(clientId, target);
+    const expired = timestamps.slice(0, Math.max(0, timestamps.length - LIMITS.MAX_BACKUPS_PER_CLIENT));
+
+    for (const timestamp of expired) {
+      await fs.rm(this.getBackupPath(clientId, target, timestamp), { force: true });
+    }
+  }
+
+  /**
+   * Read a file's content and permissions for a snapshot
+   * @private
+   * @param {string} filePath - Absolute file path
+   * @returns {Promise<Object>} Snapshot entry ({ path, content, mode }); content is null if the file does not exist
+   * @throws {FileSystemError} If the file exists but cannot be read
+   */
+  async readFile(filePath) {
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+      const stats = await fs.stat(filePath);
+      return { path: filePath, content, mode: stats.mode & 0o777 };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { path: filePath, content: null };
+      }
+      throw new FileSystemError(
+        `Failed to back up ${filePath}: ${error.message}`,
+        filePath,
+        'read',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Reject identifiers that could escape the backup directory
+   * @private
+   * @param {string} field - Field name for the error
+   * @param {string} value - Identifier to check
+   * @throws {ValidationError} If the value is not a safe path segment
+   */
+  assertSafe(field, value) {
+    if (typeof value !== 'string' || !SAFE_SEGMENT.test(value) || value === '.' || value === '..') {
+      throw new ValidationError(`Invalid backup ${field}: ${value}`, field, value);
+    }
+  }
+}
+
+module.exports = BackupStorage;
@@ -4,10 +4,11 @@
  */
 
 const fs = require('fs').promises;
-const path = require('path');
 const dotenv = require('dotenv');
 const { StorageError, FileSystemError, EnvironmentError, ValidationError } = require('../errors');
 const PathUtils = require('../utils/path-utils');
+const FileUtils = require('../utils/file-utils');
+const { FILE_PERMISSIONS } = require('../constants');
 
 class EnvStorage {
   constructor(serverName = null) {
@@ -66,21 +67,12 @@ class EnvStorage {
    * @param {string} envPath - Path to .env file
    * @param {string} content - File content
    * @returns {Promise<void>}
+   * @throws {FileSystemError} If the file cannot be written
    */
   async write(envPath, content) {
-    const dir = path.dirname(envPath);
-    
     try {
-      // Ensure directory exists
-      await fs.mkdir(dir, { recursive: true });
-      
-      // Write file
-      await fs.writeFile(envPath, content);
-      
-      // Set secure permissions (Unix-like systems only)
-      if (process.platform !== 'win32') {
-        await fs.chmod(envPath, 0o600);
-      }
+      // Replace the file atomically with secure permissions (applied on Unix-like systems only)
+      await FileUtils.writeAtomic(envPath, content, { mode: FILE_PERMISSIONS.ENV_FILE_UNIX });
     } catch (error) {
       throw new FileSystemError(
         `Failed to write .env file: ${error.message}`,
@@ -30,8 +30,32 @@ class GitignoreManager {
     // Skip gitignore for global configurations
     if (isGlobal) return;
 
-    const localEnvPath = this.getLocalEnvPath();
+    await this.ensureEntry(this.getLocalEnvPath());
+  }
+
+  /**
+   * Ensure a project file (e.g., a client's env file) is in .gitignore
+   * Files outside the current project are ignored.
+   * @param {string} filePath - Absolute or project-relative file path
+   * @returns {Promise<void>}
+   */
+  async ensureFile(filePath) {
+    const relativePath = path.relative(process.cwd(), path.resolve(filePath));
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return;
+    }
 
+    // Anchor the entry to the project root
+    await this.ensureEntry('/' + relativePath.split(path.sep).join('/'));
+  }
+
+  /**
+   * Add an entry to .gitignore unless it (or a broader .env pattern) is already present
+   * @private
+   * @param {string} entry - Gitignore entry
+   * @returns {Promise<void>}
+   */
+  async ensureEntry(entry) {
     try {
       // Check if .gitignore exists
       let content = '';
@@ -47,7 +71,7 @@ class GitignoreManager {
       // Check if .env path is already in .gitignore
       const lines = content.split('\n');
       const envPatterns = [
-        localEnvPath,
+        entry.replace(/^\//, ''),
         '**/.env',
         '.env'
       ];
@@ -72,7 +96,7 @@ class GitignoreManager {
           newLines.push('');
         }
         newLines.push('# dj-config-mcp sensitive configuration');
-        newLines.push(localEnvPath);
+        newLines.push(entry);
         newLines.push('');
 
         // Write updated .gitignore
@@ -0,0 +1,186 @@
+/**
+ * Launch Storage
+ * Stores how MCP clients should launch the server, separately from user settings
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const JsonStorage = require('./json-storage');
+const { ValidationError } = require('../errors');
+const { FILE_NAMES, TRANSPORTS } = require('../constants');
+const PathUtils = require('../utils/path-utils');
+
+class LaunchStorage {
+  constructor(serverName = null) {
+    this.serverName = serverName;
+    this.json = new JsonStorage(serverName);
+  }
+
+  /**
+   * Get storage path for the launch spec
+   * @param {boolean} isGlobal - Use global configuration
+   * @returns {string} Storage path
+   */
+  getStoragePath(isGlobal = false) {
+    const serverName = this.serverName || 'dj-config-mcp';
+    
+    if (isGlobal) {
+      // Global: Use hardcoded library directory
+      const baseDir = this.json.getLibraryConfigDir();
+      return PathUtils.joinPath(baseDir, serverName, FILE_NAMES.LAUNCH_CONFIG);
+    } else {
+      // Local: Use current working directory
+      return PathUtils.joinPath('.', 'devjoy-digital', serverName, FILE_NAMES.LAUNCH_CONFIG);
+    }
+  }
+
+  /**
+   * Get the stored launch spec
+   * @param {boolean} isGlobal - Use global configuration (system-wide) or local (project-specific)
+   * @returns {Promise<Object|null>} Launch spec, or null if none has been registered
+   */
+  async get(isGlobal = false) {
+    return await this.json.read(this.getStoragePath(isGlobal));
+  }
+
+  /**
+   * Store a launch spec
+   * @param {Object} spec - Launch spec (see normalize)
+   * @param {boolean} isGlobal - Use global configuration (system-wide) or local (project-specific)
+   * @returns {Promise<Object>} The normalized spec that was stored
+   * @throws {ValidationError} If the spec is invalid
+   */
+  async set(spec, isGlobal = false) {
+    const normalized = this.normalize(spec);
+    await this.json.write(this.getStoragePath(isGlobal), normalized);
+    return normalized;
+  }
+
+  /**
+   * Validate a launch spec and fill in defaults
+   * Stdio servers are launched by command; remote (http/sse) servers are reached by URL.
+   * @param {Object} spec - Launch spec
+   * @param {string} [spec.transport='stdio'] - Transport the server speaks ('stdio', 'http' or 'sse')
+   * @param {string} [spec.command] - Executable to run (stdio)
+   * @param {Array<string>} [spec.args=[]] - Command arguments (stdio)
+   * @param {string} [spec.cwd] - Working directory for the server process (stdio)
+   * @param {string} [spec.url] - Server URL (remote)
+   * @param {Object<string, string>} [spec.headers] - Header templates, e.g. `{ Authorization: 'Bearer ${TOKEN}' }` (remote)
+   * @returns {Object} Normalized spec ({ command, args, cwd?, transport } or { transport, url, headers? })
+   * @throws {ValidationError} If a field is missing or has the wrong type
+   */
+  normalize(spec) {
+    if (!spec || typeof spec !== 'object') {
+      throw new ValidationError('Launch spec must be an object', 'launch', spec);
+    }
+    
+    const transport = spec.transport || TRANSPORTS.STDIO;
+    if (!Object.values(TRANSPORTS).includes(transport)) {
+      throw new ValidationError(`Unsupported transport: ${transport}`, 'transport', transport);
+    }
+    
+    if (transport !== TRANSPORTS.STDIO) {
+      return this.normalizeRemote(spec, transport);
+    }
+    
+    if (typeof spec.command !== 'string' || spec.command.trim() === '') {
+      throw new ValidationError('Launch spec requires a command', 'command', spec.command);
+    }
+    
+    const args = spec.args || [];
+    if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) {
+      throw new ValidationError('Launch args must be an array of strings', 'args', spec.args);
+    }
+    
+    if (spec.cwd !== undefined && typeof spec.cwd !== 'string') {
+      throw new ValidationError('Launch cwd must be a string', 'cwd', spec.cwd);
+    }
+    
+    const normalized = { command: spec.command, args: [...args] };
+    if (spec.cwd) {
+      normalized.cwd = spec.cwd;
+    }
+    normalized.transport = transport;
+    return normalized;
+  }
+
+  /**
+   * Validate a remote (http/sse) launch spec
+   * @private
+   * @param {Object} spec - Launch spec
+   * @param {string} transport - Remote transport
+   * @returns {Object} Normalized spec ({ transport, url, headers? })
+   * @throws {ValidationError} If the URL or headers are invalid
+   */
+  normalizeRemote(spec, transport) {
+    let url;
+    try {
+      url = new URL(spec.url);
+    } catch (error) {
+      throw new ValidationError(`Launch spec for ${transport} requires a valid url`, 'url', spec.url);
+    }
+    
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new ValidationError('Launch url must use http or https', 'url', spec.url);
+    }
+    
+    const normalized = { transport, url: spec.url };
+    
+    if (spec.headers !== undefined) {
+      const headers = spec.headers;
+      if (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+          Object.values(headers).some(value => typeof value !== 'string')) {
+        throw new ValidationError('Launch headers must be an object of strings', 'headers', headers);
+      }
+      if (Object.keys(headers).length > 0) {
+        normalized.headers = { ...headers };
+      }
+    }
+    
+    return normalized;
+  }
+
+  /**
+   * Derive a launch spec from the project's package.json
+   * Published packages with a `bin` run through `npx`; otherwise the `bin` or `main`
+   * script runs with node from its absolute path.
+   * @returns {Promise<Object|null>} Default launch spec, or null if package.json has neither bin nor main
+   *
+   * @example
+   * // package.json: { "name": "my-server", "bin": { "my-server": "cli.js" } }
+   * await launchStorage.getDefault();
+   * // Returns: { command: 'npx', args: ['-y', 'my-server'], transport: 'stdio' }
+   */
+  async getDefault() {
+    const packageJsonPath = PathUtils.ensureAbsolute(`./${FILE_NAMES.PACKAGE_JSON}`);
+    
+    let packageJson;
+    try {
+      packageJson = JSON.parse(await fs.readFile(packageJsonPath, 'utf8'));
+    } catch (error) {
+      // No usable package.json - nothing to derive
+      return null;
+    }
+    
+    const bin = typeof packageJson.bin === 'string'
+      ? packageJson.bin
+      : Object.values(packageJson.bin || {})[0];
+    
+    if (bin && packageJson.name && !packageJson.private) {
+      return { command: 'npx', args: ['-y', packageJson.name], transport: TRANSPORTS.STDIO };
+    }
+    
+    const script = bin || packageJson.main;
+    if (!script) {
+      return null;
+    }
+    
+    return {
+      command: 'node',
+      args: [PathUtils.ensureAbsolute(script, path.dirname(packageJsonPath))],
+      transport: TRANSPORTS.STDIO
+    };
+  }
+}
+
+module.exports = LaunchStorage;
@@ -0,0 +1,87 @@
+/**
+ * Selection Storage
+ * Stores which MCP clients the server is distributed to, per scope
+ */
+
+const JsonStorage = require('./json-storage');
+const { FILE_NAMES, SCOPES } = require('../constants');
+const PathUtils = require('../utils/path-utils');
+
+class SelectionStorage {
+  constructor(serverName = null) {
+    this.serverName = serverName;
+    this.json = new JsonStorage(serverName);
+  }
+
+  /**
+   * Get storage path for the client selection
+   * Both scopes are kept in one file in the local storage directory.
+   * @returns {string} Storage path
+   */
+  getStoragePath() {
+    const serverName = this.serverName || 'dj-config-mcp';
+    return PathUtils.joinPath('.', 'devjoy-digital', serverName, FILE_NAMES.CLIENT_SELECTION);
+  }
+
+  /**
+   * Get the selected clients for a scope
+   * @param {boolean} isGlobal - Selection for global (user-wide) or local (project) client paths
+   * @returns {Promise<Array<string>|null>} Selected client IDs, or null if no selection has been saved
+   */
+  async get(isGlobal = false) {
+    const selection = await this.json.read(this.getStoragePath()) || {};
+    const clientIds = selection[this.getScopeKey(isGlobal)];
+    return Array.isArray(clientIds) ? clientIds : null;
+  }
+
+  /**
+   * Replace the selected clients for a scope
+   * @param {Array<string>} clientIds - Client IDs to select (duplicates are dropped)
+   * @param {boolean} isGlobal - Selection for global (user-wide) or local (project) client paths
+   * @returns {Promise<Array<string>>} The saved selection
+   */
+  async set(clientIds, isGlobal = false) {
+    const configPath = this.getStoragePath();
+    const selection = await this.json.read(configPath) || {};
+    const saved = [...new Set(clientIds)];
+    
+    selection[this.getScopeKey(isGlobal)] = saved;
+    await this.json.write(configPath, selection);
+    return saved;
+  }
+
+  /**
+   * Add clients to the selection for a scope
+   * @param {Array<string>} clientIds - Client IDs to add
+   * @param {boolean} isGlobal - Selection for global (user-wide) or local (project) client paths
+   * @returns {Promise<Array<string>>} The saved selection
+   */
+  async add(clientIds, isGlobal = false) {
+    const current = await this.get(isGlobal) || [];
+    return await this.set([...current, ...clientIds], isGlobal);
+  }
+
+  /**
+   * Remove clients from the selection for a scope
+   * Removing every client leaves an empty selection, so nothing is distributed automatically.
+   * @param {Array<string>} clientIds - Client IDs to remove
+   * @param {boolean} isGlobal - Selection for global (user-wide) or local (project) client paths
+   * @returns {Promise<Array<string>>} The saved selection
+   */
+  async remove(clientIds, isGlobal = false) {
+    const current = await this.get(isGlobal) || [];
+    return await this.set(current.filter(clientId => !clientIds.includes(clientId)), isGlobal);
+  }
+
+  /**
+   * Get the key a scope's selection is stored under
+   * @private
+   * @param {boolean} isGlobal - Global or local scope
+   * @returns {string} 'global' or 'local'
+   */
+  getScopeKey(isGlobal) {
+    return isGlobal ? SCOPES.GLOBAL : SCOPES.LOCAL;
+  }
+}
+
+module.exports = SelectionStorage;
@@ -6,6 +6,8 @@
 const JsonStorage = require('./json-storage');
 const EnvStorage = require('./env-storage');
 const GitignoreManager = require('./gitignore');
+const LaunchStorage = require('./launch-storage');
+const SelectionStorage = require('./selection-storage');
 const ClientRegistry = require('../distribution/client-registry');
 
 class StorageManager {
@@ -18,6 +20,8 @@ class StorageManager {
     this.json = new JsonStorage(serverName);
     this.env = new EnvStorage(serverName);
     this.gitignore = new GitignoreManager(serverName);
+    this.launch = new LaunchStorage(serverName);
+    this.selection = new SelectionStorage(serverName);
   }
 }
 
@@ -0,0 +1,184 @@
+/**
+ * @module DiffUtils
+ * @description Field-level comparison of configuration objects.
+ * Used to preview and verify the server entries written to client files, and to store
+ * client mappings as JSON Merge Patches over the packaged defaults.
+ *
+ * @example
+ * const DiffUtils = require('./utils/diff-utils');
+ *
+ * const diff = DiffUtils.diff({ command: 'node' }, { command: 'npx', args: ['-y'] });
+ * // { added: [{ path: 'args', value: ['-y'] }],
+ * //   changed: [{ path: 'command', from: 'node', to: 'npx' }],
+ * //   removed: [] }
+ */
+
+/**
+ * Object diff utilities
+ * @class
+ */
+class DiffUtils {
+  /**
+   * Compute added, changed and removed fields between two values
+   * Nested objects are compared field by field; arrays and primitives are compared as whole values.
+   * @static
+   * @param {any} before - Previous value (undefined if it did not exist)
+   * @param {any} after - New value (undefined if it is being removed)
+   * @returns {Object} Diff with `added`, `changed` and `removed` arrays of `{ path, ... }` entries
+   *
+   * @example
+   * DiffUtils.diff({ env: { A: '1' } }, { env: { A: '2' } });
+   * // Returns: { added: [], changed: [{ path: 'env.A', from: '1', to: '2' }], removed: [] }
+   */
+  static diff(before, after) {
+    const result = { added: [], changed: [], removed: [] };
+    this.collect(before, after, '', result);
+    return result;
+  }
+
+  /**
+   * Check whether a diff contains any changes
+   * @static
+   * @param {Object} diff - Diff produced by DiffUtils.diff
+   * @returns {boolean} True if anything was added, changed or removed
+   */
+  static hasChanges(diff) {
+    return diff.added.length > 0 || diff.changed.length > 0 || diff.removed.length > 0;
+  }
+
+  /**
+   * Create a JSON Merge Patch (RFC 7396) that turns one object into another
+   * Fields missing from `after` are set to null; nested objects are patched field by field and
+   * arrays and primitives are replaced as whole values.
+   * @static
+   * @param {Object} before - Original object
+   * @param {Object} after - Target object
+   * @returns {Object} Patch (empty if the objects are equal)
+   *
+   * @example
+   * DiffUtils.createPatch({ a: 1, b: { c: 2, d: 3 } }, { b: { c: 2, d: 4 } });
+   * // Returns: { a: null, b: { d: 4 } }
+   */
+  static createPatch(before, after) {
+    const patch = {};
+
+    for (const key of Object.keys(before)) {
+      if (before[key] !== undefined && after[key] === undefined) {
+        patch[key] = null;
+      }
+    }
+
+    for (const [key, value] of Object.entries(after)) {
+      if (value === undefined) {
+        continue;
+      }
+
+      if (this.isPlainObject(before[key]) && this.isPlainObject(value)) {
+        const nested = this.createPatch(before[key], value);
+        if (Object.keys(nested).length > 0) {
+          patch[key] = nested;
+        }
+      } else if (JSON.stringify(before[key]) !== JSON.stringify(value)) {
+        patch[key] = this.clone(value);
+      }
+    }
+
+    return patch;
+  }
+
+  /**
+   * Apply a JSON Merge Patch (RFC 7396)
+   * Null fields in the patch remove the field; objects are merged recursively and anything else
+   * replaces the original value. Neither argument is modified.
+   * @static
+   * @param {Object} target - Original object
+   * @param {Object} patch - Patch to apply
+   * @returns {Object} Patched copy
+   *
+   * @example
+   * DiffUtils.applyPatch({ a: 1, b: { c: 2 } }, { a: null, b: { d: 3 } });
+   * // Returns: { b: { c: 2, d: 3 } }
+   */
+  static applyPatch(target, patch) {
+    const result = this.clone(target);
+
+    for (const [key, value] of Object.entries(patch)) {
+      if (value === null) {
+        delete result[key];
+      } else if (this.isPlainObject(value)) {
+        result[key] = this.applyPatch(this.isPlainObject(result[key]) ? result[key] : {}, value);
+      } else if (value !== undefined) {
+        result[key] = this.clone(value);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Recursively collect differences
+   * @private
+   * @static
+   * @param {any} before - Previous value
+   * @param {any} after - New value
+   * @param {string} prefix - Dot-notation path of the current value
+   * @param {Object} result - Accumulated diff
+   */
+  static collect(before, after, prefix, result) {
+    const beforeIsObject = this.isPlainObject(before);
+    const afterIsObject = this.isPlainObject(after);
+
+    // Descend into objects (including ones that only exist on one side) so changes are per field
+    if ((beforeIsObject || afterIsObject) &&
+        (beforeIsObject || before === undefined) &&
+        (afterIsObject || after === undefined)) {
+      const previous = before || {};
+      const next = after || {};
+      const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+      if (keys.size > 0) {
+        for (const key of keys) {
+          const fieldPath = prefix ? `${prefix}.${key}` : key;
+          this.collect(previous[key], next[key], fieldPath, result);
+        }
+        return;
+      }
+    }
+
+    if (before === undefined && after === undefined) {
+      return;
+    }
+
+    if (before === undefined) {
+      result.added.push({ path: prefix, value: after });
+    } else if (after === undefined) {
+      result.removed.push({ path: prefix, value: before });
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+      result.changed.push({ path: prefix, from: before, to: after });
+    }
+  }
+
+  /**
+   * Deep-copy a JSON value
+   * @private
+   * @static
+   * @param {any} value - Value to copy
+   * @returns {any} Copy
+   */
+  static clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Check for a plain (non-array) object
+   * @private
+   * @static
+   * @param {any} value - Value to check
+   * @returns {boolean} True for plain objects
+   */
+  static isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+module.exports = DiffUtils;
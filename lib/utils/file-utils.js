@@ -0,0 +1,95 @@
+/**
+ * @module FileUtils
+ * @description File writing helpers shared by storage and client adapters.
+ *
+ * @example
+ * const FileUtils = require('./utils/file-utils');
+ *
+ * // Readers see either the old content or the new content, never a partial write
+ * await FileUtils.writeAtomic('/path/to/mcp.json', content);
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * File utilities
+ * @class
+ */
+class FileUtils {
+  /**
+   * Write a file atomically
+   * Content is written to a temporary file in the same directory and renamed over the
+   * target, so an interrupted write never leaves a truncated file behind. Missing parent
+   * directories are created. An existing file keeps its permissions unless `mode` is given.
+   * If the target is a symlink, the file it points to is replaced and the link is kept.
+   * The temporary file is created with the permissions, so its content is never readable
+   * with wider ones; they are applied again afterwards because creation is subject to the umask.
+   * @static
+   * @param {string} filePath - Target file path
+   * @param {string} content - File content
+   * @param {Object} [options={}] - Write options
+   * @param {number} [options.mode] - File permissions (ignored on Windows)
+   * @returns {Promise<void>}
+   * @throws {Error} If the file cannot be written (the target is left untouched)
+   *
+   * @example
+   * await FileUtils.writeAtomic('.env', 'API_KEY=secret\n', { mode: 0o600 });
+   */
+  static async writeAtomic(filePath, content, options = {}) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const targetPath = await this.resolveTarget(filePath);
+    const mode = options.mode !== undefined ? options.mode : await this.getMode(targetPath);
+    const tempPath = path.join(
+      path.dirname(targetPath),
+      `.${path.basename(targetPath)}.${process.pid}-${Date.now()}.tmp`
+    );
+
+    try {
+      await fs.writeFile(tempPath, content, mode !== null ? { mode } : {});
+
+      if (mode !== null && process.platform !== 'win32') {
+        await fs.chmod(tempPath, mode);
+      }
+
+      await fs.rename(tempPath, targetPath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the file a write should replace
+   * @private
+   * @static
+   * @param {string} filePath - File path
+   * @returns {Promise<string>} Real path if the file exists (following symlinks), otherwise filePath
+   */
+  static async resolveTarget(filePath) {
+    try {
+      return await fs.realpath(filePath);
+    } catch (error) {
+      return filePath;
+    }
+  }
+
+  /**
+   * Get the permission bits of an existing file
+   * @private
+   * @static
+   * @param {string} filePath - File path
+   * @returns {Promise<number|null>} Permission bits, or null if the file does not exist
+   */
+  static async getMode(filePath) {
+    try {
+      const stats = await fs.stat(filePath);
+      return stats.mode & 0o777;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = FileUtils;
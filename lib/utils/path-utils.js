@@ -13,9 +13,11 @@
  * const resolved = PathUtils.resolveEnvVars('${HOME}/.config/${SERVER_NAME}');
  */
 
+const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { EnvironmentError } = require('../errors');
+const { FILE_NAMES, PATH_VARIABLES } = require('../constants');
 
 /**
  * Platform-aware path utilities
@@ -74,40 +76,199 @@ class PathUtils {
 
   /**
    * Resolve environment variables in path templates
+   * `${VAR:-default}` uses the default if VAR is unset or empty; defaults may contain further
+   * placeholders. Variables are looked up in additionalVars, then the built-in variables
+   * (see PATH_VARIABLES), then the environment:
+   * - `${PROJECT_ROOT}`: nearest directory from the working directory up that has a package.json
+   * - `${CWD}`: current working directory
+   * - `${CONFIG_DIR}`: platform config directory (%APPDATA%, ~/Library/Application Support, or $XDG_CONFIG_HOME / ~/.config)
+   * `${SERVER_NAME}` and `${CONFIG_FILE_DIR}` are passed by callers in additionalVars. Expressions that are not variable
+   * names (e.g. `${env:API_KEY}`) are left as they are.
    * @static
    * @param {string} pathTemplate - Path template with ${VAR} placeholders
    * @param {Object} [additionalVars={}] - Additional variables to resolve
-   * @returns {string} Resolved path with all variables replaced
+   * @param {Object} [options={}] - Resolution options
+   * @param {boolean} [options.strict=false] - Throw instead of leaving unresolved placeholders in place
+   * @returns {string} Resolved path; without strict, unresolved placeholders are kept (e.g. '${APPDATA}/Claude')
+   * @throws {EnvironmentError} In strict mode, if any variable cannot be resolved; `details.variables` lists them
    * 
    * @example
    * PathUtils.resolveEnvVars('${HOME}/.config/${APP_NAME}', { APP_NAME: 'myapp' });
    * // Returns: '/home/user/.config/myapp'
+   * 
+   * PathUtils.resolveEnvVars('${XDG_CONFIG_HOME:-${HOME}/.config}/app');
+   * // Returns: '/home/user/.config/app' if XDG_CONFIG_HOME is not set
+   * 
+   * PathUtils.resolveEnvVars('${APPDATA}/Claude', {}, { strict: true });
+   * // Throws on Linux: Unresolved variable(s) in path template ${APPDATA}/Claude: APPDATA
    */
-  static resolveEnvVars(pathTemplate, additionalVars = {}) {
+  static resolveEnvVars(pathTemplate, additionalVars = {}, options = {}) {
     if (!pathTemplate) return pathTemplate;
     
-    return pathTemplate.replace(/\${(\w+)}/g, (match, envVar) => {
-      // Check additional vars first
-      if (additionalVars[envVar] !== undefined) {
-        return additionalVars[envVar];
+    const unresolved = [];
+    const resolved = this.expandTemplate(pathTemplate, additionalVars, unresolved);
+    
+    if (options.strict && unresolved.length > 0) {
+      const variables = [...new Set(unresolved)];
+      throw new EnvironmentError(
+        `Unresolved variable(s) in path template ${pathTemplate}: ${variables.join(', ')}`,
+        variables.join(', '),
+        { template: pathTemplate, variables }
+      );
+    }
+    
+    return resolved;
+  }
+
+  /**
+   * Expand the placeholders of a template
+   * @private
+   * @static
+   * @param {string} template - Template to expand
+   * @param {Object} additionalVars - Additional variables
+   * @param {Array<string>} unresolved - Collects the names of variables that could not be resolved
+   * @returns {string} Expanded template
+   */
+  static expandTemplate(template, additionalVars, unresolved) {
+    let result = '';
+    let index = 0;
+    
+    while (index < template.length) {
+      const start = template.indexOf('${', index);
+      const end = start === -1 ? -1 : this.findClosingBrace(template, start + 2);
+      if (end === -1) {
+        return result + template.slice(index);
       }
       
-      // Then check environment variables
-      const value = process.env[envVar];
-      if (value !== undefined) {
-        return value;
-      }
+      result += template.slice(index, start);
+      const match = template.slice(start + 2, end).match(/^(\w+)(?::-([\s\S]*))?$/);
       
-      // Special handling for common variables
-      if (envVar === 'HOME' && process.platform === 'win32') {
-        // On Windows, HOME might not be set, use USERPROFILE
-        const userProfile = process.env.USERPROFILE;
-        if (userProfile) return userProfile;
+      if (!match) {
+        result += template.slice(start, end + 1);
+      } else {
+        const [, name, fallback] = match;
+        const value = this.lookupVariable(name, additionalVars);
+        
+        if (value !== undefined && !(fallback !== undefined && value === '')) {
+          result += value;
+        } else if (fallback !== undefined) {
+          result += this.expandTemplate(fallback, additionalVars, unresolved);
+        } else {
+          // Keep the original placeholder
+          result += template.slice(start, end + 1);
+          unresolved.push(name);
+        }
       }
-      
-      // Return the original placeholder if not found
-      return match;
-    });
+      index = end + 1;
+    }
+    
+    return result;
+  }
+
+  /**
+   * Find the brace that closes a placeholder, skipping nested placeholders
+   * @private
+   * @static
+   * @param {string} template - Template
+   * @param {number} position - Index just after the placeholder's `${`
+   * @returns {number} Index of the closing brace, or -1 if the placeholder is not closed
+   */
+  static findClosingBrace(template, position) {
+    let depth = 1;
+    for (let i = position; i < template.length; i++) {
+      if (template.startsWith('${', i)) {
+        depth++;
+        i++;
+      } else if (template[i] === '}' && --depth === 0) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Look up the value of a template variable
+   * @private
+   * @static
+   * @param {string} name - Variable name
+   * @param {Object} additionalVars - Additional variables
+   * @returns {string|undefined} Value, or undefined if the variable is not defined
+   */
+  static lookupVariable(name, additionalVars) {
+    // Check additional vars first
+    if (additionalVars[name] !== undefined) {
+      return String(additionalVars[name]);
+    }
+    
+    // Then the built-in variables, so an unrelated environment variable
+    // of the same name (e.g. CWD set by a shell) cannot redirect them
+    const builtIn = this.lookupBuiltIn(name);
+    if (builtIn !== undefined) {
+      return builtIn;
+    }
+    
+    // Then check environment variables
+    if (process.env[name] !== undefined) {
+      return process.env[name];
+    }
+    
+    // Special handling for common variables
+    if (name === 'HOME' && process.platform === 'win32' && process.env.USERPROFILE) {
+      // On Windows, HOME might not be set, use USERPROFILE
+      return process.env.USERPROFILE;
+    }
+    
+    return undefined;
+  }
+
+  /**
+   * Look up the value of a built-in variable (see PATH_VARIABLES)
+   * @private
+   * @static
+   * @param {string} name - Variable name
+   * @returns {string|undefined} Value, or undefined if name is not a built-in variable or cannot be determined
+   */
+  static lookupBuiltIn(name) {
+    switch (name) {
+      case PATH_VARIABLES.PROJECT_ROOT:
+        return this.findProjectRoot();
+      case PATH_VARIABLES.CWD:
+        return process.cwd();
+      case PATH_VARIABLES.CONFIG_DIR:
+        try {
+          return this.getConfigDir('');
+        } catch (error) {
+          // Platform config directory cannot be determined
+          return undefined;
+        }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Find the root directory of the project
+   * @static
+   * @param {string} [startDir=process.cwd()] - Directory to start from
+   * @returns {string} Nearest directory from startDir up that contains a package.json, or startDir if there is none
+   * 
+   * @example
+   * // Run from /home/user/app/src, with /home/user/app/package.json
+   * PathUtils.findProjectRoot();
+   * // Returns: '/home/user/app'
+   */
+  static findProjectRoot(startDir = process.cwd()) {
+    let dir = path.resolve(startDir);
+    for (;;) {
+      if (fs.existsSync(path.join(dir, FILE_NAMES.PACKAGE_JSON))) {
+        return this.normalizePath(dir);
+      }
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        return this.normalizePath(path.resolve(startDir));
+      }
+      dir = parent;
+    }
   }
 
   /**
@@ -0,0 +1,214 @@
+/**
+ * @module TemplateUtils
+ * @description Renders declarative JSON templates, such as the entry templates of client mappings.
+ * A string that is exactly one placeholder (`"${args}"`) is replaced by the value itself, keeping
+ * arrays and objects intact; placeholders inside longer strings are interpolated as text.
+ *
+ * @example
+ * const TemplateUtils = require('./utils/template-utils');
+ *
+ * TemplateUtils.render({ command: { path: '${command}', args: '${args}' } }, { command: 'node', args: ['a.js'] });
+ * // Returns: { command: { path: 'node', args: ['a.js'] } }
+ */
+
+/**
+ * Template placeholders start with a lowercase letter, so `${VAR}` references
+ * meant for the client are left alone
+ * @private
+ */
+const PLACEHOLDER = /\$\{([a-z]\w*)\}/g;
+
+/**
+ * Template rendering utilities
+ * @class
+ */
+class TemplateUtils {
+  /**
+   * Render a template with values
+   * Properties and array items whose placeholder has no value (undefined) are omitted.
+   * Placeholders that are not keys of `values` are left as they are.
+   * @static
+   * @param {any} template - JSON template
+   * @param {Object} values - Placeholder values keyed by placeholder name
+   * @returns {any} Rendered value (undefined if the template is a single placeholder without a value)
+   *
+   * @example
+   * TemplateUtils.render({ path: '${command}', env: '${env}', label: 'MCP ${name}' }, { command: 'node', env: undefined, name: 'docs' });
+   * // Returns: { path: 'node', label: 'MCP docs' }
+   */
+  static render(template, values) {
+    if (typeof template === 'string') {
+      return this.renderString(template, values);
+    }
+
+    if (Array.isArray(template)) {
+      return template
+        .map(item => this.render(item, values))
+        .filter(item => item !== undefined);
+    }
+
+    if (template !== null && typeof template === 'object') {
+      const rendered = {};
+      for (const [key, value] of Object.entries(template)) {
+        const result = this.render(value, values);
+        if (result !== undefined) {
+          rendered[key] = result;
+        }
+      }
+      return rendered;
+    }
+
+    return template;
+  }
+
+  /**
+   * List the placeholder names a template uses
+   * @static
+   * @param {any} template - JSON template
+   * @returns {Array<string>} Placeholder names, in order of first use
+   *
+   * @example
+   * TemplateUtils.getPlaceholders({ path: '${command}', args: ['--name', '${name}'] });
+   * // Returns: ['command', 'name']
+   */
+  static getPlaceholders(template) {
+    const names = new Set();
+    const visit = (value) => {
+      if (typeof value === 'string') {
+        for (const match of value.matchAll(PLACEHOLDER)) {
+          names.add(match[1]);
+        }
+      } else if (value !== null && typeof value === 'object') {
+        Object.values(value).forEach(visit);
+      }
+    };
+    visit(template);
+    return [...names];
+  }
+
+  /**
+   * Read placeholder values back out of a rendered template (the inverse of render)
+   * Properties of the value that the template does not have, and literals that differ from
+   * the template, are reported as unmatched. Template properties missing from the value are
+   * not reported, since render omits placeholders without a value.
+   * @static
+   * @param {any} template - JSON template
+   * @param {any} value - Value rendered from the template (e.g., a client's server entry)
+   * @returns {Object} `{ values, unmatched }`: placeholder values keyed by name, and the
+   *   `{ path, value }` parts of the value the template does not account for
+   *
+   * @example
+   * TemplateUtils.extract({ source: 'custom', command: { path: '${command}' } }, { source: 'custom', command: { path: 'node' }, enabled: true });
+   * // Returns: { values: { command: 'node' }, unmatched: [{ path: 'enabled', value: true }] }
+   */
+  static extract(template, value) {
+    const values = {};
+    const unmatched = [];
+
+    const visit = (part, actual, path) => {
+      if (typeof part === 'string' && this.getPlaceholders(part).length > 0) {
+        const captured = this.extractString(part, actual);
+        if (captured) {
+          Object.assign(values, captured);
+        } else {
+          unmatched.push({ path, value: actual });
+        }
+        return;
+      }
+
+      if (Array.isArray(part) && Array.isArray(actual) && part.length === actual.length) {
+        actual.forEach((item, index) => visit(part[index], item, `${path}[${index}]`));
+        return;
+      }
+
+      if (this.isPlainObject(part) && this.isPlainObject(actual)) {
+        for (const [key, item] of Object.entries(actual)) {
+          const itemPath = path ? `${path}.${key}` : key;
+          if (Object.prototype.hasOwnProperty.call(part, key)) {
+            visit(part[key], item, itemPath);
+          } else {
+            unmatched.push({ path: itemPath, value: item });
+          }
+        }
+        return;
+      }
+
+      if (JSON.stringify(part) !== JSON.stringify(actual)) {
+        unmatched.push({ path, value: actual });
+      }
+    };
+
+    visit(template, value, '');
+    return { values, unmatched };
+  }
+
+  /**
+   * Read placeholder values out of a rendered string template
+   * @private
+   * @static
+   * @param {string} template - String template with at least one placeholder
+   * @param {any} actual - Rendered value
+   * @returns {Object|null} Values keyed by placeholder name, or null if the value does not fit the template
+   */
+  static extractString(template, actual) {
+    const lone = template.match(/^\$\{([a-z]\w*)\}$/);
+    if (lone) {
+      return { [lone[1]]: actual };
+    }
+    if (typeof actual !== 'string') {
+      return null;
+    }
+
+    const names = [];
+    const pattern = template.split(PLACEHOLDER).map((part, index) => {
+      // split() with a capture group alternates literal text and placeholder names
+      if (index % 2 === 1) {
+        names.push(part);
+        return '(.*?)';
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+
+    const match = actual.match(new RegExp(`^${pattern}$`));
+    return match ? Object.fromEntries(names.map((name, index) => [name, match[index + 1]])) : null;
+  }
+
+  /**
+   * Check whether a value is a plain object (not an array or null)
+   * @private
+   * @static
+   * @param {any} value - Value to check
+   * @returns {boolean} True for plain objects
+   */
+  static isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Render a string template
+   * @private
+   * @static
+   * @param {string} template - String template
+   * @param {Object} values - Placeholder values
+   * @returns {any} The value of a lone placeholder, or the interpolated string
+   */
+  static renderString(template, values) {
+    const lone = template.match(/^\$\{([a-z]\w*)\}$/);
+    if (lone && Object.prototype.hasOwnProperty.call(values, lone[1])) {
+      return values[lone[1]];
+    }
+
+    return template.replace(PLACEHOLDER, (match, name) => {
+      if (!Object.prototype.hasOwnProperty.call(values, name)) {
+        return match;
+      }
+      const value = values[name];
+      if (value === undefined || value === null) {
+        return '';
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+}
+
+module.exports = TemplateUtils;